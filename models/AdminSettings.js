@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+// Dunning rule: remind dealers whose oldest open bill is this many days old
+const reminderRuleSchema = new mongoose.Schema({
+  daysOverdue: {
+    type: Number,
+    required: true,
+    min: 1,
+    comment: 'Days since the bill was approved',
+  },
+  template: {
+    type: String,
+    enum: ['gentle', 'firm', 'final'],
+    default: 'gentle',
+    comment: 'Message template (translations: paymentReminders.<template>)',
+  },
+  channels: {
+    type: [{
+      type: String,
+      enum: ['in_app', 'sms', 'whatsapp', 'email'],
+    }],
+    default: ['in_app'],
+  },
+}, { _id: false });
+
 const adminSettingsSchema = new mongoose.Schema({
   upiId: {
     type: String,
@@ -8,6 +31,26 @@ const adminSettingsSchema = new mongoose.Schema({
     default: 'your-upi-id@paytm', // Default UPI ID - admin should update this
     comment: 'Static UPI ID for payment collection',
   },
+  upiPayeeName: {
+    type: String,
+    trim: true,
+    default: '',
+    comment: 'Payee name shown by UPI apps for generated payment links (empty: the UPI ID)',
+  },
+  remindersEnabled: {
+    type: Boolean,
+    default: true,
+    comment: 'Send scheduled payment reminders to dealers',
+  },
+  reminderRules: {
+    type: [reminderRuleSchema],
+    default: () => [
+      { daysOverdue: 3, template: 'gentle', channels: ['in_app'] },
+      { daysOverdue: 7, template: 'firm', channels: ['in_app', 'whatsapp'] },
+      { daysOverdue: 15, template: 'final', channels: ['in_app', 'whatsapp', 'sms', 'email'] },
+    ],
+    comment: 'Dunning rules, each sent once per bill',
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
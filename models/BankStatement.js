@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const bankStatementSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx', 'mt940'],
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ['bank', 'upi_settlement'],
+    default: 'bank',
+    comment: 'bank (account statement) or upi_settlement (PSP / UPI settlement report)',
+  },
+  accountNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Account stated in the file (OFX ACCTID, MT940 :25:)',
+  },
+  periodStart: {
+    type: Date,
+    default: null,
+  },
+  periodEnd: {
+    type: Date,
+    default: null,
+  },
+  lineCount: {
+    type: Number,
+    default: 0,
+    comment: 'Transactions read from the file (including lines already imported)',
+  },
+  summary: {
+    autoConfirmed: { type: Number, default: 0 },
+    proposed: { type: Number, default: 0 },
+    exceptions: { type: Number, default: 0 },
+    ignored: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0, comment: 'Lines already imported from an earlier statement' },
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+bankStatementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const matchCandidateSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+  },
+  score: {
+    type: Number,
+    required: true,
+    comment: 'Match score out of 100 (see utils/bankStatement)',
+  },
+  reasons: [{
+    type: String,
+    comment: 'reference, amount, amount_differs, date, dealer',
+  }],
+}, { _id: false });
+
+const bankStatementLineSchema = new mongoose.Schema({
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: true,
+  },
+  lineNumber: {
+    type: Number,
+    required: true,
+    comment: 'Line / record number in the file',
+  },
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'Hash of account, date, amount, direction, reference and description - the same line is imported once',
+  },
+  transactionDate: {
+    type: Date,
+    required: true,
+  },
+  valueDate: {
+    type: Date,
+    default: null,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true,
+    comment: 'credit (money received: dealer payments) or debit (money paid out: refunds, charges)',
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'UTR / transaction ID / cheque number as stated in the file',
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  counterparty: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['auto_confirmed', 'proposed', 'confirmed', 'exception', 'ignored'],
+    required: true,
+    comment: 'auto_confirmed (matched on reference and amount at import), proposed (likely match waiting for an admin), confirmed (admin confirmed or recorded a payment), exception (no match - in the exceptions queue), ignored (not a dealer payment)',
+  },
+  candidates: {
+    type: [matchCandidateSchema],
+    default: [],
+    comment: 'Payments that could match, best first',
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+    comment: 'Payment the line was reconciled with',
+  },
+  upiCredit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UpiCredit',
+    default: null,
+    comment: 'UPI credit recorded from the line when it carried a payment link note',
+  },
+  suggestedDealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Dealer whose name best matches the line (exceptions)',
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+  resolutionNotes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Lines of a statement
+bankStatementLineSchema.index({ statement: 1, lineNumber: 1 });
+
+// Exceptions / proposals queue
+bankStatementLineSchema.index({ status: 1, transactionDate: -1 });
+
+// Line reconciled with a payment
+bankStatementLineSchema.index({ payment: 1 });
+
+module.exports = mongoose.model('BankStatementLine', bankStatementLineSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const noteLineSchema = new mongoose.Schema({
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    default: null,
+    comment: 'Admin bill line the note adjusts',
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null,
+    comment: 'Salesman bill line the note adjusts',
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1 packet'],
+    comment: 'Packets returned, or packets the price correction applies to',
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative'],
+    comment: 'Price per packet (before tax), or the per-packet price difference',
+  },
+  goodsReturned: {
+    type: Boolean,
+    default: false,
+    comment: 'Whether the packets physically came back (sales return / damaged goods)',
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0,
+  },
+  totalTax: {
+    type: Number,
+    default: 0,
+  },
+  totalAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Line value including tax',
+  },
+}, { _id: false });
+
+const creditDebitNoteSchema = new mongoose.Schema({
+  noteType: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true,
+    comment: 'credit: reduces what the buyer owes, debit: increases it',
+  },
+  noteNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Number from the credit_note / debit_note series',
+  },
+  financialYear: {
+    type: String,
+    required: true,
+  },
+  noteDate: {
+    type: Date,
+    default: Date.now,
+  },
+  source: {
+    type: String,
+    enum: ['dealer_request', 'sale'],
+    required: true,
+    comment: 'dealer_request: note on an admin bill (company -> dealer), sale: note on a salesman bill (dealer -> customer)',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Buyer of an admin bill, or seller of a salesman bill',
+  },
+  salesman: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Salesman of the original bill (sale notes)',
+  },
+  shopkeeper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shopkeeper',
+    default: null,
+  },
+  customerName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  originalInvoiceNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  originalInvoiceDate: {
+    type: Date,
+    default: null,
+  },
+  reason: {
+    type: String,
+    enum: ['sales_return', 'damaged_goods', 'price_correction', 'discount', 'short_billing', 'other'],
+    required: true,
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  lines: {
+    type: [noteLineSchema],
+    default: [],
+  },
+  taxBreakup: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Tax breakup of the note (same structure as invoice breakups, see utils/tax)',
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total cannot be negative'],
+    comment: 'Note value including tax, rounded',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+creditDebitNoteSchema.index({ noteNumber: 1, dealer: 1 });
+creditDebitNoteSchema.index({ dealer: 1, noteDate: -1 });
+creditDebitNoteSchema.index({ source: 1, noteDate: -1 });
+creditDebitNoteSchema.index({ 'lines.dealerRequest': 1 });
+creditDebitNoteSchema.index({ 'lines.sale': 1 });
+creditDebitNoteSchema.index({ originalInvoiceNumber: 1 });
+
+module.exports = mongoose.model('CreditDebitNote', creditDebitNoteSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const creditLimitOverrideSchema = new mongoose.Schema({
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Dealer allowed past their hard credit limit',
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Why the admin allowed the dealer past the limit',
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Admin who granted the override',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'used', 'revoked'],
+    default: 'active',
+    comment: 'active (waiting for the next over-limit submission), used (consumed by a submission), revoked (withdrawn by an admin)',
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    comment: 'Override can no longer be used after this date (null: no expiry)',
+  },
+  dealerRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+  }],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    comment: 'Cart order the override was used for',
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  creditLimit: {
+    type: Number,
+    default: null,
+    comment: 'Credit limit when the override was used',
+  },
+  projectedBalance: {
+    type: Number,
+    default: null,
+    comment: 'Balance plus pending and submitted requests when the override was used',
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Finding the override to use
+creditLimitOverrideSchema.index({ dealer: 1, status: 1, createdAt: 1 });
+
+// Override log
+creditLimitOverrideSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditLimitOverride', creditLimitOverrideSchema);
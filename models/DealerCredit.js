@@ -15,11 +15,17 @@ const dealerCreditSchema = new mongoose.Schema({
     min: 0,
     comment: 'Credit limit in rupees',
   },
+  limitEnforcement: {
+    type: String,
+    enum: ['none', 'soft', 'hard'],
+    default: 'none',
+    comment: 'How new requests past the limit are handled: none (not checked), soft (accepted and flagged), hard (rejected unless an admin override is active)',
+  },
   currentBalance: {
     type: Number,
     required: true,
     default: 0,
-    comment: 'Current outstanding balance (amount dealer owes)',
+    comment: 'Current outstanding balance (amount dealer owes), derived from the accounting journal',
   },
   availableCredit: {
     type: Number,
@@ -58,6 +58,13 @@ const dealerProfileSchema = new mongoose.Schema({
     uppercase: true,
     comment: 'GST registration number',
   },
+  invoicePrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z1-9][A-Z0-9]{0,4}$/, 'Invoice prefix must be 1-5 letters/digits and not start with 0'],
+    comment: 'Prefix of the salesman bill series, e.g. DLR01 -> DLR01/25-26/0001',
+  },
   panNumber: {
     type: String,
     trim: true,
@@ -135,6 +142,13 @@ const dealerProfileSchema = new mongoose.Schema({
     trim: true,
     comment: 'Company website',
   },
+  // Communication
+  preferredLanguage: {
+    type: String,
+    enum: ['en', 'gu'],
+    default: 'en',
+    comment: 'Language of payment reminders (en, gu)',
+  },
   notes: {
     type: String,
     trim: true,
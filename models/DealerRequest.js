@@ -33,6 +33,22 @@ const dealerRequestSchema = new mongoose.Schema({
     default: null,
     comment: 'URL of the payment receipt image uploaded by dealer',
   },
+  upiTransactionId: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'UTR / transaction ID the dealer stated with the receipt',
+  },
+  receiptHash: {
+    type: String,
+    default: null,
+    comment: 'Perceptual hash (256-bit dHash, hex) of the receipt image, to flag reused screenshots',
+  },
+  receiptDigest: {
+    type: String,
+    default: null,
+    comment: 'SHA-256 of the uploaded receipt file',
+  },
   paymentVerifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -52,7 +68,12 @@ const dealerRequestSchema = new mongoose.Schema({
   totalAmount: {
     type: Number,
     default: null,
-    comment: 'Total amount for this request (strips * packetsPerStrip * packetPrice)',
+    comment: 'Amount due for this request: GST-inclusive grand total of its bill line, set at approval',
+  },
+  taxBreakup: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Tax breakup computed at approval (utils/tax); totalAmount, the journal and the bill use it',
   },
   paidAmount: {
     type: Number,
@@ -65,15 +86,30 @@ const dealerRequestSchema = new mongoose.Schema({
     default: 'none',
     comment: 'Payment type: full (fully paid), partial (partially paid), none (not paid)',
   },
+  creditNoteAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Value of credit notes issued against this bill line (returns, price corrections)',
+  },
+  debitNoteAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Value of debit notes issued against this bill line',
+  },
   isOutstanding: {
     type: Boolean,
     default: false,
-    comment: 'Whether this request has outstanding payment (approved without full payment)',
+    comment: 'Whether this request has outstanding payment (approved without full payment, net of credit/debit notes)',
   },
   requestedAt: {
     type: Date,
     default: Date.now,
   },
+  reservationExpiresAt: {
+    type: Date,
+    default: null,
+    comment: 'When the stock held for this pending request is released (see StockReservation)',
+  },
   processedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -110,6 +146,23 @@ const dealerRequestSchema = new mongoose.Schema({
     default: null,
     comment: 'Group ID to group multiple requests submitted together (e.g., from cart)',
   },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    comment: 'Order this request is a line of',
+  },
+  backorderOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    default: null,
+    comment: 'Partially approved request this backorder carries the remainder of',
+  },
+  backorderedStrips: {
+    type: Number,
+    default: 0,
+    comment: 'Strips split off into a backorder when this request was partially approved',
+  },
   destination: {
     type: String,
     trim: true,
@@ -156,11 +209,67 @@ const dealerRequestSchema = new mongoose.Schema({
     default: 'not_generated',
     comment: 'E-Way Bill status',
   },
+  ewayBillCancelReasonCode: {
+    type: Number,
+    enum: [1, 2, 3, 4, null],
+    default: null,
+    comment: 'E-Way Bill cancellation reason: 1 Duplicate, 2 Order Cancelled, 3 Data Entry mistake, 4 Others',
+  },
+  ewayBillCancelRemarks: {
+    type: String,
+    trim: true,
+    default: '',
+    comment: 'E-Way Bill cancellation remarks',
+  },
+  ewayBillCancelledAt: {
+    type: Date,
+    default: null,
+  },
+  ewayBillCancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Admin who cancelled the e-way bill',
+  },
+  irn: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'E-invoice IRN registered for this bill',
+  },
+  eInvoiceAckNo: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'E-invoice acknowledgement number',
+  },
+  eInvoiceAckDate: {
+    type: Date,
+    default: null,
+    comment: 'E-invoice acknowledgement date',
+  },
+  eInvoiceStatus: {
+    type: String,
+    enum: ['not_generated', 'active', 'cancelled'],
+    default: 'not_generated',
+    comment: 'E-invoice (IRN) status',
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Invoice number issued from the company series when the bill is sent (see InvoiceSeries)',
+  },
   invoiceSnapshot: {
     type: mongoose.Schema.Types.Mixed,
     default: null,
     comment: 'Invoice snapshot stored when bill is sent - preserves historical invoice data for accuracy',
   },
+  creditCheck: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Credit limit check at submission: { result (within_limit, over_soft_limit, overridden), creditLimit, projectedBalance, override } - null when the limit is not enforced',
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -180,6 +289,8 @@ dealerRequestSchema.index({ paymentStatus: 1 });
 dealerRequestSchema.index({ product: 1 });
 dealerRequestSchema.index({ orderGroupId: 1 });
 dealerRequestSchema.index({ ewayBillNo: 1 });
+dealerRequestSchema.index({ upiTransactionId: 1 });
+dealerRequestSchema.index({ receiptDigest: 1 });
 
 // Compound indexes for common query patterns
 // Dealer queries with status and date
@@ -206,13 +317,22 @@ dealerRequestSchema.index({ product: 1, dealer: 1 });
 
 // Order grouping
 dealerRequestSchema.index({ orderGroupId: 1, dealer: 1 });
+dealerRequestSchema.index({ order: 1, status: 1 });
+
+// Backorders waiting for stock (oldest first per product)
+dealerRequestSchema.index({ product: 1, status: 1, backorderOf: 1, requestedAt: 1 });
+dealerRequestSchema.index({ backorderOf: 1 });
 
 // Date queries
 dealerRequestSchema.index({ createdAt: -1, dealer: 1 });
 dealerRequestSchema.index({ requestedAt: -1, dealer: 1 });
 
+// Invoice number lookups
+dealerRequestSchema.index({ invoiceNumber: 1 });
+
 // E-way bill queries
 dealerRequestSchema.index({ ewayBillStatus: 1 });
+dealerRequestSchema.index({ ewayBillStatus: 1, ewayBillValidUpto: 1 });
 
 // Processed queries
 dealerRequestSchema.index({ processedBy: 1, createdAt: -1 });
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const eInvoiceEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['generate', 'cancel'],
+    required: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  requestPayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Plain (decrypted) payload sent to the provider',
+  },
+  responsePayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Plain (decrypted) response received from the provider',
+  },
+  errorCode: {
+    type: String,
+    default: null,
+    comment: 'IRP error code(s) when the call failed',
+  },
+  errorMessage: {
+    type: String,
+    default: null,
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const eInvoiceSchema = new mongoose.Schema({
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    required: true,
+  },
+  provider: {
+    type: String,
+    enum: ['nic', 'mock'],
+    required: true,
+    comment: 'Provider that registered (or rejected) this invoice',
+  },
+  status: {
+    type: String,
+    enum: ['failed', 'active', 'cancelled'],
+    required: true,
+    comment: 'failed (IRP rejected registration), active, cancelled',
+  },
+  irn: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: '64 character Invoice Reference Number (null when registration failed)',
+  },
+  ackNo: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'IRP acknowledgement number',
+  },
+  ackDate: {
+    type: Date,
+    default: null,
+  },
+  signedInvoice: {
+    type: String,
+    default: null,
+    comment: 'Signed invoice JWT returned by the IRP',
+  },
+  signedQRCode: {
+    type: String,
+    default: null,
+    comment: 'Signed QR code JWT printed on the bill',
+  },
+  docNo: {
+    type: String,
+    trim: true,
+    required: true,
+    comment: 'Invoice number the IRN was generated against',
+  },
+  docDate: {
+    type: Date,
+    required: true,
+  },
+  buyerGstin: {
+    type: String,
+    trim: true,
+    required: true,
+  },
+  totalInvoiceValue: {
+    type: Number,
+    default: 0,
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  cancelReasonCode: {
+    type: Number,
+    enum: [1, 2, 3, 4, null],
+    default: null,
+    comment: '1 Duplicate, 2 Data entry mistake, 3 Order cancelled, 4 Others',
+  },
+  cancelRemarks: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  cancelledAt: {
+    type: Date,
+    default: null,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  events: {
+    type: [eInvoiceEventSchema],
+    default: [],
+    comment: 'Every provider call made for this invoice with full payloads',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+eInvoiceSchema.index({ dealerRequest: 1, createdAt: -1 });
+eInvoiceSchema.index({ irn: 1 });
+
+module.exports = mongoose.model('EInvoice', eInvoiceSchema);
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+
+const ewayBillEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['generate', 'cancel', 'update_part_b', 'extend'],
+    required: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  requestPayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Plain (decrypted) payload sent to the provider',
+  },
+  responsePayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Plain (decrypted) response received from the provider',
+  },
+  errorCode: {
+    type: String,
+    default: null,
+    comment: 'Provider error code(s) when the call failed',
+  },
+  errorMessage: {
+    type: String,
+    default: null,
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const vehicleUpdateSchema = new mongoose.Schema({
+  vehicleNumber: {
+    type: String,
+    trim: true,
+    required: true,
+  },
+  reasonCode: {
+    type: Number,
+    enum: [1, 2, 3, 4],
+    required: true,
+    comment: '1 Break Down, 2 Transhipment, 3 Others, 4 First Time',
+  },
+  reasonRemarks: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  fromPlace: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  transDocNo: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const extensionSchema = new mongoose.Schema({
+  remainingDistanceKm: {
+    type: Number,
+    required: true,
+  },
+  reasonCode: {
+    type: Number,
+    enum: [1, 2, 4, 5, 99],
+    required: true,
+    comment: '1 Natural Calamity, 2 Law and Order, 4 Transhipment, 5 Accident, 99 Others',
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  fromPlace: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  fromPincode: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  previousValidUpto: {
+    type: Date,
+    default: null,
+  },
+  validUpto: {
+    type: Date,
+    default: null,
+  },
+  extendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  extendedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const ewayBillSchema = new mongoose.Schema({
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    required: true,
+  },
+  provider: {
+    type: String,
+    enum: ['nic', 'mock'],
+    required: true,
+    comment: 'Provider that issued (or rejected) this e-way bill',
+  },
+  ewayBillNo: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: '12 digit e-way bill number (null when generation failed)',
+  },
+  status: {
+    type: String,
+    enum: ['failed', 'active', 'cancelled', 'expired'],
+    required: true,
+    comment: 'failed (provider rejected generation), active, cancelled, expired',
+  },
+  docNo: {
+    type: String,
+    trim: true,
+    required: true,
+    comment: 'Invoice number the e-way bill was generated against',
+  },
+  docDate: {
+    type: Date,
+    required: true,
+  },
+  distanceKm: {
+    type: Number,
+    required: true,
+    min: [1, 'Distance must be at least 1 km'],
+    max: [4000, 'Distance cannot exceed 4000 km'],
+    comment: 'Approximate transport distance used for validity',
+  },
+  fromPincode: {
+    type: String,
+    trim: true,
+  },
+  toPincode: {
+    type: String,
+    trim: true,
+  },
+  toGstin: {
+    type: String,
+    trim: true,
+    comment: 'Buyer GSTIN (URP for unregistered buyers)',
+  },
+  vehicleNumber: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  totalInvoiceValue: {
+    type: Number,
+    default: 0,
+  },
+  ewayBillDate: {
+    type: Date,
+    default: null,
+  },
+  validUpto: {
+    type: Date,
+    default: null,
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  vehicleUpdates: {
+    type: [vehicleUpdateSchema],
+    default: [],
+    comment: 'Part-B (vehicle) updates after generation',
+  },
+  extensions: {
+    type: [extensionSchema],
+    default: [],
+    comment: 'Validity extensions',
+  },
+  cancelReasonCode: {
+    type: Number,
+    enum: [1, 2, 3, 4, null],
+    default: null,
+    comment: '1 Duplicate, 2 Order Cancelled, 3 Data Entry mistake, 4 Others',
+  },
+  cancelRemarks: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  cancelledAt: {
+    type: Date,
+    default: null,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  expiredAt: {
+    type: Date,
+    default: null,
+    comment: 'When the expiry job marked this bill expired',
+  },
+  events: {
+    type: [ewayBillEventSchema],
+    default: [],
+    comment: 'Every provider call made for this e-way bill with full payloads',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+ewayBillSchema.index({ dealerRequest: 1, createdAt: -1 });
+ewayBillSchema.index({ ewayBillNo: 1 });
+ewayBillSchema.index({ status: 1, validUpto: 1 });
+
+module.exports = mongoose.model('EwayBill', ewayBillSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const gatewayEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    comment: 'Event ID sent by the gateway (webhooks) or checkout:<payment ID> (checkout callbacks) - each is processed once',
+  },
+  event: {
+    type: String,
+    required: true,
+    comment: 'e.g. payment.authorized, payment.captured, payment.failed, order.paid, checkout.success',
+  },
+  gatewayOrderId: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  gatewayPaymentId: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  outcome: {
+    type: String,
+    enum: ['processed', 'ignored'],
+    required: true,
+    comment: 'processed (changed the order), ignored (stale / out of order / unknown order). Events that error are not recorded so the gateway retry is processed',
+  },
+  message: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+gatewayEventSchema.index({ gatewayOrderId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('GatewayEvent', gatewayEventSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const gatewayOrderLineSchema = new mongoose.Schema({
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    comment: 'Part of the order amount paying this request (rupees)',
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Part of the line paid by captured payments so far (rupees)',
+  },
+}, { _id: false });
+
+const gatewayOrderSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true,
+    comment: 'Gateway the order was created with (razorpay, stub)',
+  },
+  gatewayOrderId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    comment: 'Order ID at the gateway',
+  },
+  receipt: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Our reference sent to the gateway',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    comment: 'Cart order paid for (null: a single request)',
+  },
+  lines: {
+    type: [gatewayOrderLineSchema],
+    default: [],
+    comment: 'Requests paid for and their share of the amount',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be at least 1'],
+    comment: 'Order amount in rupees (sent to the gateway in paise)',
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  status: {
+    type: String,
+    enum: ['created', 'attempted', 'partially_paid', 'paid', 'failed'],
+    default: 'created',
+    comment: 'created (checkout not started), attempted (payment authorized or a payment failed - may still be paid), partially_paid (captured for less than the amount; Payment records created for what was captured), paid (captured in full; Payment records created), failed (last attempt failed)',
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Amount captured towards the order so far (rupees)',
+  },
+  gatewayPaymentId: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Last gateway payment captured towards the order',
+  },
+  paymentMethod: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Method reported by the gateway (upi, card, netbanking, wallet)',
+  },
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  }],
+  paidAt: {
+    type: Date,
+    default: null,
+  },
+  failureReason: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  extraPayments: {
+    type: [{
+      gatewayPaymentId: String,
+      amount: Number,
+      receivedAt: Date,
+    }],
+    default: [],
+    comment: 'Further payments captured after the order was paid (to be refunded at the gateway)',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Dealer and admin listings
+gatewayOrderSchema.index({ dealer: 1, createdAt: -1 });
+gatewayOrderSchema.index({ status: 1, createdAt: -1 });
+
+// Orders of a request / cart order
+gatewayOrderSchema.index({ 'lines.dealerRequest': 1 });
+gatewayOrderSchema.index({ order: 1 });
+
+module.exports = mongoose.model('GatewayOrder', gatewayOrderSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const invoiceNumberSchema = new mongoose.Schema({
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Dealer that owns the series (null for the company series)',
+  },
+  series: {
+    type: String,
+    enum: ['sales', 'admin', 'credit_note', 'debit_note'],
+    required: true,
+  },
+  financialYear: {
+    type: String,
+    required: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: [1, 'Sequence starts at 1'],
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Formatted number printed on the bill, e.g. DLR01/25-26/0001',
+  },
+  idempotencyKey: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Client submission key - a repeated submission with the same key is rejected',
+  },
+  sales: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+  }],
+  dealerRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+  }],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  creditDebitNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditDebitNote',
+    default: null,
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvoiceTemplate',
+    default: null,
+    comment: 'Template version active when the number was issued (null: built-in layout), so the invoice re-renders the same',
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Every sequence number and every printed number is issued exactly once
+invoiceNumberSchema.index({ dealer: 1, series: 1, financialYear: 1, sequence: 1 }, { unique: true });
+invoiceNumberSchema.index({ dealer: 1, invoiceNumber: 1 }, { unique: true });
+
+// Duplicate submissions of the same bill
+invoiceNumberSchema.index(
+  { dealer: 1, series: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Lookups from the billed documents
+invoiceNumberSchema.index({ dealerRequests: 1 });
+invoiceNumberSchema.index({ order: 1 });
+
+module.exports = mongoose.model('InvoiceNumber', invoiceNumberSchema);
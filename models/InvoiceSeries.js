@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const invoiceSeriesSchema = new mongoose.Schema({
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Dealer that owns the series (null for the company series used on admin bills)',
+  },
+  series: {
+    type: String,
+    enum: ['sales', 'admin', 'credit_note', 'debit_note'],
+    required: true,
+    comment: 'sales: salesman bills of a dealer, admin: company bills to dealers, credit_note / debit_note: notes against either',
+  },
+  financialYear: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}$/, 'Financial year must look like 2025-26'],
+    comment: 'Financial year (April-March) the counter runs for',
+  },
+  lastNumber: {
+    type: Number,
+    default: 0,
+    min: [0, 'Last number cannot be negative'],
+    comment: 'Last sequence number issued in this series and year (only incremented inside the transaction that saves the bill)',
+  },
+  lastInvoiceNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Last invoice number issued',
+  },
+  lastIssuedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One counter per dealer / series / financial year
+invoiceSeriesSchema.index({ dealer: 1, series: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceSeries', invoiceSeriesSchema);
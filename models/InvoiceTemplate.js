@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+const bankDetailsSchema = new mongoose.Schema({
+  show: {
+    type: Boolean,
+    default: true,
+  },
+  bankName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  accountNumber: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  ifscCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+  },
+  branch: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  accountHolderName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, { _id: false });
+
+const invoiceTemplateSchema = new mongoose.Schema({
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Dealer that owns the template (null for the company templates)',
+  },
+  series: {
+    type: String,
+    enum: ['sales', 'admin', 'credit_note', 'debit_note'],
+    required: true,
+    comment: 'Invoice series the template applies to (same series as utils/invoiceSeries)',
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: [1, 'Version starts at 1'],
+    comment: 'Versions are never edited - a change is saved as the next version',
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  isActive: {
+    type: Boolean,
+    default: false,
+    comment: 'Version used for newly issued invoices of the series (one per dealer / series)',
+  },
+  header: {
+    title: {
+      type: String,
+      trim: true,
+      default: '',
+      comment: 'Document title (empty: TAX INVOICE / CREDIT NOTE / DEBIT NOTE)',
+    },
+    showLogo: {
+      type: Boolean,
+      default: false,
+    },
+    logoUrl: {
+      type: String,
+      trim: true,
+      default: '',
+      comment: 'Cloudinary URL of the logo (uploaded through /api/invoice-templates/logo)',
+    },
+    accentColor: {
+      type: String,
+      trim: true,
+      default: '#f0f0f0',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Accent color must look like #f0f0f0'],
+      comment: 'Background of the line table header',
+    },
+    sellerName: {
+      type: String,
+      trim: true,
+      default: '',
+      comment: 'Seller name printed instead of the bill\'s own (optional)',
+    },
+    sellerAddress: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    sellerPhone: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  lineTable: {
+    showHsn: {
+      type: Boolean,
+      default: true,
+    },
+    showUnit: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  taxSummary: {
+    style: {
+      type: String,
+      enum: ['totals', 'rate_wise'],
+      default: 'totals',
+      comment: 'totals: one row per tax, rate_wise: CGST/SGST/IGST rows per GST rate',
+    },
+  },
+  footer: {
+    text: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    signatureLabel: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  terms: {
+    type: [String],
+    default: [],
+    validate: [(terms) => terms.length <= 10, 'At most 10 terms'],
+  },
+  bankDetails: {
+    type: bankDetailsSchema,
+    default: () => ({ show: false }),
+    comment: 'Bank details printed on the invoice (copied from the dealer profile when the version is saved)',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One row per version, and one active version per dealer / series
+invoiceTemplateSchema.index({ dealer: 1, series: 1, version: 1 }, { unique: true });
+invoiceTemplateSchema.index(
+  { dealer: 1, series: 1, isActive: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('InvoiceTemplate', invoiceTemplateSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true,
+    enum: [
+      'dealer_receivables',
+      'cash',
+      'bank',
+      'upi',
+      'gateway_clearing',
+      'other_funds',
+      'sales',
+      'sales_returns',
+      'cgst_payable',
+      'sgst_payable',
+      'igst_payable',
+      'cess_payable',
+      'round_off',
+      'credit_adjustments',
+      'commission_expense',
+    ],
+    comment: 'Account from the chart of accounts (utils/journal ACCOUNTS)',
+  },
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Sub-ledger party (dealer for receivables, salesman for commission)',
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Books the entry belongs to: null for the company, a dealer for their own books (commission payouts)',
+  },
+  date: {
+    type: Date,
+    required: true,
+    comment: 'Accounting date of the transaction',
+  },
+  event: {
+    type: String,
+    enum: ['invoice', 'receipt', 'refund', 'credit_adjustment', 'credit_note', 'debit_note', 'commission_payout', 'reversal'],
+    required: true,
+  },
+  sourceType: {
+    type: String,
+    enum: ['DealerRequest', 'Payment', 'CreditDebitNote', 'Commission'],
+    required: true,
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceType',
+    required: true,
+    comment: 'Document whose change posted the entry',
+  },
+  postingKey: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'sourceType:sourceId:event:sequence (reversals append :reversal) - guards against double posting',
+  },
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null,
+    comment: 'Entry cancelled by this reversal',
+  },
+  narration: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  lines: {
+    type: [journalLineSchema],
+    required: true,
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0,
+    comment: 'Sum of the debit (= credit) side',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+journalEntrySchema.index({ book: 1, date: 1 });
+journalEntrySchema.index({ 'lines.account': 1, 'lines.party': 1, date: 1 });
+journalEntrySchema.index({ sourceType: 1, sourceId: 1, event: 1 });
+journalEntrySchema.index({ reverses: 1 }, { unique: true, partialFilterExpression: { reverses: { $type: 'objectId' } } });
+
+// Every entry must balance: each line on one side only, debits equal credits
+journalEntrySchema.pre('validate', function(next) {
+  const toPaise = (value) => Math.round((value || 0) * 100);
+
+  if (!this.lines || this.lines.length < 2) {
+    return next(new Error('A journal entry needs at least two lines'));
+  }
+  if (this.lines.some(line => (toPaise(line.debit) > 0) === (toPaise(line.credit) > 0))) {
+    return next(new Error('Each journal line must have either a debit or a credit amount'));
+  }
+
+  const debits = this.lines.reduce((sum, line) => sum + toPaise(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toPaise(line.credit), 0);
+  if (debits !== credits) {
+    return next(new Error(`Journal entry does not balance (debit ${debits / 100}, credit ${credits / 100})`));
+  }
+
+  this.totalAmount = debits / 100;
+  next();
+});
+
+// Entries are immutable - corrections are posted as reversals
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries cannot be modified; post a reversal instead'));
+  }
+  next();
+});
+
+journalEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(new Error('Journal entries cannot be modified or deleted; post a reversal instead'));
+  }
+);
+
+journalEntrySchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error('Journal entries cannot be modified or deleted; post a reversal instead'));
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
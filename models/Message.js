@@ -4,8 +4,8 @@ const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    comment: 'Admin who sent the message',
+    default: null,
+    comment: 'Admin who sent the message (null: system message, e.g. a payment reminder)',
   },
   title: {
     type: String,
@@ -34,10 +34,10 @@ const messageSchema = new mongoose.Schema({
   recipientRoles: {
     type: [{
       type: String,
-      enum: ['dellear', 'stalkist', 'salesman'],
+      enum: ['dellear', 'stalkist', 'salesman', 'admin'],
     }],
     required: [true, 'At least one recipient role is required'],
-    comment: 'Roles that should receive this message',
+    comment: 'Roles that should receive this message (admin: system notices to admins only, e.g. backorders served)',
   },
   sendToAll: {
     type: Boolean,
@@ -54,6 +54,12 @@ const messageSchema = new mongoose.Schema({
       default: Date.now,
     },
   }],
+  category: {
+    type: String,
+    enum: ['announcement', 'payment_reminder', 'backorder'],
+    default: 'announcement',
+    comment: 'announcement (sent by an admin), payment_reminder (sent by the reminder scheduler), backorder (backorders served after a restock, to admins)',
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+const orderItemSchema = new mongoose.Schema({
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    required: true,
+    comment: 'Request row that carries this line through approval, payment and billing',
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  strips: {
+    type: Number,
+    required: true,
+    min: [1, 'Must request at least 1 strip'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'cancelled'],
+    default: 'pending',
+    comment: 'Mirror of the request status, refreshed whenever a line changes',
+  },
+  totalAmount: {
+    type: Number,
+    default: null,
+    comment: 'Line amount once approved',
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    comment: 'Human readable order number (ORD-YYMMDD-XXXXXX)',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  orderGroupId: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Legacy cart group ID this order was created from (kept for old clients)',
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partially_approved', 'approved', 'cancelled'],
+    default: 'pending',
+    comment: 'pending (no line processed), partially_approved (some lines approved, some still pending), approved (no pending lines left, at least one approved), cancelled (every line cancelled)',
+  },
+  items: {
+    type: [orderItemSchema],
+    default: [],
+  },
+  totalStrips: {
+    type: Number,
+    default: 0,
+    comment: 'Strips requested across all lines',
+  },
+  approvedStrips: {
+    type: Number,
+    default: 0,
+    comment: 'Strips on approved lines',
+  },
+  totalAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Amount of approved lines',
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Amount paid against approved lines',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Admin who last approved/cancelled lines of this order',
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+  destination: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Destination address for bill dispatch',
+  },
+  vehicleNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Vehicle number used for dispatch',
+  },
+  dispatchedDocNo: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Dispatched document number',
+  },
+  billSent: {
+    type: Boolean,
+    default: false,
+    comment: 'Whether a bill for the approved lines has been sent to the dealer',
+  },
+  billSentAt: {
+    type: Date,
+    default: null,
+  },
+  billSentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Admin who sent the bill',
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Invoice number of the latest bill sent for the order (lines approved after a bill get a new invoice; each line keeps its own)',
+  },
+  invoiceSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Invoice snapshot stored when bill is sent - preserves historical invoice data for accuracy',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Dealer queries
+orderSchema.index({ dealer: 1, status: 1, createdAt: -1 });
+orderSchema.index({ dealer: 1, createdAt: -1 });
+
+// Admin queues
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ billSent: 1, status: 1 });
+
+// Legacy cart groups (one order per dealer + group)
+orderSchema.index(
+  { dealer: 1, orderGroupId: 1 },
+  { unique: true, partialFilterExpression: { orderGroupId: { $type: 'string' } } }
+);
+
+// Line lookups
+orderSchema.index({ 'items.dealerRequest': 1 });
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -26,9 +26,15 @@ const paymentSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['upi', 'bank_transfer', 'cash', 'credit', 'other'],
+    enum: ['upi', 'bank_transfer', 'cash', 'credit', 'gateway', 'other'],
     default: 'upi',
-    comment: 'Payment method used',
+    comment: 'Payment method used (gateway: paid online through the payment gateway)',
+  },
+  creditDebitNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditDebitNote',
+    default: null,
+    comment: 'Credit/debit note that produced this entry',
   },
   upiTransactionId: {
     type: String,
@@ -48,6 +54,18 @@ const paymentSchema = new mongoose.Schema({
     default: null,
     comment: 'Bank transaction ID if payment method is bank transfer',
   },
+  gatewayOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GatewayOrder',
+    default: null,
+    comment: 'Payment gateway order the payment was made through',
+  },
+  gatewayPaymentId: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Payment ID at the payment gateway',
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
@@ -60,6 +78,16 @@ const paymentSchema = new mongoose.Schema({
     default: null,
     comment: 'URL of payment receipt if uploaded',
   },
+  receiptHash: {
+    type: String,
+    default: null,
+    comment: 'Perceptual hash (256-bit dHash, hex) of the receipt image, to flag reused screenshots',
+  },
+  receiptDigest: {
+    type: String,
+    default: null,
+    comment: 'SHA-256 of the uploaded receipt file',
+  },
   notes: {
     type: String,
     trim: true,
@@ -146,6 +174,10 @@ paymentSchema.index({ paymentMethod: 1, dealer: 1 });
 // Transaction ID lookups
 paymentSchema.index({ bankTransactionId: 1 });
 
+// Reused receipt lookups
+paymentSchema.index({ receiptDigest: 1 });
+paymentSchema.index({ gatewayPaymentId: 1 });
+
 // Update updatedAt before saving
 paymentSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const paymentAllocationSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    comment: 'Completed payment (or credit adjustment) being applied',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    required: true,
+    comment: 'Approved request (bill line) the amount settles',
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Invoice number of the bill line when allocated (null: bill not sent yet)',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Allocated amount must be greater than 0'],
+    comment: 'Amount of the payment applied to the bill line',
+  },
+  source: {
+    type: String,
+    enum: ['approval', 'linked', 'manual', 'fifo'],
+    required: true,
+    comment: 'approval (paid when the request was approved), linked (payment recorded against the request), manual (admin split), fifo (oldest open bills first)',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active',
+    comment: 'reversed when the payment is taken back or the allocation is corrected',
+  },
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reversedAt: {
+    type: Date,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Allocations of a payment
+paymentAllocationSchema.index({ payment: 1, status: 1 });
+
+// Amount allocated to a bill line
+paymentAllocationSchema.index({ dealerRequest: 1, status: 1 });
+
+// Dealer queries
+paymentAllocationSchema.index({ dealer: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentAllocation', paymentAllocationSchema);
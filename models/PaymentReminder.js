@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const reminderBillSchema = new mongoose.Schema({
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    required: true,
+  },
+  invoiceNumber: {
+    type: String,
+    default: null,
+  },
+  openAmount: {
+    type: Number,
+    required: true,
+  },
+  ageDays: {
+    type: Number,
+    required: true,
+  },
+  stage: {
+    type: Number,
+    required: true,
+    comment: 'daysOverdue of the rule the bill had reached (each stage is sent once per bill)',
+  },
+}, { _id: false });
+
+const paymentReminderSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    comment: 'Shared by the deliveries of one reminder (one per channel)',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  stage: {
+    type: Number,
+    required: true,
+    comment: 'daysOverdue of the rule that was applied (the highest one reached)',
+  },
+  template: {
+    type: String,
+    enum: ['gentle', 'firm', 'final'],
+    required: true,
+  },
+  bills: {
+    type: [reminderBillSchema],
+    default: [],
+    comment: 'Overdue bills the reminder was about',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    comment: 'Total open amount of the bills',
+  },
+  channel: {
+    type: String,
+    enum: ['in_app', 'sms', 'whatsapp', 'email'],
+    required: true,
+  },
+  provider: {
+    type: String,
+    default: null,
+    comment: 'Provider that delivered the channel (e.g. fake, twilio, sendgrid)',
+  },
+  recipient: {
+    type: String,
+    default: null,
+    comment: 'Phone number, email address, or dealer user ID (in_app)',
+  },
+  language: {
+    type: String,
+    enum: ['en', 'gu'],
+    default: 'en',
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true,
+    comment: 'sent, failed (provider error), skipped (dealer has no address for the channel)',
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  providerMessageId: {
+    type: String,
+    default: null,
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+    comment: 'In-app message created (in_app)',
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Admin who ran the reminders (manual)',
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Stages already sent for a dealer's bills
+paymentReminderSchema.index({ dealer: 1, 'bills.dealerRequest': 1 });
+
+// Reminder log
+paymentReminderSchema.index({ sentAt: -1 });
+paymentReminderSchema.index({ channel: 1, status: 1, sentAt: -1 });
+
+module.exports = mongoose.model('PaymentReminder', paymentReminderSchema);
@@ -42,6 +42,45 @@ const productSchema = new mongoose.Schema({
     default: 0,
     comment: 'Stock in strips (not packets)',
   },
+  reservedStock: {
+    type: Number,
+    min: [0, 'Reserved stock cannot be negative'],
+    default: 0,
+    comment: 'Strips held by active reservations of pending dealer requests (available-to-promise = stock - reservedStock)',
+  },
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: '2106',
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits'],
+    comment: 'HSN code printed on invoices and sent to the e-way bill / e-invoice systems',
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: [0, 0.25, 3, 5, 12, 18, 28, 40],
+      message: 'GST rate must be one of 0, 0.25, 3, 5, 12, 18, 28 or 40',
+    },
+    default: 5,
+    comment: 'GST rate (%) - split into CGST + SGST within the state, IGST across states',
+  },
+  cessRate: {
+    type: Number,
+    min: [0, 'Cess rate cannot be negative'],
+    default: 0,
+    comment: 'Compensation cess (%) on the taxable value',
+  },
+  cessPerUnit: {
+    type: Number,
+    min: [0, 'Cess per unit cannot be negative'],
+    default: 0,
+    comment: 'Specific compensation cess (Rs) per packet',
+  },
+  gstExempt: {
+    type: Boolean,
+    default: false,
+    comment: 'Exempt supply - no GST or cess is charged',
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const salesmanStockSchema = new mongoose.Schema({
+  salesman: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Salesman holding the stock',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+    comment: 'Dealer who allocated the stock',
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  onHandPackets: {
+    type: Number,
+    required: true,
+    min: [0, 'On-hand packets cannot be negative'],
+    default: 0,
+    comment: 'Packets currently held by the salesman (allocated - sold + returned +/- adjusted)',
+  },
+  lastEntryAt: {
+    type: Date,
+    default: null,
+    comment: 'Date of the last ledger entry applied to this balance',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// One balance row per salesman + product
+salesmanStockSchema.index({ salesman: 1, product: 1 }, { unique: true });
+
+// Dealer queries
+salesmanStockSchema.index({ dealer: 1, salesman: 1 });
+salesmanStockSchema.index({ dealer: 1, product: 1 });
+
+module.exports = mongoose.model('SalesmanStock', salesmanStockSchema);
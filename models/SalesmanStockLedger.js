@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const salesmanStockLedgerSchema = new mongoose.Schema({
+  salesman: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Salesman whose stock moved',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Dealer who owns this salesman',
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['allocated', 'sold', 'returned', 'adjusted'],
+    required: true,
+    comment: 'allocated (in from dealer), sold (out on a bill/sale), returned (in from a rejected bill, or out when stock goes back to the dealer), adjusted (manual correction or opening balance)',
+  },
+  packets: {
+    type: Number,
+    required: true,
+    comment: 'Signed packet movement: positive adds to on-hand, negative removes from it',
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative'],
+    comment: 'On-hand packets after this entry was applied',
+  },
+  stockAllocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockAllocation',
+    default: null,
+    comment: 'Allocation that produced this entry (for allocated entries)',
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null,
+    comment: 'Sale row that produced this entry (for sold/returned entries)',
+  },
+  invoiceNo: {
+    type: String,
+    trim: true,
+    default: '',
+    comment: 'Invoice number of the bill that produced this entry',
+  },
+  stockReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReturn',
+    default: null,
+    comment: 'Return/recall that sent this stock back to the dealer',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'User whose action produced this entry',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Salesman history
+salesmanStockLedgerSchema.index({ salesman: 1, createdAt: -1 });
+salesmanStockLedgerSchema.index({ salesman: 1, product: 1, createdAt: -1 });
+
+// Dealer queries
+salesmanStockLedgerSchema.index({ dealer: 1, createdAt: -1 });
+salesmanStockLedgerSchema.index({ dealer: 1, salesman: 1, createdAt: -1 });
+
+// Source document lookups
+salesmanStockLedgerSchema.index({ sale: 1 });
+salesmanStockLedgerSchema.index({ invoiceNo: 1, salesman: 1 });
+salesmanStockLedgerSchema.index({ stockAllocation: 1 });
+salesmanStockLedgerSchema.index({ stockReturn: 1 });
+
+module.exports = mongoose.model('SalesmanStockLedger', salesmanStockLedgerSchema);
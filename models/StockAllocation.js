@@ -30,6 +30,12 @@ const stockAllocationSchema = new mongoose.Schema({
     required: true,
     comment: 'Reference to the dealer stock entry',
   },
+  returnedStrips: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned strips cannot be negative'],
+    comment: 'Strips taken back from the salesman (returns/recalls); outstanding = strips - returnedStrips',
+  },
   notes: {
     type: String,
     trim: true,
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const stockReservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    required: true,
+    comment: 'Pending request holding this reservation (at most one active per request)',
+  },
+  strips: {
+    type: Number,
+    required: true,
+    min: [1, 'Must reserve at least 1 strip'],
+    comment: 'Strips held against Product.stock',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'consumed', 'released', 'expired'],
+    default: 'active',
+    comment: 'active (holding stock), consumed (request approved), released (request cancelled), expired (hold timed out)',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'When the hold is released if the request is still pending',
+  },
+  closedAt: {
+    type: Date,
+    default: null,
+    comment: 'When the reservation was consumed, released or expired',
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Expiry sweep
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Product queries
+stockReservationSchema.index({ product: 1, status: 1 });
+
+// Dealer queries
+stockReservationSchema.index({ dealer: 1, status: 1 });
+
+// Request lookups - a request can be re-reserved after its hold expired (backorders).
+// Replaces the old plain unique dealerRequest_1 index (drop it with syncIndexes).
+stockReservationSchema.index(
+  { dealerRequest: 1 },
+  { name: 'dealerRequest_active_unique', unique: true, partialFilterExpression: { status: 'active' } }
+);
+stockReservationSchema.index({ dealerRequest: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
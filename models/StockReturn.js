@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const stockReturnSchema = new mongoose.Schema({
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  salesman: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  strips: {
+    type: Number,
+    required: [true, 'Number of strips is required'],
+    min: [1, 'Must return at least 1 strip'],
+    comment: 'Number of unsold strips going back to the dealer',
+  },
+  type: {
+    type: String,
+    enum: ['return', 'recall'],
+    required: true,
+    comment: 'return (salesman initiated, needs dealer acceptance) or recall (dealer forced, applied immediately)',
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'rejected'],
+    default: 'pending',
+    comment: 'Return status',
+  },
+  reason: {
+    type: String,
+    trim: true,
+    required: [true, 'Reason is required'],
+    comment: 'Why the stock is being returned (e.g. salesman leaving, route change)',
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'User who created the return/recall',
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Dealer who accepted/rejected the return',
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  allocations: [{
+    stockAllocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockAllocation',
+      required: true,
+    },
+    dealerStock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DealerStock',
+      required: true,
+    },
+    strips: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  }],
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Dealer queries
+stockReturnSchema.index({ dealer: 1, status: 1, createdAt: -1 });
+stockReturnSchema.index({ dealer: 1, salesman: 1, createdAt: -1 });
+
+// Salesman queries
+stockReturnSchema.index({ salesman: 1, status: 1, createdAt: -1 });
+stockReturnSchema.index({ salesman: 1, product: 1, status: 1 });
+
+module.exports = mongoose.model('StockReturn', stockReturnSchema);
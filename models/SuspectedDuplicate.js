@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const submissionSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    default: null,
+    comment: 'Request whose receipt was uploaded (payment: null)',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { _id: false });
+
+const suspectedDuplicateSchema = new mongoose.Schema({
+  submission: {
+    type: submissionSchema,
+    required: true,
+    comment: 'Later submission - the one held for review',
+  },
+  matchedSubmission: {
+    type: submissionSchema,
+    required: true,
+    comment: 'Earlier submission it duplicates',
+  },
+  reason: {
+    type: String,
+    enum: ['transaction_id', 'receipt_image'],
+    required: true,
+    comment: 'transaction_id (same UTR / bank transaction ID), receipt_image (same or near-identical receipt screenshot)',
+  },
+  transactionId: {
+    type: String,
+    default: null,
+    comment: 'Shared UTR / bank transaction ID (transaction_id)',
+  },
+  distance: {
+    type: Number,
+    default: null,
+    comment: 'Bits differing between the receipt hashes out of 256 (receipt_image; 0 = identical)',
+  },
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'dismissed'],
+    default: 'open',
+    comment: 'open (blocks payment verification), confirmed (duplicate - submission rejected), dismissed (not a duplicate)',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Review queue
+suspectedDuplicateSchema.index({ status: 1, createdAt: -1 });
+
+// Flags held against a submission
+suspectedDuplicateSchema.index({ 'submission.payment': 1, status: 1 });
+suspectedDuplicateSchema.index({ 'submission.dealerRequest': 1, status: 1 });
+
+module.exports = mongoose.model('SuspectedDuplicate', suspectedDuplicateSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const transactionIdClaimSchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true,
+    comment: 'Normalised UTR / bank transaction ID (no spaces, upper case)',
+  },
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+    comment: 'Payment submitted with the ID',
+  },
+  dealerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+    default: null,
+    comment: 'Request whose receipt carried the ID, or the request a payment was recorded for',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One submission per transaction ID
+transactionIdClaimSchema.index({ transactionId: 1 }, { unique: true });
+
+module.exports = mongoose.model('TransactionIdClaim', transactionIdClaimSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const upiCreditSchema = new mongoose.Schema({
+  upiTransactionId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    comment: 'UTR / RRN of the incoming credit (re-imported credits are skipped)',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+    comment: 'Remarks / transaction note as received',
+  },
+  payerVpa: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  payerName: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  creditedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  status: {
+    type: String,
+    enum: ['matched', 'unmatched', 'amount_mismatch', 'already_paid'],
+    required: true,
+    comment: 'matched (paid an intent), unmatched (no intent note found), amount_mismatch (note found, amount differs), already_paid (intent was paid by another credit)',
+  },
+  upiIntent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UpiIntent',
+    default: null,
+    comment: 'Intent whose note the credit carried',
+  },
+  verifiedRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+  }],
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Review of unmatched credits
+upiCreditSchema.index({ status: 1, creditedAt: -1 });
+upiCreditSchema.index({ upiIntent: 1 });
+
+module.exports = mongoose.model('UpiCredit', upiCreditSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const upiIntentSchema = new mongoose.Schema({
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  dealerRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealerRequest',
+  }],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    comment: 'Cart order the intent pays for (null: a single request)',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0'],
+    comment: 'Amount to pay (value of the pending strips at current prices)',
+  },
+  transactionNote: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    comment: 'Unique note (PAYXXXXXXXXXX) sent as tn/tr in the UPI link; incoming credits are matched on it',
+  },
+  payeeVpa: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'UPI ID the link pays to (AdminSettings.upiId when created)',
+  },
+  payeeName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  uri: {
+    type: String,
+    required: true,
+    comment: 'upi://pay deep link',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paid', 'superseded'],
+    default: 'active',
+    comment: 'active (waiting for payment), paid (matched to a UPI credit), superseded (a newer intent was generated for the same requests)',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'Link is not handed out again after this date; a late credit carrying the note is still matched',
+  },
+  upiCredit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UpiCredit',
+    default: null,
+    comment: 'Imported credit that paid the intent',
+  },
+  upiTransactionId: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'UTR of the credit that paid the intent',
+  },
+  paidAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+// Reusing the active intent of a request / order
+upiIntentSchema.index({ dealerRequests: 1, status: 1 });
+upiIntentSchema.index({ order: 1, status: 1 });
+
+// Dealer and admin listings
+upiIntentSchema.index({ dealer: 1, createdAt: -1 });
+upiIntentSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UpiIntent', upiIntentSchema);
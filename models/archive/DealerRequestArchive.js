@@ -43,6 +43,22 @@ const dealerRequestArchiveSchema = new mongoose.Schema({
     default: null,
     comment: 'URL of the payment receipt image uploaded by dealer',
   },
+  upiTransactionId: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'UTR / transaction ID the dealer stated with the receipt',
+  },
+  receiptHash: {
+    type: String,
+    default: null,
+    comment: 'Perceptual hash (256-bit dHash, hex) of the receipt image, to flag reused screenshots',
+  },
+  receiptDigest: {
+    type: String,
+    default: null,
+    comment: 'SHA-256 of the uploaded receipt file',
+  },
   paymentVerifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -62,7 +78,12 @@ const dealerRequestArchiveSchema = new mongoose.Schema({
   totalAmount: {
     type: Number,
     default: null,
-    comment: 'Total amount for this request (strips * packetsPerStrip * packetPrice)',
+    comment: 'Amount due for this request: GST-inclusive grand total of its bill line, set at approval',
+  },
+  taxBreakup: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Tax breakup computed at approval (utils/tax); totalAmount, the journal and the bill use it',
   },
   paidAmount: {
     type: Number,
@@ -75,6 +96,16 @@ const dealerRequestArchiveSchema = new mongoose.Schema({
     default: 'none',
     comment: 'Payment type: full (fully paid), partial (partially paid), none (not paid)',
   },
+  creditNoteAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Value of credit notes issued against this bill line (returns, price corrections)',
+  },
+  debitNoteAmount: {
+    type: Number,
+    default: 0,
+    comment: 'Value of debit notes issued against this bill line',
+  },
   isOutstanding: {
     type: Boolean,
     default: false,
@@ -166,11 +197,45 @@ const dealerRequestArchiveSchema = new mongoose.Schema({
     default: 'not_generated',
     comment: 'E-Way Bill status',
   },
+  irn: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'E-invoice IRN registered for this bill',
+  },
+  eInvoiceAckNo: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'E-invoice acknowledgement number',
+  },
+  eInvoiceAckDate: {
+    type: Date,
+    default: null,
+    comment: 'E-invoice acknowledgement date',
+  },
+  eInvoiceStatus: {
+    type: String,
+    enum: ['not_generated', 'active', 'cancelled'],
+    default: 'not_generated',
+    comment: 'E-invoice (IRN) status',
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Invoice number issued from the company series when the bill is sent (see InvoiceSeries)',
+  },
   invoiceSnapshot: {
     type: mongoose.Schema.Types.Mixed,
     default: null,
     comment: 'Invoice snapshot stored when bill is sent - preserves historical invoice data for accuracy',
   },
+  creditCheck: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    comment: 'Credit limit check at submission: { result (within_limit, over_soft_limit, overridden), creditLimit, projectedBalance, override } - null when the limit is not enforced',
+  },
   archivedAt: {
     type: Date,
     default: Date.now,
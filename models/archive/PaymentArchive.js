@@ -36,9 +36,15 @@ const paymentArchiveSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['upi', 'bank_transfer', 'cash', 'credit', 'other'],
+    enum: ['upi', 'bank_transfer', 'cash', 'credit', 'gateway', 'other'],
     default: 'upi',
-    comment: 'Payment method used',
+    comment: 'Payment method used (gateway: paid online through the payment gateway)',
+  },
+  creditDebitNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditDebitNote',
+    default: null,
+    comment: 'Credit/debit note that produced this entry',
   },
   upiTransactionId: {
     type: String,
@@ -58,6 +64,18 @@ const paymentArchiveSchema = new mongoose.Schema({
     default: null,
     comment: 'Bank transaction ID if payment method is bank transfer',
   },
+  gatewayOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GatewayOrder',
+    default: null,
+    comment: 'Payment gateway order the payment was made through',
+  },
+  gatewayPaymentId: {
+    type: String,
+    trim: true,
+    default: null,
+    comment: 'Payment ID at the payment gateway',
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
@@ -70,6 +88,16 @@ const paymentArchiveSchema = new mongoose.Schema({
     default: null,
     comment: 'URL of payment receipt if uploaded',
   },
+  receiptHash: {
+    type: String,
+    default: null,
+    comment: 'Perceptual hash (256-bit dHash, hex) of the receipt image, to flag reused screenshots',
+  },
+  receiptDigest: {
+    type: String,
+    default: null,
+    comment: 'SHA-256 of the uploaded receipt file',
+  },
   notes: {
     type: String,
     trim: true,
@@ -156,7 +156,18 @@ const saleArchiveSchema = new mongoose.Schema({
     type: String,
     trim: true,
     default: '',
-    comment: 'URL of the generated PDF bill (stored when salesman generates it)',
+    comment: 'URL of the PDF bill rendered by the server (utils/salesInvoicePdf)',
+  },
+  billPdfLanguage: {
+    type: String,
+    enum: ['en', 'gu', 'bilingual', null],
+    default: null,
+    comment: 'Language the stored PDF bill was rendered in',
+  },
+  billPdfGeneratedAt: {
+    type: Date,
+    default: null,
+    comment: 'When the stored PDF bill was rendered',
   },
   billNameType: {
     type: String,
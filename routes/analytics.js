@@ -10,6 +10,8 @@ const User = require('../models/User');
 const Sale = require('../models/Sale');
 const { getLanguage } = require('../middleware/translateMessages');
 const { cacheConfigs, invalidateCache } = require('../middleware/cacheMiddleware');
+const { PRODUCT_TAX_FIELDS, getPlaceOfSupply, calculateRequestTax } = require('../utils/tax');
+const { round2 } = require('../utils/common');
 
 const router = express.Router();
 
@@ -1214,5 +1216,112 @@ router.get('/export', verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// 8. GST Summary (output tax on dealer bills)
+router.get('/gst', verifyToken, verifyAdmin, cacheConfigs.analytics, async (req, res) => {
+  try {
+    const { period = 'monthly' } = req.query;
+    const { startDate, endDate } = getDateRange(period);
+
+    const requests = await DealerRequest.find({
+      status: 'approved',
+      billSent: true,
+      billSentAt: { $gte: startDate, $lte: endDate },
+    })
+      .select('dealer product strips invoiceSnapshot billSentAt')
+      .populate('product', `title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+      .lean();
+
+    // Bills sent before the tax engine have no frozen breakup; work it out
+    // with the current product settings (one place-of-supply lookup per dealer)
+    const places = new Map();
+    const breakups = [];
+    for (const request of requests) {
+      let breakup = request.invoiceSnapshot && request.invoiceSnapshot.taxBreakup;
+      if (!breakup || !Array.isArray(breakup.lines)) {
+        const dealerId = request.dealer.toString();
+        if (!places.has(dealerId)) {
+          places.set(dealerId, (await getPlaceOfSupply(request.dealer)).stateCode);
+        }
+        breakup = await calculateRequestTax(request, { placeOfSupply: places.get(dealerId) });
+      }
+      breakups.push(breakup);
+    }
+
+    const emptyTotals = () => ({
+      bills: 0,
+      taxableAmount: 0,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0,
+      cessAmount: 0,
+      totalTax: 0,
+    });
+    const addLine = (target, line) => {
+      target.taxableAmount += line.taxableAmount;
+      target.cgstAmount += line.cgstAmount;
+      target.sgstAmount += line.sgstAmount;
+      target.igstAmount += line.igstAmount;
+      target.cessAmount += line.cessAmount;
+      target.totalTax += line.totalTax;
+    };
+    const roundTotals = (totals) => Object.fromEntries(
+      Object.entries(totals).map(([key, value]) => [key, typeof value === 'number' && key !== 'bills' ? round2(value) : value])
+    );
+
+    const totals = emptyTotals();
+    const byRate = {};
+    const byHsn = {};
+    const byPlaceOfSupply = {};
+
+    breakups.forEach(breakup => {
+      totals.bills += 1;
+      const placeKey = String(breakup.placeOfSupply);
+      if (!byPlaceOfSupply[placeKey]) {
+        byPlaceOfSupply[placeKey] = { placeOfSupply: breakup.placeOfSupply, interState: breakup.interState, ...emptyTotals() };
+      }
+      byPlaceOfSupply[placeKey].bills += 1;
+
+      breakup.lines.forEach(line => {
+        addLine(totals, line);
+        addLine(byPlaceOfSupply[placeKey], line);
+
+        const rateKey = `${line.taxability}:${line.gstRate}`;
+        if (!byRate[rateKey]) {
+          byRate[rateKey] = { gstRate: line.gstRate, taxability: line.taxability, ...emptyTotals() };
+        }
+        byRate[rateKey].bills += 1;
+        addLine(byRate[rateKey], line);
+
+        if (!byHsn[line.hsnCode]) {
+          byHsn[line.hsnCode] = { hsnCode: line.hsnCode, quantity: 0, ...emptyTotals() };
+        }
+        byHsn[line.hsnCode].bills += 1;
+        byHsn[line.hsnCode].quantity += line.quantity;
+        addLine(byHsn[line.hsnCode], line);
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        startDate,
+        endDate,
+        totals: roundTotals(totals),
+        byRate: Object.values(byRate).map(roundTotals).sort((a, b) => a.gstRate - b.gstRate),
+        byHsn: Object.values(byHsn).map(roundTotals).sort((a, b) => b.taxableAmount - a.taxableAmount),
+        byPlaceOfSupply: Object.values(byPlaceOfSupply).map(roundTotals).sort((a, b) => a.placeOfSupply - b.placeOfSupply),
+      }
+    });
+  } catch (error) {
+    console.error('GST summary error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching GST summary',
+      error: error.message 
+    });
+  }
+});
+
 module.exports = router;
 
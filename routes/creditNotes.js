@@ -0,0 +1,362 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const CreditDebitNote = require('../models/CreditDebitNote');
+const DealerProfile = require('../models/DealerProfile');
+const User = require('../models/User');
+const { runInTransaction } = require('../utils/transaction');
+const { issueNote, restockSaleReturns } = require('../utils/creditNotes');
+const { fulfilBackorders } = require('../utils/backorders');
+const { getSupplierDetails } = require('../utils/ewayBill');
+const { getPdfLanguage } = require('../utils/pdfFonts');
+const { getInvoiceTemplate, renderInvoicePdf } = require('../utils/invoiceTemplates');
+const { formatDate } = require('../utils/common');
+
+const router = express.Router();
+
+// Middleware to verify token and get user
+const verifyToken = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+    const user = await User.findById(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+};
+
+const isDealer = (user) => user.role === 'dealer' || user.role === 'dellear';
+
+// Middleware to verify dealer or admin
+const verifyDealerOrAdmin = (req, res, next) => {
+  if (!isDealer(req.user) && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Dealer or admin access required'
+    });
+  }
+  next();
+};
+
+// Helper function to format a note for response
+const formatNote = (note) => {
+  const noteObj = note.toObject ? note.toObject() : note;
+  const formatUser = (user) => (user && user._id ? { id: user._id, name: user.name, email: user.email } : user);
+  return {
+    ...noteObj,
+    id: noteObj._id || noteObj.id,
+    dealer: formatUser(noteObj.dealer),
+    salesman: formatUser(noteObj.salesman),
+    createdBy: formatUser(noteObj.createdBy),
+    _id: undefined,
+    __v: undefined,
+  };
+};
+
+// Helper function to check whether a user may see a note
+const canAccessNote = (user, note) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  const dealerId = note.dealer && note.dealer._id ? note.dealer._id : note.dealer;
+  return isDealer(user) && dealerId.toString() === user._id.toString();
+};
+
+// Issue Credit/Debit Note (Admin: on admin bills, Dealer: on approved salesman bills)
+router.post('/', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { noteType, reason, remarks, lines } = req.body;
+    const source = req.user.role === 'admin' ? 'dealer_request' : 'sale';
+
+    if (req.body.source && req.body.source !== source) {
+      return res.status(403).json({
+        success: false,
+        message: source === 'sale'
+          ? 'Dealers can only issue notes on their salesman bills'
+          : 'Admins can only issue notes on admin bills'
+      });
+    }
+
+    const outcome = await runInTransaction((session) => issueNote({
+      noteType,
+      source,
+      reason,
+      remarks: remarks ? String(remarks).trim() : '',
+      lines,
+      dealerId: source === 'sale' ? req.user._id : null,
+      userId: req.user._id,
+    }, session), { label: 'credit/debit note' });
+
+    const note = outcome.note;
+
+    // Returned stock goes back to the salesman, or to waiting backorders first
+    if (note.source === 'sale') {
+      await restockSaleReturns(note, req.user._id);
+    }
+    for (const productId of outcome.restocked) {
+      try {
+        await fulfilBackorders(productId, req.user._id);
+      } catch (backorderError) {
+        console.error('Backorder fulfilment error:', backorderError);
+      }
+    }
+
+    // Invalidate cache for sales reports and analytics
+    const { invalidateCache } = require('../middleware/cacheMiddleware');
+    invalidateCache('sales:*');
+    invalidateCache('analytics:*');
+    invalidateCache('dashboard:*');
+
+    await note.populate('dealer', 'name email');
+    await note.populate('createdBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: `${note.noteType === 'credit' ? 'Credit' : 'Debit'} note ${note.noteNumber} issued successfully`,
+      data: { note: formatNote(note) },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Issue credit/debit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing note',
+      error: error.message
+    });
+  }
+});
+
+// Get Credit/Debit Notes (Admin: all, Dealer: own)
+router.get('/', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { noteType, source, dealerId, invoiceNumber, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (isDealer(req.user)) {
+      query.dealer = req.user._id;
+    } else if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
+      query.dealer = dealerId;
+    }
+    if (noteType) {
+      query.noteType = noteType;
+    }
+    if (source) {
+      query.source = source;
+    }
+    if (invoiceNumber) {
+      query.originalInvoiceNumber = invoiceNumber;
+    }
+    if (startDate || endDate) {
+      query.noteDate = {};
+      if (startDate) {
+        query.noteDate.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.noteDate.$lte = new Date(endDate);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const notes = await CreditDebitNote.find(query)
+      .populate('dealer', 'name email')
+      .populate('createdBy', 'name email')
+      .select('-taxBreakup')
+      .lean()
+      .sort({ noteDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await CreditDebitNote.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        notes: notes.map(formatNote),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get credit/debit notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notes',
+      error: error.message
+    });
+  }
+});
+
+// Get Credit/Debit Note by ID
+router.get('/:id', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID format'
+      });
+    }
+
+    const note = await CreditDebitNote.findById(req.params.id)
+      .populate('dealer', 'name email')
+      .populate('salesman', 'name email')
+      .populate('createdBy', 'name email')
+      .lean();
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (!canAccessNote(req.user, note)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { note: formatNote(note) },
+    });
+  } catch (error) {
+    console.error('Get credit/debit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching note',
+      error: error.message
+    });
+  }
+});
+
+// Generate PDF for a Credit/Debit Note
+router.get('/:id/pdf', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID format'
+      });
+    }
+
+    const note = await CreditDebitNote.findById(req.params.id)
+      .populate('dealer', 'name email')
+      .lean();
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (!canAccessNote(req.user, note)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Admin-bill notes are issued by the company to the dealer; salesman-bill
+    // notes by the dealer to the customer
+    const profile = await DealerProfile.findOne({ dealer: note.dealer._id })
+      .select('companyName gstNumber officeAddress officeCity officeState companyPhone')
+      .lean();
+    const supplier = getSupplierDetails();
+    const dealerName = (profile && profile.companyName) || note.dealer.name;
+    const dealerAddress = profile
+      ? [profile.officeAddress, profile.officeCity, profile.officeState].filter(Boolean).join(', ')
+      : '';
+    const issuer = note.source === 'dealer_request'
+      ? { name: supplier.name, address: `${supplier.address}, ${supplier.place}-${supplier.pincode}`, gstin: supplier.gstin }
+      : { name: dealerName, address: dealerAddress, gstin: profile?.gstNumber || '' };
+    const party = note.source === 'dealer_request'
+      ? { name: dealerName, address: dealerAddress || note.dealer.email, gstin: profile?.gstNumber || '' }
+      : { name: note.customerName || 'Customer', address: '', gstin: '' };
+
+    const formatNoteDate = (date) => (date ? formatDate(date) : '-');
+
+    const model = {
+      series: `${note.noteType}_note`,
+      seller: issuer,
+      details: [
+        { label: 'noteNo', value: note.noteNumber },
+        { label: 'dated', value: formatNoteDate(note.noteDate) },
+        { label: 'originalInvoiceNo', value: note.originalInvoiceNumber },
+        { label: 'invoiceDated', value: formatNoteDate(note.originalInvoiceDate) },
+        { label: 'reason', valueKey: `reasons.${note.reason}` },
+      ],
+      party: { ...party, label: note.source === 'dealer_request' ? 'billTo' : 'customer' },
+      lines: note.lines.map(line => ({
+        description: line.description,
+        hsnCode: line.hsnCode,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        amount: line.taxableAmount,
+      })),
+      tax: note.taxBreakup,
+      amountInWordsLabel: note.noteType === 'credit' ? 'amountCredited' : 'amountDebited',
+      remarks: note.remarks,
+    };
+
+    // Layout from the template of the note's series, pinned when it was issued
+    const template = await getInvoiceTemplate(note.source === 'sale' ? note.dealer._id : null, note.noteNumber);
+    const { buffer } = await renderInvoicePdf(model, { template, language: getPdfLanguage(req) });
+
+    const title = note.noteType === 'credit' ? 'CREDIT-NOTE' : 'DEBIT-NOTE';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${title}-${note.noteNumber.replace(/\//g, '-')}.pdf"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Generate credit/debit note PDF error:', error);
+    if (res.headersSent) {
+      return;
+    }
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating note PDF',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -11,7 +11,51 @@ const Payment = require('../models/Payment');
 const multer = require('multer');
 const cloudinary = require('../config/cloudinary');
 const { getLanguage } = require('../middleware/translateMessages');
-const PDFDocument = require('pdfkit');
+const { getPdfLanguage } = require('../utils/pdfFonts');
+const { getInvoiceTemplate, renderInvoicePdf } = require('../utils/invoiceTemplates');
+const { runInTransaction } = require('../utils/transaction');
+const { assignAdminBillNumber, getRequestInvoiceNumber } = require('../utils/invoiceSeries');
+const StockReservation = require('../models/StockReservation');
+const { getAvailableToPromise, reserveStock } = require('../utils/stockReservation');
+const { approveRequest, cancelRequest, applyBillRoundOff } = require('../utils/dealerRequestWorkflow');
+const { enforceCreditLimit } = require('../utils/creditLimit');
+const { findOrCreateGroupOrder, refreshOrderSummary } = require('../utils/orders');
+const { getOrCreateUpiIntent, renderUpiQr } = require('../utils/upiIntent');
+const {
+  normalizeTransactionId,
+  hashReceipt,
+  assertTransactionIdsUnused,
+  claimTransactionIds,
+  flagSuspectedDuplicates,
+  assertNoOpenDuplicates,
+} = require('../utils/duplicatePayments');
+const DealerProfile = require('../models/DealerProfile');
+const EwayBill = require('../models/EwayBill');
+const {
+  MAX_DISTANCE_KM,
+  CANCEL_REASONS,
+  VEHICLE_UPDATE_REASONS,
+  EXTENSION_REASONS,
+  CANCEL_WINDOW_HOURS,
+  EXTENSION_WINDOW_HOURS,
+  getEwayBillProvider,
+  callProvider,
+  calculateValidity,
+  getSupplierDetails,
+  buildEwayBillPayload,
+} = require('../utils/ewayBill');
+const EInvoice = require('../models/EInvoice');
+const { PRODUCT_TAX_FIELDS, getRequestTax, withTaxBreakup } = require('../utils/tax');
+const { formatDate } = require('../utils/common');
+const {
+  CANCEL_REASONS: IRN_CANCEL_REASONS,
+  CANCEL_WINDOW_HOURS: IRN_CANCEL_WINDOW_HOURS,
+  DOC_NO_PATTERN,
+  getEInvoiceProvider,
+  callProvider: callEInvoiceProvider,
+  buildEInvoicePayload,
+  renderQrCode,
+} = require('../utils/eInvoice');
 
 const router = express.Router();
 
@@ -96,6 +140,14 @@ const verifyStalkist = (req, res, next) => {
   next();
 };
 
+// Seller block printed on company (admin) bills
+const COMPANY_BILL_DETAILS = {
+  name: 'SAFALATA FOOD PRIVATE LIMITED',
+  address: '1, Momai Nagar, B/h Amar Nagar, Odhav-Ahmedabad-382415.',
+  phone: '9998109435',
+  gstin: '24ABRCS1053J1Z5',
+};
+
 // Helper function to format product title for response
 const formatProductTitle = (product, language = 'en') => {
   if (!product || !product.title) {
@@ -109,6 +161,23 @@ const formatProductTitle = (product, language = 'en') => {
   return product.title[language] || product.title.en || product.title.gu || '';
 };
 
+// Helper function to get the invoice number printed on a request's bill
+const formatInvoiceNumber = getRequestInvoiceNumber;
+
+// Helper function to get the document number an e-way bill or e-invoice is
+// filed under: the series number issued when the bill was sent. Returns an
+// error message instead when the bill is not sent yet or another number is asked for.
+const getIssuedDocNo = (request, requestedDocNo) => {
+  if (!request.billSent || !request.invoiceNumber) {
+    return { error: 'Send the bill first; the document is filed under the invoice number issued with it' };
+  }
+  const docNo = String(request.invoiceNumber).trim().toUpperCase();
+  if (requestedDocNo && String(requestedDocNo).trim().toUpperCase() !== docNo) {
+    return { error: `Document number must be the issued invoice number ${request.invoiceNumber}` };
+  }
+  return { docNo };
+};
+
 // Create Dealer Request (Dealer only)
 router.post('/', verifyToken, verifyDealer, async (req, res) => {
   try {
@@ -138,15 +207,8 @@ router.post('/', verifyToken, verifyDealer, async (req, res) => {
       });
     }
 
-    // Check if enough stock available
-    if (product.stock < strips) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Insufficient stock. Available: ${product.stock} strips, Requested: ${strips} strips` 
-      });
-    }
-
-    // Create request
+    // Create request and reserve its strips together; the reservation is an
+    // atomic check against stock minus what other pending requests hold
     const request = new DealerRequest({
       dealer: req.user._id,
       product: productId,
@@ -155,7 +217,35 @@ router.post('/', verifyToken, verifyDealer, async (req, res) => {
       orderGroupId: orderGroupId || null,
     });
 
-    await request.save();
+    // Requests sharing an orderGroupId (legacy cart clients) become lines of one Order.
+    // The credit limit is checked first; a hard limit throws (403) unless an override is active.
+    const reservation = await runInTransaction(async (session) => {
+      request.creditCheck = await enforceCreditLimit(req.user._id, [request], session);
+      const held = await reserveStock(request, session);
+      if (!held) {
+        return null;
+      }
+      request.reservationExpiresAt = held.expiresAt;
+      if (orderGroupId) {
+        const order = await findOrCreateGroupOrder(req.user._id, orderGroupId, session);
+        request.order = order._id;
+      }
+      await request.save({ session });
+      if (request.order) {
+        await refreshOrderSummary(request.order, session);
+      }
+      return held;
+    }, { label: 'request creation' });
+
+    if (!reservation) {
+      const latest = await Product.findById(productId).select('stock reservedStock').lean();
+      return res.status(400).json({ 
+        success: false, 
+        message: `Insufficient stock. Available: ${getAvailableToPromise(latest)} strips, Requested: ${strips} strips` 
+      });
+    }
+
+    request.$session(null);
     await request.populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image');
     await request.populate('dealer', 'name email');
 
@@ -177,10 +267,19 @@ router.post('/', verifyToken, verifyDealer, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Request created successfully',
+      message: request.creditCheck?.result === 'over_soft_limit'
+        ? `Request created, but it takes you past your credit limit of ₹${request.creditCheck.creditLimit}. The admin may hold it until dues are cleared.`
+        : 'Request created successfully',
       data: { request: transformedRequest },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: error.details ? { credit: error.details } : undefined,
+      });
+    }
     console.error('Create dealer request error:', error);
     res.status(500).json({ 
       success: false, 
@@ -202,7 +301,8 @@ router.get('/', verifyToken, async (req, res) => {
       productId,
       startDate,
       endDate,
-      orderGroupId
+      orderGroupId,
+      orderId
     } = req.query;
     
     let query = {};
@@ -229,6 +329,9 @@ router.get('/', verifyToken, async (req, res) => {
     if (orderGroupId) {
       query.orderGroupId = orderGroupId;
     }
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+      query.order = orderId;
+    }
     if (startDate || endDate) {
       query.createdAt = {};
       if (startDate) {
@@ -313,7 +416,7 @@ router.get('/upi-id', verifyToken, async (req, res) => {
     const settings = await AdminSettings.getSettings();
     res.json({
       success: true,
-      data: { upiId: settings.upiId },
+      data: { upiId: settings.upiId, payeeName: settings.upiPayeeName },
     });
   } catch (error) {
     console.error('Get UPI ID error:', error);
@@ -329,7 +432,7 @@ router.get('/upi-id', verifyToken, async (req, res) => {
 // IMPORTANT: This route must come BEFORE /:id route to avoid route conflicts
 router.put('/upi-id', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { upiId } = req.body;
+    const { upiId, payeeName } = req.body;
 
     if (!upiId || typeof upiId !== 'string' || upiId.trim() === '') {
       return res.status(400).json({ 
@@ -339,14 +442,24 @@ router.put('/upi-id', verifyToken, verifyAdmin, async (req, res) => {
     }
 
     const settings = await AdminSettings.getSettings();
+    if (payeeName !== undefined && typeof payeeName !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Payee name must be a string' 
+      });
+    }
+
     settings.upiId = upiId.trim();
+    if (payeeName !== undefined) {
+      settings.upiPayeeName = payeeName.trim();
+    }
     settings.updatedBy = req.user._id;
     await settings.save();
 
     res.json({
       success: true,
       message: 'UPI ID updated successfully',
-      data: { upiId: settings.upiId },
+      data: { upiId: settings.upiId, payeeName: settings.upiPayeeName },
     });
   } catch (error) {
     console.error('Update UPI ID error:', error);
@@ -358,6 +471,77 @@ router.put('/upi-id', verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// Get Backorders (Admin only) - pending remainders of partially approved requests
+// IMPORTANT: This route must come BEFORE /:id route to avoid route conflicts
+router.get('/backorders', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const language = getLanguage(req);
+    const { productId, dealerId } = req.query;
+
+    const query = { status: 'pending', backorderOf: { $ne: null } };
+    if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+      query.product = productId;
+    }
+    if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
+      query.dealer = dealerId;
+    }
+
+    const backorders = await DealerRequest.find(query)
+      .populate('product', 'title packetPrice packetsPerStrip image stock reservedStock')
+      .populate('dealer', 'name email')
+      .populate('backorderOf', 'strips processedAt')
+      .sort({ requestedAt: 1, createdAt: 1 })
+      .lean();
+
+    const held = await StockReservation.find({
+      dealerRequest: { $in: backorders.map(b => b._id) },
+      status: 'active',
+    }).distinct('dealerRequest');
+    const heldIds = new Set(held.map(String));
+
+    res.json({
+      success: true,
+      data: {
+        backorders: backorders.map(backorder => ({
+          id: backorder._id,
+          strips: backorder.strips,
+          requestedAt: backorder.requestedAt,
+          order: backorder.order,
+          orderGroupId: backorder.orderGroupId,
+          // Ready means replenished stock is already held for it and it can be approved
+          ready: heldIds.has(String(backorder._id)),
+          reservationExpiresAt: heldIds.has(String(backorder._id)) ? backorder.reservationExpiresAt : null,
+          backorderOf: backorder.backorderOf ? {
+            id: backorder.backorderOf._id,
+            strips: backorder.backorderOf.strips,
+            processedAt: backorder.backorderOf.processedAt,
+          } : backorder.backorderOf,
+          dealer: backorder.dealer ? {
+            id: backorder.dealer._id,
+            name: backorder.dealer.name,
+            email: backorder.dealer.email,
+          } : backorder.dealer,
+          product: backorder.product ? {
+            id: backorder.product._id,
+            title: formatProductTitle(backorder.product, language),
+            packetPrice: backorder.product.packetPrice,
+            packetsPerStrip: backorder.product.packetsPerStrip,
+            image: backorder.product.image,
+            availableToPromise: getAvailableToPromise(backorder.product),
+          } : backorder.product,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get backorders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching backorders',
+      error: error.message
+    });
+  }
+});
+
 // Get Single Request
 router.get('/:id', verifyToken, async (req, res) => {
   try {
@@ -436,6 +620,73 @@ router.get('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// Generate UPI payment link / QR code for a pending request (Dealer only)
+// The link carries the amount and a unique note; importing the UPI credit
+// with that note verifies the payment (see utils/upiIntent)
+router.post('/:id/upi-intent', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid request ID format' 
+      });
+    }
+
+    const settings = await AdminSettings.getSettings();
+
+    const result = await runInTransaction(async (session) => {
+      const request = await DealerRequest.findById(req.params.id)
+        .populate('product', `packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+        .session(session);
+
+      if (!request) {
+        return { status: 404, message: 'Request not found' };
+      }
+      if (request.dealer.toString() !== req.user._id.toString()) {
+        return { status: 403, message: 'Access denied. You can only pay for your own requests.' };
+      }
+      if (request.status !== 'pending') {
+        return { status: 400, message: `Cannot pay for ${request.status} request` };
+      }
+      if (request.paymentStatus === 'verified') {
+        return { status: 400, message: 'Payment for this request is already verified' };
+      }
+
+      return getOrCreateUpiIntent({ dealer: request.dealer, requests: [request] }, settings, req.user._id, session);
+    }, { label: 'upi intent' });
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.status(result.reused ? 200 : 201).json({
+      success: true,
+      message: 'Pay with any UPI app using this link or QR code. Do not change the amount or note.',
+      data: {
+        intent: result.intent,
+        qrCode: await renderUpiQr(result.intent.uri),
+      },
+    });
+  } catch (error) {
+    console.error('Create UPI intent error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while generating UPI payment link',
+      error: error.message 
+    });
+  }
+});
+
 // Upload Payment Receipt (Dealer only)
 router.put('/:id/upload-receipt', verifyToken, verifyDealer, upload.single('receipt'), async (req, res) => {
   try {
@@ -478,6 +729,12 @@ router.put('/:id/upload-receipt', verifyToken, verifyDealer, upload.single('rece
       });
     }
 
+    // A UTR can only be claimed once (payments recorded for this request share it)
+    const upiTransactionId = normalizeTransactionId(req.body.upiTransactionId);
+    const transactionIds = upiTransactionId ? [upiTransactionId] : [];
+    await assertTransactionIdsUnused(transactionIds, { dealerRequest: request._id });
+    const receiptHashes = hashReceipt(req.file.buffer);
+
     // Upload receipt to Cloudinary
     const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
     const result = await cloudinary.uploader.upload(base64Image, {
@@ -491,8 +748,25 @@ router.put('/:id/upload-receipt', verifyToken, verifyDealer, upload.single('rece
 
     // Update request with receipt
     request.receiptImage = result.secure_url;
+    request.receiptHash = receiptHashes.receiptHash;
+    request.receiptDigest = receiptHashes.receiptDigest;
+    request.upiTransactionId = upiTransactionId;
     request.paymentStatus = 'paid'; // Changed from 'pending' to 'paid'
-    await request.save();
+    await request.validate();
+
+    // The UTR is claimed with the receipt, so a concurrent submission of it is
+    // refused rather than saved
+    const changes = request.getChanges();
+    await runInTransaction(async (session) => {
+      await claimTransactionIds(transactionIds, { dealerRequest: request._id, dealer: request.dealer }, session);
+      await DealerRequest.updateOne({ _id: request._id }, changes, { session });
+    }, { label: 'receipt upload' });
+
+    // Reused receipts are held for review
+    const suspectedDuplicates = await flagSuspectedDuplicates(
+      { dealerRequest: request._id, dealer: request.dealer },
+      { transactionIds, ...receiptHashes }
+    );
 
     await request.populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image');
     await request.populate('dealer', 'name email');
@@ -515,10 +789,19 @@ router.put('/:id/upload-receipt', verifyToken, verifyDealer, upload.single('rece
 
     res.json({
       success: true,
-      message: 'Receipt uploaded successfully. Waiting for admin verification.',
-      data: { request: transformedRequest },
+      message: suspectedDuplicates.length > 0
+        ? 'Receipt uploaded. It matches an earlier payment and will be reviewed before verification.'
+        : 'Receipt uploaded successfully. Waiting for admin verification.',
+      data: { request: transformedRequest, suspectedDuplicates: suspectedDuplicates.length },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        duplicateOf: error.duplicateOf,
+      });
+    }
     console.error('Upload receipt error:', error);
     res.status(500).json({ 
       success: false, 
@@ -556,6 +839,9 @@ router.put('/:id/verify-payment', verifyToken, verifyAdmin, async (req, res) =>
       });
     }
 
+    // Receipts flagged as possible duplicates are reviewed first
+    await assertNoOpenDuplicates({ dealerRequest: request._id });
+
     // Verify payment
     request.paymentStatus = 'verified';
     request.paymentVerifiedBy = req.user._id;
@@ -593,6 +879,13 @@ router.put('/:id/verify-payment', verifyToken, verifyAdmin, async (req, res) =>
       data: { request: transformedRequest },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        suspectedDuplicates: error.suspectedDuplicates,
+      });
+    }
     console.error('Verify payment error:', error);
     res.status(500).json({ 
       success: false, 
@@ -688,174 +981,30 @@ router.put('/:id/approve', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    const request = await DealerRequest.findById(req.params.id)
-      .populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image stock');
-
-    if (!request) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Request not found' 
-      });
-    }
-
-    if (request.status !== 'pending') {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Request is already ${request.status}` 
-      });
-    }
-
-    // Validate product and stock
-    if (!request.product) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Product not found for this request' 
-      });
-    }
-
-    // Ensure stock is a valid number
-    const currentStock = Number(request.product.stock);
-    if (isNaN(currentStock) || currentStock < 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid product stock value' 
-      });
-    }
-
-    // Check stock availability
-    if (currentStock < request.strips) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Insufficient stock to approve this request' 
-      });
-    }
-
-    // Calculate total amount
-    const totalAmount = request.strips * request.product.packetsPerStrip * request.product.packetPrice;
-    
-    // Get payment details from request body
-    const paidAmount = req.body.paidAmount ? parseFloat(req.body.paidAmount) : 0;
-    const paymentType = req.body.paymentType || (paidAmount === 0 ? 'none' : (paidAmount >= totalAmount ? 'full' : 'partial'));
-    
-    // Validate paid amount
-    if (paidAmount < 0 || paidAmount > totalAmount) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Paid amount must be between 0 and ${totalAmount}` 
-      });
-    }
-
-    // Update stock - ensure we're working with valid numbers
-    // Reload product to get latest stock value
-    const product = await Product.findById(request.product._id);
-    if (!product) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Product not found' 
-      });
-    }
-
-    const productStock = Number(product.stock);
-    if (isNaN(productStock) || productStock < 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid product stock value in database' 
-      });
-    }
+    // Stock deduction, approval, payment records and dealer stock are written in
+    // one transaction so a failure midway cannot leave them half-applied
+    const outcome = await runInTransaction(
+      (session) => approveRequest(req.params.id, {
+        paidAmount: req.body.paidAmount,
+        paymentType: req.body.paymentType,
+        paymentMethod: req.body.paymentMethod,
+        paymentNotes: req.body.paymentNotes,
+        notes: req.body.notes,
+        approvedStrips: req.body.approvedStrips,
+        allowPartial: req.body.allowPartial === true,
+      }, req.user._id, session),
+      { label: 'request approval' }
+    );
 
-    const newStock = productStock - request.strips;
-    if (isNaN(newStock) || newStock < 0) {
-      return res.status(400).json({ 
+    if (!outcome.request) {
+      return res.status(outcome.status).json({ 
         success: false, 
-        message: 'Insufficient stock or invalid stock calculation' 
+        message: outcome.message 
       });
     }
-    
-    product.stock = newStock;
-    await product.save();
-
-    // Update request
-    request.status = 'approved';
-    request.processedBy = req.user._id;
-    request.processedAt = new Date();
-    request.notes = req.body.notes || '';
-    request.totalAmount = totalAmount;
-    request.paidAmount = paidAmount;
-    request.paymentType = paymentType;
-    request.isOutstanding = paidAmount < totalAmount;
-    
-    // If payment is not verified but admin is approving, mark payment status accordingly
-    if (request.paymentStatus !== 'verified') {
-      if (paidAmount > 0) {
-        request.paymentStatus = 'paid'; // Mark as paid if amount is provided
-      } else {
-        request.paymentStatus = 'pending'; // Keep as pending if no payment
-      }
-    }
-    
-    await request.save();
-
-    // Create Payment record if there's outstanding amount (approved without full payment)
-    if (request.isOutstanding && paidAmount < totalAmount) {
-      const outstandingAmount = totalAmount - paidAmount;
-      
-      // Create payment record for outstanding amount
-      const outstandingPayment = new Payment({
-        dealer: request.dealer._id,
-        dealerRequest: request._id,
-        type: 'payment',
-        amount: outstandingAmount,
-        paymentMethod: 'credit', // Mark as credit since it's outstanding
-        status: 'pending', // Outstanding payments are pending
-        notes: `Outstanding amount for approved request. Paid: ₹${paidAmount}, Total: ₹${totalAmount}`,
-        processedBy: req.user._id,
-        processedAt: new Date(),
-        transactionDate: new Date(),
-      });
-      await outstandingPayment.save();
-    }
-
-    // Create Payment record for paid amount if any
-    if (paidAmount > 0) {
-      const paidPayment = new Payment({
-        dealer: request.dealer._id,
-        dealerRequest: request._id,
-        type: 'payment',
-        amount: paidAmount,
-        paymentMethod: req.body.paymentMethod || 'cash',
-        status: 'completed', // Paid amount is considered completed
-        notes: req.body.paymentNotes || `Partial payment for approved request. Total: ₹${totalAmount}`,
-        processedBy: req.user._id,
-        processedAt: new Date(),
-        transactionDate: new Date(),
-      });
-      await paidPayment.save();
-    }
-
-    // Create or update dealer stock
-    let dealerStock = await DealerStock.findOne({
-      dealer: request.dealer._id,
-      product: request.product._id,
-      sourceRequest: request._id,
-    });
 
-    if (dealerStock) {
-      // If stock entry exists for this request, update it
-      dealerStock.totalStrips += request.strips;
-      dealerStock.availableStrips = dealerStock.totalStrips - dealerStock.allocatedStrips;
-      await dealerStock.save();
-    } else {
-      // Create new dealer stock entry
-      dealerStock = new DealerStock({
-        dealer: request.dealer._id,
-        product: request.product._id,
-        totalStrips: request.strips,
-        allocatedStrips: 0,
-        availableStrips: request.strips,
-        sourceRequest: request._id,
-      });
-      await dealerStock.save();
-    }
+    const request = outcome.request;
+    request.$session(null);
 
     await request.populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image');
     await request.populate('dealer', 'name email');
@@ -891,10 +1040,23 @@ router.put('/:id/approve', verifyToken, verifyAdmin, async (req, res) => {
       } : requestObj.billSentBy,
     };
 
+    const backorder = outcome.backorder;
+
     res.json({
       success: true,
-      message: 'Request approved successfully',
-      data: { request: transformedRequest },
+      message: backorder
+        ? `Request approved for ${request.strips} strips. Backorder created for the remaining ${backorder.strips} strips.`
+        : 'Request approved successfully',
+      data: {
+        request: transformedRequest,
+        backorder: backorder ? {
+          id: backorder._id,
+          strips: backorder.strips,
+          status: backorder.status,
+          backorderOf: backorder.backorderOf,
+          requestedAt: backorder.requestedAt,
+        } : null,
+      },
     });
   } catch (error) {
     console.error('Approve request error:', error);
@@ -952,53 +1114,88 @@ router.put('/:id/send-bill/grouped', verifyToken, verifyAdmin, async (req, res)
       });
     }
 
-    // Find all requests in the group
-    const requests = await DealerRequest.find({ _id: { $in: requestIds } })
-      .populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image')
-      .populate('dealer', 'name email')
-      .lean();
+    // All requests in the group are marked as billed together or not at all
+    const outcome = await runInTransaction(async (session) => {
+      // Find all requests in the group
+      const requests = await DealerRequest.find({ _id: { $in: requestIds } })
+        .populate('product', `title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+        .session(session);
 
-    if (requests.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'No requests found' 
-      });
-    }
+      if (requests.length === 0) {
+        return { status: 404, message: 'No requests found' };
+      }
 
-    if (requests.length !== requestIds.length) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Some requests not found' 
-      });
-    }
+      if (requests.length !== requestIds.length) {
+        return { status: 404, message: 'Some requests not found' };
+      }
 
-    // Verify all requests are approved
-    const unapprovedRequests = requests.filter(r => r.status !== 'approved');
-    if (unapprovedRequests.length > 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Cannot send bill. Some requests are not approved: ${unapprovedRequests.map(r => r._id).join(', ')}` 
-      });
-    }
-
-    // Update all requests in the group with the same bill details and snapshot
-    const updatePromises = requests.map(request => {
-      request.destination = destination.trim();
-      request.vehicleNumber = vehicleNumber.trim();
-      request.dispatchedDocNo = dispatchedDocNo ? dispatchedDocNo.trim() : null;
-      request.billSent = true;
-      request.billSentAt = new Date();
-      request.billSentBy = req.user._id;
-      
-      // Store the same invoice snapshot on all requests in the group
-      if (invoiceSnapshot) {
-        request.invoiceSnapshot = invoiceSnapshot;
+      // Verify all requests are approved
+      const unapprovedRequests = requests.filter(r => r.status !== 'approved');
+      if (unapprovedRequests.length > 0) {
+        return {
+          status: 400,
+          message: `Cannot send bill. Some requests are not approved: ${unapprovedRequests.map(r => r._id).join(', ')}`,
+        };
+      }
+
+      // One bill has one buyer
+      const dealerIds = new Set(requests.map(r => r.dealer.toString()));
+      if (dealerIds.size > 1) {
+        return {
+          status: 400,
+          message: 'Cannot send bill. All requests in a grouped bill must belong to the same dealer',
+        };
+      }
+
+      // The whole group is billed under one invoice number
+      const billSentAt = new Date();
+      const firstSend = requests.every(r => !r.billSent);
+      const invoiceNumber = await assignAdminBillNumber({
+        requests,
+        date: billSentAt,
+        issuedBy: req.user._id,
+      }, session);
+
+      // A new invoice is rounded once; its lines take their share of the round-off
+      if (firstSend) {
+        await applyBillRoundOff(requests, req.user._id, session);
+      }
+
+      // Update all requests in the group with the same bill details and snapshot
+      for (const request of requests) {
+        request.destination = destination.trim();
+        request.vehicleNumber = vehicleNumber.trim();
+        request.dispatchedDocNo = dispatchedDocNo ? dispatchedDocNo.trim() : null;
+        request.billSent = true;
+        request.billSentAt = billSentAt;
+        request.billSentBy = req.user._id;
+        request.invoiceNumber = invoiceNumber;
+
+        // Store the same invoice snapshot on all requests in the group, each
+        // with the tax breakup of its own line
+        const taxBreakup = await getRequestTax(request, { session });
+        request.invoiceSnapshot = { ...withTaxBreakup(invoiceSnapshot, taxBreakup), invoiceNumber };
+
+        await request.save({ session });
+      }
+
+      return { requests };
+    }, { label: 'grouped bill sending' }).catch((error) => {
+      if (error.status) {
+        return { status: error.status, message: error.message };
       }
-      
-      return request.save();
+      throw error;
     });
 
-    await Promise.all(updatePromises);
+    if (!outcome.requests) {
+      return res.status(outcome.status).json({ 
+        success: false, 
+        message: outcome.message 
+      });
+    }
+
+    const requests = outcome.requests;
+    requests.forEach(r => r.$session(null));
 
     // Populate all requests for response
     await Promise.all(requests.map(r => 
@@ -1065,8 +1262,8 @@ router.put('/:id/send-bill', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    const request = await DealerRequest.findById(req.params.id)
-      .populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image')
+    let request = await DealerRequest.findById(req.params.id)
+      .populate('product', `title packetPrice initialPacketPrice packetsPerStrip image ${PRODUCT_TAX_FIELDS}`)
       .populate('dealer', 'name email');
 
     if (!request) {
@@ -1101,20 +1298,46 @@ router.put('/:id/send-bill', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    // Save bill details and mark bill as sent
-    request.destination = destination.trim();
-    request.vehicleNumber = vehicleNumber.trim();
-    request.dispatchedDocNo = dispatchedDocNo ? dispatchedDocNo.trim() : null;
-    request.billSent = true;
-    request.billSentAt = new Date();
-    request.billSentBy = req.user._id;
-    
-    // Store invoice snapshot if provided (for historical accuracy)
-    if (invoiceSnapshot) {
-      request.invoiceSnapshot = invoiceSnapshot;
+    // Tax breakup frozen at approval (or computed now for older requests)
+    const taxBreakup = await getRequestTax(request);
+
+    // Number the bill and save its details together, so a failed save never
+    // uses up a number of the series
+    try {
+      await runInTransaction(async (session) => {
+        const billed = await DealerRequest.findById(request._id).session(session);
+        const billSentAt = new Date();
+        const invoiceNumber = await assignAdminBillNumber({
+          requests: [billed],
+          date: billSentAt,
+          issuedBy: req.user._id,
+        }, session);
+
+        // Save bill details and mark bill as sent, with the invoice snapshot
+        // (for historical accuracy)
+        billed.set({
+          destination: destination.trim(),
+          vehicleNumber: vehicleNumber.trim(),
+          dispatchedDocNo: dispatchedDocNo ? dispatchedDocNo.trim() : null,
+          billSent: true,
+          billSentAt,
+          billSentBy: req.user._id,
+          invoiceNumber,
+          invoiceSnapshot: { ...withTaxBreakup(invoiceSnapshot, taxBreakup), invoiceNumber },
+        });
+        await billed.save({ session });
+      }, { label: 'bill sending' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
     }
-    
-    await request.save();
+
+    request = await DealerRequest.findById(request._id);
 
     await request.populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image');
     await request.populate('dealer', 'name email');
@@ -1176,28 +1399,22 @@ router.put('/:id/cancel', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    const request = await DealerRequest.findById(req.params.id);
-
-    if (!request) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Request not found' 
-      });
-    }
+    // Cancellation runs in a transaction so everything tied to the request
+    // is released together with the status change
+    const outcome = await runInTransaction(
+      (session) => cancelRequest(req.params.id, req.body.notes, req.user._id, session),
+      { label: 'request cancellation' }
+    );
 
-    if (request.status !== 'pending') {
-      return res.status(400).json({ 
+    if (!outcome.request) {
+      return res.status(outcome.status).json({ 
         success: false, 
-        message: `Request is already ${request.status}` 
+        message: outcome.message 
       });
     }
 
-    // Update request
-    request.status = 'cancelled';
-    request.processedBy = req.user._id;
-    request.processedAt = new Date();
-    request.notes = req.body.notes || '';
-    await request.save();
+    const request = outcome.request;
+    request.$session(null);
 
     await request.populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image');
     await request.populate('dealer', 'name email');
@@ -1337,56 +1554,6 @@ router.get('/dealer/:dealerId/stats', verifyToken, verifyStalkist, async (req, r
   }
 });
 
-// Helper function to convert number to words (Indian numbering system)
-function convertNumberToWords(amount) {
-  const ones = ['', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE', 'TEN',
-    'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN'];
-  const tens = ['', '', 'TWENTY', 'THIRTY', 'FORTY', 'FIFTY', 'SIXTY', 'SEVENTY', 'EIGHTY', 'NINETY'];
-  
-  function convertHundreds(num) {
-    let result = '';
-    if (num >= 100) {
-      result += ones[Math.floor(num / 100)] + ' HUNDRED ';
-      num %= 100;
-    }
-    if (num >= 20) {
-      result += tens[Math.floor(num / 10)] + ' ';
-      num %= 10;
-    }
-    if (num > 0) {
-      result += ones[num] + ' ';
-    }
-    return result.trim();
-  }
-  
-  if (amount === 0) return 'ZERO';
-  
-  let words = '';
-  const crore = Math.floor(amount / 10000000);
-  const lakh = Math.floor((amount % 10000000) / 100000);
-  const thousand = Math.floor((amount % 100000) / 1000);
-  const hundred = Math.floor((amount % 1000) / 100);
-  const remainder = amount % 100;
-  
-  if (crore > 0) {
-    words += convertHundreds(crore) + ' CRORE ';
-  }
-  if (lakh > 0) {
-    words += convertHundreds(lakh) + ' LAKH ';
-  }
-  if (thousand > 0) {
-    words += convertHundreds(thousand) + ' THOUSAND ';
-  }
-  if (hundred > 0) {
-    words += convertHundreds(hundred) + ' HUNDRED ';
-  }
-  if (remainder > 0) {
-    words += convertHundreds(remainder);
-  }
-  
-  return words.trim() + ' RUPEES ONLY';
-}
-
 // Generate PDF Bill for Approved Dealer Request (Admin only)
 router.get('/:id/bill', verifyToken, verifyAdmin, async (req, res) => {
   try {
@@ -1399,7 +1566,7 @@ router.get('/:id/bill', verifyToken, verifyAdmin, async (req, res) => {
     }
 
     const request = await DealerRequest.findById(req.params.id)
-      .populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image')
+      .populate('product', `title packetPrice initialPacketPrice packetsPerStrip image ${PRODUCT_TAX_FIELDS}`)
       .populate('dealer', 'name email')
       .populate('processedBy', 'name email')
       .lean();
@@ -1419,316 +1586,84 @@ router.get('/:id/bill', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    const language = getLanguage(req);
-    const productTitle = formatProductTitle(request.product, language);
-    
-    // Calculate totals
-    const totalPackets = request.strips * (request.product.packetsPerStrip || 1);
-    const totalAmount = totalPackets * (request.product.packetPrice || 0);
-    const unitPrice = request.product.packetPrice || 0;
+    // Calculate totals from the tax breakup frozen when the bill was sent
+    const tax = await getRequestTax(request);
+    const taxLine = tax.lines[0];
+
+    // Registered e-invoices carry the IRN and the signed QR code
+    const eInvoice = request.irn && request.eInvoiceStatus === 'active'
+      ? await EInvoice.findOne({ dealerRequest: request._id, irn: request.irn }).select('irn ackNo ackDate signedQRCode').lean()
+      : null;
+    const eInvoiceQr = eInvoice && eInvoice.signedQRCode ? await renderQrCode(eInvoice.signedQRCode) : null;
+
+    // Issued series number, or XX/YYYY-YY for bills sent before numbering
+    const invoiceNumber = formatInvoiceNumber(request);
+    const invoiceDate = new Date(request.processedAt || request.requestedAt);
+    const buyerAddress = request.dealer.email || 'Address not provided';
+
+    const model = {
+      series: 'admin',
+      seller: COMPANY_BILL_DETAILS,
+      details: [
+        { label: 'invoiceNo', value: invoiceNumber },
+        { label: 'dated', value: formatDate(invoiceDate) },
+        { label: 'buyersOrderNo', value: String(request._id.toString().slice(-2)).padStart(2, '0') },
+        { label: 'dispatchedThrough', value: request.vehicleNumber ? `Vehicle No.: ${request.vehicleNumber}` : 'company vehicle' },
+        { label: 'dispatchDocNo', value: request.dispatchedDocNo || `GJ-${String(invoiceDate.getDate()).padStart(2, '0')}-TT-${String(request._id.toString().slice(-4))}` },
+      ],
+      party: { label: 'billTo', name: request.dealer.name, address: buyerAddress },
+      sideBox: { label: 'destination', text: request.destination || buyerAddress },
+      lines: [{
+        description: request.product && typeof request.product.title === 'object'
+          ? request.product.title
+          : formatProductTitle(request.product, 'en'),
+        hsnCode: taxLine.hsnCode,
+        quantity: taxLine.quantity,
+        unitPrice: taxLine.unitPrice,
+        amount: taxLine.taxableAmount,
+      }],
+      tax,
+      remarks: 'Total payment due in 30 days',
+      qrImage: eInvoiceQr,
+      eInvoice,
+    };
+
+    // Layout from the company template the invoice was issued with
+    const template = await getInvoiceTemplate(null, request.invoiceNumber);
+    const { buffer } = await renderInvoicePdf(model, { template, language: getPdfLanguage(req) });
 
-    // Create PDF
-    const doc = new PDFDocument({ margin: 50, size: 'A4' });
-    
-    // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="Bill-${request.id}.pdf"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Generate bill PDF error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false, 
+      message: 'Server error while generating bill PDF',
+      error: error.message 
+    });
+  }
+});
 
-    // Pipe PDF to response
-    doc.pipe(res);
+// Generate E-Way Bill (Admin only)
+// POST /api/dealer-requests/:id/ewaybill
+router.post('/:id/ewaybill', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Set initial y-position after margins
-    let y = 50;
-    const startX = 50;
-    const pageWidth = 500;
-    const rightSectionX = 320; // Right side starts here for invoice details
-    
-    // ========== HEADER SECTION ==========
-    // Tax Invoice Title - TOP CENTER (Large and Bold, at the very top)
-    doc.fontSize(24).font('Helvetica-Bold').text('TAX INVOICE', startX, y, { width: pageWidth, align: 'center' });
-    y += 40; // Increased spacing
-    
-    // Company Name - BELOW TAX INVOICE, LEFT SIDE (Reduced size)
-    doc.fontSize(14).font('Helvetica-Bold').text('SAFALATA FOOD PRIVATE LIMITED', startX, y);
-    let companyInfoY = y + 20; // Increased spacing
-    
-    // Company Address Box - LEFT SIDE (with border)
-    const companyBoxY = y;
-    const companyBoxHeight = 70;
-    doc.rect(startX, companyBoxY, 240, companyBoxHeight).stroke();
-    
-    // Company Address - LEFT SIDE
-    doc.fontSize(10).font('Helvetica');
-    doc.text('1, Momai Nagar, B/h Amar Nagar', startX + 5, companyInfoY);
-    companyInfoY += 15; // Increased spacing
-    doc.text('Odhav-Ahmedabad-382415.', startX + 5, companyInfoY);
-    companyInfoY += 15; // Increased spacing
-    doc.text('Mobile No.: 9998109435', startX + 5, companyInfoY);
-    companyInfoY += 15; // Increased spacing
-    doc.text('GST No.: 24ABRCS1053J1Z5', startX + 5, companyInfoY);
-    
-    // ========== INVOICE DETAILS SECTION (TOP RIGHT) ==========
-    // Calculate invoice number (format: sequential/year-year)
-    const invoiceDate = new Date(request.processedAt || request.requestedAt);
-    const financialYear = invoiceDate.getMonth() >= 3 
-      ? `${invoiceDate.getFullYear()}-${String(invoiceDate.getFullYear() + 1).slice(-2)}`
-      : `${invoiceDate.getFullYear() - 1}-${String(invoiceDate.getFullYear()).slice(-2)}`;
-    
-    // Use request ID short version or sequential number (format: XX/YYYY-YY)
-    const invoiceNumber = `${String(request._id.toString().slice(-2))}/${financialYear}`;
-    // Format date as DD-MM-YYYY
-    const day = String(invoiceDate.getDate()).padStart(2, '0');
-    const month = String(invoiceDate.getMonth() + 1).padStart(2, '0');
-    const year = invoiceDate.getFullYear();
-    const invoiceDateFormatted = `${day}-${month}-${year}`;
-    
-    // Invoice Details Box - RIGHT SIDE (with border)
-    const invoiceDetailsY = 120; // Increased spacing from top
-    const invoiceBoxWidth = 250;
-    const invoiceBoxHeight = 75;
-    doc.rect(rightSectionX, invoiceDetailsY - 5, invoiceBoxWidth, invoiceBoxHeight).stroke();
-    
-    const leftColLabelX = rightSectionX + 5;
-    const leftColValueX = rightSectionX + 85;
-    const rightColLabelX = rightSectionX + 130;
-    const rightColValueX = rightSectionX + 210;
-    const lineHeight = 18; // Increased line height
-    
-    // Left Column Labels - Invoice Details
-    doc.fontSize(9).font('Helvetica');
-    doc.text('Invoice No.:', leftColLabelX, invoiceDetailsY);
-    doc.text('Dated:', leftColLabelX, invoiceDetailsY + lineHeight);
-    doc.text('Buyer\'s Order No.:', leftColLabelX, invoiceDetailsY + (lineHeight * 2));
-    doc.text('Dated:', leftColLabelX, invoiceDetailsY + (lineHeight * 3));
-    
-    // Left Column Values
-    doc.font('Helvetica-Bold');
-    doc.text(invoiceNumber, leftColValueX, invoiceDetailsY);
-    doc.text(invoiceDateFormatted, leftColValueX, invoiceDetailsY + lineHeight);
-    const buyerOrderNo = String(request._id.toString().slice(-2)).padStart(2, '0');
-    doc.text(buyerOrderNo, leftColValueX, invoiceDetailsY + (lineHeight * 2));
-    doc.text(invoiceDateFormatted, leftColValueX, invoiceDetailsY + (lineHeight * 3));
-    
-    // Right Column Labels - Dispatch Information
-    doc.font('Helvetica');
-    doc.text('Dispatched through:', rightColLabelX, invoiceDetailsY);
-    doc.text('Dispatched Document No.:', rightColLabelX, invoiceDetailsY + lineHeight);
-    
-    // Right Column Values - Use saved values or defaults
-    doc.font('Helvetica-Bold');
-    const vehicleInfo = request.vehicleNumber ? `Vehicle No.: ${request.vehicleNumber}` : 'company vehicle';
-    doc.text(vehicleInfo, rightColValueX, invoiceDetailsY);
-    const dispatchDocNo = request.dispatchedDocNo || `GJ-${String(invoiceDate.getDate()).padStart(2, '0')}-TT-${String(request._id.toString().slice(-4))}`;
-    doc.text(dispatchDocNo, rightColValueX, invoiceDetailsY + lineHeight);
-    
-    // ========== BUYER INFORMATION SECTION (MID-LEFT) - Box Structure ==========
-    y = 200; // Increased spacing from invoice details
-    const buyerBoxY = y;
-    const buyerBoxHeight = 50;
-    doc.rect(startX, buyerBoxY, 240, buyerBoxHeight).stroke();
-    
-    doc.fontSize(10).font('Helvetica-Bold').text('Buyer (Bill to):', startX + 5, y + 5);
-    y += 18; // Increased spacing
-    doc.font('Helvetica');
-    doc.text(request.dealer.name, startX + 5, y);
-    y += 15; // Increased spacing
-    const buyerAddress = request.dealer.email || 'Address not provided';
-    doc.text(buyerAddress, startX + 5, y, { width: 220 });
-    
-    // ========== DESTINATION SECTION (MID-RIGHT) - Box Structure ==========
-    const destinationY = 200; // Increased spacing
-    const destinationBoxHeight = 50;
-    doc.rect(rightSectionX, destinationY, 250, destinationBoxHeight).stroke();
-    
-    doc.fontSize(10).font('Helvetica-Bold').text('Destination:', rightSectionX + 5, destinationY + 5);
-    doc.font('Helvetica');
-    const finalDestination = request.destination || buyerAddress;
-    doc.text(finalDestination, rightSectionX + 5, destinationY + 23, { width: 220 });
-    
-    // ========== PAYMENT TERMS SECTION - Box Structure ==========
-    y = 255; // Increased spacing
-    const paymentTermsBoxHeight = 25;
-    doc.rect(startX, y, 240, paymentTermsBoxHeight).stroke();
-    
-    doc.fontSize(10).font('Helvetica-Bold').text('Payment Terms:', startX + 5, y + 5);
-    y += 18; // Increased spacing
-    
-    // Separator line before product table
-    y += 10; // Increased spacing before line
-    doc.moveTo(startX, y).lineTo(startX + pageWidth, y).stroke();
-    y += 20; // Increased spacing after line
-    
-    // ========== PRODUCT TABLE - Box Structure ==========
-    // Table Header with background
-    const tableHeaderHeight = 20;
-    const tableBoxY = y;
-    doc.rect(startX, tableBoxY, pageWidth, tableHeaderHeight).fill('#f0f0f0').stroke();
-    doc.fillColor('#000000');
-    
-    // Column positions
-    const colSI = startX + 5;
-    const colDesc = startX + 35;
-    const colHSN = startX + 180;
-    const colQty = startX + 250;
-    const colUnit = startX + 300;
-    const colRate = startX + 360;
-    const colAmount = startX + 420;
-    
-    doc.fontSize(9).font('Helvetica-Bold');
-    doc.text('SI No.', colSI, y + 6);
-    doc.text('Description', colDesc, y + 6);
-    doc.text('HSN/SAC', colHSN, y + 6);
-    doc.text('Qty', colQty, y + 6, { width: 40, align: 'right' });
-    doc.text('Unit', colUnit, y + 6, { width: 50, align: 'right' });
-    doc.text('Rate', colRate, y + 6, { width: 50, align: 'right' });
-    doc.text('Amount', colAmount, y + 6, { width: 70, align: 'right' });
-    
-    y += tableHeaderHeight + 8; // Increased spacing
-    
-    // Product Row
-    doc.fontSize(9).font('Helvetica');
-    doc.text('1', colSI, y);
-    doc.text(productTitle, colDesc, y, { width: 140 });
-    doc.text('2106', colHSN, y); // HSN code for food products
-    doc.text(totalPackets.toString(), colQty, y, { width: 40, align: 'right' });
-    doc.text('Pkt', colUnit, y, { width: 50, align: 'right' });
-    doc.text(`₹${unitPrice.toFixed(2)}`, colRate, y, { width: 50, align: 'right' });
-    doc.text(`₹${totalAmount.toFixed(2)}`, colAmount, y, { width: 70, align: 'right' });
-    
-    // Close the table box
-    const tableTotalHeight = y + 25 - tableBoxY;
-    doc.rect(startX, tableBoxY, pageWidth, tableTotalHeight).stroke();
-    
-    y += 25; // Increased spacing after product row
-    
-    // ========== SUMMARY SECTION (BOTTOM RIGHT) - Box Structure ==========*
-    const summaryStartY = y;
-    const summaryBoxWidth = 200;
-    const summaryBoxHeight = 120;
-    doc.rect(startX + pageWidth - summaryBoxWidth, summaryStartY, summaryBoxWidth, summaryBoxHeight).stroke();
-    
-    const summaryLabelX = startX + 350;
-    const summaryValueX = startX + 450;
-    const summaryWidth = 100;
-    
-    // Subtotal
-    doc.fontSize(9).font('Helvetica');
-    doc.text('Subtotal:', summaryLabelX, y, { width: summaryWidth, align: 'right' });
-    doc.text(`₹${totalAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, summaryValueX, y, { width: 50, align: 'right' });
-    y += 18; // Increased spacing
-    
-    // GST Calculation (2.5% CGST + 2.5% SGST = 5% total)
-    const cgstRate = 2.5;
-    const sgstRate = 2.5;
-    const cgstAmount = (totalAmount * cgstRate) / 100;
-    const sgstAmount = (totalAmount * sgstRate) / 100;
-    
-    doc.text(`Output CGST @ ${cgstRate}%:`, summaryLabelX, y, { width: summaryWidth, align: 'right' });
-    doc.text(`₹${cgstAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, summaryValueX, y, { width: 50, align: 'right' });
-    y += 18; // Increased spacing
-    
-    doc.text(`Output SGST @ ${sgstRate}%:`, summaryLabelX, y, { width: summaryWidth, align: 'right' });
-    doc.text(`₹${sgstAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, summaryValueX, y, { width: 50, align: 'right' });
-    y += 18; // Increased spacing
-    
-    // Rounding off
-    const grandTotalBeforeRounding = totalAmount + cgstAmount + sgstAmount;
-    const roundingOff = Math.round(grandTotalBeforeRounding) - grandTotalBeforeRounding;
-    const grandTotal = Math.round(grandTotalBeforeRounding);
-    
-    doc.text('Rounding off:', summaryLabelX, y, { width: summaryWidth, align: 'right' });
-    doc.text(`₹${roundingOff.toFixed(2)}`, summaryValueX, y, { width: 50, align: 'right' });
-    y += 20; // Increased spacing before total
-    
-    // Total
-    doc.fontSize(11).font('Helvetica-Bold');
-    doc.text('Total:', summaryLabelX, y, { width: summaryWidth, align: 'right' });
-    doc.text(`₹${grandTotal.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, summaryValueX, y, { width: 50, align: 'right' });
-    
-    y += 35; // Increased spacing after total
-    
-    // ========== FOOTER SECTION - Box Structures ==========
-    // Amount in Words Box (Bottom Left)
-    const amountWordsBoxY = y;
-    const amountWordsBoxHeight = 45;
-    doc.rect(startX, amountWordsBoxY, 300, amountWordsBoxHeight).stroke();
-    
-    const amountInWords = convertNumberToWords(grandTotal);
-    doc.fontSize(9).font('Helvetica-Bold').text('Amount Chargeable (in words):', startX + 5, y + 5);
-    y += 15; // Increased spacing
-    doc.font('Helvetica');
-    doc.text(amountInWords, startX + 5, y, { width: 290 });
-    
-    // E. & O.E (Errors and Omissions Excepted) - Next to Total
-    doc.fontSize(8).font('Helvetica').text('E. & O.E', summaryValueX + 60, summaryStartY + 70);
-    
-    // Remarks Box (Below amount in words)
-    y = amountWordsBoxY + amountWordsBoxHeight + 10;
-    const remarksBoxHeight = 30;
-    doc.rect(startX, y, 300, remarksBoxHeight).stroke();
-    
-    doc.fontSize(9).font('Helvetica-Bold').text('Remarks:', startX + 5, y + 5);
-    y += 15; // Increased spacing
-    doc.font('Helvetica');
-    doc.text('Total payment due in 30 days', startX + 5, y, { width: 290 });
-    
-    // Bank Details Box (Right side)
-    let bankDetailsY = summaryStartY + 110; // Increased spacing
-    const bankDetailsBoxHeight = 100;
-    doc.rect(rightSectionX, bankDetailsY, 250, bankDetailsBoxHeight).stroke();
-    
-    doc.fontSize(9).font('Helvetica-Bold').text('Company\'s Bank Details:', rightSectionX + 5, bankDetailsY + 5);
-    bankDetailsY += 18; // Increased spacing
-    doc.font('Helvetica');
-    doc.text('Bank Name:', rightSectionX + 5, bankDetailsY);
-    bankDetailsY += 15; // Increased spacing
-    doc.text('Account No.:', rightSectionX + 5, bankDetailsY);
-    bankDetailsY += 15; // Increased spacing
-    doc.text('IFSC Code:', rightSectionX + 5, bankDetailsY);
-    bankDetailsY += 15; // Increased spacing
-    doc.text('Branch:', rightSectionX + 5, bankDetailsY);
-    
-    // A/c Holder's Name
-    bankDetailsY += 20; // Increased spacing
-    doc.fontSize(9).font('Helvetica-Bold').text('A/c Holder\'s Name:', rightSectionX + 5, bankDetailsY);
-    bankDetailsY += 15; // Increased spacing
-    doc.font('Helvetica');
-    doc.text('SAFALATA FOOD PRIVATE LIMITED', rightSectionX + 5, bankDetailsY);
-    
-    // Footer line
-    y = doc.page.height - 40;
-    doc.moveTo(startX, y).lineTo(startX + pageWidth, y).stroke();
-    y += 10;
-    
-    // Footer text
-    doc.fontSize(8).font('Helvetica').text(
-      `Generated on ${new Date().toLocaleString('en-IN')} | This is a computer-generated invoice, no signature required.`,
-      startX,
-      y,
-      { align: 'center', width: pageWidth }
-    );
-
-    // Finalize PDF
-    doc.end();
-  } catch (error) {
-    console.error('Generate bill PDF error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while generating bill PDF',
-      error: error.message 
-    });
-  }
-});
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
 
-// Generate E-Way Bill (Admin only)
-// POST /api/dealer-requests/:id/ewaybill
-router.post('/:id/ewaybill', verifyToken, verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
     const request = await DealerRequest.findById(id)
       .populate('dealer', 'name email')
-      .populate('product', 'title packetPrice initialPacketPrice packetsPerStrip')
-      .lean();
+      .populate('product', `title packetPrice initialPacketPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`);
 
     if (!request) {
       return res.status(404).json({
@@ -1744,11 +1679,14 @@ router.post('/:id/ewaybill', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    // Check if e-way bill already exists
-    if (request.ewayBillNo && request.ewayBillStatus === 'active') {
+    // Check if e-way bill already exists (an expired one is extended, not
+    // generated again for the same invoice)
+    if (request.ewayBillNo && ['active', 'expired'].includes(request.ewayBillStatus)) {
       return res.status(400).json({
         success: false,
-        message: 'E-way bill already generated for this request',
+        message: request.ewayBillStatus === 'expired'
+          ? 'E-way bill of this request has expired; extend it with POST /api/dealer-requests/:id/ewaybill/extend'
+          : 'E-way bill already generated for this request',
         data: {
           ewayBillNo: request.ewayBillNo,
           ewayBillDate: request.ewayBillDate,
@@ -1757,31 +1695,83 @@ router.post('/:id/ewaybill', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
-    // Calculate invoice details
-    const invoiceDate = request.processedAt || request.requestedAt;
-    const totalPackets = request.strips * (request.product?.packetsPerStrip || 1);
-    const totalAmount = totalPackets * (request.product?.packetPrice || 0);
-    const cgstRate = 2.5;
-    const sgstRate = 2.5;
-    const cgstAmount = (totalAmount * cgstRate) / 100;
-    const sgstAmount = (totalAmount * sgstRate) / 100;
-    const grandTotal = Math.round(totalAmount + cgstAmount + sgstAmount);
+    // Distance decides validity (1 day per 200 km)
+    const distanceKm = Number(req.body.distanceKm);
+    if (!Number.isInteger(distanceKm) || distanceKm < 1 || distanceKm > MAX_DISTANCE_KM) {
+      return res.status(400).json({
+        success: false,
+        message: `Distance (distanceKm) must be a whole number between 1 and ${MAX_DISTANCE_KM}`
+      });
+    }
 
-    // Dummy GST details for testing (replace with actual values in production)
-    const supplierGstin = process.env.SUPPLIER_GSTIN || '24AABCU9603R1ZX'; // Dummy GSTIN for testing
-    const buyerGstin = req.body.buyerGstin || '24AABCS1234R1ZX'; // Dummy buyer GSTIN, can be provided in request
-    
-    // Generate dummy e-way bill number (format: 123456789012)
-    // In production, this would be generated by calling the actual GST e-way bill API
-    const ewayBillNo = `1234567890${String(Date.now()).slice(-2)}`;
-    const ewayBillDate = new Date();
-    const validUpto = new Date(ewayBillDate);
-    validUpto.setDate(validUpto.getDate() + 1); // Valid for 1 day (can be adjusted)
+    // Buyer details come from the dealer profile unless supplied
+    const profile = await DealerProfile.findOne({ dealer: request.dealer._id }).lean();
+    const buyerGstin = (req.body.buyerGstin || profile?.gstNumber || 'URP').trim().toUpperCase();
+    const toPincode = parseInt(req.body.toPincode || profile?.officePincode || profile?.homePincode);
+    if (!toPincode || String(toPincode).length !== 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Buyer pincode is required (toPincode or dealer profile office pincode)'
+      });
+    }
+
+    // Tax follows the bill; the destination state defaults to the place of supply
+    const taxBreakup = await getRequestTax(request);
+    const toStateCode = parseInt(req.body.toStateCode) || taxBreakup.placeOfSupply;
+
+    const docDate = request.processedAt || request.requestedAt;
+    const { docNo, error: docNoError } = getIssuedDocNo(request, req.body.docNo);
+    if (docNoError) {
+      return res.status(400).json({ success: false, message: docNoError });
+    }
+    const vehicleNumber = req.body.vehicleNumber || request.vehicleNumber || null;
+
+    const payload = buildEwayBillPayload(request, {
+      docNo,
+      docDate,
+      distanceKm,
+      vehicleNumber,
+      transDocNo: request.dispatchedDocNo || '',
+      taxBreakup,
+      buyer: {
+        gstin: buyerGstin,
+        name: profile?.companyName || profile?.name || request.dealer.name,
+        address: profile?.officeAddress || profile?.homeAddress || '',
+        place: profile?.officeCity || profile?.homeCity || '',
+        pincode: toPincode,
+        stateCode: toStateCode,
+      },
+    });
+
+    const provider = getEwayBillProvider();
+    const ewayBill = new EwayBill({
+      dealerRequest: request._id,
+      provider: provider.name,
+      status: 'failed',
+      docNo,
+      docDate,
+      distanceKm,
+      fromPincode: String(payload.fromPincode),
+      toPincode: String(toPincode),
+      toGstin: buyerGstin,
+      vehicleNumber: payload.vehicleNo || null,
+      totalInvoiceValue: payload.totInvValue,
+      generatedBy: req.user._id,
+    });
+
+    // A rejected attempt is kept with its payloads for troubleshooting
+    const result = await callProvider(ewayBill, 'generate', payload, req.user._id);
+
+    ewayBill.status = 'active';
+    ewayBill.ewayBillNo = result.ewayBillNo;
+    ewayBill.ewayBillDate = result.ewayBillDate;
+    ewayBill.validUpto = result.validUpto;
+    await ewayBill.save();
 
     // Update request with e-way bill details
-    request.ewayBillNo = ewayBillNo;
-    request.ewayBillDate = ewayBillDate;
-    request.ewayBillValidUpto = validUpto;
+    request.ewayBillNo = result.ewayBillNo;
+    request.ewayBillDate = result.ewayBillDate;
+    request.ewayBillValidUpto = result.validUpto;
     request.ewayBillGeneratedBy = req.user._id;
     request.ewayBillStatus = 'active';
     await request.save();
@@ -1793,10 +1783,20 @@ router.post('/:id/ewaybill', verifyToken, verifyAdmin, async (req, res) => {
         ewayBillNo: request.ewayBillNo,
         ewayBillDate: request.ewayBillDate,
         validUpto: request.ewayBillValidUpto,
+        provider: provider.name,
+        distanceKm,
+        docNo,
         generatedAt: new Date()
       }
     });
   } catch (error) {
+    if (error.status && error.code) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
     console.error('Generate e-way bill error:', error);
     res.status(500).json({
       success: false,
@@ -1827,6 +1827,10 @@ router.get('/:id/ewaybill', verifyToken, async (req, res) => {
       });
     }
 
+    const ewayBill = await EwayBill.findOne({ dealerRequest: request._id, ewayBillNo: request.ewayBillNo })
+      .select('-events')
+      .lean();
+
     res.json({
       success: true,
       message: 'E-way bill details retrieved successfully',
@@ -1834,7 +1838,18 @@ router.get('/:id/ewaybill', verifyToken, async (req, res) => {
         ewayBillNo: request.ewayBillNo,
         ewayBillDate: request.ewayBillDate,
         validUpto: request.ewayBillValidUpto,
-        status: request.ewayBillStatus
+        status: request.ewayBillStatus,
+        provider: ewayBill ? ewayBill.provider : null,
+        distanceKm: ewayBill ? ewayBill.distanceKm : null,
+        docNo: ewayBill ? ewayBill.docNo : null,
+        vehicleNumber: ewayBill ? ewayBill.vehicleNumber : null,
+        toGstin: ewayBill ? ewayBill.toGstin : null,
+        vehicleUpdates: ewayBill ? ewayBill.vehicleUpdates : [],
+        extensions: ewayBill ? ewayBill.extensions : [],
+        cancelReasonCode: request.ewayBillCancelReasonCode,
+        cancelReason: request.ewayBillCancelReasonCode ? CANCEL_REASONS[request.ewayBillCancelReasonCode] : null,
+        cancelRemarks: request.ewayBillCancelRemarks,
+        cancelledAt: request.ewayBillCancelledAt,
       }
     });
   } catch (error) {
@@ -1847,12 +1862,327 @@ router.get('/:id/ewaybill', verifyToken, async (req, res) => {
   }
 });
 
+// Update E-Way Bill Vehicle (Part-B)
+// PUT /api/dealer-requests/:id/ewaybill/vehicle
+router.put('/:id/ewaybill/vehicle', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { vehicleNumber, reasonCode, reasonRemarks, fromPlace, fromStateCode, transDocNo } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
+
+    if (!vehicleNumber || !vehicleNumber.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle number is required'
+      });
+    }
+
+    const code = Number(reasonCode);
+    if (!VEHICLE_UPDATE_REASONS[code]) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason code must be one of: ${Object.entries(VEHICLE_UPDATE_REASONS).map(([key, label]) => `${key} (${label})`).join(', ')}`
+      });
+    }
+
+    if (code === 3 && (!reasonRemarks || !reasonRemarks.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required when the reason is Others'
+      });
+    }
+
+    const request = await DealerRequest.findById(id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer request not found'
+      });
+    }
+
+    if (!request.ewayBillNo || request.ewayBillStatus !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'No active e-way bill found to update'
+      });
+    }
+
+    const ewayBill = await EwayBill.findOne({ dealerRequest: request._id, ewayBillNo: request.ewayBillNo });
+    if (!ewayBill) {
+      return res.status(400).json({
+        success: false,
+        message: 'This e-way bill was issued before provider integration and cannot be updated here'
+      });
+    }
+
+    const supplier = getSupplierDetails();
+    const normalizedVehicle = vehicleNumber.replace(/[\s-]/g, '').toUpperCase();
+    const payload = {
+      ewbNo: Number(request.ewayBillNo),
+      vehicleNo: normalizedVehicle,
+      fromPlace: (fromPlace || supplier.place).trim(),
+      fromState: parseInt(fromStateCode) || supplier.stateCode,
+      reasonCode: String(code),
+      reasonRem: (reasonRemarks || VEHICLE_UPDATE_REASONS[code]).trim().slice(0, 50),
+      transDocNo: transDocNo || request.dispatchedDocNo || '',
+      transDocDate: '',
+      transMode: '1',
+    };
+
+    const result = await callProvider(ewayBill, 'update_part_b', payload, req.user._id);
+
+    // The first vehicle entered starts the validity clock
+    const validUpto = result.validUpto || ewayBill.validUpto || calculateValidity(ewayBill.distanceKm, result.updatedAt);
+
+    ewayBill.vehicleNumber = normalizedVehicle;
+    ewayBill.validUpto = validUpto;
+    ewayBill.vehicleUpdates.push({
+      vehicleNumber: normalizedVehicle,
+      reasonCode: code,
+      reasonRemarks: payload.reasonRem,
+      fromPlace: payload.fromPlace,
+      transDocNo: payload.transDocNo,
+      updatedBy: req.user._id,
+      updatedAt: result.updatedAt,
+    });
+    await ewayBill.save();
+
+    request.vehicleNumber = normalizedVehicle;
+    request.ewayBillValidUpto = validUpto;
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'E-way bill vehicle updated successfully',
+      data: {
+        ewayBillNo: request.ewayBillNo,
+        vehicleNumber: normalizedVehicle,
+        reasonCode: code,
+        reason: VEHICLE_UPDATE_REASONS[code],
+        validUpto,
+        updatedAt: result.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error.status && error.code) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Update e-way bill vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating e-way bill vehicle',
+      error: error.message
+    });
+  }
+});
+
+// Extend E-Way Bill Validity
+// POST /api/dealer-requests/:id/ewaybill/extend
+router.post('/:id/ewaybill/extend', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      remainingDistanceKm,
+      reasonCode,
+      remarks,
+      fromPlace,
+      fromPincode,
+      fromStateCode,
+      vehicleNumber,
+      consignmentStatus,
+    } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
+
+    const remaining = Number(remainingDistanceKm);
+    if (!Number.isInteger(remaining) || remaining < 1 || remaining > MAX_DISTANCE_KM) {
+      return res.status(400).json({
+        success: false,
+        message: `Remaining distance (remainingDistanceKm) must be a whole number between 1 and ${MAX_DISTANCE_KM}`
+      });
+    }
+
+    const code = Number(reasonCode);
+    if (!EXTENSION_REASONS[code]) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason code must be one of: ${Object.entries(EXTENSION_REASONS).map(([key, label]) => `${key} (${label})`).join(', ')}`
+      });
+    }
+
+    if (!remarks || !remarks.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required to extend an e-way bill'
+      });
+    }
+
+    if (!fromPlace || !fromPlace.trim() || !fromPincode || String(parseInt(fromPincode)).length !== 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current place (fromPlace) and 6 digit pincode (fromPincode) of the goods are required'
+      });
+    }
+
+    const request = await DealerRequest.findById(id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer request not found'
+      });
+    }
+
+    if (!request.ewayBillNo || !['active', 'expired'].includes(request.ewayBillStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active or expired e-way bill found to extend'
+      });
+    }
+
+    const ewayBill = await EwayBill.findOne({ dealerRequest: request._id, ewayBillNo: request.ewayBillNo });
+    if (!ewayBill) {
+      return res.status(400).json({
+        success: false,
+        message: 'This e-way bill was issued before provider integration and cannot be extended here'
+      });
+    }
+
+    if (!ewayBill.validUpto) {
+      return res.status(400).json({
+        success: false,
+        message: 'E-way bill has no validity yet. Update the vehicle (Part-B) first.'
+      });
+    }
+
+    // Extension is only allowed around the time validity lapses
+    const windowMs = EXTENSION_WINDOW_HOURS * 60 * 60 * 1000;
+    const now = Date.now();
+    const expiresAt = ewayBill.validUpto.getTime();
+    if (now < expiresAt - windowMs || now > expiresAt + windowMs) {
+      return res.status(400).json({
+        success: false,
+        message: `Validity can only be extended within ${EXTENSION_WINDOW_HOURS} hours before or after it lapses (valid upto ${ewayBill.validUpto.toISOString()})`
+      });
+    }
+
+    const supplier = getSupplierDetails();
+    const vehicle = (vehicleNumber || ewayBill.vehicleNumber || '').replace(/[\s-]/g, '').toUpperCase();
+    const status = consignmentStatus === 'T' ? 'T' : 'M';
+    const payload = {
+      ewbNo: Number(request.ewayBillNo),
+      vehicleNo: status === 'M' ? vehicle : '',
+      fromPlace: fromPlace.trim(),
+      fromState: parseInt(fromStateCode) || supplier.stateCode,
+      fromPincode: parseInt(fromPincode),
+      remainingDistance: remaining,
+      transDocNo: request.dispatchedDocNo || '',
+      transDocDate: '',
+      transMode: status === 'M' ? '1' : '5',
+      extnRsnCode: code,
+      extnRemarks: remarks.trim().slice(0, 50),
+      consignmentStatus: status,
+    };
+
+    const result = await callProvider(ewayBill, 'extend', payload, req.user._id);
+    const validUpto = result.validUpto || calculateValidity(remaining, result.updatedAt);
+
+    ewayBill.extensions.push({
+      remainingDistanceKm: remaining,
+      reasonCode: code,
+      remarks: payload.extnRemarks,
+      fromPlace: payload.fromPlace,
+      fromPincode: String(payload.fromPincode),
+      previousValidUpto: ewayBill.validUpto,
+      validUpto,
+      extendedBy: req.user._id,
+      extendedAt: result.updatedAt,
+    });
+    ewayBill.validUpto = validUpto;
+    ewayBill.status = 'active';
+    ewayBill.expiredAt = null;
+    if (vehicle && status === 'M') {
+      ewayBill.vehicleNumber = vehicle;
+    }
+    await ewayBill.save();
+
+    request.ewayBillValidUpto = validUpto;
+    request.ewayBillStatus = 'active';
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'E-way bill validity extended successfully',
+      data: {
+        ewayBillNo: request.ewayBillNo,
+        reasonCode: code,
+        reason: EXTENSION_REASONS[code],
+        validUpto,
+        extendedAt: result.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error.status && error.code) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Extend e-way bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while extending e-way bill',
+      error: error.message
+    });
+  }
+});
+
 // Cancel E-Way Bill
 // POST /api/dealer-requests/:id/ewaybill/cancel
 router.post('/:id/ewaybill/cancel', verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reasonCode, remarks, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
+
+    // Older clients only send a free text reason; treat it as Others
+    const code = reasonCode !== undefined ? Number(reasonCode) : 4;
+    if (!CANCEL_REASONS[code]) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason code must be one of: ${Object.entries(CANCEL_REASONS).map(([key, label]) => `${key} (${label})`).join(', ')}`
+      });
+    }
+
+    const cancelRemarks = (remarks || reason || '').trim();
+    if (code === 4 && !cancelRemarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required when the reason is Others'
+      });
+    }
+
     const request = await DealerRequest.findById(id);
 
     if (!request) {
@@ -1869,8 +2199,41 @@ router.post('/:id/ewaybill/cancel', verifyToken, verifyAdmin, async (req, res) =
       });
     }
 
-    // Update e-way bill status
+    const ewayBill = await EwayBill.findOne({ dealerRequest: request._id, ewayBillNo: request.ewayBillNo });
+
+    // Bills issued before the provider integration only exist locally
+    let cancelledAt = new Date();
+    if (ewayBill) {
+      const windowMs = CANCEL_WINDOW_HOURS * 60 * 60 * 1000;
+      if (ewayBill.ewayBillDate && Date.now() - ewayBill.ewayBillDate.getTime() > windowMs) {
+        return res.status(400).json({
+          success: false,
+          message: `E-way bill can only be cancelled within ${CANCEL_WINDOW_HOURS} hours of generation`
+        });
+      }
+
+      const payload = {
+        ewbNo: Number(request.ewayBillNo),
+        cancelRsnCode: code,
+        cancelRmrk: (cancelRemarks || CANCEL_REASONS[code]).slice(0, 50),
+      };
+      const result = await callProvider(ewayBill, 'cancel', payload, req.user._id);
+      cancelledAt = result.cancelDate;
+
+      ewayBill.status = 'cancelled';
+      ewayBill.cancelReasonCode = code;
+      ewayBill.cancelRemarks = cancelRemarks;
+      ewayBill.cancelledAt = cancelledAt;
+      ewayBill.cancelledBy = req.user._id;
+      await ewayBill.save();
+    }
+
+    // Update e-way bill status and keep the reason
     request.ewayBillStatus = 'cancelled';
+    request.ewayBillCancelReasonCode = code;
+    request.ewayBillCancelRemarks = cancelRemarks;
+    request.ewayBillCancelledAt = cancelledAt;
+    request.ewayBillCancelledBy = req.user._id;
     await request.save();
 
     res.json({
@@ -1878,11 +2241,20 @@ router.post('/:id/ewaybill/cancel', verifyToken, verifyAdmin, async (req, res) =
       message: 'E-way bill cancelled successfully',
       data: {
         ewayBillNo: request.ewayBillNo,
-        cancelledAt: new Date(),
-        reason: reason || 'Cancelled by admin'
+        cancelledAt,
+        reasonCode: code,
+        reason: CANCEL_REASONS[code],
+        remarks: cancelRemarks
       }
     });
   } catch (error) {
+    if (error.status && error.code) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
     console.error('Cancel e-way bill error:', error);
     res.status(500).json({
       success: false,
@@ -1892,5 +2264,333 @@ router.post('/:id/ewaybill/cancel', verifyToken, verifyAdmin, async (req, res) =
   }
 });
 
+// Generate E-Invoice (IRN)
+// POST /api/dealer-requests/:id/einvoice
+router.post('/:id/einvoice', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
+
+    const request = await DealerRequest.findById(id)
+      .populate('product', `title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+      .populate('dealer', 'name email');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer request not found'
+      });
+    }
+
+    if (request.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'E-invoice can only be generated for approved requests'
+      });
+    }
+
+    if (request.irn && request.eInvoiceStatus === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'E-invoice already generated for this request',
+        data: {
+          irn: request.irn,
+          ackNo: request.eInvoiceAckNo,
+          ackDate: request.eInvoiceAckDate
+        }
+      });
+    }
+
+    // E-invoicing only applies to registered (B2B) buyers
+    const profile = await DealerProfile.findOne({ dealer: request.dealer._id }).lean();
+    const buyerGstin = (req.body.buyerGstin || profile?.gstNumber || '').trim().toUpperCase();
+    if (!buyerGstin) {
+      return res.status(400).json({
+        success: false,
+        message: 'E-invoice requires the buyer GSTIN (buyerGstin or dealer profile GST number)'
+      });
+    }
+
+    const toPincode = parseInt(req.body.toPincode || profile?.officePincode || profile?.homePincode);
+    if (!toPincode || String(toPincode).length !== 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Buyer pincode is required (toPincode or dealer profile office pincode)'
+      });
+    }
+
+    const snapshot = request.invoiceSnapshot || {};
+    const { docNo, error: docNoError } = getIssuedDocNo(request, req.body.docNo);
+    if (docNoError) {
+      return res.status(400).json({ success: false, message: docNoError });
+    }
+    if (!DOC_NO_PATTERN.test(docNo)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice number "${docNo}" is not accepted by the IRP (up to 16 letters, digits, / or -, not starting with 0); change the invoice series prefix.`
+      });
+    }
+
+    const snapshotDate = snapshot.invoiceDate ? new Date(snapshot.invoiceDate) : null;
+    const docDate = snapshotDate && !isNaN(snapshotDate) ? snapshotDate : (request.processedAt || request.requestedAt);
+    const buyerPlace = profile?.officeCity || profile?.homeCity || '';
+
+    const taxBreakup = await getRequestTax(request);
+    const payload = buildEInvoicePayload(request, {
+      docNo,
+      docDate,
+      taxBreakup,
+      buyer: {
+        gstin: buyerGstin,
+        name: profile?.companyName || profile?.name || request.dealer.name,
+        address: profile?.officeAddress || profile?.homeAddress || buyerPlace,
+        place: buyerPlace,
+        pincode: toPincode,
+        stateCode: parseInt(req.body.toStateCode) || parseInt(buyerGstin.slice(0, 2)),
+      },
+    });
+
+    const provider = getEInvoiceProvider();
+    const eInvoice = new EInvoice({
+      dealerRequest: request._id,
+      provider: provider.name,
+      status: 'failed',
+      docNo,
+      docDate,
+      buyerGstin,
+      totalInvoiceValue: payload.ValDtls.TotInvVal,
+      generatedBy: req.user._id,
+    });
+
+    // A rejected attempt is kept with its payloads for troubleshooting
+    const result = await callEInvoiceProvider(eInvoice, 'generate', payload, req.user._id);
+
+    eInvoice.status = 'active';
+    eInvoice.irn = result.irn;
+    eInvoice.ackNo = result.ackNo;
+    eInvoice.ackDate = result.ackDate;
+    eInvoice.signedInvoice = result.signedInvoice;
+    eInvoice.signedQRCode = result.signedQRCode;
+    await eInvoice.save();
+
+    request.irn = result.irn;
+    request.eInvoiceAckNo = result.ackNo;
+    request.eInvoiceAckDate = result.ackDate;
+    request.eInvoiceStatus = 'active';
+    await request.save();
+
+    res.json({
+      success: true,
+      message: result.duplicate
+        ? 'Invoice was already registered; existing IRN retrieved'
+        : 'E-invoice generated successfully',
+      data: {
+        irn: result.irn,
+        ackNo: result.ackNo,
+        ackDate: result.ackDate,
+        provider: provider.name,
+        docNo,
+        totalInvoiceValue: payload.ValDtls.TotInvVal
+      }
+    });
+  } catch (error) {
+    if (error.status && error.code) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Generate e-invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating e-invoice',
+      error: error.message
+    });
+  }
+});
+
+// Get E-Invoice Details
+// GET /api/dealer-requests/:id/einvoice
+router.get('/:id/einvoice', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
+
+    const request = await DealerRequest.findById(id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer request not found'
+      });
+    }
+
+    // Dealers can only see their own requests
+    if ((req.user.role === 'dealer' || req.user.role === 'dellear') &&
+        request.dealer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!request.irn) {
+      return res.status(404).json({
+        success: false,
+        message: 'E-invoice not generated for this request'
+      });
+    }
+
+    const eInvoice = await EInvoice.findOne({ dealerRequest: request._id, irn: request.irn })
+      .select('-events -signedInvoice')
+      .lean();
+
+    res.json({
+      success: true,
+      message: 'E-invoice details retrieved successfully',
+      data: {
+        irn: request.irn,
+        ackNo: request.eInvoiceAckNo,
+        ackDate: request.eInvoiceAckDate,
+        status: request.eInvoiceStatus,
+        provider: eInvoice ? eInvoice.provider : null,
+        docNo: eInvoice ? eInvoice.docNo : null,
+        buyerGstin: eInvoice ? eInvoice.buyerGstin : null,
+        totalInvoiceValue: eInvoice ? eInvoice.totalInvoiceValue : null,
+        signedQRCode: eInvoice ? eInvoice.signedQRCode : null,
+        cancelReasonCode: eInvoice ? eInvoice.cancelReasonCode : null,
+        cancelReason: eInvoice && eInvoice.cancelReasonCode ? IRN_CANCEL_REASONS[eInvoice.cancelReasonCode] : null,
+        cancelRemarks: eInvoice ? eInvoice.cancelRemarks : '',
+        cancelledAt: eInvoice ? eInvoice.cancelledAt : null,
+      }
+    });
+  } catch (error) {
+    console.error('Get e-invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching e-invoice',
+      error: error.message
+    });
+  }
+});
+
+// Cancel E-Invoice (IRN)
+// POST /api/dealer-requests/:id/einvoice/cancel
+router.post('/:id/einvoice/cancel', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reasonCode, remarks } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
+
+    const code = Number(reasonCode);
+    if (!IRN_CANCEL_REASONS[code]) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason code must be one of: ${Object.entries(IRN_CANCEL_REASONS).map(([key, label]) => `${key} (${label})`).join(', ')}`
+      });
+    }
+
+    if (!remarks || !remarks.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required to cancel an e-invoice'
+      });
+    }
+
+    const request = await DealerRequest.findById(id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer request not found'
+      });
+    }
+
+    if (!request.irn || request.eInvoiceStatus !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'No active e-invoice found to cancel'
+      });
+    }
+
+    const eInvoice = await EInvoice.findOne({ dealerRequest: request._id, irn: request.irn });
+    if (!eInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'E-invoice record not found'
+      });
+    }
+
+    const windowMs = IRN_CANCEL_WINDOW_HOURS * 60 * 60 * 1000;
+    if (eInvoice.ackDate && Date.now() - eInvoice.ackDate.getTime() > windowMs) {
+      return res.status(400).json({
+        success: false,
+        message: `E-invoice can only be cancelled within ${IRN_CANCEL_WINDOW_HOURS} hours of generation. Issue a credit note instead.`
+      });
+    }
+
+    const payload = {
+      Irn: request.irn,
+      CnlRsn: String(code),
+      CnlRem: remarks.trim().slice(0, 100),
+    };
+    const result = await callEInvoiceProvider(eInvoice, 'cancel', payload, req.user._id);
+
+    eInvoice.status = 'cancelled';
+    eInvoice.cancelReasonCode = code;
+    eInvoice.cancelRemarks = payload.CnlRem;
+    eInvoice.cancelledAt = result.cancelDate;
+    eInvoice.cancelledBy = req.user._id;
+    await eInvoice.save();
+
+    request.eInvoiceStatus = 'cancelled';
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'E-invoice cancelled successfully',
+      data: {
+        irn: request.irn,
+        cancelledAt: result.cancelDate,
+        reasonCode: code,
+        reason: IRN_CANCEL_REASONS[code],
+        remarks: payload.CnlRem
+      }
+    });
+  } catch (error) {
+    if (error.status && error.code) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Cancel e-invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling e-invoice',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
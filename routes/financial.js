@@ -5,9 +5,66 @@ const Payment = require('../models/Payment');
 const DealerCredit = require('../models/DealerCredit');
 const DealerRequest = require('../models/DealerRequest');
 const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const CreditLimitOverride = require('../models/CreditLimitOverride');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const UpiIntent = require('../models/UpiIntent');
+const UpiCredit = require('../models/UpiCredit');
+const BankStatement = require('../models/BankStatement');
+const BankStatementLine = require('../models/BankStatementLine');
+const SuspectedDuplicate = require('../models/SuspectedDuplicate');
+const AdminSettings = require('../models/AdminSettings');
+const PaymentReminder = require('../models/PaymentReminder');
 const multer = require('multer');
 const cloudinary = require('../config/cloudinary');
 const { getLanguage } = require('../middleware/translateMessages');
+const { getPdfLanguage } = require('../utils/pdfFonts');
+const { buildDealerLedger, ledgerToCsv, renderLedgerPdf } = require('../utils/ledger');
+const { buildAgeingReport, ageingToCsv, ageingToXlsx } = require('../utils/ageing');
+const { parseCsv } = require('../utils/csv');
+const { importUpiCredits } = require('../utils/upiIntent');
+const {
+  importStatement,
+  confirmLine,
+  rejectProposal,
+  resolveLine,
+} = require('../utils/bankStatement');
+const {
+  normalizeTransactionId,
+  hashReceipt,
+  assertTransactionIdsUnused,
+  claimTransactionIds,
+  flagSuspectedDuplicates,
+  assertNoOpenDuplicates,
+  reviewSuspectedDuplicate,
+} = require('../utils/duplicatePayments');
+const {
+  CHANNELS: REMINDER_CHANNELS,
+  TEMPLATES: REMINDER_TEMPLATES,
+  getChannelProvider,
+  getChannelProviders,
+  validateReminderRules,
+  runPaymentReminders,
+} = require('../utils/reminders');
+const { runInTransaction } = require('../utils/transaction');
+const { getCreditExposure } = require('../utils/creditLimit');
+const {
+  AGEING_BUCKETS,
+  getOpenInvoices,
+  getUnallocatedPayments,
+  allocatePayment,
+  allocateOnCompletion,
+  reverseAllocations,
+} = require('../utils/paymentAllocation');
+const {
+  ACCOUNTS,
+  PAYMENT_METHOD_ACCOUNTS,
+  postPaymentEntry,
+  reversePaymentEntry,
+  syncDealerCredit,
+  getTrialBalance,
+} = require('../utils/journal');
+const { round2 } = require('../utils/common');
 
 const router = express.Router();
 
@@ -27,6 +84,21 @@ const upload = multer({
   },
 });
 
+// Configure multer for statement uploads (UPI credit reports, bank statements)
+const statementUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/csv|text\/|excel|ofx|octet-stream/.test(file.mimetype) || /\.(csv|ofx|qfx|sta|mt940|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, OFX or MT940 files are allowed'), false);
+    }
+  },
+});
+
 // Middleware to verify token and get user
 const verifyToken = async (req, res, next) => {
   try {
@@ -82,6 +154,17 @@ const verifyDealerOrAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to verify admin or stalkist
+const verifyAdminOrStalkist = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.role !== 'stalkist') {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Admin or stalkist access required' 
+    });
+  }
+  next();
+};
+
 // ==================== PAYMENT HISTORY ====================
 
 // Get payment history (Admin: all, Dealer: own)
@@ -330,9 +413,29 @@ router.post('/payments', verifyToken, verifyDealerOrAdmin, upload.single('receip
       });
     }
 
+    // Create payment record
+    const payment = new Payment({
+      dealer: finalDealerId,
+      dealerRequest: dealerRequestId && mongoose.Types.ObjectId.isValid(dealerRequestId) ? dealerRequestId : null,
+      type,
+      amount: parseFloat(amount),
+      paymentMethod: paymentMethod || 'upi',
+      upiTransactionId: normalizeTransactionId(upiTransactionId),
+      upiReferenceNumber: upiReferenceNumber || null,
+      bankTransactionId: normalizeTransactionId(bankTransactionId),
+      transactionDate: transactionDate ? new Date(transactionDate) : new Date(),
+      notes: notes || '',
+      status: 'pending', // Will be verified by admin
+    });
+
+    // A UTR / bank transaction ID can only be claimed once
+    const transactionIds = [payment.upiTransactionId, payment.bankTransactionId].filter(Boolean);
+    await assertTransactionIdsUnused(transactionIds, { payment: payment._id, dealerRequest: payment.dealerRequest });
+
     // Handle receipt image upload
     let receiptImageUrl = null;
     if (req.file) {
+      Object.assign(payment, hashReceipt(req.file.buffer));
       try {
         const result = await new Promise((resolve, reject) => {
           const uploadStream = cloudinary.uploader.upload_stream(
@@ -354,23 +457,29 @@ router.post('/payments', verifyToken, verifyDealerOrAdmin, upload.single('receip
       }
     }
 
-    // Create payment record
-    const payment = new Payment({
-      dealer: finalDealerId,
-      dealerRequest: dealerRequestId && mongoose.Types.ObjectId.isValid(dealerRequestId) ? dealerRequestId : null,
-      type,
-      amount: parseFloat(amount),
-      paymentMethod: paymentMethod || 'upi',
-      upiTransactionId: upiTransactionId || null,
-      upiReferenceNumber: upiReferenceNumber || null,
-      bankTransactionId: bankTransactionId || null,
-      transactionDate: transactionDate ? new Date(transactionDate) : new Date(),
-      receiptImage: receiptImageUrl,
-      notes: notes || '',
-      status: 'pending', // Will be verified by admin
-    });
+    payment.receiptImage = receiptImageUrl;
+    await payment.validate();
+
+    // The IDs are claimed with the payment, so a concurrent submission of the
+    // same UTR is refused rather than saved
+    await runInTransaction(async (session) => {
+      await claimTransactionIds(
+        transactionIds,
+        { payment: payment._id, dealerRequest: payment.dealerRequest, dealer: payment.dealer },
+        session
+      );
+      await Payment.create([payment.toObject()], { session });
+    }, { label: 'payment submission' });
+
+    // Reused receipts are held for review
+    let suspectedDuplicates = [];
+    if (transactionIds.length > 0 || req.file) {
+      suspectedDuplicates = await flagSuspectedDuplicates(
+        { payment: payment._id, dealerRequest: payment.dealerRequest, dealer: payment.dealer },
+        { transactionIds, receiptHash: payment.receiptHash, receiptDigest: payment.receiptDigest }
+      );
+    }
 
-    await payment.save();
     await payment.populate('dealer', 'name email');
     if (payment.dealerRequest) {
       await payment.populate({
@@ -399,10 +508,19 @@ router.post('/payments', verifyToken, verifyDealerOrAdmin, upload.single('receip
 
     res.status(201).json({
       success: true,
-      message: 'Payment record created successfully',
-      data: { payment: transformedPayment },
+      message: suspectedDuplicates.length > 0
+        ? 'Payment record created. It matches an earlier payment and will be reviewed before verification.'
+        : 'Payment record created successfully',
+      data: { payment: transformedPayment, suspectedDuplicates: suspectedDuplicates.length },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        duplicateOf: error.duplicateOf,
+      });
+    }
     console.error('Create payment error:', error);
     res.status(500).json({ 
       success: false, 
@@ -422,7 +540,7 @@ router.put('/payments/:id/status', verifyToken, verifyAdmin, async (req, res) =>
       });
     }
 
-    const { status, notes } = req.body;
+    const { status, notes, autoAllocate } = req.body;
 
     if (!status || !['pending', 'completed', 'failed', 'cancelled', 'refunded'].includes(status)) {
       return res.status(400).json({
@@ -431,7 +549,41 @@ router.put('/payments/:id/status', verifyToken, verifyAdmin, async (req, res) =>
       });
     }
 
-    const payment = await Payment.findById(req.params.id);
+    // Payments flagged as possible duplicates are reviewed first
+    if (status === 'completed') {
+      await assertNoOpenDuplicates({ payment: req.params.id });
+    }
+
+    // Completing a payment posts it to the journal and allocates it to the
+    // request it was recorded against (and, with autoAllocate, to the oldest
+    // open bills); taking a completed payment back (failed / cancelled /
+    // pending) reverses both. Refunded payments keep their entry and
+    // allocations - the refund itself is posted separately.
+    const payment = await runInTransaction(async (session) => {
+      const existing = await Payment.findById(req.params.id).session(session);
+      if (!existing) {
+        return null;
+      }
+
+      const wasCompleted = existing.status === 'completed' || existing.status === 'refunded';
+      existing.status = status;
+      existing.processedBy = req.user._id;
+      existing.processedAt = new Date();
+      if (notes) {
+        existing.notes = (existing.notes ? existing.notes + '\n' : '') + notes;
+      }
+      await existing.save({ session });
+
+      if (status === 'completed' && !wasCompleted) {
+        await postPaymentEntry(existing, req.user._id, session);
+        await allocateOnCompletion(existing, req.user._id, session, { autoAllocate: autoAllocate === true });
+      } else if (wasCompleted && !['completed', 'refunded'].includes(status)) {
+        await reversePaymentEntry(existing, req.user._id, session);
+        await reverseAllocations({ payment: existing._id }, req.user._id, `payment marked ${status}`, session);
+      }
+      await syncDealerCredit(existing.dealer, req.user._id, session);
+      return existing;
+    }, { label: 'payment status update' });
 
     if (!payment) {
       return res.status(404).json({ 
@@ -440,28 +592,9 @@ router.put('/payments/:id/status', verifyToken, verifyAdmin, async (req, res) =>
       });
     }
 
-    payment.status = status;
-    payment.processedBy = req.user._id;
-    payment.processedAt = new Date();
-    if (notes) {
-      payment.notes = (payment.notes ? payment.notes + '\n' : '') + notes;
-    }
-
-    await payment.save();
     await payment.populate('dealer', 'name email');
     await payment.populate('processedBy', 'name email');
 
-    // Update dealer credit if payment is completed
-    if (status === 'completed' && payment.type === 'payment') {
-      const dealerCredit = await DealerCredit.findOne({ dealer: payment.dealer });
-      if (dealerCredit) {
-        dealerCredit.currentBalance = Math.max(0, dealerCredit.currentBalance - payment.amount);
-        dealerCredit.lastUpdated = new Date();
-        dealerCredit.updatedBy = req.user._id;
-        await dealerCredit.save();
-      }
-    }
-
     const paymentObj = payment.toObject ? payment.toObject() : payment;
     const transformedPayment = {
       ...paymentObj,
@@ -482,6 +615,13 @@ router.put('/payments/:id/status', verifyToken, verifyAdmin, async (req, res) =>
       data: { payment: transformedPayment },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        suspectedDuplicates: error.suspectedDuplicates,
+      });
+    }
     console.error('Update payment status error:', error);
     res.status(500).json({ 
       success: false, 
@@ -491,239 +631,886 @@ router.put('/payments/:id/status', verifyToken, verifyAdmin, async (req, res) =>
   }
 });
 
-// ==================== OUTSTANDING PAYMENTS ====================
+// ==================== SUSPECTED DUPLICATES ====================
 
-// Get outstanding payments dashboard
-router.get('/outstanding', verifyToken, verifyAdmin, async (req, res) => {
+// Suspected duplicate payments awaiting review (Admin only)
+router.get('/duplicates', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { dealerId, page = 1, limit = 50 } = req.query;
-
-    const query = {
-      status: { $in: ['pending', 'completed'] },
-      type: 'payment',
-    };
+    const { status = 'open', reason, dealerId, page = 1, limit = 50 } = req.query;
 
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+    if (reason) {
+      query.reason = reason;
+    }
     if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
-      query.dealer = dealerId;
+      query['submission.dealer'] = dealerId;
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Get all payments that haven't been fully reconciled
-    const payments = await Payment.find(query)
-      .populate('dealer', 'name email')
-      .populate({
-        path: 'dealerRequest',
-        select: 'strips status totalAmount paidAmount paymentType product orderGroupId',
-        populate: {
-          path: 'product',
-          select: 'title image packetPrice packetsPerStrip'
-        }
-      })
-      .lean()
-      .sort({ transactionDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Payment.countDocuments(query);
-
-    // Calculate outstanding amounts per dealer
-    const dealerOutstanding = {};
-    
-    payments.forEach(payment => {
-      const dealerId = payment.dealer._id.toString();
-      if (!dealerOutstanding[dealerId]) {
-        dealerOutstanding[dealerId] = {
-          dealer: {
-            id: payment.dealer._id.toString(),
-            name: payment.dealer.name,
-            email: payment.dealer.email,
-          },
-          totalOutstanding: 0,
-          pendingPayments: 0,
-          completedPayments: 0,
-          payments: [],
-        };
-      }
-
-      if (payment.status === 'pending') {
-        dealerOutstanding[dealerId].totalOutstanding += payment.amount;
-        dealerOutstanding[dealerId].pendingPayments += 1;
-      } else if (payment.status === 'completed' && !payment.reconciled) {
-        dealerOutstanding[dealerId].totalOutstanding += payment.amount;
-        dealerOutstanding[dealerId].completedPayments += 1;
-      }
-
-      dealerOutstanding[dealerId].payments.push({
-        id: payment._id.toString(),
-        amount: payment.amount,
-        status: payment.status,
-        transactionDate: payment.transactionDate,
-        paymentMethod: payment.paymentMethod,
-      });
-    });
-
-    let outstandingList = Object.values(dealerOutstanding)
-      .filter(item => item.totalOutstanding > 0)
-      .sort((a, b) => b.totalOutstanding - a.totalOutstanding);
-
-    // Calculate totals (before pagination)
-    const totalOutstanding = outstandingList.reduce((sum, item) => sum + item.totalOutstanding, 0);
-    const totalPending = outstandingList.reduce((sum, item) => sum + item.pendingPayments, 0);
-    const totalCompleted = outstandingList.reduce((sum, item) => sum + item.completedPayments, 0);
-
-    // Apply pagination to outstanding list (reuse existing skip variable)
-    const paginatedOutstanding = outstandingList.slice(skip, skip + parseInt(limit));
+    const paymentFields = 'amount status paymentMethod upiTransactionId bankTransactionId receiptImage transactionDate dealerRequest createdAt';
+    const requestFields = 'strips status paymentStatus receiptImage upiTransactionId requestedAt';
+
+    const [duplicates, total] = await Promise.all([
+      SuspectedDuplicate.find(query)
+        .populate('submission.payment', paymentFields)
+        .populate('submission.dealerRequest', requestFields)
+        .populate('submission.dealer', 'name email')
+        .populate('matchedSubmission.payment', paymentFields)
+        .populate('matchedSubmission.dealerRequest', requestFields)
+        .populate('matchedSubmission.dealer', 'name email')
+        .populate('reviewedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SuspectedDuplicate.countDocuments(query),
+    ]);
 
     res.json({
       success: true,
       data: {
-        outstanding: paginatedOutstanding,
+        duplicates,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
-          total: outstandingList.length,
-          pages: Math.ceil(outstandingList.length / parseInt(limit)),
-        },
-        summary: {
-          totalOutstanding,
-          totalDealers: outstandingList.length,
-          totalPending,
-          totalCompleted,
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
         },
       },
     });
   } catch (error) {
-    console.error('Get outstanding payments error:', error);
+    console.error('Get suspected duplicates error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error while fetching outstanding payments',
+      message: 'Server error while fetching suspected duplicates',
       error: error.message 
     });
   }
 });
 
-// ==================== PAYMENT RECONCILIATION ====================
-
-// Reconcile payment (Admin only)
-router.put('/payments/:id/reconcile', verifyToken, verifyAdmin, async (req, res) => {
+// Review a suspected duplicate (Admin only).
+// Body: { action: 'confirm' (reject the later submission) | 'dismiss', notes }
+router.put('/duplicates/:id/review', verifyToken, verifyAdmin, async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Invalid payment ID format' 
+        message: 'Invalid suspected duplicate ID format' 
       });
     }
 
-    const payment = await Payment.findById(req.params.id)
-      .populate('dealer', 'name email')
-      .lean();
+    const duplicate = await reviewSuspectedDuplicate(req.params.id, req.body.action, req.body.notes, req.user._id);
 
-    if (!payment) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Payment not found' 
+    res.json({
+      success: true,
+      message: duplicate.status === 'confirmed'
+        ? 'Marked as duplicate. The later payment has been rejected.'
+        : 'Suspected duplicate dismissed',
+      data: { duplicate },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
       });
     }
+    console.error('Review suspected duplicate error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while reviewing suspected duplicate',
+      error: error.message 
+    });
+  }
+});
+
+// ==================== PAYMENT ALLOCATION ====================
+
+// Get open bills of a dealer, oldest first (Admin: ?dealerId=, Dealer: own)
+router.get('/invoices/open', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    let dealerId = req.user._id;
+    if (req.user.role === 'admin') {
+      if (!req.query.dealerId || !mongoose.Types.ObjectId.isValid(req.query.dealerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid dealerId is required',
+        });
+      }
+      dealerId = new mongoose.Types.ObjectId(req.query.dealerId);
+    }
 
-    if (payment.reconciled) {
+    const [invoices, advances] = await Promise.all([
+      getOpenInvoices({ dealer: dealerId }),
+      getUnallocatedPayments({ dealer: dealerId }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        unallocatedPayments: advances,
+        totalOpen: round2(invoices.reduce((sum, invoice) => sum + invoice.openAmount, 0)),
+        unallocatedAdvance: round2(advances.reduce((sum, advance) => sum + advance.unallocatedAmount, 0)),
+      },
+    });
+  } catch (error) {
+    console.error('Get open invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching open bills',
+      error: error.message,
+    });
+  }
+});
+
+// Get the allocations of a payment (Admin: any, Dealer: own payments)
+router.get('/payments/:id/allocations', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: 'Payment is already reconciled',
+        message: 'Invalid payment ID format',
       });
     }
 
-    payment.reconciled = true;
-    payment.reconciledBy = req.user._id;
-    payment.reconciledAt = new Date();
+    const payment = await Payment.findById(req.params.id).select('dealer amount status type').lean();
+    if (!payment || (req.user.role !== 'admin' && payment.dealer.toString() !== req.user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
 
-    await payment.save();
-    await payment.populate('reconciledBy', 'name email');
+    const allocations = await PaymentAllocation.find({ payment: payment._id })
+      .populate('dealerRequest', 'strips totalAmount paidAmount invoiceNumber processedAt')
+      .populate('allocatedBy', 'name email')
+      .populate('reversedBy', 'name email')
+      .sort({ createdAt: 1 });
 
-    const paymentObj = payment.toObject ? payment.toObject() : payment;
-    const transformedPayment = {
-      ...paymentObj,
-      id: paymentObj._id || paymentObj.id,
-      dealer: paymentObj.dealer ? {
-        ...paymentObj.dealer,
-        id: paymentObj.dealer._id || paymentObj.dealer.id,
-      } : paymentObj.dealer,
-      reconciledBy: paymentObj.reconciledBy ? {
-        ...paymentObj.reconciledBy,
-        id: paymentObj.reconciledBy._id || paymentObj.reconciledBy.id,
-      } : paymentObj.reconciledBy,
-    };
+    const allocated = allocations
+      .filter(allocation => allocation.status === 'active')
+      .reduce((sum, allocation) => sum + allocation.amount, 0);
 
     res.json({
       success: true,
-      message: 'Payment reconciled successfully',
-      data: { payment: transformedPayment },
+      data: {
+        allocations,
+        amount: payment.amount,
+        allocatedAmount: round2(allocated),
+        unallocatedAmount: round2(payment.amount - allocated),
+      },
     });
   } catch (error) {
-    console.error('Reconcile payment error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while reconciling payment',
-      error: error.message 
+    console.error('Get payment allocations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment allocations',
+      error: error.message,
     });
   }
 });
 
-// Bulk reconcile payments
-router.post('/payments/reconcile-bulk', verifyToken, verifyAdmin, async (req, res) => {
+// Allocate a completed payment to bills (Admin only)
+// Body: { allocations: [{ dealerRequestId, amount }] } or { auto: true } (oldest bills first)
+router.post('/payments/:id/allocate', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { paymentIds } = req.body;
-
-    if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: 'Payment IDs array is required',
+        message: 'Invalid payment ID format',
       });
     }
 
-    const validIds = paymentIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const result = await runInTransaction(
+      session => allocatePayment(req.params.id, {
+        allocations: req.body.allocations,
+        auto: req.body.auto === true,
+      }, req.user._id, session),
+      { label: 'payment allocation' }
+    );
 
-    if (validIds.length === 0) {
+    res.status(201).json({
+      success: true,
+      message: result.unallocatedAmount > 0
+        ? `Payment allocated. ₹${result.unallocatedAmount} remains as an advance.`
+        : 'Payment allocated successfully',
+      data: {
+        allocations: result.allocations,
+        unallocatedAmount: result.unallocatedAmount,
+      },
+    });
+  } catch (error) {
+    console.error('Allocate payment error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while allocating payment',
+      error: error.message,
+    });
+  }
+});
+
+// Reverse an allocation, re-opening the bill line (Admin only)
+router.put('/allocations/:id/reverse', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: 'No valid payment IDs provided',
+        message: 'Invalid allocation ID format',
       });
     }
 
-    const result = await Payment.updateMany(
-      { _id: { $in: validIds }, reconciled: false },
-      {
-        $set: {
-          reconciled: true,
-          reconciledBy: req.user._id,
-          reconciledAt: new Date(),
-        },
-      }
+    const [allocation] = await runInTransaction(
+      session => reverseAllocations(
+        { _id: new mongoose.Types.ObjectId(req.params.id) },
+        req.user._id,
+        req.body.reason || 'allocation corrected',
+        session
+      ),
+      { label: 'allocation reversal' }
     );
 
+    if (!allocation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active allocation not found',
+      });
+    }
+
     res.json({
       success: true,
-      message: `${result.modifiedCount} payment(s) reconciled successfully`,
-      data: {
-        reconciled: result.modifiedCount,
-      },
+      message: 'Allocation reversed',
+      data: { allocation },
     });
   } catch (error) {
-    console.error('Bulk reconcile error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while reconciling payments',
-      error: error.message 
+    console.error('Reverse allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reversing allocation',
+      error: error.message,
     });
   }
 });
 
-// ==================== UPI TRANSACTION HISTORY ====================
+// ==================== RECEIVABLES AGEING ====================
 
-// Get UPI transaction history
-router.get('/upi-transactions', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+// Get receivables ageing (Admin: all dealers, Stalkist: dealers they created)
+// ?groupBy=dealer|stalkist, ?dealerId=, ?stalkistId= (admin), ?drilldown=true
+// (bill lines per dealer), ?includeArchived=false, ?format=json|csv|xlsx
+router.get('/ageing', verifyToken, verifyAdminOrStalkist, async (req, res) => {
   try {
-    const { 
+    const {
+      groupBy = 'dealer',
+      dealerId,
+      stalkistId,
+      drilldown,
+      includeArchived,
+      format = 'json',
+    } = req.query;
+
+    if (!['dealer', 'stalkist'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be dealer or stalkist',
+      });
+    }
+
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json, csv or xlsx',
+      });
+    }
+
+    if ((dealerId && !mongoose.Types.ObjectId.isValid(dealerId)) ||
+        (stalkistId && !mongoose.Types.ObjectId.isValid(stalkistId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dealer or stalkist ID format',
+      });
+    }
+
+    const report = await buildAgeingReport({
+      groupBy,
+      dealerId: dealerId || null,
+      stalkistId: req.user.role === 'stalkist' ? req.user._id : (stalkistId || null),
+      drilldown: drilldown === 'true',
+      includeArchived: includeArchived !== 'false',
+    });
+    const fileName = `ageing-${groupBy}-${report.generatedAt.toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(ageingToCsv(report, { drilldown: drilldown === 'true' }));
+    }
+
+    if (format === 'xlsx') {
+      const buffer = await ageingToXlsx(report);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+      return res.send(buffer);
+    }
+
+    res.json({
+      success: true,
+      data: { report },
+    });
+  } catch (error) {
+    console.error('Get receivables ageing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building ageing report',
+      error: error.message,
+    });
+  }
+});
+
+// ==================== OUTSTANDING PAYMENTS ====================
+
+// Get outstanding dashboard (Admin only): open bill lines per dealer with
+// their age, less completed payments not yet allocated to bills (advances)
+router.get('/outstanding', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { dealerId, page = 1, limit = 50 } = req.query;
+
+    const dealer = dealerId && mongoose.Types.ObjectId.isValid(dealerId)
+      ? new mongoose.Types.ObjectId(dealerId)
+      : null;
+
+    // Payments submitted by dealers and waiting for verification (not the
+    // 'credit' rows that mirror outstanding amounts)
+    const pendingMatch = { status: 'pending', type: 'payment', paymentMethod: { $ne: 'credit' } };
+    if (dealer) {
+      pendingMatch.dealer = dealer;
+    }
+
+    const [invoices, advances, pending] = await Promise.all([
+      getOpenInvoices({ dealer }),
+      getUnallocatedPayments({ dealer }),
+      Payment.aggregate([
+        { $match: pendingMatch },
+        { $group: { _id: '$dealer', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const emptyAgeing = () => Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+    // Group per dealer
+    const dealerOutstanding = {};
+    const getDealerEntry = (id) => {
+      const key = id.toString();
+      if (!dealerOutstanding[key]) {
+        dealerOutstanding[key] = {
+          dealer: { id: key },
+          totalOutstanding: 0,
+          unallocatedAdvance: 0,
+          netOutstanding: 0,
+          pendingPayments: 0,
+          oldestInvoiceDays: 0,
+          ageing: emptyAgeing(),
+          invoices: [],
+          unallocatedPayments: [],
+        };
+      }
+      return dealerOutstanding[key];
+    };
+
+    invoices.forEach(invoice => {
+      const entry = getDealerEntry(invoice.dealer);
+      entry.totalOutstanding = round2(entry.totalOutstanding + invoice.openAmount);
+      entry.ageing[invoice.bucket] = round2(entry.ageing[invoice.bucket] + invoice.openAmount);
+      entry.oldestInvoiceDays = Math.max(entry.oldestInvoiceDays, invoice.ageDays);
+      entry.invoices.push({
+        dealerRequestId: invoice.dealerRequest.toString(),
+        invoiceNumber: invoice.invoiceNumber,
+        date: invoice.date,
+        amount: invoice.amount,
+        paidAmount: invoice.paidAmount,
+        openAmount: invoice.openAmount,
+        ageDays: invoice.ageDays,
+        bucket: invoice.bucket,
+      });
+    });
+
+    advances.forEach(advance => {
+      const entry = getDealerEntry(advance.dealer);
+      entry.unallocatedAdvance = round2(entry.unallocatedAdvance + advance.unallocatedAmount);
+      entry.unallocatedPayments.push({
+        id: advance.payment.toString(),
+        type: advance.type,
+        amount: advance.amount,
+        unallocatedAmount: advance.unallocatedAmount,
+        transactionDate: advance.transactionDate,
+        paymentMethod: advance.paymentMethod,
+      });
+    });
+
+    pending.forEach(group => {
+      if (dealerOutstanding[group._id.toString()]) {
+        dealerOutstanding[group._id.toString()].pendingPayments = group.count;
+      }
+    });
+
+    const dealers = await User.find({ _id: { $in: Object.keys(dealerOutstanding) } }).select('name email').lean();
+    dealers.forEach(user => {
+      dealerOutstanding[user._id.toString()].dealer = { id: user._id.toString(), name: user.name, email: user.email };
+    });
+
+    const outstandingList = Object.values(dealerOutstanding)
+      .map(entry => ({ ...entry, netOutstanding: round2(entry.totalOutstanding - entry.unallocatedAdvance) }))
+      .sort((a, b) => b.netOutstanding - a.netOutstanding);
+
+    // Calculate totals (before pagination)
+    const ageing = emptyAgeing();
+    outstandingList.forEach(entry => {
+      AGEING_BUCKETS.forEach(bucket => {
+        ageing[bucket.key] = round2(ageing[bucket.key] + entry.ageing[bucket.key]);
+      });
+    });
+    const totalOutstanding = round2(outstandingList.reduce((sum, item) => sum + item.totalOutstanding, 0));
+    const totalAdvance = round2(outstandingList.reduce((sum, item) => sum + item.unallocatedAdvance, 0));
+    const totalPending = outstandingList.reduce((sum, item) => sum + item.pendingPayments, 0);
+
+    // Apply pagination to outstanding list
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedOutstanding = outstandingList.slice(skip, skip + parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        outstanding: paginatedOutstanding,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: outstandingList.length,
+          pages: Math.ceil(outstandingList.length / parseInt(limit)),
+        },
+        summary: {
+          totalOutstanding,
+          totalAdvance,
+          netOutstanding: round2(totalOutstanding - totalAdvance),
+          totalDealers: outstandingList.length,
+          totalInvoices: invoices.length,
+          totalPending,
+          ageing,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get outstanding payments error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching outstanding payments',
+      error: error.message 
+    });
+  }
+});
+
+// ==================== PAYMENT RECONCILIATION ====================
+
+// Reconcile payment (Admin only)
+router.put('/payments/:id/reconcile', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid payment ID format' 
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id)
+      .populate('dealer', 'name email')
+      .lean();
+
+    if (!payment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
+
+    if (payment.reconciled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment is already reconciled',
+      });
+    }
+
+    payment.reconciled = true;
+    payment.reconciledBy = req.user._id;
+    payment.reconciledAt = new Date();
+
+    await payment.save();
+    await payment.populate('reconciledBy', 'name email');
+
+    const paymentObj = payment.toObject ? payment.toObject() : payment;
+    const transformedPayment = {
+      ...paymentObj,
+      id: paymentObj._id || paymentObj.id,
+      dealer: paymentObj.dealer ? {
+        ...paymentObj.dealer,
+        id: paymentObj.dealer._id || paymentObj.dealer.id,
+      } : paymentObj.dealer,
+      reconciledBy: paymentObj.reconciledBy ? {
+        ...paymentObj.reconciledBy,
+        id: paymentObj.reconciledBy._id || paymentObj.reconciledBy.id,
+      } : paymentObj.reconciledBy,
+    };
+
+    res.json({
+      success: true,
+      message: 'Payment reconciled successfully',
+      data: { payment: transformedPayment },
+    });
+  } catch (error) {
+    console.error('Reconcile payment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while reconciling payment',
+      error: error.message 
+    });
+  }
+});
+
+// Bulk reconcile payments
+router.post('/payments/reconcile-bulk', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { paymentIds } = req.body;
+
+    if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment IDs array is required',
+      });
+    }
+
+    const validIds = paymentIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    if (validIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid payment IDs provided',
+      });
+    }
+
+    const result = await Payment.updateMany(
+      { _id: { $in: validIds }, reconciled: false },
+      {
+        $set: {
+          reconciled: true,
+          reconciledBy: req.user._id,
+          reconciledAt: new Date(),
+        },
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} payment(s) reconciled successfully`,
+      data: {
+        reconciled: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.error('Bulk reconcile error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while reconciling payments',
+      error: error.message 
+    });
+  }
+});
+
+// ==================== BANK STATEMENT RECONCILIATION ====================
+
+// Import a bank statement or UPI settlement file (Admin only) and match its
+// lines with unreconciled payments (see utils/bankStatement).
+// Form fields: file (CSV, OFX or MT940), format (detected when omitted),
+// source=bank|upi_settlement, autoConfirm=false (only propose), dateWindowDays
+router.post('/statements/import', verifyToken, verifyAdmin, statementUpload.single('file'), async (req, res) => {
+  try {
+    const { format, source = 'bank', autoConfirm, dateWindowDays } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No statement file provided',
+      });
+    }
+
+    if (!['bank', 'upi_settlement'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: 'source must be bank or upi_settlement',
+      });
+    }
+
+    const windowDays = dateWindowDays !== undefined && dateWindowDays !== '' ? Number(dateWindowDays) : undefined;
+    if (windowDays !== undefined && (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > 30)) {
+      return res.status(400).json({
+        success: false,
+        message: 'dateWindowDays must be a whole number between 0 and 30',
+      });
+    }
+
+    const { statement, lines } = await importStatement(
+      {
+        text: req.file.buffer.toString('utf8'),
+        fileName: req.file.originalname,
+        format: format || null,
+        source,
+      },
+      {
+        autoConfirm: autoConfirm !== false && autoConfirm !== 'false',
+        dateWindowDays: windowDays,
+      },
+      req.user._id
+    );
+
+    const { summary } = statement;
+    res.status(201).json({
+      success: true,
+      message: `Statement imported: ${summary.autoConfirmed} reconciled, ${summary.proposed} proposed, ${summary.exceptions} exception(s), ${summary.duplicates} already imported`,
+      data: { statement, lines },
+    });
+  } catch (error) {
+    console.error('Import bank statement error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing statement',
+      error: error.message,
+    });
+  }
+});
+
+// Get imported statements (Admin only)
+router.get('/statements', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [statements, total] = await Promise.all([
+      BankStatement.find({})
+        .populate('importedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      BankStatement.countDocuments({}),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        statements,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get bank statements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statements',
+      error: error.message,
+    });
+  }
+});
+
+// Get statement lines (Admin only) - the exceptions / proposals queue by default
+// ?statementId=, ?status=exception,proposed (comma separated), ?direction=credit|debit
+router.get('/statement-lines', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { statementId, status = 'exception,proposed', direction, page = 1, limit = 50 } = req.query;
+
+    const query = { status: { $in: String(status).split(',').map(value => value.trim()).filter(Boolean) } };
+    if (statementId && mongoose.Types.ObjectId.isValid(statementId)) {
+      query.statement = statementId;
+    }
+    if (direction) {
+      query.direction = direction;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [lines, total] = await Promise.all([
+      BankStatementLine.find(query)
+        .populate({
+          path: 'candidates.payment',
+          select: 'dealer amount status paymentMethod transactionDate upiTransactionId bankTransactionId dealerRequest',
+          populate: { path: 'dealer', select: 'name email' },
+        })
+        .populate('payment', 'dealer amount status paymentMethod transactionDate')
+        .populate('suggestedDealer', 'name email')
+        .populate('resolvedBy', 'name email')
+        .sort({ transactionDate: -1, lineNumber: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      BankStatementLine.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        lines,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get statement lines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statement lines',
+      error: error.message,
+    });
+  }
+});
+
+// Confirm a proposed / exception line against a payment (Admin only)
+// Body: { paymentId (default: best candidate), autoAllocate, notes }
+router.put('/statement-lines/:id/confirm', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { paymentId, autoAllocate, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || (paymentId && !mongoose.Types.ObjectId.isValid(paymentId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid statement line or payment ID format',
+      });
+    }
+
+    const { line, payment } = await runInTransaction(
+      session => confirmLine(req.params.id, { paymentId, autoAllocate: autoAllocate === true, notes }, req.user._id, session),
+      { label: 'statement line confirmation' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Statement line reconciled successfully',
+      data: { line, payment },
+    });
+  } catch (error) {
+    console.error('Confirm statement line error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming statement line',
+      error: error.message,
+    });
+  }
+});
+
+// Reject the proposal of a line, moving it to the exceptions queue (Admin only)
+router.put('/statement-lines/:id/reject', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid statement line ID format',
+      });
+    }
+
+    const line = await runInTransaction(
+      session => rejectProposal(req.params.id, req.body.notes, req.user._id, session),
+      { label: 'statement line rejection' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Proposal rejected. The line is in the exceptions queue.',
+      data: { line },
+    });
+  } catch (error) {
+    console.error('Reject statement line error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting proposal',
+      error: error.message,
+    });
+  }
+});
+
+// Resolve an exception (Admin only)
+// Body: { action: 'ignore' | 'record_payment', dealerId, dealerRequestId, autoAllocate, notes }
+router.put('/statement-lines/:id/resolve', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { action, dealerId, dealerRequestId, autoAllocate, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) ||
+        (dealerId && !mongoose.Types.ObjectId.isValid(dealerId)) ||
+        (dealerRequestId && !mongoose.Types.ObjectId.isValid(dealerRequestId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid statement line, dealer or request ID format',
+      });
+    }
+
+    const { line, payment } = await runInTransaction(
+      session => resolveLine(req.params.id, { action, dealerId, dealerRequestId, autoAllocate: autoAllocate === true, notes }, req.user._id, session),
+      { label: 'statement line resolution' }
+    );
+
+    res.json({
+      success: true,
+      message: action === 'ignore' ? 'Statement line ignored' : 'Payment recorded and reconciled',
+      data: { line, payment },
+    });
+  } catch (error) {
+    console.error('Resolve statement line error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving statement line',
+      error: error.message,
+    });
+  }
+});
+
+// ==================== UPI TRANSACTION HISTORY ====================
+
+// Get UPI transaction history
+router.get('/upi-transactions', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { 
       dealerId,
       upiTransactionId,
       startDate,
@@ -736,53 +1523,198 @@ router.get('/upi-transactions', verifyToken, verifyDealerOrAdmin, async (req, re
       paymentMethod: 'upi',
     };
 
-    if (req.user.role === 'dealer' || req.user.role === 'dellear') {
-      query.dealer = req.user._id;
-    } else if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
-      query.dealer = dealerId;
+    if (req.user.role === 'dealer' || req.user.role === 'dellear') {
+      query.dealer = req.user._id;
+    } else if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
+      query.dealer = dealerId;
+    }
+
+    if (upiTransactionId) {
+      query.upiTransactionId = { $regex: upiTransactionId, $options: 'i' };
+    }
+
+    if (startDate || endDate) {
+      query.transactionDate = {};
+      if (startDate) {
+        query.transactionDate.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.transactionDate.$lte = new Date(endDate);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const payments = await Payment.find(query)
+      .populate('dealer', 'name email')
+      .lean()
+      .sort({ transactionDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(query);
+
+    const transformedPayments = payments.map(payment => {
+      const paymentObj = payment.toObject ? payment.toObject() : payment;
+      return {
+        ...paymentObj,
+        id: paymentObj._id || paymentObj.id,
+        dealer: paymentObj.dealer ? {
+          ...paymentObj.dealer,
+          id: paymentObj.dealer._id || paymentObj.dealer.id,
+        } : paymentObj.dealer,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        transactions: transformedPayments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get UPI transactions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching UPI transactions',
+      error: error.message 
+    });
+  }
+});
+
+// Get UPI payment intents (Admin: all, Dealer: own)
+// ?status=active|paid|superseded, ?dealerId= (admin), ?dealerRequestId=, ?orderId=
+router.get('/upi-intents', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { status, dealerId, dealerRequestId, orderId, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (req.user.role === 'dealer' || req.user.role === 'dellear') {
+      query.dealer = req.user._id;
+    } else if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
+      query.dealer = dealerId;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (dealerRequestId && mongoose.Types.ObjectId.isValid(dealerRequestId)) {
+      query.dealerRequests = dealerRequestId;
+    }
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+      query.order = orderId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [intents, total] = await Promise.all([
+      UpiIntent.find(query)
+        .populate('dealer', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      UpiIntent.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        intents,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get UPI intents error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching UPI intents',
+      error: error.message 
+    });
+  }
+});
+
+// Import incoming UPI credits (Admin only) and match them to payment intents.
+// Body: { credits: [{ upiTransactionId, amount, note, payerVpa, payerName, creditedAt }] }
+// or a CSV file (field "file") with UTR, amount and remarks columns
+router.post('/upi-credits/import', verifyToken, verifyAdmin, statementUpload.single('file'), async (req, res) => {
+  try {
+    let rows = req.body.credits;
+    if (req.file) {
+      rows = parseCsv(req.file.buffer.toString('utf8'));
     }
 
-    if (upiTransactionId) {
-      query.upiTransactionId = { $regex: upiTransactionId, $options: 'i' };
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a non-empty credits array or a CSV file',
+      });
     }
 
+    const { summary, results } = await importUpiCredits(rows, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Imported ${rows.length - summary.duplicate - summary.invalid} credit(s): ${summary.matched} matched, ${summary.unmatched + summary.amount_mismatch + summary.already_paid} to review`,
+      data: { summary, results },
+    });
+  } catch (error) {
+    console.error('Import UPI credits error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while importing UPI credits',
+      error: error.message 
+    });
+  }
+});
+
+// Get imported UPI credits (Admin only) - ?status=matched|unmatched|amount_mismatch|already_paid
+router.get('/upi-credits', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
     if (startDate || endDate) {
-      query.transactionDate = {};
+      query.creditedAt = {};
       if (startDate) {
-        query.transactionDate.$gte = new Date(startDate);
+        query.creditedAt.$gte = new Date(startDate);
       }
       if (endDate) {
-        query.transactionDate.$lte = new Date(endDate);
+        query.creditedAt.$lte = new Date(endDate);
       }
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const payments = await Payment.find(query)
-      .populate('dealer', 'name email')
-      .lean()
-      .sort({ transactionDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Payment.countDocuments(query);
-
-    const transformedPayments = payments.map(payment => {
-      const paymentObj = payment.toObject ? payment.toObject() : payment;
-      return {
-        ...paymentObj,
-        id: paymentObj._id || paymentObj.id,
-        dealer: paymentObj.dealer ? {
-          ...paymentObj.dealer,
-          id: paymentObj.dealer._id || paymentObj.dealer.id,
-        } : paymentObj.dealer,
-      };
-    });
+    const [credits, total] = await Promise.all([
+      UpiCredit.find(query)
+        .populate({
+          path: 'upiIntent',
+          select: 'dealer amount transactionNote status dealerRequests order',
+          populate: { path: 'dealer', select: 'name email' },
+        })
+        .sort({ creditedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      UpiCredit.countDocuments(query),
+    ]);
 
     res.json({
       success: true,
       data: {
-        transactions: transformedPayments,
+        credits,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -792,10 +1724,10 @@ router.get('/upi-transactions', verifyToken, verifyDealerOrAdmin, async (req, re
       },
     });
   } catch (error) {
-    console.error('Get UPI transactions error:', error);
+    console.error('Get UPI credits error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error while fetching UPI transactions',
+      message: 'Server error while fetching UPI credits',
       error: error.message 
     });
   }
@@ -812,6 +1744,7 @@ router.post('/refunds', verifyToken, verifyAdmin, async (req, res) => {
       amount,
       reason,
       notes,
+      paymentMethod,
     } = req.body;
 
     if (!dealerId || !mongoose.Types.ObjectId.isValid(dealerId)) {
@@ -848,37 +1781,36 @@ router.post('/refunds', verifyToken, verifyAdmin, async (req, res) => {
       }
     }
 
-    const refund = new Payment({
-      dealer: dealerId,
-      dealerRequest: originalPayment?.dealerRequest || null,
-      type: 'refund',
-      amount: parseFloat(amount),
-      paymentMethod: 'credit',
-      status: 'completed', // Refunds are auto-completed
-      notes: notes || reason || '',
-      processedBy: req.user._id,
-      processedAt: new Date(),
-      transactionDate: new Date(),
-    });
+    if (paymentMethod && !Object.keys(PAYMENT_METHOD_ACCOUNTS).includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `paymentMethod must be one of ${Object.keys(PAYMENT_METHOD_ACCOUNTS).join(', ')}`,
+      });
+    }
+
+    // Refunds are auto-completed and posted to the journal with the dealer balance
+    const refund = await runInTransaction(async (session) => {
+      const [created] = await Payment.create([{
+        dealer: dealerId,
+        dealerRequest: originalPayment?.dealerRequest || null,
+        type: 'refund',
+        amount: parseFloat(amount),
+        paymentMethod: paymentMethod || 'credit',
+        status: 'completed',
+        notes: notes || reason || '',
+        processedBy: req.user._id,
+        processedAt: new Date(),
+        transactionDate: new Date(),
+      }], { session });
+
+      await postPaymentEntry(created, req.user._id, session);
+      await syncDealerCredit(dealerId, req.user._id, session);
+      return created;
+    }, { label: 'refund' });
 
-    await refund.save();
     await refund.populate('dealer', 'name email');
     await refund.populate('processedBy', 'name email');
 
-    // Update dealer credit
-    let dealerCredit = await DealerCredit.findOne({ dealer: dealerId });
-    if (!dealerCredit) {
-      dealerCredit = new DealerCredit({
-        dealer: dealerId,
-        creditLimit: 0,
-        currentBalance: 0,
-      });
-    }
-    dealerCredit.currentBalance = Math.max(0, dealerCredit.currentBalance - parseFloat(amount));
-    dealerCredit.lastUpdated = new Date();
-    dealerCredit.updatedBy = req.user._id;
-    await dealerCredit.save();
-
     const refundObj = refund.toObject ? refund.toObject() : refund;
     const transformedRefund = {
       ...refundObj,
@@ -1015,148 +1947,506 @@ router.get('/credits', verifyToken, verifyAdmin, async (req, res) => {
       };
     });
 
-    res.json({
+    res.json({
+      success: true,
+      data: { credits: transformedCredits },
+    });
+  } catch (error) {
+    console.error('Get credits error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching credits',
+      error: error.message 
+    });
+  }
+});
+
+// Get dealer's own credit (Dealer)
+router.get('/credits/my', verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'dealer' && req.user.role !== 'dellear') {
+      return res.status(403).json({
+        success: false,
+        message: 'Dealer access required',
+      });
+    }
+
+    let credit = await DealerCredit.findOne({ dealer: req.user._id })
+      .populate('dealer', 'name email')
+      .populate('updatedBy', 'name email');
+
+    // Create default if doesn't exist (balance from the journal)
+    if (!credit) {
+      credit = await runInTransaction(
+        session => syncDealerCredit(req.user._id, null, session),
+        { label: 'dealer credit creation' }
+      );
+      await credit.populate('dealer', 'name email');
+    }
+
+    // Pending requests count against the limit as well
+    const exposure = await getCreditExposure(req.user._id);
+
+    const creditObj = credit.toObject ? credit.toObject() : credit;
+    const transformedCredit = {
+      ...creditObj,
+      id: creditObj._id || creditObj.id,
+      dealer: creditObj.dealer ? {
+        ...creditObj.dealer,
+        id: creditObj.dealer._id || creditObj.dealer.id,
+      } : creditObj.dealer,
+      updatedBy: creditObj.updatedBy ? {
+        ...creditObj.updatedBy,
+        id: creditObj.updatedBy._id || creditObj.updatedBy.id,
+      } : creditObj.updatedBy,
+    };
+
+    res.json({
+      success: true,
+      data: {
+        credit: transformedCredit,
+        exposure: {
+          pendingAmount: exposure.pendingAmount,
+          projectedBalance: exposure.projectedBalance,
+          availableCredit: exposure.availableCredit,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get my credit error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching credit',
+      error: error.message 
+    });
+  }
+});
+
+// Update credit limit (Admin only)
+router.put('/credits/:dealerId', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { dealerId } = req.params;
+    const { creditLimit, limitEnforcement, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(dealerId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid dealer ID format' 
+      });
+    }
+
+    if ((creditLimit === undefined && limitEnforcement === undefined) || creditLimit < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid credit limit is required',
+      });
+    }
+
+    if (limitEnforcement !== undefined && !['none', 'soft', 'hard'].includes(limitEnforcement)) {
+      return res.status(400).json({
+        success: false,
+        message: 'limitEnforcement must be none, soft or hard',
+      });
+    }
+
+    const dealer = await User.findById(dealerId);
+    if (!dealer || (dealer.role !== 'dealer' && dealer.role !== 'dellear')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer not found',
+      });
+    }
+
+    // The balance is re-derived from the journal while the limit is saved
+    const credit = await runInTransaction(async (session) => {
+      const existing = await syncDealerCredit(dealerId, req.user._id, session);
+      if (creditLimit !== undefined) {
+        existing.creditLimit = parseFloat(creditLimit);
+      }
+      if (limitEnforcement !== undefined) {
+        existing.limitEnforcement = limitEnforcement;
+      }
+      if (notes) {
+        existing.notes = (existing.notes ? existing.notes + '\n' : '') + new Date().toISOString() + ': ' + notes;
+      }
+      await existing.save({ session });
+      return existing;
+    }, { label: 'credit limit update' });
+
+    await credit.populate('dealer', 'name email');
+    await credit.populate('updatedBy', 'name email');
+
+    const creditObj = credit.toObject ? credit.toObject() : credit;
+    const transformedCredit = {
+      ...creditObj,
+      id: creditObj._id || creditObj.id,
+      dealer: creditObj.dealer ? {
+        ...creditObj.dealer,
+        id: creditObj.dealer._id || creditObj.dealer.id,
+      } : creditObj.dealer,
+      updatedBy: creditObj.updatedBy ? {
+        ...creditObj.updatedBy,
+        id: creditObj.updatedBy._id || creditObj.updatedBy.id,
+      } : creditObj.updatedBy,
+    };
+
+    res.json({
+      success: true,
+      message: 'Credit limit updated successfully',
+      data: { credit: transformedCredit },
+    });
+  } catch (error) {
+    console.error('Update credit limit error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating credit limit',
+      error: error.message 
+    });
+  }
+});
+
+// Get the credit limit override log (Admin only)
+router.get('/credits/overrides', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { dealerId, status, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
+      query.dealer = dealerId;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [overrides, total] = await Promise.all([
+      CreditLimitOverride.find(query)
+        .populate('dealer', 'name email')
+        .populate('grantedBy', 'name email')
+        .populate('revokedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CreditLimitOverride.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        overrides,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get credit overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching credit overrides',
+      error: error.message
+    });
+  }
+});
+
+// Allow a dealer's next submission past their hard credit limit (Admin only)
+router.post('/credits/:dealerId/overrides', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { dealerId } = req.params;
+    const { reason, expiresAt } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(dealerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dealer ID format'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to override the credit limit'
+      });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresAt must be a future date'
+      });
+    }
+
+    const dealer = await User.findById(dealerId);
+    if (!dealer || (dealer.role !== 'dealer' && dealer.role !== 'dellear')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer not found'
+      });
+    }
+
+    const override = await CreditLimitOverride.create({
+      dealer: dealerId,
+      reason: String(reason).trim(),
+      grantedBy: req.user._id,
+      expiresAt: expiry,
+    });
+    await override.populate('dealer', 'name email');
+    await override.populate('grantedBy', 'name email');
+
+    res.status(201).json({
       success: true,
-      data: { credits: transformedCredits },
+      message: 'Credit limit override granted for the next submission',
+      data: { override }
     });
   } catch (error) {
-    console.error('Get credits error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while fetching credits',
-      error: error.message 
+    console.error('Grant credit override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while granting credit override',
+      error: error.message
     });
   }
 });
 
-// Get dealer's own credit (Dealer)
-router.get('/credits/my', verifyToken, async (req, res) => {
+// Withdraw an unused credit limit override (Admin only)
+router.put('/credits/overrides/:id/revoke', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    if (req.user.role !== 'dealer' && req.user.role !== 'dellear') {
-      return res.status(403).json({
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        message: 'Dealer access required',
+        message: 'Invalid override ID format'
       });
     }
 
-    let credit = await DealerCredit.findOne({ dealer: req.user._id })
-      .populate('dealer', 'name email')
-      .populate('updatedBy', 'name email');
+    const override = await CreditLimitOverride.findOneAndUpdate(
+      { _id: req.params.id, status: 'active' },
+      { $set: { status: 'revoked', revokedBy: req.user._id, revokedAt: new Date() } },
+      { new: true }
+    );
 
-    // Create default if doesn't exist
-    if (!credit) {
-      credit = new DealerCredit({
-        dealer: req.user._id,
-        creditLimit: 0,
-        currentBalance: 0,
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active override not found'
       });
-      await credit.save();
-      await credit.populate('dealer', 'name email');
     }
 
-    const creditObj = credit.toObject ? credit.toObject() : credit;
-    const transformedCredit = {
-      ...creditObj,
-      id: creditObj._id || creditObj.id,
-      dealer: creditObj.dealer ? {
-        ...creditObj.dealer,
-        id: creditObj.dealer._id || creditObj.dealer.id,
-      } : creditObj.dealer,
-      updatedBy: creditObj.updatedBy ? {
-        ...creditObj.updatedBy,
-        id: creditObj.updatedBy._id || creditObj.updatedBy.id,
-      } : creditObj.updatedBy,
-    };
-
     res.json({
       success: true,
-      data: { credit: transformedCredit },
+      message: 'Credit limit override revoked',
+      data: { override }
     });
   } catch (error) {
-    console.error('Get my credit error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while fetching credit',
-      error: error.message 
+    console.error('Revoke credit override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking credit override',
+      error: error.message
     });
   }
 });
 
-// Update credit limit (Admin only)
-router.put('/credits/:dealerId', verifyToken, verifyAdmin, async (req, res) => {
+// ==================== DEALER LEDGER ====================
+
+// Get dealer statement of account (Admin: any dealer, Dealer: own account)
+// ?startDate=&endDate= (inclusive days), ?format=json|pdf|csv
+router.get('/ledger/:dealerId', verifyToken, verifyDealerOrAdmin, async (req, res) => {
   try {
     const { dealerId } = req.params;
-    const { creditLimit, notes } = req.body;
+    const { startDate, endDate, format = 'json' } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(dealerId)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid dealer ID format' 
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dealer ID format',
+      });
+    }
+
+    if (req.user.role !== 'admin' && req.user._id.toString() !== dealerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Dealers can only view their own ledger',
       });
     }
 
-    if (creditLimit === undefined || creditLimit < 0) {
+    if (!['json', 'pdf', 'csv'].includes(format)) {
       return res.status(400).json({
         success: false,
-        message: 'Valid credit limit is required',
+        message: 'format must be json, pdf or csv',
       });
     }
 
-    const dealer = await User.findById(dealerId);
-    if (!dealer || (dealer.role !== 'dealer' && dealer.role !== 'dellear')) {
-      return res.status(404).json({
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
         success: false,
-        message: 'Dealer not found',
+        message: 'Invalid startDate or endDate',
       });
     }
+    if (from) {
+      from.setHours(0, 0, 0, 0);
+    }
+    if (to) {
+      to.setHours(23, 59, 59, 999);
+    }
 
-    let credit = await DealerCredit.findOne({ dealer: dealerId });
+    const ledger = await buildDealerLedger(dealerId, { startDate: from, endDate: to });
+    const fileName = `ledger-${(ledger.dealer.companyName || ledger.dealer.name).replace(/[^A-Za-z0-9-]+/g, '-')}`;
 
-    if (!credit) {
-      credit = new DealerCredit({
-        dealer: dealerId,
-        creditLimit: parseFloat(creditLimit),
-        currentBalance: 0,
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(ledgerToCsv(ledger));
+    }
+
+    if (format === 'pdf') {
+      const { buffer } = await renderLedgerPdf(ledger, { language: getPdfLanguage(req) });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      return res.send(buffer);
+    }
+
+    res.json({
+      success: true,
+      data: { ledger },
+    });
+  } catch (error) {
+    console.error('Get dealer ledger error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
       });
-    } else {
-      credit.creditLimit = parseFloat(creditLimit);
     }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building dealer ledger',
+      error: error.message,
+    });
+  }
+});
+
+// ==================== ACCOUNTING JOURNAL ====================
 
-    credit.lastUpdated = new Date();
-    credit.updatedBy = req.user._id;
-    if (notes) {
-      credit.notes = (credit.notes ? credit.notes + '\n' : '') + new Date().toISOString() + ': ' + notes;
+// Books a request reads: admins the company books (or a dealer's with ?dealerId), dealers their own
+const getJournalBook = (req) => {
+  if (req.user.role !== 'admin') {
+    return req.user._id;
+  }
+  return req.query.dealerId && mongoose.Types.ObjectId.isValid(req.query.dealerId) ? req.query.dealerId : null;
+};
+
+// Get chart of accounts
+router.get('/journal/accounts', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      accounts: Object.entries(ACCOUNTS).map(([account, details]) => ({ account, ...details })),
+    },
+  });
+});
+
+// Get journal entries
+router.get('/journal', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { account, partyId, sourceType, sourceId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = { book: getJournalBook(req) };
+
+    if (account) {
+      if (!ACCOUNTS[account]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown account',
+        });
+      }
+      query['lines.account'] = account;
+    }
+    if (partyId && mongoose.Types.ObjectId.isValid(partyId)) {
+      query['lines.party'] = partyId;
+    }
+    if (sourceType) {
+      query.sourceType = sourceType;
+    }
+    if (sourceId && mongoose.Types.ObjectId.isValid(sourceId)) {
+      query.sourceId = sourceId;
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) {
+        query.date.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.date.$lte = new Date(endDate);
+      }
     }
 
-    await credit.save();
-    await credit.populate('dealer', 'name email');
-    await credit.populate('updatedBy', 'name email');
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const creditObj = credit.toObject ? credit.toObject() : credit;
-    const transformedCredit = {
-      ...creditObj,
-      id: creditObj._id || creditObj.id,
-      dealer: creditObj.dealer ? {
-        ...creditObj.dealer,
-        id: creditObj.dealer._id || creditObj.dealer.id,
-      } : creditObj.dealer,
-      updatedBy: creditObj.updatedBy ? {
-        ...creditObj.updatedBy,
-        id: creditObj.updatedBy._id || creditObj.updatedBy.id,
-      } : creditObj.updatedBy,
-    };
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(query)
+        .populate('lines.party', 'name email')
+        .populate('createdBy', 'name email')
+        .sort({ date: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      JournalEntry.countDocuments(query),
+    ]);
 
     res.json({
       success: true,
-      message: 'Credit limit updated successfully',
-      data: { credit: transformedCredit },
+      data: {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
     });
   } catch (error) {
-    console.error('Update credit limit error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while updating credit limit',
-      error: error.message 
+    console.error('Get journal entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching journal entries',
+      error: error.message,
+    });
+  }
+});
+
+// Get trial balance (?asOf= date, inclusive)
+router.get('/journal/trial-balance', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    let asOf = null;
+    if (req.query.asOf) {
+      asOf = new Date(req.query.asOf);
+      if (isNaN(asOf.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid asOf date',
+        });
+      }
+      asOf.setHours(23, 59, 59, 999);
+    }
+
+    const trialBalance = await getTrialBalance({ book: getJournalBook(req), asOf });
+
+    res.json({
+      success: true,
+      data: { asOf, ...trialBalance },
+    });
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building trial balance',
+      error: error.message,
     });
   }
 });
@@ -1239,6 +2529,227 @@ router.get('/reminders', verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// Reminder settings: dunning rules and channel providers (Admin only)
+router.get('/reminders/settings', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const settings = await AdminSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        enabled: settings.remindersEnabled,
+        rules: settings.reminderRules,
+        channels: REMINDER_CHANNELS,
+        templates: REMINDER_TEMPLATES,
+        providers: getChannelProviders(),
+      },
+    });
+  } catch (error) {
+    console.error('Get reminder settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder settings',
+      error: error.message
+    });
+  }
+});
+
+// Update reminder settings (Admin only).
+// Body: { enabled, rules: [{ daysOverdue, template: gentle|firm|final, channels: [in_app|sms|whatsapp|email] }] }
+router.put('/reminders/settings', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { enabled, rules } = req.body;
+    const settings = await AdminSettings.getSettings();
+
+    if (enabled !== undefined) {
+      settings.remindersEnabled = enabled === true || enabled === 'true';
+    }
+    if (rules !== undefined) {
+      settings.reminderRules = validateReminderRules(rules);
+    }
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Reminder settings updated successfully',
+      data: {
+        enabled: settings.remindersEnabled,
+        rules: settings.reminderRules,
+        channels: REMINDER_CHANNELS,
+        templates: REMINDER_TEMPLATES,
+        providers: getChannelProviders(),
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error('Update reminder settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reminder settings',
+      error: error.message
+    });
+  }
+});
+
+// Send the reminders that are due now instead of waiting for the scheduler (Admin only).
+// Body: { dryRun (only report what would be sent), dealerId (optional) }
+router.post('/reminders/run', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { dealerId } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (dealerId && !mongoose.Types.ObjectId.isValid(dealerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dealer ID format'
+      });
+    }
+
+    const result = await runPaymentReminders({
+      dryRun,
+      dealer: dealerId || null,
+      trigger: 'manual',
+      userId: req.user._id,
+    });
+
+    let message;
+    if (!result.enabled) {
+      message = 'Payment reminders are disabled';
+    } else if (dryRun) {
+      message = `${result.summary.reminders} reminder(s) would be sent`;
+    } else {
+      message = `${result.summary.reminders} reminder(s) sent`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: result,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error('Run payment reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending payment reminders',
+      error: error.message
+    });
+  }
+});
+
+// Log of reminders sent, one entry per channel (Admin only)
+router.get('/reminders/log', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { dealerId, dealerRequestId, channel, status, trigger, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
+      query.dealer = dealerId;
+    }
+    if (dealerRequestId && mongoose.Types.ObjectId.isValid(dealerRequestId)) {
+      query['bills.dealerRequest'] = dealerRequestId;
+    }
+    if (channel) {
+      query.channel = channel;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (trigger) {
+      query.trigger = trigger;
+    }
+    if (startDate || endDate) {
+      query.sentAt = {};
+      if (startDate) {
+        query.sentAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.sentAt.$lte = new Date(endDate);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      PaymentReminder.find(query)
+        .populate('dealer', 'name email')
+        .populate('triggeredBy', 'name email')
+        .sort({ sentAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PaymentReminder.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get reminder log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder log',
+      error: error.message
+    });
+  }
+});
+
+// Messages delivered by the fake SMS/WhatsApp/email providers, newest first
+// (Admin only, channels set to the fake provider). Query: ?channel=sms|whatsapp|email
+router.get('/reminders/outbox', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { channel } = req.query;
+    const providers = ['sms', 'whatsapp', 'email']
+      .filter(name => !channel || name === channel)
+      .map(name => getChannelProvider(name))
+      .filter(provider => provider.name === 'fake');
+
+    if (providers.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'The outbox is only available for channels using the fake provider'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { messages: providers[0].getOutbox(channel || null) },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error('Get reminder outbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder outbox',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
 
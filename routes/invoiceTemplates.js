@@ -0,0 +1,417 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const cloudinary = require('../config/cloudinary');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const DealerProfile = require('../models/DealerProfile');
+const User = require('../models/User');
+const { runInTransaction } = require('../utils/transaction');
+const { getSupplierDetails } = require('../utils/ewayBill');
+const { getPdfLanguage } = require('../utils/pdfFonts');
+const { getSellerDetails } = require('../utils/salesInvoicePdf');
+const {
+  getActiveTemplate,
+  normalizeTemplateInput,
+  getProfileBankDetails,
+  createTemplateVersion,
+  activateTemplateVersion,
+  renderInvoicePdf,
+  buildSampleInvoice,
+} = require('../utils/invoiceTemplates');
+
+const router = express.Router();
+
+// Configure multer for logo uploads
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['image/png', 'image/jpeg'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG or JPEG logos are allowed'), false);
+    }
+  },
+});
+
+// Middleware to verify token and get user
+const verifyToken = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+    const user = await User.findById(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+};
+
+const isDealer = (user) => user.role === 'dealer' || user.role === 'dellear';
+
+// Middleware to verify dealer or admin
+const verifyDealerOrAdmin = (req, res, next) => {
+  if (!isDealer(req.user) && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Dealer or admin access required'
+    });
+  }
+  next();
+};
+
+// Series each role configures: admins the company series, dealers their own
+const SERIES_BY_ROLE = {
+  admin: ['admin', 'credit_note', 'debit_note'],
+  dealer: ['sales', 'credit_note', 'debit_note'],
+};
+
+// Templates owned by the user (null dealer: company templates)
+const getOwner = (user) => (user.role === 'admin' ? null : user._id);
+
+const getAllowedSeries = (user) => SERIES_BY_ROLE[user.role === 'admin' ? 'admin' : 'dealer'];
+
+const isOwner = (user, template) => {
+  const owner = getOwner(user);
+  return owner ? template.dealer?.toString() === owner.toString() : !template.dealer;
+};
+
+// Seller printed on previews
+const getPreviewSeller = async (user) => {
+  if (user.role === 'admin') {
+    const supplier = getSupplierDetails();
+    return {
+      name: supplier.name,
+      address: `${supplier.address}, ${supplier.place}-${supplier.pincode}`,
+      gstin: supplier.gstin,
+    };
+  }
+  const profile = await DealerProfile.findOne({ dealer: user._id }).lean();
+  return getSellerDetails(user, profile, null);
+};
+
+// Send a rendered preview
+const sendPreview = async (req, res, series, template) => {
+  const model = buildSampleInvoice(series, await getPreviewSeller(req.user));
+  const { buffer } = await renderInvoicePdf(model, { template, language: getPdfLanguage(req) });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="template-preview-${series}.pdf"`);
+  res.send(buffer);
+};
+
+// Upload a logo for invoice templates
+router.post('/logo', verifyToken, verifyDealerOrAdmin, upload.single('logo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No logo uploaded'
+      });
+    }
+
+    const result = await cloudinary.uploader.upload(
+      `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
+      { folder: 'invoice-logos', resource_type: 'image' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      data: { logoUrl: result.secure_url }
+    });
+  } catch (error) {
+    console.error('Upload invoice logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading logo',
+      error: error.message
+    });
+  }
+});
+
+// List template versions of the user's series
+router.get('/', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { series } = req.query;
+    const filter = { dealer: getOwner(req.user) };
+
+    if (series) {
+      if (!getAllowedSeries(req.user).includes(series)) {
+        return res.status(400).json({
+          success: false,
+          message: `series must be one of ${getAllowedSeries(req.user).join(', ')}`
+        });
+      }
+      filter.series = series;
+    }
+
+    const templates = await InvoiceTemplate.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ series: 1, version: -1 });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Get invoice templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoice templates',
+      error: error.message
+    });
+  }
+});
+
+// Get the active template version of a series
+router.get('/active', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { series } = req.query;
+
+    if (!getAllowedSeries(req.user).includes(series)) {
+      return res.status(400).json({
+        success: false,
+        message: `series must be one of ${getAllowedSeries(req.user).join(', ')}`
+      });
+    }
+
+    const template = await getActiveTemplate(getOwner(req.user), series);
+
+    res.json({
+      success: true,
+      message: template ? undefined : 'No template saved - the built-in layout is used',
+      data: template ? { ...template, id: template._id, _id: undefined, __v: undefined } : null
+    });
+  } catch (error) {
+    console.error('Get active invoice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoice template',
+      error: error.message
+    });
+  }
+});
+
+// Save a template as the next version of its series and make it active
+router.post('/', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { series } = req.body;
+
+    if (!getAllowedSeries(req.user).includes(series)) {
+      return res.status(400).json({
+        success: false,
+        message: `series must be one of ${getAllowedSeries(req.user).join(', ')}`
+      });
+    }
+
+    const template = await runInTransaction(
+      session => createTemplateVersion({
+        dealer: getOwner(req.user),
+        series,
+        input: req.body,
+        userId: req.user._id,
+      }, session),
+      { label: 'invoice template save' }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Template version ${template.version} saved and activated`,
+      data: template
+    });
+  } catch (error) {
+    console.error('Save invoice template error:', error);
+    if (error.status || error.name === 'ValidationError') {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving invoice template',
+      error: error.message
+    });
+  }
+});
+
+// Preview unsaved template settings on a sample invoice
+router.post('/preview', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { series } = req.body;
+
+    if (!getAllowedSeries(req.user).includes(series)) {
+      return res.status(400).json({
+        success: false,
+        message: `series must be one of ${getAllowedSeries(req.user).join(', ')}`
+      });
+    }
+
+    const template = normalizeTemplateInput(req.body);
+    if (!template.bankDetails) {
+      template.bankDetails = await getProfileBankDetails(getOwner(req.user));
+    }
+
+    await sendPreview(req, res, series, template);
+  } catch (error) {
+    console.error('Preview invoice template error:', error);
+    if (res.headersSent) {
+      return;
+    }
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rendering template preview',
+      error: error.message
+    });
+  }
+});
+
+// Get a template version
+router.get('/:id', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID format'
+      });
+    }
+
+    const template = await InvoiceTemplate.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!template || !isOwner(req.user, template)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Get invoice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoice template',
+      error: error.message
+    });
+  }
+});
+
+// Preview a saved template version on a sample invoice
+router.get('/:id/preview', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID format'
+      });
+    }
+
+    const template = await InvoiceTemplate.findById(req.params.id).lean();
+
+    if (!template || !isOwner(req.user, template)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    await sendPreview(req, res, template.series, template);
+  } catch (error) {
+    console.error('Preview invoice template error:', error);
+    if (res.headersSent) {
+      return;
+    }
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rendering template preview',
+      error: error.message
+    });
+  }
+});
+
+// Make an earlier version the active one again
+router.put('/:id/activate', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID format'
+      });
+    }
+
+    const existing = await InvoiceTemplate.findById(req.params.id).select('dealer').lean();
+
+    if (!existing || !isOwner(req.user, existing)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const template = await runInTransaction(
+      session => activateTemplateVersion(existing._id, session),
+      { label: 'invoice template activate' }
+    );
+
+    res.json({
+      success: true,
+      message: `Template version ${template.version} activated`,
+      data: template
+    });
+  } catch (error) {
+    console.error('Activate invoice template error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while activating invoice template',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
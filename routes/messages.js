@@ -238,11 +238,12 @@ router.get('/', verifyToken, async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
     const user = req.user;
 
-    // Build query based on user role
+    // Build query based on user role: broadcasts to the user's role, or
+    // messages addressed to the user (targeted messages stay private)
     const query = {
       isActive: true,
       $or: [
-        { recipientRoles: user.role },
+        { recipientRoles: user.role, $or: [{ sendToAll: true }, { recipients: { $size: 0 } }] },
         { recipients: user._id },
       ],
     };
@@ -0,0 +1,800 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const DealerRequest = require('../models/DealerRequest');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const AdminSettings = require('../models/AdminSettings');
+const { getLanguage } = require('../middleware/translateMessages');
+const { runInTransaction } = require('../utils/transaction');
+const { assignAdminBillNumber } = require('../utils/invoiceSeries');
+const { reserveStock, getAvailableToPromise } = require('../utils/stockReservation');
+const { approveRequest, cancelRequest, applyBillRoundOff } = require('../utils/dealerRequestWorkflow');
+const { enforceCreditLimit } = require('../utils/creditLimit');
+const { generateOrderNumber, refreshOrderSummary } = require('../utils/orders');
+const { getOrCreateUpiIntent, renderUpiQr } = require('../utils/upiIntent');
+const { PRODUCT_TAX_FIELDS, getRequestTax, withTaxBreakup } = require('../utils/tax');
+const { statusError } = require('../utils/common');
+
+const router = express.Router();
+
+// Middleware to verify token and get user
+const verifyToken = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+    const user = await User.findById(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+};
+
+// Middleware to verify admin
+const verifyAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin privileges required.'
+    });
+  }
+  next();
+};
+
+// Middleware to verify dealer
+const verifyDealer = (req, res, next) => {
+  if (req.user.role !== 'dealer' && req.user.role !== 'dellear') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Dealer privileges required.'
+    });
+  }
+  next();
+};
+
+// Helper function to format product title for response
+const formatProductTitle = (product, language = 'en') => {
+  if (!product || !product.title) {
+    return '';
+  }
+  // Handle both old format (string) and new format (object)
+  if (typeof product.title === 'string') {
+    return product.title;
+  }
+  // Handle translation object {en, gu}
+  return product.title[language] || product.title.en || product.title.gu || '';
+};
+
+// Build the order query a user is allowed to see
+const buildAccessQuery = async (user) => {
+  if (user.role === 'dealer' || user.role === 'dellear') {
+    return { dealer: user._id };
+  }
+  if (user.role === 'stalkist') {
+    const dealers = await User.find({ createdBy: user._id, role: { $in: ['dealer', 'dellear'] } }).select('_id');
+    return { dealer: { $in: dealers.map(dealer => dealer._id) } };
+  }
+  if (user.role === 'admin') {
+    return {};
+  }
+  return null;
+};
+
+// Load an order with its lines for response
+const loadOrder = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate('dealer', 'name email')
+    .populate('processedBy', 'name email')
+    .populate('billSentBy', 'name email')
+    .lean();
+
+  if (!order) {
+    return null;
+  }
+
+  const requests = await DealerRequest.find({ order: orderId })
+    .populate('product', 'title packetPrice initialPacketPrice packetsPerStrip image')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return { order, requests };
+};
+
+// Create Order (Dealer only) - submit a whole cart at once
+router.post('/', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const { items, notes } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide at least one item'
+      });
+    }
+
+    for (const item of items) {
+      if (!item || !item.productId || !mongoose.Types.ObjectId.isValid(item.productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs a valid productId'
+        });
+      }
+      if (typeof item.strips !== 'number' || !Number.isInteger(item.strips) || item.strips < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Strips must be a positive whole number for every item'
+        });
+      }
+    }
+
+    const productIds = [...new Set(items.map(item => String(item.productId)))];
+    if (productIds.length !== items.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each product can only appear once in an order'
+      });
+    }
+
+    const products = await Product.find({ _id: { $in: productIds } }).select('_id').lean();
+    if (products.length !== productIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more products not found'
+      });
+    }
+
+    // The order, its lines and their stock reservations are created together;
+    // if any line cannot be reserved the whole cart is rejected
+    const { orderId, creditCheck } = await runInTransaction(async (session) => {
+      const submittedAt = new Date();
+      const orderNumber = generateOrderNumber(submittedAt);
+      const [order] = await Order.create([{
+        orderNumber,
+        dealer: req.user._id,
+        notes: notes || '',
+        submittedAt,
+      }], { session });
+
+      const requests = items.map(item => new DealerRequest({
+        dealer: req.user._id,
+        product: item.productId,
+        strips: item.strips,
+        status: 'pending',
+        orderGroupId: orderNumber,
+        order: order._id,
+        requestedAt: submittedAt,
+      }));
+
+      // The whole cart is checked against the credit limit at once
+      const creditCheck = await enforceCreditLimit(req.user._id, requests, session);
+
+      for (const request of requests) {
+        request.creditCheck = creditCheck;
+        const held = await reserveStock(request, session);
+        if (!held) {
+          const latest = await Product.findById(request.product).select('title stock reservedStock').session(session).lean();
+          throw statusError(400, `Insufficient stock for ${formatProductTitle(latest, getLanguage(req)) || request.product}. Available: ${getAvailableToPromise(latest)} strips, Requested: ${request.strips} strips`);
+        }
+        request.reservationExpiresAt = held.expiresAt;
+        await request.save({ session });
+      }
+
+      await refreshOrderSummary(order._id, session);
+      return { orderId: order._id, creditCheck };
+    }, { label: 'order creation' });
+
+    const loaded = await loadOrder(orderId);
+
+    res.status(201).json({
+      success: true,
+      message: creditCheck?.result === 'over_soft_limit'
+        ? `Order created, but it takes you past your credit limit of ₹${creditCheck.creditLimit}. The admin may hold it until dues are cleared.`
+        : 'Order created successfully',
+      data: { order: formatOrder(loaded.order, loaded.requests, getLanguage(req)) },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: error.details ? { credit: error.details } : undefined,
+      });
+    }
+    console.error('Create order error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during order creation',
+      error: error.message
+    });
+  }
+});
+
+// Get Orders (Admin - all, Dealer - own, Stalkist - dealers they created)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, dealerId, billSent, startDate, endDate } = req.query;
+
+    const query = await buildAccessQuery(req.user);
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (status) {
+      query.status = status;
+    }
+    if (dealerId && mongoose.Types.ObjectId.isValid(dealerId) && req.user.role === 'admin') {
+      query.dealer = dealerId;
+    }
+    if (billSent !== undefined) {
+      query.billSent = billSent === 'true';
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const orders = await Order.find(query)
+      .populate('dealer', 'name email')
+      .populate('processedBy', 'name email')
+      .populate('billSentBy', 'name email')
+      .populate('items.product', 'title packetPrice initialPacketPrice packetsPerStrip image')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Order.countDocuments(query);
+    const language = getLanguage(req);
+
+    res.json({
+      success: true,
+      data: {
+        orders: orders.map(order => formatOrder(order, null, language)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching orders',
+      error: error.message
+    });
+  }
+});
+
+// Get Single Order with its lines
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const query = await buildAccessQuery(req.user);
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const allowed = await Order.exists({ ...query, _id: req.params.id });
+    if (!allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const loaded = await loadOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: { order: formatOrder(loaded.order, loaded.requests, getLanguage(req)) },
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Approve pending lines of an order (and optionally cancel the rest) in one
+ * transaction. Any line failing aborts the whole operation.
+ * @param {ObjectId|string} orderId - Order ID
+ * @param {Object} options - Options
+ * @param {Array<string>|null} options.requestIds - Lines to approve (null = every pending line)
+ * @param {Array<Object>} options.lines - Per-line details ({ requestId, paidAmount, paymentType, paymentMethod, paymentNotes, approvedStrips, allowPartial })
+ * @param {boolean} options.cancelRemaining - Cancel pending lines not being approved
+ * @param {string} options.notes - Notes stored on every processed line
+ * @param {ObjectId} userId - Admin processing the order
+ * @returns {Promise<Object>} - { approved, cancelled } line counts
+ */
+async function processOrderLines(orderId, options, userId) {
+  return runInTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw statusError(404, 'Order not found');
+    }
+    if (order.status === 'approved' || order.status === 'cancelled') {
+      throw statusError(400, `Order is already ${order.status}`);
+    }
+
+    const pending = await DealerRequest.find({ order: order._id, status: 'pending' })
+      .select('_id')
+      .session(session)
+      .lean();
+    const pendingIds = pending.map(request => String(request._id));
+
+    const toApprove = options.requestIds ? options.requestIds.map(String) : pendingIds;
+    const notPending = toApprove.filter(id => !pendingIds.includes(id));
+    if (notPending.length > 0) {
+      throw statusError(400, `These lines are not pending lines of this order: ${notPending.join(', ')}`);
+    }
+    if (toApprove.length === 0 && !options.cancelRemaining) {
+      throw statusError(400, 'No pending lines to approve');
+    }
+
+    const paymentByLine = new Map((options.lines || []).map(line => [String(line.requestId), line]));
+
+    for (const requestId of toApprove) {
+      const line = paymentByLine.get(requestId) || {};
+      const outcome = await approveRequest(requestId, {
+        paidAmount: line.paidAmount,
+        paymentType: line.paymentType,
+        paymentMethod: line.paymentMethod,
+        paymentNotes: line.paymentNotes,
+        notes: options.notes,
+        approvedStrips: line.approvedStrips,
+        allowPartial: line.allowPartial === true,
+      }, userId, session, { skipOrderRefresh: true });
+
+      if (!outcome.request) {
+        throw statusError(outcome.status, `Line ${requestId}: ${outcome.message}`);
+      }
+    }
+
+    let cancelled = 0;
+    if (options.cancelRemaining) {
+      for (const requestId of pendingIds.filter(id => !toApprove.includes(id))) {
+        const outcome = await cancelRequest(requestId, options.notes, userId, session, { skipOrderRefresh: true });
+        if (!outcome.request) {
+          throw statusError(outcome.status, `Line ${requestId}: ${outcome.message}`);
+        }
+        cancelled++;
+      }
+    }
+
+    await refreshOrderSummary(order._id, session);
+    return { approved: toApprove.length, cancelled };
+  }, { label: 'order approval' });
+}
+
+// Generate UPI payment link / QR code for the pending lines of an order (Dealer only)
+router.post('/:id/upi-intent', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const settings = await AdminSettings.getSettings();
+
+    const result = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      if (!order) {
+        throw statusError(404, 'Order not found');
+      }
+      if (order.dealer.toString() !== req.user._id.toString()) {
+        throw statusError(403, 'Access denied. You can only pay for your own orders.');
+      }
+
+      const requests = await DealerRequest.find({
+        order: order._id,
+        status: 'pending',
+        paymentStatus: { $ne: 'verified' },
+      })
+        .populate('product', `packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+        .sort({ createdAt: 1 })
+        .session(session);
+      if (requests.length === 0) {
+        throw statusError(400, 'Order has no pending lines awaiting payment');
+      }
+
+      return getOrCreateUpiIntent({ dealer: order.dealer, requests, order: order._id }, settings, req.user._id, session);
+    }, { label: 'order upi intent' });
+
+    res.status(result.reused ? 200 : 201).json({
+      success: true,
+      message: 'Pay with any UPI app using this link or QR code. Do not change the amount or note.',
+      data: {
+        intent: result.intent,
+        qrCode: await renderUpiQr(result.intent.uri),
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create order UPI intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating UPI payment link',
+      error: error.message
+    });
+  }
+});
+
+// Approve Order (Admin only) - approves every pending line
+router.put('/:id/approve', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const result = await processOrderLines(req.params.id, {
+      requestIds: null,
+      lines: Array.isArray(req.body.lines) ? req.body.lines : [],
+      cancelRemaining: false,
+      notes: req.body.notes,
+    }, req.user._id);
+
+    const loaded = await loadOrder(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Order approved successfully (${result.approved} line(s))`,
+      data: { order: formatOrder(loaded.order, loaded.requests, getLanguage(req)) },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Approve order error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during order approval',
+      error: error.message
+    });
+  }
+});
+
+// Partially Approve Order (Admin only) - approve selected lines, optionally cancel the rest
+router.put('/:id/approve-partial', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const { requestIds, lines, cancelRemaining, notes } = req.body;
+
+    if (!Array.isArray(requestIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Request IDs array is required'
+      });
+    }
+
+    const invalidIds = requestIds.filter(reqId => !mongoose.Types.ObjectId.isValid(reqId));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid request ID format: ${invalidIds.join(', ')}`
+      });
+    }
+
+    const result = await processOrderLines(req.params.id, {
+      requestIds,
+      lines: Array.isArray(lines) ? lines : [],
+      cancelRemaining: cancelRemaining === true,
+      notes,
+    }, req.user._id);
+
+    const loaded = await loadOrder(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Order updated: ${result.approved} line(s) approved, ${result.cancelled} line(s) cancelled`,
+      data: { order: formatOrder(loaded.order, loaded.requests, getLanguage(req)) },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Partially approve order error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during order approval',
+      error: error.message
+    });
+  }
+});
+
+// Cancel Order (Admin only) - cancels every pending line
+router.put('/:id/cancel', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const result = await processOrderLines(req.params.id, {
+      requestIds: [],
+      lines: [],
+      cancelRemaining: true,
+      notes: req.body.notes,
+    }, req.user._id);
+
+    if (result.cancelled === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending lines to cancel'
+      });
+    }
+
+    const loaded = await loadOrder(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Order cancelled successfully (${result.cancelled} line(s))`,
+      data: { order: formatOrder(loaded.order, loaded.requests, getLanguage(req)) },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during order cancellation',
+      error: error.message
+    });
+  }
+});
+
+// Send Bill for an Order (Admin only) - bills every approved line of the order
+router.put('/:id/send-bill', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const { destination, vehicleNumber, dispatchedDocNo, invoiceSnapshot } = req.body;
+
+    // Validate required fields
+    if (!destination || !destination.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Destination is required'
+      });
+    }
+
+    if (!vehicleNumber || !vehicleNumber.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle number is required'
+      });
+    }
+
+    // The order and its approved lines not billed yet are marked as billed
+    // together. Lines approved after an earlier bill get an invoice of their
+    // own, so an invoice already sent (and maybe registered for an IRN or
+    // e-way bill) never changes
+    await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      if (!order) {
+        throw statusError(404, 'Order not found');
+      }
+
+      const approved = await DealerRequest.find({ order: order._id, status: 'approved' })
+        .populate('product', `title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+        .session(session);
+      if (approved.length === 0) {
+        throw statusError(400, 'Cannot send bill. The order has no approved lines.');
+      }
+
+      const requests = approved.filter(request => !request.billSent && !request.invoiceNumber);
+      if (requests.length === 0) {
+        throw statusError(400, `Cannot send bill. Every approved line of the order is already billed (invoice ${order.invoiceNumber}).`);
+      }
+
+      const billSentAt = new Date();
+      const invoiceNumber = await assignAdminBillNumber({
+        requests,
+        order,
+        date: billSentAt,
+        issuedBy: req.user._id,
+      }, session);
+      // The invoice is rounded once; its lines take their share of the round-off
+      const billTax = await applyBillRoundOff(requests, req.user._id, session);
+      const billFields = {
+        destination: destination.trim(),
+        vehicleNumber: vehicleNumber.trim(),
+        dispatchedDocNo: dispatchedDocNo ? dispatchedDocNo.trim() : null,
+        billSent: true,
+        billSentAt,
+        billSentBy: req.user._id,
+        invoiceNumber,
+      };
+
+      // Each line keeps the tax of its own request; the order keeps the
+      // breakup of the whole invoice
+      for (const request of requests) {
+        request.set(billFields);
+        request.invoiceSnapshot = {
+          ...withTaxBreakup(invoiceSnapshot, await getRequestTax(request, { session })),
+          invoiceNumber,
+        };
+        await request.save({ session });
+      }
+
+      order.set(billFields);
+      order.invoiceSnapshot = {
+        ...withTaxBreakup(invoiceSnapshot, billTax),
+        invoiceNumber,
+      };
+      await order.save({ session });
+      await refreshOrderSummary(order._id, session);
+    }, { label: 'order bill sending' });
+
+    const loaded = await loadOrder(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Bill sent to dealer successfully',
+      data: { order: formatOrder(loaded.order, loaded.requests, getLanguage(req)) },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Send order bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error while sending bill',
+      error: error.message
+    });
+  }
+});
+
+// Helper function to format an order (and optionally its full request lines) for response
+function formatOrder(order, requests, language = 'en') {
+  const formatUser = (user) => (user && user._id ? {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+  } : user);
+
+  const formatProduct = (product) => (product && product._id ? {
+    id: product._id,
+    title: formatProductTitle(product, language),
+    packetPrice: product.packetPrice,
+    initialPacketPrice: product.initialPacketPrice,
+    packetsPerStrip: product.packetsPerStrip,
+    image: product.image,
+  } : product);
+
+  return {
+    id: order._id,
+    orderNumber: order.orderNumber,
+    orderGroupId: order.orderGroupId,
+    status: order.status,
+    dealer: formatUser(order.dealer),
+    items: (order.items || []).map(item => ({
+      requestId: item.dealerRequest,
+      product: formatProduct(item.product),
+      strips: item.strips,
+      status: item.status,
+      totalAmount: item.totalAmount,
+      paidAmount: item.paidAmount,
+    })),
+    ...(requests ? {
+      requests: requests.map(request => ({
+        id: request._id,
+        product: formatProduct(request.product),
+        strips: request.strips,
+        status: request.status,
+        paymentStatus: request.paymentStatus,
+        totalAmount: request.totalAmount,
+        paidAmount: request.paidAmount,
+        paymentType: request.paymentType,
+        isOutstanding: request.isOutstanding,
+        reservationExpiresAt: request.reservationExpiresAt,
+        backorderOf: request.backorderOf,
+        backorderedStrips: request.backorderedStrips,
+        processedAt: request.processedAt,
+        notes: request.notes,
+      })),
+    } : {}),
+    totalStrips: order.totalStrips,
+    approvedStrips: order.approvedStrips,
+    totalAmount: order.totalAmount,
+    paidAmount: order.paidAmount,
+    notes: order.notes,
+    submittedAt: order.submittedAt,
+    processedBy: formatUser(order.processedBy),
+    processedAt: order.processedAt,
+    destination: order.destination,
+    vehicleNumber: order.vehicleNumber,
+    dispatchedDocNo: order.dispatchedDocNo,
+    billSent: order.billSent,
+    billSentAt: order.billSentAt,
+    billSentBy: formatUser(order.billSentBy),
+    invoiceNumber: order.invoiceNumber,
+    invoiceSnapshot: order.invoiceSnapshot,
+    createdAt: order.createdAt,
+  };
+}
+
+module.exports = router;
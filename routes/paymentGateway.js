@@ -0,0 +1,425 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const DealerRequest = require('../models/DealerRequest');
+const GatewayEvent = require('../models/GatewayEvent');
+const GatewayOrder = require('../models/GatewayOrder');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const {
+  getPaymentGateway,
+  createGatewayOrder,
+  verifyCheckout,
+  handleWebhook,
+} = require('../utils/paymentGateway');
+const { PRODUCT_TAX_FIELDS } = require('../utils/tax');
+
+const router = express.Router();
+
+// Middleware to verify token and get user
+const verifyToken = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+    const user = await User.findById(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+};
+
+// Middleware to verify admin
+const verifyAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin privileges required.'
+    });
+  }
+  next();
+};
+
+// Middleware to verify dealer
+const verifyDealer = (req, res, next) => {
+  if (req.user.role !== 'dealer' && req.user.role !== 'dellear') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Dealer privileges required.'
+    });
+  }
+  next();
+};
+
+// Middleware to verify dealer or admin
+const verifyDealerOrAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.role !== 'dealer' && req.user.role !== 'dellear') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Dealer or admin privileges required.'
+    });
+  }
+  next();
+};
+
+// Start an online payment (Dealer only).
+// Body: { dealerRequestId } (a pending request or the open amount of an approved one)
+// or { orderId } (the unpaid lines of a cart order)
+router.post('/orders', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const { dealerRequestId, orderId } = req.body;
+    let requests;
+    let order = null;
+
+    if (orderId) {
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid order ID format'
+        });
+      }
+      order = await Order.findById(orderId);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      if (order.dealer.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only pay for your own orders.'
+        });
+      }
+      requests = await DealerRequest.find({
+        order: order._id,
+        $or: [
+          { status: 'pending', paymentStatus: { $ne: 'verified' } },
+          { status: 'approved', isOutstanding: true },
+        ],
+      })
+        .populate('product', `packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+        .sort({ createdAt: 1 });
+      if (requests.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order has nothing left to pay'
+        });
+      }
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(dealerRequestId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request ID format'
+        });
+      }
+      const request = await DealerRequest.findById(dealerRequestId)
+        .populate('product', `packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`);
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found'
+        });
+      }
+      if (request.dealer.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only pay for your own requests.'
+        });
+      }
+      requests = [request];
+    }
+
+    const result = await createGatewayOrder({
+      dealer: req.user._id,
+      requests,
+      order: order ? order._id : null,
+    }, req.user._id);
+
+    res.status(result.reused ? 200 : 201).json({
+      success: true,
+      message: 'Open checkout with these options to pay online',
+      data: {
+        gatewayOrder: result.gatewayOrder,
+        checkout: result.checkout,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Create gateway order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting online payment',
+      error: error.message
+    });
+  }
+});
+
+// Confirm a payment after checkout (Dealer only).
+// Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature } as returned by checkout
+router.post('/verify', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const result = await verifyCheckout({
+      gatewayOrderId: req.body.razorpay_order_id || req.body.gatewayOrderId,
+      gatewayPaymentId: req.body.razorpay_payment_id || req.body.gatewayPaymentId,
+      signature: req.body.razorpay_signature || req.body.signature,
+    }, req.user._id);
+
+    const messages = {
+      paid: 'Payment received',
+      partially_paid: 'Part payment received; the rest is still due',
+    };
+    res.json({
+      success: true,
+      message: messages[result.gatewayOrder.status] || 'Payment is being processed',
+      data: {
+        gatewayOrder: result.gatewayOrder,
+        outcome: result.outcome,
+        duplicate: result.duplicate,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Verify gateway payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming online payment',
+      error: error.message
+    });
+  }
+});
+
+// Gateway webhook (no user auth - the body signature is checked).
+// Needs the raw body, kept by the express.json verify hook in server.js.
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handleWebhook(
+      req.rawBody,
+      req.headers['x-razorpay-signature'],
+      req.headers['x-razorpay-event-id']
+    );
+    res.json({
+      success: true,
+      message: result.message,
+      data: result,
+    });
+  } catch (error) {
+    // Anything but a rejected delivery answers 500 so the gateway retries
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Payment gateway webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook',
+      error: error.message
+    });
+  }
+});
+
+// List gateway orders (Dealer: own, Admin: all)
+router.get('/orders', verifyToken, verifyDealerOrAdmin, async (req, res) => {
+  try {
+    const { status, dealerId, dealerRequestId, orderId, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (req.user.role === 'dealer' || req.user.role === 'dellear') {
+      query.dealer = req.user._id;
+    } else if (dealerId && mongoose.Types.ObjectId.isValid(dealerId)) {
+      query.dealer = dealerId;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (dealerRequestId && mongoose.Types.ObjectId.isValid(dealerRequestId)) {
+      query['lines.dealerRequest'] = dealerRequestId;
+    }
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+      query.order = orderId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [gatewayOrders, total] = await Promise.all([
+      GatewayOrder.find(query)
+        .populate('dealer', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      GatewayOrder.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        gatewayOrders,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Get gateway orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching online payments',
+      error: error.message
+    });
+  }
+});
+
+// Events received for a gateway order (Admin only)
+router.get('/orders/:id/events', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid gateway order ID format'
+      });
+    }
+
+    const gatewayOrder = await GatewayOrder.findById(req.params.id);
+    if (!gatewayOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gateway order not found'
+      });
+    }
+
+    const events = await GatewayEvent.find({ gatewayOrderId: gatewayOrder.gatewayOrderId })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { gatewayOrder, events },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Get gateway events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching gateway events',
+      error: error.message
+    });
+  }
+});
+
+// Pay a gateway order at the stub gateway (Dealer only, PAYMENT_GATEWAY=stub).
+// Body: { gatewayOrderId, fail, method, deliverWebhooks (default true) }
+// Returns what checkout hands the app (to POST to /verify) and the signed
+// webhooks, which are delivered here unless deliverWebhooks is false so they
+// can be replayed to /webhook (in any order, any number of times).
+router.post('/stub/checkout', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const provider = getPaymentGateway();
+    if (provider.name !== 'stub') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stub checkout is only available with the stub gateway'
+      });
+    }
+
+    const gatewayOrder = await GatewayOrder.findOne({ gatewayOrderId: req.body.gatewayOrderId });
+    if (!gatewayOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gateway order not found'
+      });
+    }
+    if (gatewayOrder.dealer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only pay for your own orders.'
+      });
+    }
+
+    const simulated = provider.simulateCheckout(gatewayOrder.gatewayOrderId, {
+      fail: req.body.fail === true || req.body.fail === 'true',
+      method: req.body.method,
+    });
+
+    const deliveries = [];
+    if (req.body.deliverWebhooks !== false && req.body.deliverWebhooks !== 'false') {
+      for (const webhook of simulated.webhooks) {
+        deliveries.push(await handleWebhook(Buffer.from(webhook.body), webhook.signature, webhook.eventId));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: simulated.checkout ? 'Stub payment captured' : 'Stub payment failed',
+      data: {
+        checkout: simulated.checkout,
+        webhooks: simulated.webhooks,
+        deliveries,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Stub checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while simulating checkout',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const { translateMessage, getLanguage } = require('../middleware/translateMessages');
+const { getAvailableToPromise, setProductStock } = require('../utils/stockReservation');
+const { fulfilBackorders } = require('../utils/backorders');
+const { GST_RATES } = require('../utils/tax');
 
 const router = express.Router();
 
@@ -70,12 +73,49 @@ const formatProduct = (product, language = 'en') => {
     packetsPerStrip: product.packetsPerStrip,
     image: product.image,
     stock: product.stock,
+    reservedStock: product.reservedStock || 0,
+    availableToPromise: getAvailableToPromise(product),
+    hsnCode: product.hsnCode || '2106',
+    gstRate: product.gstRate ?? 5,
+    cessRate: product.cessRate || 0,
+    cessPerUnit: product.cessPerUnit || 0,
+    gstExempt: product.gstExempt === true,
     createdBy: product.createdBy,
     createdAt: product.createdAt,
     updatedAt: product.updatedAt,
   };
 };
 
+// Apply tax settings from the request body; returns an error message or null
+const applyTaxSettings = (product, body, req) => {
+  const { hsnCode, gstRate, cessRate, cessPerUnit, gstExempt } = body;
+
+  if (hsnCode !== undefined) {
+    if (!/^\d{4}(\d{2}){0,2}$/.test(String(hsnCode).trim())) {
+      return translateMessage(req, 'product.hsnInvalid', 'HSN code must be 4, 6 or 8 digits');
+    }
+    product.hsnCode = String(hsnCode).trim();
+  }
+  if (gstRate !== undefined) {
+    if (!GST_RATES.includes(gstRate)) {
+      return translateMessage(req, 'product.gstRateInvalid', `GST rate must be one of ${GST_RATES.join(', ')}`);
+    }
+    product.gstRate = gstRate;
+  }
+  if (cessRate !== undefined || cessPerUnit !== undefined) {
+    const invalid = [cessRate, cessPerUnit].some(value => value !== undefined && (typeof value !== 'number' || value < 0));
+    if (invalid) {
+      return translateMessage(req, 'product.cessInvalid', 'Cess must be a positive number');
+    }
+    if (cessRate !== undefined) product.cessRate = cessRate;
+    if (cessPerUnit !== undefined) product.cessPerUnit = cessPerUnit;
+  }
+  if (gstExempt !== undefined) {
+    product.gstExempt = gstExempt === true;
+  }
+  return null;
+};
+
 // Create Product (Admin only)
 router.post('/', verifyToken, verifyAdmin, async (req, res) => {
   try {
@@ -130,6 +170,14 @@ router.post('/', verifyToken, verifyAdmin, async (req, res) => {
       createdBy: req.user._id,
     });
 
+    const taxError = applyTaxSettings(product, req.body, req);
+    if (taxError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: taxError
+      });
+    }
+
     await product.save();
 
     res.status(201).json({
@@ -249,6 +297,8 @@ router.put('/:id', verifyToken, verifyAdmin, async (req, res) => {
       });
     }
 
+    const previousStock = product.stock || 0;
+
     // Update fields - handle multilingual schema
     if (title !== undefined) {
       if (typeof title === 'string') {
@@ -320,16 +370,56 @@ router.put('/:id', verifyToken, verifyAdmin, async (req, res) => {
           message: translateMessage(req, 'product.stockInvalid', 'Stock must be a positive number (in strips)')
         });
       }
-      product.stock = stock;
+      if (!setProductStock(product, stock)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: translateMessage(req, 'product.stockBelowReserved', 'Stock cannot be set below the strips reserved for pending requests'),
+          data: { reservedStock: product.reservedStock },
+        });
+      }
     }
 
-    await product.save();
+    const taxError = applyTaxSettings(product, req.body, req);
+    if (taxError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: taxError
+      });
+    }
+
+    try {
+      await product.save();
+    } catch (saveError) {
+      // A pending request reserved strips after the product was read
+      if (saveError.name === 'DocumentNotFoundError') {
+        return res.status(409).json({ 
+          success: false, 
+          message: translateMessage(req, 'product.stockBelowReserved', 'Stock cannot be set below the strips reserved for pending requests')
+        });
+      }
+      throw saveError;
+    }
+
+    // Replenished stock goes to waiting backorders first (oldest first)
+    let backorders = null;
+    if (stock !== undefined && stock > previousStock) {
+      try {
+        backorders = await fulfilBackorders(product._id, req.user._id);
+      } catch (backorderError) {
+        console.error('Backorder fulfilment error:', backorderError);
+      }
+    }
+
+    const latest = backorders && (backorders.reserved.length > 0 || backorders.approved.length > 0)
+      ? await Product.findById(product._id)
+      : product;
 
     res.json({
       success: true,
       message: translateMessage(req, 'product.updated', 'Product updated successfully'),
       data: {
-        product: formatProduct(product, language),
+        product: formatProduct(latest, language),
+        ...(backorders ? { backorders } : {}),
       },
     });
   } catch (error) {
@@ -9,6 +9,13 @@ const Product = require('../models/Product');
 const StockAllocation = require('../models/StockAllocation');
 const Shopkeeper = require('../models/Shopkeeper');
 const { getLanguage } = require('../middleware/translateMessages');
+const { debitSales, creditSales, postStockMovement } = require('../utils/salesmanStock');
+const { runInTransaction } = require('../utils/transaction');
+const { findByIdempotencyKey, issueInvoiceNumber } = require('../utils/invoiceSeries');
+const { getPdfLanguage } = require('../utils/pdfFonts');
+const { loadSalesInvoice, renderSalesInvoice, storeSalesInvoicePdf, refreshStoredSalesInvoicePdf } = require('../utils/salesInvoicePdf');
+const { postCommissionPayout, reverseCommissionPayout } = require('../utils/journal');
+const { statusError } = require('../utils/common');
 
 const router = express.Router();
 
@@ -120,6 +127,18 @@ const getDateRange = (period) => {
   return { startDate, endDate };
 };
 
+// Helper function to get the key that identifies a sale or bill submission
+// (Idempotency-Key header, idempotencyKey, or the older clientRequestId field)
+const getIdempotencyKey = (req) => {
+  const { idempotencyKey, clientRequestId } = req.body || {};
+  return String(req.get('Idempotency-Key') || idempotencyKey || clientRequestId || '').trim() || null;
+};
+
+// Helper function to check a client did not supply its own invoice number
+const hasClientInvoiceNo = (invoiceNo) => (
+  invoiceNo !== undefined && invoiceNo !== null && String(invoiceNo).trim() !== ''
+);
+
 // ==================== SALES TRACKING ====================
 
 // Create Sale (Salesman or Dealer)
@@ -143,6 +162,14 @@ router.post('/', verifyToken, async (req, res) => {
       stockAllocationId,
     } = req.body;
 
+    // Invoice numbers only come from the dealer's series
+    if (hasClientInvoiceNo(invoiceNo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'invoiceNo cannot be supplied; it is issued from the dealer\'s invoice series',
+      });
+    }
+
     // Validate required fields
     if (!productId || !quantity || quantity <= 0) {
       return res.status(400).json({
@@ -223,6 +250,17 @@ router.post('/', verifyToken, async (req, res) => {
       }
     }
 
+    // The key the app sends only identifies the submission so a repeat is rejected
+    const idempotencyKey = getIdempotencyKey(req);
+    const duplicate = await findByIdempotencyKey(dealer._id, 'sales', idempotencyKey);
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: `This sale was already submitted as invoice ${duplicate.invoiceNumber}`,
+        data: { invoiceNo: duplicate.invoiceNumber },
+      });
+    }
+
     // Calculate strips (assuming packetsPerStrip from product)
     const strips = Math.ceil(quantity / (product.packetsPerStrip || 1));
     const totalAmount = quantity * unitPrice;
@@ -238,7 +276,6 @@ router.post('/', verifyToken, async (req, res) => {
       unitPrice,
       totalAmount,
       shopkeeper: shopkeeper ? shopkeeper._id : null,
-      invoiceNo: invoiceNo || '',
       customerName: customerName || (shopkeeper ? shopkeeper.name : '') || '',
       customerPhone: customerPhone || (shopkeeper ? shopkeeper.phone : '') || '',
       customerEmail: (customerEmail || (shopkeeper ? shopkeeper.email : '') || '').toLowerCase().trim(),
@@ -250,10 +287,43 @@ router.post('/', verifyToken, async (req, res) => {
       createdBy: req.user._id,
     });
 
-    await sale.save();
-    await sale.populate('salesman', 'name email');
-    await sale.populate('dealer', 'name email');
-    await sale.populate('product', 'title packetPrice packetsPerStrip image');
+    // Number the sale, deduct the sold packets from the salesman's on-hand
+    // stock and save the sale together, so a failed sale neither uses up a
+    // number of the series nor keeps the packets debited
+    try {
+      await runInTransaction(async (session) => {
+        const issued = await issueInvoiceNumber({
+          dealer: dealer._id,
+          series: 'sales',
+          date: sale.saleDate,
+          idempotencyKey,
+          sales: [sale._id],
+          issuedBy: req.user._id,
+        }, session);
+        sale.invoiceNo = issued.invoiceNumber;
+
+        const shortage = await debitSales([sale], req.user._id, session);
+        if (shortage) {
+          throw statusError(400, `Insufficient stock. On hand: ${shortage.available} packets, Requested: ${shortage.requested} packets`);
+        }
+
+        await Sale.insertMany([sale.toObject()], { session });
+      }, { label: 'sale creation' });
+    } catch (saveError) {
+      if (saveError.status) {
+        return res.status(saveError.status).json({
+          success: false,
+          message: saveError.message,
+          data: saveError.invoiceNumber ? { invoiceNo: saveError.invoiceNumber } : undefined,
+        });
+      }
+      throw saveError;
+    }
+
+    const createdSale = await Sale.findById(sale._id)
+      .populate('salesman', 'name email')
+      .populate('dealer', 'name email')
+      .populate('product', 'title packetPrice packetsPerStrip image');
 
     // Invalidate cache for sales reports and analytics
     const { invalidateCache } = require('../middleware/cacheMiddleware');
@@ -265,7 +335,7 @@ router.post('/', verifyToken, async (req, res) => {
     await updateSalesTarget(salesman._id, dealer._id, totalAmount, strips);
 
     const language = getLanguage(req);
-    const saleObj = sale.toObject ? sale.toObject() : sale;
+    const saleObj = createdSale.toObject ? createdSale.toObject() : createdSale;
     const transformedSale = {
       ...saleObj,
       id: saleObj._id || saleObj.id,
@@ -572,6 +642,8 @@ router.put('/:id', verifyToken, async (req, res) => {
       notes,
     } = req.body;
 
+    const previousQuantity = sale.quantity;
+
     if (quantity !== undefined) sale.quantity = quantity;
     if (unitPrice !== undefined) sale.unitPrice = unitPrice;
     if (customerName !== undefined) sale.customerName = customerName;
@@ -585,13 +657,48 @@ router.put('/:id', verifyToken, async (req, res) => {
     // Recalculate total amount and strips
     if (quantity !== undefined || unitPrice !== undefined) {
       sale.totalAmount = sale.quantity * sale.unitPrice;
-      await sale.populate('product', 'packetsPerStrip');
-      if (sale.product) {
-        sale.strips = Math.ceil(sale.quantity / (sale.product.packetsPerStrip || 1));
+      const product = await Product.findById(sale.product).select('packetsPerStrip').lean();
+      if (product) {
+        sale.strips = Math.ceil(sale.quantity / (product.packetsPerStrip || 1));
       }
     }
 
-    await sale.save();
+    // Save the sale and move the quantity difference through the salesman's
+    // stock ledger together, so neither is kept without the other
+    await sale.validate();
+    const delta = sale.billStatus !== 'rejected' ? sale.quantity - previousQuantity : 0;
+    const changes = sale.getChanges();
+    try {
+      await runInTransaction(async (session) => {
+        if (delta !== 0) {
+          const entry = await postStockMovement({
+            salesman: sale.salesman,
+            dealer: sale.dealer,
+            product: sale.product,
+            type: delta > 0 ? 'sold' : 'adjusted',
+            packets: -delta,
+            sale: sale._id,
+            invoiceNo: sale.invoiceNo,
+            notes: `Sale quantity changed from ${previousQuantity} to ${sale.quantity}`,
+            createdBy: req.user._id,
+          }, session);
+          if (!entry) {
+            throw statusError(400, `Insufficient stock to increase quantity by ${delta} packets`);
+          }
+        }
+        if (Object.keys(changes).length > 0) {
+          await Sale.updateOne({ _id: sale._id }, changes, { session });
+        }
+      }, { label: 'sale update' });
+    } catch (saveError) {
+      if (saveError.status) {
+        return res.status(saveError.status).json({
+          success: false,
+          message: saveError.message,
+        });
+      }
+      throw saveError;
+    }
     
     // Invalidate cache for sales reports and analytics
     const { invalidateCache } = require('../middleware/cacheMiddleware');
@@ -673,6 +780,11 @@ router.delete('/:id', verifyToken, async (req, res) => {
 
     await Sale.findByIdAndDelete(req.params.id);
 
+    // Put the packets back into the salesman's on-hand stock
+    if (sale.billStatus !== 'rejected') {
+      await creditSales([sale], 'adjusted', req.user._id, 'Sale deleted');
+    }
+
     res.json({
       success: true,
       message: 'Sale deleted successfully',
@@ -694,6 +806,14 @@ router.post('/bill', verifyToken, verifySalesman, async (req, res) => {
   try {
     const { shopkeeperId, customerName, customerPhone, customerEmail, location, saleDate, paymentMethod, paymentStatus, notes, items, invoiceNo } = req.body;
 
+    // Invoice numbers only come from the dealer's series
+    if (hasClientInvoiceNo(invoiceNo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'invoiceNo cannot be supplied; it is issued from the dealer\'s invoice series',
+      });
+    }
+
     if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ success: false, message: 'Items array is required' });
     }
@@ -718,10 +838,20 @@ router.post('/bill', verifyToken, verifySalesman, async (req, res) => {
       }
     }
 
-    // Generate invoiceNo if not provided
-    const inv = (invoiceNo && String(invoiceNo).trim()) || `INV-${Date.now()}`;
+    // The key the app sends only identifies the submission so a repeat is rejected
+    const idempotencyKey = getIdempotencyKey(req);
+    const duplicate = await findByIdempotencyKey(dealer._id, 'sales', idempotencyKey);
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: `This bill was already submitted as invoice ${duplicate.invoiceNumber}`,
+        data: { invoiceNo: duplicate.invoiceNumber },
+      });
+    }
+
+    const billDate = saleDate ? new Date(saleDate) : new Date();
 
-    const createdSales = [];
+    const newSales = [];
     for (const item of items) {
       const { productId, quantity, unitPrice, stockAllocationId } = item || {};
 
@@ -753,12 +883,11 @@ router.post('/bill', verifyToken, verifySalesman, async (req, res) => {
         unitPrice,
         totalAmount,
         shopkeeper: shopkeeper ? shopkeeper._id : null,
-        invoiceNo: inv,
         customerName: customerName || (shopkeeper ? shopkeeper.name : '') || '',
         customerPhone: customerPhone || (shopkeeper ? shopkeeper.phone : '') || '',
         customerEmail: (customerEmail || (shopkeeper ? shopkeeper.email : '') || '').toLowerCase().trim(),
         location: location || (shopkeeper ? shopkeeper.location : {}) || {},
-        saleDate: saleDate ? new Date(saleDate) : new Date(),
+        saleDate: billDate,
         paymentMethod: paymentMethod || 'cash',
         paymentStatus: paymentStatus || 'completed',
         billStatus: 'pending', // Bills need dealer approval
@@ -766,11 +895,50 @@ router.post('/bill', verifyToken, verifySalesman, async (req, res) => {
         createdBy: req.user._id,
       });
 
-      await sale.save();
-      createdSales.push(sale);
+      newSales.push(sale);
+    }
 
+    // Number the bill, deduct the sold packets from the salesman's on-hand
+    // stock (blocks the bill if short) and save its rows together, so a failed
+    // bill neither uses up a number of the series nor keeps the packets debited
+    let inv;
+    try {
+      inv = await runInTransaction(async (session) => {
+        const issued = await issueInvoiceNumber({
+          dealer: dealer._id,
+          series: 'sales',
+          date: billDate,
+          idempotencyKey,
+          sales: newSales.map((s) => s._id),
+          issuedBy: req.user._id,
+        }, session);
+        newSales.forEach((s) => { s.invoiceNo = issued.invoiceNumber; });
+
+        const shortage = await debitSales(newSales, req.user._id, session);
+        if (shortage) {
+          const shortProduct = await Product.findById(shortage.product).select('title').session(session).lean();
+          throw statusError(400, `Insufficient stock for ${formatProductTitle(shortProduct, getLanguage(req)) || 'product'}. On hand: ${shortage.available} packets, Requested: ${shortage.requested} packets`);
+        }
+
+        await Sale.insertMany(newSales.map((s) => s.toObject()), { session });
+        return issued.invoiceNumber;
+      }, { label: 'bill creation' });
+    } catch (saveError) {
+      if (saveError.status) {
+        return res.status(saveError.status).json({
+          success: false,
+          message: saveError.message,
+          data: saveError.invoiceNumber ? { invoiceNo: saveError.invoiceNumber } : undefined,
+        });
+      }
+      throw saveError;
+    }
+
+    const createdSales = newSales;
+
+    for (const sale of createdSales) {
       // Update sales target if exists
-      await updateSalesTarget(req.user._id, dealer._id, totalAmount, strips);
+      await updateSalesTarget(req.user._id, dealer._id, sale.totalAmount, sale.strips);
     }
 
     // Populate the sales for response
@@ -1465,7 +1633,7 @@ router.put('/commissions/:id/status', verifyToken, verifyDealer, async (req, res
       });
     }
 
-    const { status } = req.body;
+    const { status, paymentMethod = 'cash' } = req.body;
 
     if (!status || !['pending', 'approved', 'paid', 'cancelled'].includes(status)) {
       return res.status(400).json({
@@ -1474,9 +1642,16 @@ router.put('/commissions/:id/status', verifyToken, verifyDealer, async (req, res
       });
     }
 
-    const commission = await Commission.findById(req.params.id);
+    if (!['cash', 'bank_transfer', 'upi'].includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'paymentMethod must be cash, bank_transfer or upi',
+      });
+    }
 
-    if (!commission) {
+    const existing = await Commission.findById(req.params.id).select('dealer').lean();
+
+    if (!existing) {
       return res.status(404).json({ 
         success: false, 
         message: 'Commission not found' 
@@ -1484,20 +1659,32 @@ router.put('/commissions/:id/status', verifyToken, verifyDealer, async (req, res
     }
 
     // Check access
-    if (commission.dealer.toString() !== req.user._id.toString()) {
+    if (existing.dealer.toString() !== req.user._id.toString()) {
       return res.status(403).json({ 
         success: false, 
         message: 'Access denied' 
       });
     }
 
-    commission.status = status;
-    if (status === 'paid') {
-      commission.paidAt = new Date();
-      commission.paidBy = req.user._id;
-    }
+    // Payouts are posted to the dealer's journal; un-paying one reverses it
+    const commission = await runInTransaction(async (session) => {
+      const current = await Commission.findById(req.params.id).session(session);
+      const wasPaid = current.status === 'paid';
 
-    await commission.save();
+      current.status = status;
+      if (status === 'paid' && !wasPaid) {
+        current.paidAt = new Date();
+        current.paidBy = req.user._id;
+      }
+      await current.save({ session });
+
+      if (status === 'paid' && !wasPaid) {
+        await postCommissionPayout(current, paymentMethod, req.user._id, session);
+      } else if (wasPaid && status !== 'paid') {
+        await reverseCommissionPayout(current, req.user._id, session);
+      }
+      return current;
+    }, { label: 'commission status update' });
     await commission.populate('salesman', 'name email');
     await commission.populate('dealer', 'name email');
     await commission.populate('paidBy', 'name email');
@@ -1841,7 +2028,7 @@ router.put('/bills/:invoiceNo/approve', verifyToken, verifyDealer, async (req, r
 
     // Update all sales in the bill
     await Sale.updateMany(
-      { invoiceNo, dealer: req.user._id },
+      { invoiceNo, dealer: req.user._id, billStatus: 'pending' },
       {
         billStatus: 'approved',
         billApprovedBy: req.user._id,
@@ -1849,6 +2036,13 @@ router.put('/bills/:invoiceNo/approve', verifyToken, verifyDealer, async (req, r
       }
     );
 
+    // A PDF stored before approval still says "pending approval"
+    try {
+      await refreshStoredSalesInvoicePdf({ invoiceNo, dealer: req.user._id });
+    } catch (pdfError) {
+      console.error('Refresh bill PDF error:', pdfError);
+    }
+
     // Invalidate cache for sales reports and analytics
     const { invalidateCache } = require('../middleware/cacheMiddleware');
     invalidateCache('sales:*');
@@ -1873,7 +2067,56 @@ router.put('/bills/:invoiceNo/approve', verifyToken, verifyDealer, async (req, r
   }
 });
 
-// Save bill name type choice (Salesman only)
+// Helper function to get the Sale filter of a bill the user may print
+const getBillFilter = (user, invoiceNo) => {
+  if (user.role === 'salesman') {
+    return { invoiceNo, salesman: user._id };
+  }
+  if (user.role === 'dealer' || user.role === 'dellear') {
+    return { invoiceNo, dealer: user._id };
+  }
+  return null;
+};
+
+// Download bill PDF rendered by the server (Salesman: own bills, Dealer: own salesmen's bills)
+router.get('/bills/:invoiceNo/pdf', verifyToken, async (req, res) => {
+  try {
+    const filter = getBillFilter(req.user, req.params.invoiceNo);
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Salesman or dealer access required',
+      });
+    }
+
+    const invoice = await loadSalesInvoice(filter);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found or you do not have permission',
+      });
+    }
+
+    const nameType = req.query.nameType === 'company' || req.query.nameType === 'personal' ? req.query.nameType : undefined;
+    const { buffer } = await renderSalesInvoice(invoice, { language: getPdfLanguage(req), nameType });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Bill-${invoice.invoiceNo.replace(/[^A-Za-z0-9-]/g, '-')}.pdf"`);
+    res.send(buffer);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Generate bill PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating bill PDF',
+      error: error.message,
+    });
+  }
+});
+
+// Render and store bill PDF with the chosen name type (Salesman: own bills, Dealer: own salesmen's bills)
 router.put('/bills/:invoiceNo/save-pdf', verifyToken, async (req, res) => {
   try {
     const { invoiceNo } = req.params;
@@ -1886,41 +2129,62 @@ router.put('/bills/:invoiceNo/save-pdf', verifyToken, async (req, res) => {
       });
     }
 
-    // Verify that the salesman created this bill
-    const sales = await Sale.find({
-      invoiceNo,
-      salesman: req.user._id,
-    });
+    const filter = getBillFilter(req.user, invoiceNo);
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Salesman or dealer access required',
+      });
+    }
 
-    if (sales.length === 0) {
+    const invoice = await loadSalesInvoice(filter);
+    if (!invoice) {
       return res.status(404).json({
         success: false,
         message: 'Bill not found or you do not have permission',
       });
     }
 
-    // Update all sales in the bill with name type choice
-    await Sale.updateMany(
-      { invoiceNo, salesman: req.user._id },
+    if (invoice.sales.some((sale) => sale.billStatus === 'rejected')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot generate PDF for a rejected bill',
+      });
+    }
+
+    // Render on the server and keep the file, so the app only links to it
+    const rendered = await renderSalesInvoice(invoice, { language: getPdfLanguage(req), nameType });
+    const billPdfUrl = await storeSalesInvoicePdf(rendered.buffer, invoice, rendered.language);
+
+    const result = await Sale.updateMany(
+      { _id: { $in: invoice.sales.map((sale) => sale._id) } },
       {
         billNameType: nameType,
+        billPdfUrl,
+        billPdfLanguage: rendered.language,
+        billPdfGeneratedAt: new Date(),
       }
     );
 
     res.json({
       success: true,
-      message: 'Bill name type saved successfully',
+      message: 'Bill PDF generated successfully',
       data: {
-        invoiceNo,
-        updatedCount: sales.length,
+        invoiceNo: invoice.invoiceNo,
+        updatedCount: result.modifiedCount,
         nameType,
+        language: rendered.language,
+        billPdfUrl,
       },
     });
   } catch (error) {
-    console.error('Save bill name type error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Save bill PDF error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while saving bill name type',
+      message: 'Server error while generating bill PDF',
       error: error.message,
     });
   }
@@ -1945,16 +2209,43 @@ router.put('/bills/:invoiceNo/reject', verifyToken, verifyDealer, async (req, re
       });
     }
 
-    // Update all sales in the bill
-    await Sale.updateMany(
-      { invoiceNo, dealer: req.user._id },
-      {
-        billStatus: 'rejected',
-        billApprovedBy: req.user._id,
-        billApprovedAt: new Date(),
-        billRejectionReason: reason || '',
+    // Reject the bill and credit the packets back to the salesman together.
+    // Only the rows still pending are rejected, so a concurrent approve or
+    // reject makes this one fail instead of crediting the stock twice
+    let returnedPackets;
+    try {
+      returnedPackets = await runInTransaction(async (session) => {
+        const result = await Sale.updateMany(
+          { invoiceNo, dealer: req.user._id, billStatus: 'pending' },
+          {
+            billStatus: 'rejected',
+            billApprovedBy: req.user._id,
+            billApprovedAt: new Date(),
+            billRejectionReason: reason || '',
+          },
+          { session }
+        );
+        if (result.modifiedCount !== sales.length) {
+          throw statusError(409, 'Bill was already processed');
+        }
+
+        return creditSales(
+          sales,
+          'returned',
+          req.user._id,
+          `Bill rejected${reason ? `: ${reason}` : ''}`,
+          session
+        );
+      }, { label: 'bill rejection' });
+    } catch (rejectError) {
+      if (rejectError.status) {
+        return res.status(rejectError.status).json({
+          success: false,
+          message: rejectError.message,
+        });
       }
-    );
+      throw rejectError;
+    }
 
     // Invalidate cache for sales reports and analytics
     const { invalidateCache } = require('../middleware/cacheMiddleware');
@@ -1968,6 +2259,7 @@ router.put('/bills/:invoiceNo/reject', verifyToken, verifyDealer, async (req, re
       data: {
         invoiceNo,
         rejectedCount: sales.length,
+        returnedPackets,
       },
     });
   } catch (error) {
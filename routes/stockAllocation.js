@@ -5,6 +5,17 @@ const DealerStock = require('../models/DealerStock');
 const StockAllocation = require('../models/StockAllocation');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const SalesmanStock = require('../models/SalesmanStock');
+const SalesmanStockLedger = require('../models/SalesmanStockLedger');
+const StockReturn = require('../models/StockReturn');
+const {
+  ensureSalesmanStock,
+  postStockMovement,
+  getOutstandingAllocations,
+  returnStockToDealer,
+} = require('../utils/salesmanStock');
+const { runInTransaction } = require('../utils/transaction');
+const { statusError } = require('../utils/common');
 
 const router = express.Router();
 
@@ -198,6 +209,9 @@ router.post('/allocate', verifyToken, verifyDealer, async (req, res) => {
       });
     }
 
+    // Open the salesman's ledger balance before adding new allocations to it
+    await ensureSalesmanStock(salesmanId, req.user._id, productId);
+
     // Find available dealer stock for this product
     const dealerStocks = await DealerStock.find({
       dealer: req.user._id,
@@ -251,6 +265,20 @@ router.post('/allocate', verifyToken, verifyDealer, async (req, res) => {
       });
     }
 
+    // Credit the allocated packets to the salesman's stock ledger
+    for (const allocation of allocations) {
+      await postStockMovement({
+        salesman: salesmanId,
+        dealer: req.user._id,
+        product: productId,
+        type: 'allocated',
+        packets: allocation.strips * (product.packetsPerStrip || 1),
+        stockAllocation: allocation._id,
+        notes: allocation.notes,
+        createdBy: req.user._id,
+      });
+    }
+
     // Populate allocation data
     await allocations[0].populate('product', 'title packetPrice packetsPerStrip image');
     await allocations[0].populate('salesman', 'name email');
@@ -325,10 +353,11 @@ router.get('/dealer/allocations', verifyToken, verifyDealer, async (req, res) =>
           image: allocation.product.image,
         },
         strips: allocation.strips,
+        returnedStrips: allocation.returnedStrips || 0,
         notes: allocation.notes,
         createdAt: allocation.createdAt,
       });
-      allocationsBySalesman[salesmanId].totalStrips += allocation.strips;
+      allocationsBySalesman[salesmanId].totalStrips += allocation.strips - (allocation.returnedStrips || 0);
     });
 
     res.json({
@@ -429,8 +458,8 @@ router.get('/salesman/dealer-stock', verifyToken, verifySalesman, async (req, re
   }
 });
 
-// Get Allocated Stock for Salesman (Salesman only - view their allocated stock) - DEPRECATED
-// Keeping for backward compatibility but salesman should use /salesman/dealer-stock instead
+// Get Allocated Stock for Salesman (Salesman only - view their allocated and on-hand stock)
+// totalStrips is what was ever allocated; onHandPackets/onHandStrips come from the stock ledger
 router.get('/salesman/stock', verifyToken, verifySalesman, async (req, res) => {
   try {
     const allocations = await StockAllocation.find({ salesman: req.user._id })
@@ -456,10 +485,11 @@ router.get('/salesman/stock', verifyToken, verifySalesman, async (req, res) => {
           allocations: [],
         };
       }
-      stockByProduct[productId].totalStrips += allocation.strips;
+      stockByProduct[productId].totalStrips += allocation.strips - (allocation.returnedStrips || 0);
       stockByProduct[productId].allocations.push({
         id: allocation._id,
         strips: allocation.strips,
+        returnedStrips: allocation.returnedStrips || 0,
         dealer: {
           id: allocation.dealer._id,
           name: allocation.dealer.name,
@@ -470,6 +500,15 @@ router.get('/salesman/stock', verifyToken, verifySalesman, async (req, res) => {
       });
     });
 
+    // Attach on-hand quantities from the salesman stock ledger
+    for (const productId of Object.keys(stockByProduct)) {
+      const entry = stockByProduct[productId];
+      const balance = await ensureSalesmanStock(req.user._id, entry.allocations[0].dealer.id, productId);
+      const onHandPackets = balance ? balance.onHandPackets : 0;
+      entry.onHandPackets = onHandPackets;
+      entry.onHandStrips = Math.floor(onHandPackets / (entry.product.packetsPerStrip || 1));
+    }
+
     const stockList = Object.values(stockByProduct);
 
     res.json({
@@ -486,5 +525,777 @@ router.get('/salesman/stock', verifyToken, verifySalesman, async (req, res) => {
   }
 });
 
+// Get Stock Ledger for Salesman (Salesman only - their own stock movements)
+router.get('/salesman/ledger', verifyToken, verifySalesman, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, productId, type } = req.query;
+
+    const query = { salesman: req.user._id };
+    if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+      query.product = productId;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await SalesmanStockLedger.find(query)
+      .populate('product', 'title packetsPerStrip image')
+      .populate('createdBy', 'name email')
+      .lean()
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await SalesmanStockLedger.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(formatLedgerEntry),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get salesman ledger error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching stock ledger',
+      error: error.message 
+    });
+  }
+});
+
+// Get Stock Ledger of a Salesman (Dealer only - for their own salesmen)
+router.get('/dealer/salesman/:salesmanId/ledger', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const { salesmanId } = req.params;
+    const { page = 1, limit = 50, productId, type } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(salesmanId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid salesman ID' 
+      });
+    }
+
+    const salesman = await User.findOne({
+      _id: salesmanId,
+      createdBy: req.user._id,
+      role: 'salesman',
+    });
+
+    if (!salesman) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Salesman not found or access denied' 
+      });
+    }
+
+    const query = { salesman: salesmanId, dealer: req.user._id };
+    if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+      query.product = productId;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await SalesmanStockLedger.find(query)
+      .populate('product', 'title packetsPerStrip image')
+      .populate('createdBy', 'name email')
+      .lean()
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await SalesmanStockLedger.countDocuments(query);
+
+    const balances = await SalesmanStock.find({ salesman: salesmanId, dealer: req.user._id })
+      .populate('product', 'title packetsPerStrip image')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        salesman: {
+          id: salesman._id,
+          name: salesman.name,
+          email: salesman.email,
+        },
+        balances: balances.map(balance => ({
+          product: balance.product ? {
+            id: balance.product._id,
+            title: balance.product.title,
+            packetsPerStrip: balance.product.packetsPerStrip,
+            image: balance.product.image,
+          } : null,
+          onHandPackets: balance.onHandPackets,
+          onHandStrips: balance.product
+            ? Math.floor(balance.onHandPackets / (balance.product.packetsPerStrip || 1))
+            : 0,
+          lastEntryAt: balance.lastEntryAt,
+        })),
+        entries: entries.map(formatLedgerEntry),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get dealer salesman ledger error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching stock ledger',
+      error: error.message 
+    });
+  }
+});
+
+// Adjust Salesman Stock (Dealer only - manual correction for damaged/lost/miscounted packets)
+router.post('/adjust', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const { salesmanId, productId, packets, notes } = req.body;
+
+    if (!salesmanId || !productId || packets === undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide salesmanId, productId, and packets' 
+      });
+    }
+
+    if (typeof packets !== 'number' || !Number.isInteger(packets) || packets === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Packets must be a non-zero whole number (negative to remove stock)' 
+      });
+    }
+
+    if (!notes || !String(notes).trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A reason is required for stock adjustments' 
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(salesmanId) || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid salesman or product ID' 
+      });
+    }
+
+    const salesman = await User.findOne({
+      _id: salesmanId,
+      createdBy: req.user._id,
+      role: 'salesman',
+    });
+
+    if (!salesman) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Salesman not found or access denied' 
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found' 
+      });
+    }
+
+    const entry = await postStockMovement({
+      salesman: salesmanId,
+      dealer: req.user._id,
+      product: productId,
+      type: 'adjusted',
+      packets,
+      notes: String(notes).trim(),
+      createdBy: req.user._id,
+    });
+
+    if (!entry) {
+      const balance = await SalesmanStock.findOne({ salesman: salesmanId, product: productId }).lean();
+      return res.status(400).json({ 
+        success: false, 
+        message: `Insufficient stock. On hand: ${balance ? balance.onHandPackets : 0} packets, Adjustment: ${packets} packets` 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Salesman stock adjusted successfully',
+      data: { entry },
+    });
+  } catch (error) {
+    console.error('Adjust salesman stock error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during stock adjustment',
+      error: error.message 
+    });
+  }
+});
+
+// ==================== STOCK RETURNS / RECALLS ====================
+
+// Request Stock Return (Salesman only - send unsold strips back to their dealer)
+router.post('/salesman/returns', verifyToken, verifySalesman, async (req, res) => {
+  try {
+    const { productId, strips, reason } = req.body;
+
+    if (!productId || !strips) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide productId and strips' 
+      });
+    }
+
+    if (typeof strips !== 'number' || !Number.isInteger(strips) || strips < 1) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Strips must be a positive whole number' 
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a reason for the return' 
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid product ID' 
+      });
+    }
+
+    const dealerId = req.user.createdBy;
+    if (!dealerId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dealer not found for this salesman',
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found' 
+      });
+    }
+
+    // Only whole, unsold strips that are still allocated can go back
+    const balance = await ensureSalesmanStock(req.user._id, dealerId, productId);
+    const onHandStrips = Math.floor((balance ? balance.onHandPackets : 0) / (product.packetsPerStrip || 1));
+    const allocations = await getOutstandingAllocations(req.user._id, dealerId, productId);
+    const outstandingStrips = allocations.reduce(
+      (sum, allocation) => sum + allocation.strips - (allocation.returnedStrips || 0),
+      0
+    );
+    const returnableStrips = Math.min(onHandStrips, outstandingStrips);
+
+    if (strips > returnableStrips) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Insufficient unsold stock. Returnable: ${returnableStrips} strips, Requested: ${strips} strips` 
+      });
+    }
+
+    const stockReturn = new StockReturn({
+      dealer: dealerId,
+      salesman: req.user._id,
+      product: productId,
+      strips,
+      type: 'return',
+      status: 'pending',
+      reason: String(reason).trim(),
+      initiatedBy: req.user._id,
+    });
+    await stockReturn.save();
+
+    await stockReturn.populate('product', 'title packetPrice packetsPerStrip image');
+    await stockReturn.populate('salesman', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock return requested. Waiting for dealer to accept.',
+      data: { stockReturn: formatStockReturn(stockReturn.toObject()) },
+    });
+  } catch (error) {
+    console.error('Request stock return error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while requesting stock return',
+      error: error.message 
+    });
+  }
+});
+
+// Get Stock Returns (Salesman only - their own returns and recalls)
+router.get('/salesman/returns', verifyToken, verifySalesman, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+
+    const query = { salesman: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const stockReturns = await StockReturn.find(query)
+      .populate('product', 'title packetPrice packetsPerStrip image')
+      .populate('salesman', 'name email')
+      .populate('initiatedBy', 'name email role')
+      .populate('processedBy', 'name email')
+      .lean()
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await StockReturn.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        returns: stockReturns.map(formatStockReturn),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get salesman stock returns error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching stock returns',
+      error: error.message 
+    });
+  }
+});
+
+// Get Stock Returns (Dealer only - returns and recalls for their salesmen)
+router.get('/dealer/returns', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, salesmanId, productId } = req.query;
+
+    const query = { dealer: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+    if (salesmanId && mongoose.Types.ObjectId.isValid(salesmanId)) {
+      query.salesman = salesmanId;
+    }
+    if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+      query.product = productId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const stockReturns = await StockReturn.find(query)
+      .populate('product', 'title packetPrice packetsPerStrip image')
+      .populate('salesman', 'name email')
+      .populate('initiatedBy', 'name email role')
+      .populate('processedBy', 'name email')
+      .lean()
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await StockReturn.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        returns: stockReturns.map(formatStockReturn),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get dealer stock returns error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching stock returns',
+      error: error.message 
+    });
+  }
+});
+
+// Accept Stock Return (Dealer only - takes the strips back into dealer stock)
+router.put('/dealer/returns/:id/accept', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid return ID format' 
+      });
+    }
+
+    const stockReturn = await StockReturn.findOne({ _id: req.params.id, dealer: req.user._id });
+    if (!stockReturn) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Stock return not found' 
+      });
+    }
+
+    if (stockReturn.status !== 'pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Stock return is already ${stockReturn.status}` 
+      });
+    }
+
+    // Claim the return while it is still pending and move the strips back in
+    // the same transaction, so a double accept or a failure partway through
+    // never leaves the ledger, allocations and dealer stock out of step
+    let completed;
+    try {
+      completed = await runInTransaction(async (session) => {
+        const claimed = await StockReturn.findOneAndUpdate(
+          { _id: stockReturn._id, status: 'pending' },
+          { $set: { status: 'completed', processedBy: req.user._id, processedAt: new Date() } },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw statusError(400, 'Stock return is already processed');
+        }
+
+        const result = await returnStockToDealer(claimed, req.user._id, session);
+        if (!result.success) {
+          throw statusError(400, result.message);
+        }
+
+        claimed.allocations = result.allocations;
+        await claimed.save({ session });
+        return claimed;
+      }, { label: 'stock return acceptance' });
+    } catch (acceptError) {
+      if (acceptError.status) {
+        return res.status(acceptError.status).json({ 
+          success: false, 
+          message: acceptError.message 
+        });
+      }
+      throw acceptError;
+    }
+
+    await completed.populate('product', 'title packetPrice packetsPerStrip image');
+    await completed.populate('salesman', 'name email');
+    await completed.populate('processedBy', 'name email');
+
+    res.json({
+      success: true,
+      message: `Accepted ${completed.strips} returned strips`,
+      data: { stockReturn: formatStockReturn(completed.toObject()) },
+    });
+  } catch (error) {
+    console.error('Accept stock return error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while accepting stock return',
+      error: error.message 
+    });
+  }
+});
+
+// Reject Stock Return (Dealer only - salesman keeps the strips)
+router.put('/dealer/returns/:id/reject', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid return ID format' 
+      });
+    }
+
+    const stockReturn = await StockReturn.findOne({ _id: req.params.id, dealer: req.user._id });
+    if (!stockReturn) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Stock return not found' 
+      });
+    }
+
+    if (stockReturn.status !== 'pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Stock return is already ${stockReturn.status}` 
+      });
+    }
+
+    // Only a return that is still pending can be rejected (not one a
+    // concurrent accept has just completed)
+    const rejected = await StockReturn.findOneAndUpdate(
+      { _id: stockReturn._id, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          rejectionReason: req.body.reason || '',
+          processedBy: req.user._id,
+          processedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!rejected) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Stock return is already processed' 
+      });
+    }
+
+    await rejected.populate('product', 'title packetPrice packetsPerStrip image');
+    await rejected.populate('salesman', 'name email');
+    await rejected.populate('processedBy', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Stock return rejected',
+      data: { stockReturn: formatStockReturn(rejected.toObject()) },
+    });
+  } catch (error) {
+    console.error('Reject stock return error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while rejecting stock return',
+      error: error.message 
+    });
+  }
+});
+
+// Recall Stock from Salesman (Dealer only - forced return, applied immediately)
+// Omit productId to recall every product; omit strips to recall all unsold strips
+router.post('/recall', verifyToken, verifyDealer, async (req, res) => {
+  try {
+    const { salesmanId, productId, strips, reason } = req.body;
+
+    if (!salesmanId || !mongoose.Types.ObjectId.isValid(salesmanId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid salesmanId is required' 
+      });
+    }
+
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid product ID' 
+      });
+    }
+
+    if (strips !== undefined && (typeof strips !== 'number' || !Number.isInteger(strips) || strips < 1)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Strips must be a positive whole number' 
+      });
+    }
+
+    if (strips !== undefined && !productId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'productId is required when recalling a specific number of strips' 
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a reason for the recall' 
+      });
+    }
+
+    const salesman = await User.findOne({
+      _id: salesmanId,
+      createdBy: req.user._id,
+      role: 'salesman',
+    });
+
+    if (!salesman) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Salesman not found or access denied' 
+      });
+    }
+
+    const productIds = productId
+      ? [productId]
+      : await StockAllocation.distinct('product', { salesman: salesmanId, dealer: req.user._id });
+
+    const recalls = [];
+    const skipped = [];
+
+    for (const id of productIds) {
+      const product = await Product.findById(id);
+      if (!product) {
+        skipped.push({ product: id, message: 'Product not found' });
+        continue;
+      }
+
+      let stripsToRecall = strips;
+      if (stripsToRecall === undefined) {
+        // Everything unsold that is still allocated
+        const balance = await ensureSalesmanStock(salesmanId, req.user._id, id);
+        const onHandStrips = Math.floor((balance ? balance.onHandPackets : 0) / (product.packetsPerStrip || 1));
+        const allocations = await getOutstandingAllocations(salesmanId, req.user._id, id);
+        const outstandingStrips = allocations.reduce(
+          (sum, allocation) => sum + allocation.strips - (allocation.returnedStrips || 0),
+          0
+        );
+        stripsToRecall = Math.min(onHandStrips, outstandingStrips);
+      }
+
+      if (!stripsToRecall) {
+        continue;
+      }
+
+      const stockReturn = new StockReturn({
+        dealer: req.user._id,
+        salesman: salesmanId,
+        product: id,
+        strips: stripsToRecall,
+        type: 'recall',
+        reason: String(reason).trim(),
+        initiatedBy: req.user._id,
+      });
+
+      // Move the strips back and record the completed recall together
+      const result = await runInTransaction(async (session) => {
+        const outcome = await returnStockToDealer(stockReturn, req.user._id, session);
+        if (outcome.success) {
+          stockReturn.allocations = outcome.allocations;
+          stockReturn.status = 'completed';
+          stockReturn.processedBy = req.user._id;
+          stockReturn.processedAt = new Date();
+          await StockReturn.create([stockReturn.toObject()], { session });
+        }
+        return outcome;
+      }, { label: 'stock recall' });
+      if (!result.success) {
+        skipped.push({ product: id, message: result.message });
+        continue;
+      }
+
+      await stockReturn.populate('product', 'title packetPrice packetsPerStrip image');
+      await stockReturn.populate('salesman', 'name email');
+      recalls.push(formatStockReturn(stockReturn.toObject()));
+    }
+
+    if (recalls.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: skipped.length > 0 ? skipped[0].message : 'Salesman has no unsold stock to recall',
+        data: { skipped },
+      });
+    }
+
+    const totalRecalled = recalls.reduce((sum, recall) => sum + recall.strips, 0);
+
+    res.status(201).json({
+      success: true,
+      message: `Recalled ${totalRecalled} strips from ${salesman.name}`,
+      data: { 
+        recalls,
+        skipped,
+        totalRecalled,
+      },
+    });
+  } catch (error) {
+    console.error('Recall stock error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during stock recall',
+      error: error.message 
+    });
+  }
+});
+
+// Helper function to format a stock return for response
+function formatStockReturn(stockReturn) {
+  const formatUser = (user) => (user && user._id ? {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    ...(user.role ? { role: user.role } : {}),
+  } : user);
+
+  return {
+    id: stockReturn._id || stockReturn.id,
+    type: stockReturn.type,
+    status: stockReturn.status,
+    strips: stockReturn.strips,
+    reason: stockReturn.reason,
+    rejectionReason: stockReturn.rejectionReason,
+    product: stockReturn.product && stockReturn.product._id ? {
+      id: stockReturn.product._id,
+      title: stockReturn.product.title,
+      packetPrice: stockReturn.product.packetPrice,
+      packetsPerStrip: stockReturn.product.packetsPerStrip,
+      image: stockReturn.product.image,
+    } : stockReturn.product,
+    salesman: formatUser(stockReturn.salesman),
+    initiatedBy: formatUser(stockReturn.initiatedBy),
+    processedBy: formatUser(stockReturn.processedBy),
+    processedAt: stockReturn.processedAt,
+    allocations: (stockReturn.allocations || []).map(part => ({
+      stockAllocation: part.stockAllocation,
+      dealerStock: part.dealerStock,
+      strips: part.strips,
+    })),
+    createdAt: stockReturn.createdAt,
+  };
+}
+
+// Helper function to format a stock ledger entry for response
+function formatLedgerEntry(entry) {
+  return {
+    id: entry._id,
+    type: entry.type,
+    packets: entry.packets,
+    balanceAfter: entry.balanceAfter,
+    product: entry.product ? {
+      id: entry.product._id,
+      title: entry.product.title,
+      packetsPerStrip: entry.product.packetsPerStrip,
+      image: entry.product.image,
+    } : entry.product,
+    stockAllocation: entry.stockAllocation,
+    sale: entry.sale,
+    stockReturn: entry.stockReturn,
+    invoiceNo: entry.invoiceNo,
+    notes: entry.notes,
+    createdBy: entry.createdBy ? {
+      id: entry.createdBy._id,
+      name: entry.createdBy.name,
+      email: entry.createdBy.email,
+    } : entry.createdBy,
+    createdAt: entry.createdAt,
+  };
+}
+
 module.exports = router;
 
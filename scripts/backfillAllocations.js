@@ -0,0 +1,179 @@
+/**
+ * Allocate payments completed before payment allocations existed
+ *
+ * DealerRequest.paidAmount used to hold only what was paid at approval, and
+ * completed payments were not linked to the bills they settled. This script,
+ * per approved request with completed payments recorded against it:
+ * - records the payments covering the approval paidAmount as 'approval'
+ *   allocations (the request already counts them)
+ * - applies later payments as 'linked' allocations, up to what is open on
+ *   the request (updating paidAmount / isOutstanding / outstanding rows)
+ * With --fifo, payments still unallocated afterwards are applied to each
+ * dealer's oldest open bills.
+ *
+ * Payments that already have allocations are skipped, so the script can be
+ * re-run.
+ *
+ * Usage:
+ *   node scripts/backfillAllocations.js [--dry-run] [--fifo]
+ */
+
+require('dotenv').config();
+const { initializeDatabases } = require('../config/database');
+const { runInTransaction } = require('../utils/transaction');
+const DealerRequest = require('../models/DealerRequest');
+const Payment = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const {
+  isAllocatable,
+  getInvoiceAmount,
+  getOpenInvoices,
+  getUnallocatedPayments,
+  createAllocation,
+  allocatePayment,
+} = require('../utils/paymentAllocation');
+const { round2 } = require('../utils/common');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    dryRun: args.includes('--dry-run') || args.includes('--dryrun'),
+    fifo: args.includes('--fifo'),
+  };
+}
+
+/**
+ * Allocate the unallocated payments recorded against one request
+ * @param {ObjectId} requestId - Approved DealerRequest
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<number>} - Allocations created
+ */
+async function backfillRequest(requestId, session) {
+  const request = await DealerRequest.findById(requestId).session(session);
+  const completed = await Payment.find({ dealerRequest: request._id, status: 'completed' })
+    .sort({ transactionDate: 1, createdAt: 1 })
+    .session(session);
+  const allocated = await PaymentAllocation.distinct('payment', {
+    payment: { $in: completed.map(payment => payment._id) },
+    status: 'active',
+  }).session(session);
+  const allocatedIds = new Set(allocated.map(id => id.toString()));
+  const payments = completed.filter(payment => isAllocatable(payment) && !allocatedIds.has(payment._id.toString()));
+
+  const existing = await PaymentAllocation.find({ dealerRequest: request._id, status: 'active' }).session(session).lean();
+  let covered = round2((request.paidAmount || 0) - existing.reduce((sum, allocation) => sum + allocation.amount, 0));
+  let created = 0;
+
+  for (const payment of payments) {
+    let remaining = payment.amount;
+
+    // Already counted in paidAmount (paid at approval)
+    const approval = Math.min(covered, remaining);
+    if (approval > 0) {
+      await createAllocation(payment, request, approval, 'approval', null, session);
+      covered = round2(covered - approval);
+      remaining = round2(remaining - approval);
+      created++;
+    }
+
+    // Paid later against the request
+    const open = round2(getInvoiceAmount(request) - (request.paidAmount || 0));
+    const linked = Math.min(open, remaining);
+    if (linked > 0) {
+      await createAllocation(payment, request, linked, 'linked', null, session);
+      created++;
+    }
+  }
+  return created;
+}
+
+/**
+ * Backfill payment allocations
+ * @param {Object} opts - Options object
+ * @param {boolean} opts.dryRun - Only count what would be allocated (default: false)
+ * @param {boolean} opts.fifo - Apply the remaining advances to the oldest open bills (default: false)
+ */
+async function backfillAllocations(opts = null) {
+  const options = opts || parseArgs();
+  try {
+    console.log('🔄 Initializing databases...');
+    await initializeDatabases();
+    console.log('✅ Databases initialized\n');
+    console.log(`📊 Dry run: ${options.dryRun ? 'YES (no changes will be made)' : 'NO (will allocate payments)'}`);
+    console.log(`📊 FIFO for remaining advances: ${options.fifo ? 'YES' : 'NO'}\n`);
+
+    let errors = 0;
+
+    // Requests with completed payments recorded against them
+    const requestIds = await Payment.distinct('dealerRequest', {
+      status: 'completed',
+      type: { $in: ['payment', 'credit'] },
+      creditDebitNote: null,
+      dealerRequest: { $ne: null },
+    });
+    const requests = await DealerRequest.find({ _id: { $in: requestIds }, status: 'approved' })
+      .select('_id')
+      .sort({ processedAt: 1 })
+      .lean();
+
+    let allocations = 0;
+    for (const { _id } of requests) {
+      if (options.dryRun) {
+        continue;
+      }
+      try {
+        allocations += await runInTransaction(session => backfillRequest(_id, session), { label: `allocation backfill ${_id}` });
+      } catch (error) {
+        errors++;
+        console.error(`   ❌ Request ${_id}:`, error.message);
+      }
+    }
+    console.log(`   Requests with linked payments: ${requests.length}${options.dryRun ? '' : `, allocations created: ${allocations}`}`);
+
+    if (options.fifo) {
+      const advances = await getUnallocatedPayments();
+      let applied = 0;
+      for (const advance of advances) {
+        const open = await getOpenInvoices({ dealer: advance.dealer });
+        if (open.length === 0) {
+          continue;
+        }
+        if (options.dryRun) {
+          applied++;
+          continue;
+        }
+        try {
+          await runInTransaction(session => allocatePayment(advance.payment, { auto: true }, null, session), { label: `fifo backfill ${advance.payment}` });
+          applied++;
+        } catch (error) {
+          errors++;
+          console.error(`   ❌ Payment ${advance.payment}:`, error.message);
+        }
+      }
+      console.log(`   Advances ${options.dryRun ? 'to apply' : 'applied'} oldest bills first: ${applied} of ${advances.length}`);
+    }
+
+    if (errors > 0) {
+      console.log(`\n⚠️  ${errors} records could not be allocated. Check logs above.`);
+      process.exit(1);
+    } else {
+      console.log('\n✅ Allocation backfill completed successfully!');
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error('\n❌ Fatal error during allocation backfill:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Export function for use in other scripts
+module.exports = { backfillAllocations };
+
+// Run the backfill if called directly
+if (require.main === module) {
+  backfillAllocations();
+}
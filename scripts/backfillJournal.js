@@ -0,0 +1,157 @@
+/**
+ * Post journal entries for records that predate the accounting journal
+ *
+ * The journal (utils/journal) is written as money events happen. Records
+ * created before it existed have no entries, so balances derived from the
+ * journal would start at zero. This script posts, oldest first:
+ * - invoices of approved dealer requests (main and archive database)
+ * - completed / refunded payments, refunds and credit adjustments (main and archive)
+ * - credit and debit notes on admin bills
+ * - paid salesman commissions (dealer books, booked as cash)
+ * and then re-derives DealerCredit.currentBalance of every dealer it touched.
+ *
+ * Posting is idempotent per source document, so the script can be re-run;
+ * records already posted are skipped. Archived records are posted against
+ * their originalId.
+ *
+ * Usage:
+ *   node scripts/backfillJournal.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { initializeDatabases } = require('../config/database');
+const { runInTransaction } = require('../utils/transaction');
+const DealerRequest = require('../models/DealerRequest');
+const DealerRequestArchive = require('../models/archive/DealerRequestArchive');
+const Payment = require('../models/Payment');
+const PaymentArchive = require('../models/archive/PaymentArchive');
+const CreditDebitNote = require('../models/CreditDebitNote');
+const Commission = require('../models/Commission');
+const JournalEntry = require('../models/JournalEntry');
+const {
+  postRequestInvoice,
+  postPaymentEntry,
+  postNoteEntry,
+  postCommissionPayout,
+  syncDealerCredit,
+} = require('../utils/journal');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    dryRun: args.includes('--dry-run') || args.includes('--dryrun'),
+  };
+}
+
+/**
+ * Post one kind of record
+ * @param {string} label - Name for the log
+ * @param {string} sourceType - JournalEntry sourceType
+ * @param {Array} records - Records to post (lean; archived ones carry originalId)
+ * @param {Function} post - async (record, session) => entry
+ * @param {Object} options - { dryRun }
+ * @param {Set} dealers - Dealers touched (filled in)
+ * @returns {Promise<Object>} - { posted, skipped, errors }
+ */
+async function postRecords(label, sourceType, records, post, options, dealers) {
+  const result = { posted: 0, skipped: 0, errors: 0 };
+
+  for (const record of records) {
+    const source = { ...record, _id: record.originalId || record._id };
+    const alreadyPosted = await JournalEntry.exists({ sourceType, sourceId: source._id, reverses: null });
+    if (alreadyPosted) {
+      result.skipped++;
+      continue;
+    }
+    if (source.dealer) {
+      dealers.add(source.dealer.toString());
+    }
+    if (options.dryRun) {
+      result.posted++;
+      continue;
+    }
+
+    try {
+      await runInTransaction(session => post(source, session), { label: `journal backfill ${sourceType} ${source._id}` });
+      result.posted++;
+    } catch (error) {
+      result.errors++;
+      console.error(`   ❌ ${label} ${source._id}:`, error.message);
+    }
+  }
+
+  console.log(`   ${label}: ${result.posted} ${options.dryRun ? 'to post' : 'posted'}, ${result.skipped} already posted, ${result.errors} errors`);
+  return result;
+}
+
+/**
+ * Backfill the journal
+ * @param {Object} opts - Options object
+ * @param {boolean} opts.dryRun - Only count what would be posted (default: false)
+ */
+async function backfillJournal(opts = null) {
+  const options = opts || parseArgs();
+  try {
+    console.log('🔄 Initializing databases...');
+    await initializeDatabases();
+    console.log('✅ Databases initialized\n');
+    console.log(`📊 Dry run: ${options.dryRun ? 'YES (no changes will be made)' : 'NO (will post entries)'}\n`);
+
+    const dealers = new Set();
+    const results = [];
+
+    const [requests, archivedRequests] = await Promise.all([
+      DealerRequest.find({ status: 'approved' }).sort({ processedAt: 1 }).lean(),
+      DealerRequestArchive.find({ status: 'approved' }).sort({ processedAt: 1 }).lean(),
+    ]);
+    results.push(await postRecords('Invoices', 'DealerRequest', [...archivedRequests, ...requests],
+      (request, session) => postRequestInvoice(request, request.processedBy, session), options, dealers));
+
+    const paymentFilter = { status: { $in: ['completed', 'refunded'] } };
+    const [payments, archivedPayments] = await Promise.all([
+      Payment.find(paymentFilter).sort({ transactionDate: 1 }).lean(),
+      PaymentArchive.find(paymentFilter).sort({ transactionDate: 1 }).lean(),
+    ]);
+    results.push(await postRecords('Payments', 'Payment', [...archivedPayments, ...payments],
+      (payment, session) => postPaymentEntry(payment, payment.processedBy, session), options, dealers));
+
+    const notes = await CreditDebitNote.find({ source: 'dealer_request' }).sort({ noteDate: 1 }).lean();
+    results.push(await postRecords('Credit / debit notes', 'CreditDebitNote', notes,
+      (note, session) => postNoteEntry(note, note.createdBy, session), options, dealers));
+
+    const commissions = await Commission.find({ status: 'paid' }).sort({ paidAt: 1 }).lean();
+    results.push(await postRecords('Commission payouts', 'Commission', commissions,
+      (commission, session) => postCommissionPayout(commission, 'cash', commission.paidBy, session), options, new Set()));
+
+    if (!options.dryRun) {
+      for (const dealerId of dealers) {
+        await runInTransaction(session => syncDealerCredit(dealerId, null, session), { label: `dealer balance ${dealerId}` });
+      }
+      console.log(`\n   Dealer balances re-derived: ${dealers.size}`);
+    }
+
+    const errors = results.reduce((sum, result) => sum + result.errors, 0);
+    if (errors > 0) {
+      console.log(`\n⚠️  ${errors} records could not be posted. Check logs above.`);
+      process.exit(1);
+    } else {
+      console.log('\n✅ Journal backfill completed successfully!');
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error('\n❌ Fatal error during journal backfill:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Export function for use in other scripts
+module.exports = { backfillJournal };
+
+// Run the backfill if called directly
+if (require.main === module) {
+  backfillJournal();
+}
@@ -0,0 +1,118 @@
+/**
+ * Hash receipts uploaded before duplicate detection existed
+ *
+ * Downloads each payment / request receipt image that has no hash yet and
+ * stores its SHA-256 digest and perceptual hash (utils/duplicatePayments), so
+ * new uploads are compared against it. Existing receipts are not flagged
+ * against each other; only later uploads are.
+ *
+ * Receipts that can't be downloaded are reported and left unhashed, so the
+ * script can be re-run.
+ *
+ * Usage:
+ *   node scripts/backfillReceiptHashes.js [--dry-run] [--days=180]
+ */
+
+require('dotenv').config();
+const { initializeDatabases } = require('../config/database');
+const DealerRequest = require('../models/DealerRequest');
+const Payment = require('../models/Payment');
+const { hashReceipt } = require('../utils/duplicatePayments');
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const days = args.find(arg => arg.startsWith('--days='));
+  return {
+    dryRun: args.includes('--dry-run') || args.includes('--dryrun'),
+    days: days ? parseInt(days.split('=')[1]) || 180 : 180,
+  };
+}
+
+/**
+ * Download and hash the receipts of one collection
+ * @param {Model} Model - Payment or DealerRequest
+ * @param {Date} since - Only receipts of records created since
+ * @param {boolean} dryRun - Only count
+ * @returns {Promise<Object>} - { found, hashed, errors }
+ */
+async function backfillModel(Model, since, dryRun) {
+  const records = await Model.find({
+    receiptImage: { $ne: null },
+    receiptDigest: null,
+    createdAt: { $gte: since },
+  })
+    .select('receiptImage')
+    .lean();
+
+  let hashed = 0;
+  let errors = 0;
+  for (const record of records) {
+    if (dryRun) {
+      continue;
+    }
+    try {
+      const response = await fetch(record.receiptImage, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const hashes = hashReceipt(Buffer.from(await response.arrayBuffer()));
+      await Model.updateOne({ _id: record._id }, { $set: hashes });
+      hashed++;
+    } catch (error) {
+      errors++;
+      console.error(`   ❌ ${Model.modelName} ${record._id}:`, error.message);
+    }
+  }
+  return { found: records.length, hashed, errors };
+}
+
+/**
+ * Backfill receipt hashes
+ * @param {Object} opts - Options object
+ * @param {boolean} opts.dryRun - Only count the receipts to hash (default: false)
+ * @param {number} opts.days - Receipts of the last this many days (default: 180)
+ */
+async function backfillReceiptHashes(opts = null) {
+  const options = opts || parseArgs();
+  try {
+    console.log('🔄 Initializing databases...');
+    await initializeDatabases();
+    console.log('✅ Databases initialized\n');
+    console.log(`📊 Dry run: ${options.dryRun ? 'YES (no changes will be made)' : 'NO (will hash receipts)'}`);
+    console.log(`📊 Receipts of the last ${options.days} days\n`);
+
+    const since = new Date(Date.now() - options.days * 24 * 60 * 60 * 1000);
+    let errors = 0;
+
+    for (const Model of [Payment, DealerRequest]) {
+      const result = await backfillModel(Model, since, options.dryRun);
+      errors += result.errors;
+      console.log(`   ${Model.modelName} receipts without a hash: ${result.found}${options.dryRun ? '' : `, hashed: ${result.hashed}`}`);
+    }
+
+    if (errors > 0) {
+      console.log(`\n⚠️  ${errors} receipts could not be hashed. Check logs above.`);
+      process.exit(1);
+    } else {
+      console.log('\n✅ Receipt hash backfill completed successfully!');
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error('\n❌ Fatal error during receipt hash backfill:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Export function for use in other scripts
+module.exports = { backfillReceiptHashes };
+
+// Run the backfill if called directly
+if (require.main === module) {
+  backfillReceiptHashes();
+}
@@ -0,0 +1,203 @@
+/**
+ * Put approved requests on their GST-inclusive amount due
+ *
+ * DealerRequest.totalAmount used to be the pre-tax value (strips x packets x
+ * packet price) while the journal debited the dealer the GST-inclusive grand
+ * total, so a request paid "in full" left the tax owing in the dealer's
+ * balance. This script, per approved request with no tax breakup frozen at
+ * approval:
+ * - sets totalAmount to what the journal's invoice entry debited the dealer
+ *   (else the bill's tax breakup, else a fresh calculation)
+ * - keeps the bill's tax breakup on the request when it was already sent
+ * - recomputes isOutstanding / paymentType and brings the pending rows that
+ *   mirror the outstanding amount up (or down) to the new open amount
+ *
+ * Requests already on the new basis are skipped, so the script can be re-run.
+ * Run it after scripts/backfillJournal.js, whose invoice entries it reads.
+ *
+ * Usage:
+ *   node scripts/backfillTaxedTotals.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { initializeDatabases } = require('../config/database');
+const { runInTransaction } = require('../utils/transaction');
+const DealerRequest = require('../models/DealerRequest');
+const JournalEntry = require('../models/JournalEntry');
+const Payment = require('../models/Payment');
+const { getInvoiceAmount } = require('../utils/paymentAllocation');
+const { PRODUCT_TAX_FIELDS, getRequestTax } = require('../utils/tax');
+const { round2 } = require('../utils/common');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    dryRun: args.includes('--dry-run') || args.includes('--dryrun'),
+  };
+}
+
+/**
+ * What the unreversed invoice entry of a request debited the dealer
+ * @param {ObjectId} requestId - DealerRequest
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<number|null>} - null when the request was never posted
+ */
+async function getPostedInvoiceAmount(requestId, session = null) {
+  const entries = await JournalEntry.find({ sourceType: 'DealerRequest', sourceId: requestId, event: 'invoice' })
+    .session(session)
+    .lean();
+  const reversed = await JournalEntry.find({ reverses: { $in: entries.map(entry => entry._id) } })
+    .select('reverses')
+    .session(session)
+    .lean();
+  const reversedIds = new Set(reversed.map(entry => entry.reverses.toString()));
+  const active = entries.find(entry => !reversedIds.has(entry._id.toString()));
+  if (!active) {
+    return null;
+  }
+  const receivable = active.lines.find(line => line.account === 'dealer_receivables');
+  return receivable ? round2(receivable.debit || 0) : null;
+}
+
+/**
+ * Move one request onto its GST-inclusive amount due
+ * @param {ObjectId} requestId - Approved DealerRequest
+ * @param {boolean} dryRun - Only report the change
+ * @param {ClientSession} session - Active transaction session (null for dry runs)
+ * @returns {Promise<Object|null>} - { from, to }, null when already right
+ */
+async function backfillRequest(requestId, dryRun, session) {
+  const request = await DealerRequest.findById(requestId)
+    .populate('product', `title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+    .session(session);
+
+  const snapshotTax = request.invoiceSnapshot && request.invoiceSnapshot.taxBreakup;
+  let total = await getPostedInvoiceAmount(request._id, session);
+  if (total === null) {
+    total = (await getRequestTax(request, { session })).totals.grandTotal;
+  }
+
+  const from = round2(request.totalAmount || 0);
+  if (Math.abs(total - from) < 0.01) {
+    return null;
+  }
+  if (dryRun) {
+    return { from, to: total };
+  }
+
+  request.totalAmount = total;
+  if (snapshotTax && Array.isArray(snapshotTax.lines) && snapshotTax.totals.grandTotal === total) {
+    request.taxBreakup = snapshotTax;
+  }
+  const due = getInvoiceAmount(request);
+  const paid = request.paidAmount || 0;
+  request.isOutstanding = paid < due;
+  request.paymentType = paid <= 0 ? 'none' : (paid >= due ? 'full' : 'partial');
+  await request.save({ session });
+
+  // Pending rows mirroring the outstanding amount follow the new open amount
+  const open = round2(Math.max(0, due - paid));
+  const rows = await Payment.find({ dealerRequest: request._id, type: 'payment', status: 'pending', paymentMethod: 'credit' })
+    .sort({ transactionDate: 1 })
+    .session(session);
+  let difference = round2(open - rows.reduce((sum, row) => sum + row.amount, 0));
+  const label = `GST-inclusive total ₹${total}`;
+
+  if (difference > 0) {
+    if (rows.length > 0) {
+      const row = rows[rows.length - 1];
+      row.amount = round2(row.amount + difference);
+      row.notes = `${row.notes ? `${row.notes} ` : ''}Increased by ₹${difference} (${label})`.trim();
+      await row.save({ session });
+    } else {
+      await Payment.create([{
+        dealer: request.dealer,
+        dealerRequest: request._id,
+        type: 'payment',
+        amount: difference,
+        paymentMethod: 'credit',
+        status: 'pending',
+        notes: `Outstanding amount for approved request (${label})`,
+        processedAt: new Date(),
+        transactionDate: request.processedAt || new Date(),
+      }], { session });
+    }
+  }
+  for (const row of rows) {
+    if (difference >= 0) {
+      break;
+    }
+    const reduction = Math.min(row.amount, -difference);
+    row.amount = round2(row.amount - reduction);
+    row.notes = `${row.notes ? `${row.notes} ` : ''}Reduced by ₹${reduction} (${label})`.trim();
+    if (row.amount <= 0) {
+      row.status = 'cancelled';
+    }
+    await row.save({ session });
+    difference = round2(difference + reduction);
+  }
+
+  return { from, to: total };
+}
+
+/**
+ * Backfill GST-inclusive request totals
+ * @param {Object} opts - Options object
+ * @param {boolean} opts.dryRun - Only report the requests that would change (default: false)
+ */
+async function backfillTaxedTotals(opts = null) {
+  const options = opts || parseArgs();
+  try {
+    console.log('🔄 Initializing databases...');
+    await initializeDatabases();
+    console.log('✅ Databases initialized\n');
+    console.log(`📊 Dry run: ${options.dryRun ? 'YES (no changes will be made)' : 'NO (will update request totals)'}\n`);
+
+    const requests = await DealerRequest.find({ status: 'approved', taxBreakup: null })
+      .select('_id')
+      .sort({ processedAt: 1 })
+      .lean();
+
+    let updated = 0;
+    let errors = 0;
+    for (const { _id } of requests) {
+      try {
+        const change = options.dryRun
+          ? await backfillRequest(_id, true, null)
+          : await runInTransaction(session => backfillRequest(_id, false, session), { label: `taxed total backfill ${_id}` });
+        if (change) {
+          updated++;
+          console.log(`   Request ${_id}: ₹${change.from} -> ₹${change.to}`);
+        }
+      } catch (error) {
+        errors++;
+        console.error(`   ❌ Request ${_id}:`, error.message);
+      }
+    }
+
+    console.log(`\n   Approved requests checked: ${requests.length}, ${options.dryRun ? 'to update' : 'updated'}: ${updated}`);
+
+    if (errors > 0) {
+      console.log(`\n⚠️  ${errors} requests could not be updated. Check logs above.`);
+      process.exit(1);
+    } else {
+      console.log('\n✅ Taxed total backfill completed successfully!');
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error('\n❌ Fatal error during taxed total backfill:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Export function for use in other scripts
+module.exports = { backfillTaxedTotals };
+
+// Run the backfill if called directly
+if (require.main === module) {
+  backfillTaxedTotals();
+}
@@ -0,0 +1,186 @@
+/**
+ * Migrate legacy cart groups into Orders
+ *
+ * Dealer carts used to be DealerRequest rows sharing a free-form orderGroupId.
+ * This script creates one Order per (dealer, orderGroupId) group, points every
+ * request of the group at it and rebuilds the order summary. Each group is
+ * migrated inside its own transaction; groups that already have an order are
+ * reused, so the script can be re-run safely.
+ *
+ * Bill details (destination, vehicle, dispatch doc, snapshot) are copied onto
+ * the order when every approved request of the group was billed.
+ *
+ * Usage:
+ *   node scripts/migrateOrderGroups.js [--dry-run] [--limit=1000]
+ */
+
+require('dotenv').config();
+const { initializeDatabases } = require('../config/database');
+const { runInTransaction } = require('../utils/transaction');
+const { findOrCreateGroupOrder, refreshOrderSummary } = require('../utils/orders');
+const DealerRequest = require('../models/DealerRequest');
+const Order = require('../models/Order');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    dryRun: false,
+    limit: null,
+  };
+
+  args.forEach(arg => {
+    if (arg === '--dry-run' || arg === '--dryrun') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--limit=')) {
+      options.limit = parseInt(arg.split('=')[1]);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Migrate one cart group inside a transaction
+ * @param {Object} group - Aggregation row ({ _id: { dealer, orderGroupId }, submittedAt })
+ * @returns {Promise<number>} - Requests linked to the order
+ */
+async function migrateGroup(group) {
+  return runInTransaction(async (session) => {
+    const { dealer, orderGroupId } = group._id;
+    const order = await findOrCreateGroupOrder(dealer, orderGroupId, session, group.submittedAt);
+
+    const result = await DealerRequest.updateMany(
+      { dealer, orderGroupId, order: null },
+      { $set: { order: order._id } },
+      { session }
+    );
+
+    const approved = await DealerRequest.find({ order: order._id, status: 'approved' })
+      .select('billSent billSentAt billSentBy destination vehicleNumber dispatchedDocNo invoiceSnapshot')
+      .sort({ billSentAt: -1 })
+      .session(session)
+      .lean();
+
+    if (!order.billSent && approved.length > 0 && approved.every(request => request.billSent)) {
+      const billed = approved[0];
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            billSent: true,
+            billSentAt: billed.billSentAt,
+            billSentBy: billed.billSentBy,
+            destination: billed.destination,
+            vehicleNumber: billed.vehicleNumber,
+            dispatchedDocNo: billed.dispatchedDocNo,
+            invoiceSnapshot: billed.invoiceSnapshot,
+          },
+        },
+        { session }
+      );
+    }
+
+    await refreshOrderSummary(order._id, session);
+    return result.modifiedCount;
+  }, { label: `migrate order group ${group._id.orderGroupId}` });
+}
+
+/**
+ * Migrate order groups
+ * @param {Object} opts - Options object
+ * @param {boolean} opts.dryRun - Only report groups (default: false)
+ * @param {number|null} opts.limit - Limit groups migrated (default: null)
+ */
+async function migrateOrderGroups(opts = null) {
+  const options = opts || parseArgs();
+  try {
+    console.log('🔄 Initializing databases...');
+    await initializeDatabases();
+    console.log('✅ Databases initialized\n');
+
+    console.log('📊 Migration Configuration:');
+    console.log(`   - Dry run: ${options.dryRun ? 'YES (no changes will be made)' : 'NO (will create orders)'}`);
+    if (options.limit) {
+      console.log(`   - Limit: ${options.limit} groups`);
+    }
+    console.log('');
+
+    const startTime = Date.now();
+
+    const pipeline = [
+      { $match: { orderGroupId: { $type: 'string', $ne: '' }, order: null } },
+      {
+        $group: {
+          _id: { dealer: '$dealer', orderGroupId: '$orderGroupId' },
+          submittedAt: { $min: { $ifNull: ['$requestedAt', '$createdAt'] } },
+          requests: { $sum: 1 },
+        },
+      },
+      { $sort: { submittedAt: 1 } },
+    ];
+    if (options.limit) {
+      pipeline.push({ $limit: options.limit });
+    }
+
+    const groups = await DealerRequest.aggregate(pipeline);
+    console.log(`   Found ${groups.length} cart group(s) without an order\n`);
+
+    let migrated = 0;
+    let linked = 0;
+    let errors = 0;
+
+    for (const group of groups) {
+      const label = `${group._id.orderGroupId} (dealer ${group._id.dealer}, ${group.requests} request(s))`;
+
+      if (options.dryRun) {
+        console.log(`   📝 Would migrate ${label}`);
+        continue;
+      }
+
+      try {
+        const count = await migrateGroup(group);
+        migrated++;
+        linked += count;
+        console.log(`   ✅ Migrated ${label}`);
+      } catch (error) {
+        errors++;
+        console.error(`   ❌ Error migrating ${label}:`, error.message);
+      }
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 Migration Summary:');
+    console.log('='.repeat(60));
+    console.log(`   Groups found: ${groups.length}`);
+    console.log(`   Groups migrated: ${migrated}`);
+    console.log(`   Requests linked: ${linked}`);
+    console.log(`   Errors: ${errors}`);
+    console.log(`   Time elapsed: ${elapsed}s`);
+    console.log('='.repeat(60));
+
+    if (errors > 0) {
+      console.log(`\n⚠️  ${errors} errors occurred during migration. Check logs above.`);
+      process.exit(1);
+    } else {
+      console.log('\n✅ Migration completed successfully!');
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error('\n❌ Fatal error during migration:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Export function for use in other scripts
+module.exports = { migrateOrderGroups };
+
+// Run the migration if called directly
+if (require.main === module) {
+  migrateOrderGroups();
+}
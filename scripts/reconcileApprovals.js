@@ -0,0 +1,292 @@
+/**
+ * Detect and repair half-applied dealer request approvals
+ *
+ * Before approvals ran inside a transaction, a crash between the separate
+ * saves could leave an approved request without its DealerStock row or
+ * Payment records. This script finds those requests and (unless --dry-run)
+ * repairs each one inside its own transaction.
+ *
+ * Checks (approved requests):
+ * - No DealerStock row with sourceRequest = request  -> create it
+ * - DealerStock.totalStrips differs from request.strips -> reset it (if allocations allow)
+ * - totalAmount missing -> compute from product price
+ * - paidAmount > 0 but no completed Payment -> create it
+ * - isOutstanding but no pending credit Payment -> create it
+ *
+ * Checks (pending/cancelled requests, report only):
+ * - DealerStock rows pointing at a request that was never approved
+ *
+ * Note: a request whose Product.stock was decremented but which never got
+ * approved cannot be detected from stored data (stock has no history). Compare
+ * physical stock counts for requests listed as "pending" around a crash.
+ *
+ * Usage:
+ *   node scripts/reconcileApprovals.js [--dry-run] [--limit=1000]
+ */
+
+require('dotenv').config();
+const { initializeDatabases } = require('../config/database');
+const { runInTransaction } = require('../utils/transaction');
+const DealerRequest = require('../models/DealerRequest');
+const DealerStock = require('../models/DealerStock');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    dryRun: false,
+    limit: null,
+  };
+
+  args.forEach(arg => {
+    if (arg === '--dry-run' || arg === '--dryrun') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--limit=')) {
+      options.limit = parseInt(arg.split('=')[1]);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Work out what is missing for one approved request
+ * @param {Object} request - DealerRequest (lean)
+ * @returns {Promise<Array<string>>} - Problem codes
+ */
+async function findProblems(request) {
+  const problems = [];
+
+  const dealerStocks = await DealerStock.find({ sourceRequest: request._id }).lean();
+  if (dealerStocks.length === 0) {
+    problems.push('missing_dealer_stock');
+  } else {
+    const totalStrips = dealerStocks.reduce((sum, stock) => sum + stock.totalStrips, 0);
+    if (totalStrips !== request.strips) {
+      problems.push('dealer_stock_mismatch');
+    }
+  }
+
+  if (request.totalAmount === null || request.totalAmount === undefined) {
+    problems.push('missing_total_amount');
+  }
+
+  const payments = await Payment.find({ dealerRequest: request._id, type: 'payment' }).lean();
+  if ((request.paidAmount || 0) > 0 && !payments.some(p => p.status === 'completed')) {
+    problems.push('missing_paid_payment');
+  }
+  if (request.isOutstanding && !payments.some(p => p.paymentMethod === 'credit')) {
+    problems.push('missing_outstanding_payment');
+  }
+
+  return problems;
+}
+
+/**
+ * Repair one approved request inside a transaction
+ * @param {ObjectId} requestId - DealerRequest ID
+ * @returns {Promise<Array<string>>} - Repairs applied
+ */
+async function repairRequest(requestId) {
+  return runInTransaction(async (session) => {
+    const repairs = [];
+    const request = await DealerRequest.findById(requestId).session(session);
+    if (!request || request.status !== 'approved') {
+      return repairs;
+    }
+
+    const product = await Product.findById(request.product).session(session);
+
+    if (request.totalAmount === null || request.totalAmount === undefined) {
+      if (product) {
+        request.totalAmount = request.strips * product.packetsPerStrip * product.packetPrice;
+        request.isOutstanding = (request.paidAmount || 0) < request.totalAmount;
+        await request.save({ session });
+        repairs.push('total_amount');
+      }
+    }
+
+    const dealerStocks = await DealerStock.find({ sourceRequest: request._id }).session(session);
+    if (dealerStocks.length === 0) {
+      await new DealerStock({
+        dealer: request.dealer,
+        product: request.product,
+        totalStrips: request.strips,
+        allocatedStrips: 0,
+        availableStrips: request.strips,
+        sourceRequest: request._id,
+      }).save({ session });
+      repairs.push('dealer_stock_created');
+    } else if (dealerStocks.length === 1 && dealerStocks[0].totalStrips !== request.strips) {
+      const dealerStock = dealerStocks[0];
+      if (dealerStock.allocatedStrips <= request.strips) {
+        dealerStock.totalStrips = request.strips;
+        await dealerStock.save({ session });
+        repairs.push('dealer_stock_reset');
+      }
+    }
+
+    const payments = await Payment.find({ dealerRequest: request._id, type: 'payment' }).session(session);
+    const paidAmount = request.paidAmount || 0;
+
+    if (paidAmount > 0 && !payments.some(p => p.status === 'completed')) {
+      await new Payment({
+        dealer: request.dealer,
+        dealerRequest: request._id,
+        type: 'payment',
+        amount: paidAmount,
+        paymentMethod: 'cash',
+        status: 'completed',
+        notes: 'Recreated by approval reconciliation',
+        processedBy: request.processedBy,
+        processedAt: request.processedAt || new Date(),
+        transactionDate: request.processedAt || new Date(),
+      }).save({ session });
+      repairs.push('paid_payment_created');
+    }
+
+    if (request.isOutstanding && request.totalAmount && !payments.some(p => p.paymentMethod === 'credit')) {
+      await new Payment({
+        dealer: request.dealer,
+        dealerRequest: request._id,
+        type: 'payment',
+        amount: request.totalAmount - paidAmount,
+        paymentMethod: 'credit',
+        status: 'pending',
+        notes: `Outstanding amount recreated by approval reconciliation. Paid: ₹${paidAmount}, Total: ₹${request.totalAmount}`,
+        processedBy: request.processedBy,
+        processedAt: request.processedAt || new Date(),
+        transactionDate: request.processedAt || new Date(),
+      }).save({ session });
+      repairs.push('outstanding_payment_created');
+    }
+
+    return repairs;
+  }, { label: `reconcile request ${requestId}` });
+}
+
+/**
+ * Reconcile approvals
+ * @param {Object} opts - Options object
+ * @param {boolean} opts.dryRun - Only report problems (default: false)
+ * @param {number|null} opts.limit - Limit requests checked (default: null)
+ */
+async function reconcileApprovals(opts = null) {
+  const options = opts || parseArgs();
+  try {
+    console.log('🔄 Initializing databases...');
+    await initializeDatabases();
+    console.log('✅ Databases initialized\n');
+
+    console.log('📊 Reconciliation Configuration:');
+    console.log(`   - Dry run: ${options.dryRun ? 'YES (no changes will be made)' : 'NO (will repair records)'}`);
+    if (options.limit) {
+      console.log(`   - Limit: ${options.limit} requests`);
+    }
+    console.log('');
+
+    const startTime = Date.now();
+    let checked = 0;
+    let broken = 0;
+    let repaired = 0;
+    let errors = 0;
+
+    let cursorQuery = DealerRequest.find({ status: 'approved' }).sort({ processedAt: 1 }).lean();
+    if (options.limit) {
+      cursorQuery = cursorQuery.limit(options.limit);
+    }
+    const cursor = cursorQuery.cursor();
+
+    for (let request = await cursor.next(); request; request = await cursor.next()) {
+      checked++;
+      const problems = await findProblems(request);
+      if (problems.length === 0) {
+        continue;
+      }
+
+      broken++;
+      console.log(`   ⚠️  Request ${request._id}: ${problems.join(', ')}`);
+
+      if (options.dryRun) {
+        continue;
+      }
+
+      try {
+        const repairs = await repairRequest(request._id);
+        if (repairs.length > 0) {
+          repaired++;
+          console.log(`   ✅ Repaired ${request._id}: ${repairs.join(', ')}`);
+        } else {
+          console.log(`   ⚠️  Request ${request._id} needs manual review`);
+        }
+      } catch (error) {
+        errors++;
+        console.error(`   ❌ Error repairing request ${request._id}:`, error.message);
+      }
+    }
+
+    // DealerStock rows created for requests that never got approved
+    const orphanStocks = await DealerStock.aggregate([
+      {
+        $lookup: {
+          from: 'dealerrequests',
+          localField: 'sourceRequest',
+          foreignField: '_id',
+          as: 'request',
+          pipeline: [{ $project: { status: 1 } }],
+        },
+      },
+      {
+        $match: {
+          $or: [
+            { request: { $size: 0 } },
+            { 'request.status': { $ne: 'approved' } },
+          ],
+        },
+      },
+      { $project: { sourceRequest: 1, totalStrips: 1, allocatedStrips: 1, request: 1 } },
+    ]);
+
+    orphanStocks.forEach(stock => {
+      const status = stock.request.length > 0 ? stock.request[0].status : 'missing';
+      console.log(`   ⚠️  DealerStock ${stock._id} points at ${status} request ${stock.sourceRequest} (${stock.totalStrips} strips, ${stock.allocatedStrips} allocated) - manual review`);
+    });
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 Reconciliation Summary:');
+    console.log('='.repeat(60));
+    console.log(`   Approved requests checked: ${checked}`);
+    console.log(`   Half-applied approvals: ${broken}`);
+    console.log(`   Repaired: ${repaired}`);
+    console.log(`   Orphan dealer stock rows: ${orphanStocks.length}`);
+    console.log(`   Errors: ${errors}`);
+    console.log(`   Time elapsed: ${elapsed}s`);
+    console.log('='.repeat(60));
+
+    if (errors > 0) {
+      console.log(`\n⚠️  ${errors} errors occurred during reconciliation. Check logs above.`);
+      process.exit(1);
+    } else {
+      console.log('\n✅ Reconciliation completed successfully!');
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error('\n❌ Fatal error during reconciliation:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Export function for use in other scripts
+module.exports = { reconcileApprovals };
+
+// Run the reconciliation if called directly
+if (require.main === module) {
+  reconcileApprovals();
+}
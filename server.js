@@ -5,6 +5,9 @@ require('dotenv').config();
 
 // Database configuration
 const { initializeDatabases } = require('./config/database');
+const { startReservationExpiryJob } = require('./utils/stockReservation');
+const { startEwayBillExpiryJob } = require('./utils/ewayBill/expiry');
+const { startPaymentReminderJob } = require('./utils/reminders');
 
 const app = express();
 
@@ -33,12 +36,24 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
-app.use(express.json());
+// Payment gateway webhooks are signed over the body exactly as sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment-gateway/webhook')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 
 // Initialize both main and archive database connections
 initializeDatabases()
   .then(() => {
     console.log('✅ All databases initialized successfully');
+
+    // Background jobs
+    startReservationExpiryJob();
+    startEwayBillExpiryJob();
+    startPaymentReminderJob();
   })
   .catch(err => {
     console.error('❌ Database initialization error:', err.message);
@@ -50,6 +65,7 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/dealer-requests', require('./routes/dealerRequests'));
+app.use('/api/orders', require('./routes/orders'));
 app.use('/api/salesmen', require('./routes/salesmen'));
 app.use('/api/dealers', require('./routes/dealers'));
 app.use('/api/admin/dealers', require('./routes/adminDealers'));
@@ -60,7 +76,10 @@ app.use('/api/locations', require('./routes/locations'));
 app.use('/api/location-allocation', require('./routes/locationAllocation'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/financial', require('./routes/financial'));
+app.use('/api/payment-gateway', require('./routes/paymentGateway'));
 app.use('/api/sales', require('./routes/sales'));
+app.use('/api/credit-notes', require('./routes/creditNotes'));
+app.use('/api/invoice-templates', require('./routes/invoiceTemplates'));
 app.use('/api/messages', require('./routes/messages'));
 app.use('/api/shopkeepers', require('./routes/shopkeepers'));
 app.use('/api/dealer-documents', require('./routes/dealerDocuments'));
@@ -0,0 +1,190 @@
+/**
+ * Bank statement parsers
+ *
+ * Parses small CSV, OFX (SGML and XML) and MT940 statements and checks the
+ * lines read from them: dates, amounts, credit / debit direction, reference
+ * (UTR) and narration.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseAmount,
+  parseStatementDate,
+  detectStatementFormat,
+  parseStatement,
+} = require('../utils/bankStatement/parsers');
+
+/**
+ * Local date (statement dates carry no time zone)
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {Date}
+ */
+function date(year, month, day) {
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * The fields of a line the tests compare
+ * @param {Object} line - Parsed line
+ * @returns {Array}
+ */
+function summary(line) {
+  return [line.transactionDate.getTime(), line.amount, line.direction, line.reference];
+}
+
+test('amounts are read with currency signs, separators and Dr/Cr marks', () => {
+  assert.equal(parseAmount('₹1,25,000.50'), 125000.5);
+  assert.equal(parseAmount('-450'), -450);
+  assert.equal(parseAmount('(450.00)'), -450);
+  assert.equal(parseAmount('1,200.00 Dr'), -1200);
+  assert.equal(parseAmount('1,200.00 CR'), 1200);
+  assert.equal(parseAmount(''), null);
+  assert.equal(parseAmount('n/a'), null);
+});
+
+test('statement dates are read in the formats banks export', () => {
+  assert.equal(parseStatementDate('2025-06-03').getTime(), date(2025, 6, 3).getTime());
+  assert.equal(parseStatementDate('03/06/2025').getTime(), date(2025, 6, 3).getTime());
+  assert.equal(parseStatementDate('3-6-25').getTime(), date(2025, 6, 3).getTime());
+  assert.equal(parseStatementDate('03-Jun-2025').getTime(), date(2025, 6, 3).getTime());
+  assert.equal(parseStatementDate('03 June 2025').getTime(), date(2025, 6, 3).getTime());
+  assert.equal(parseStatementDate('20250603120000[+5.5:IST]').getTime(), date(2025, 6, 3).getTime());
+  assert.equal(parseStatementDate('250603').getTime(), date(2025, 6, 3).getTime());
+  assert.equal(parseStatementDate('03-Foo-2025'), null);
+  assert.equal(parseStatementDate(''), null);
+});
+
+test('a CSV export with debit and credit columns', () => {
+  const csv = [
+    'Txn Date,Value Date,Description,Ref No./Cheque No.,Withdrawal Amt,Deposit Amt,Balance',
+    '01/06/2025,01/06/2025,Opening Balance,,,,10000.00',
+    '02/06/2025,02/06/2025,"UPI/PATEL TRADERS/payment",UTR512345678901,,"1,050.00",11050.00',
+    '03/06/2025,03/06/2025,NEFT charges,,17.70,,11032.30',
+  ].join('\n');
+
+  const statement = parseStatement(csv);
+  assert.equal(statement.format, 'csv');
+  assert.deepEqual(statement.lines.map(summary), [
+    [date(2025, 6, 2).getTime(), 1050, 'credit', 'UTR512345678901'],
+    [date(2025, 6, 3).getTime(), 17.7, 'debit', null],
+  ]);
+  // Line numbers count the header and the skipped balance row
+  assert.deepEqual(statement.lines.map(line => line.lineNumber), [3, 4]);
+  assert.equal(statement.lines[0].description, 'UPI/PATEL TRADERS/payment');
+  assert.equal(statement.periodStart.getTime(), date(2025, 6, 2).getTime());
+  assert.equal(statement.periodEnd.getTime(), date(2025, 6, 3).getTime());
+});
+
+test('a CSV settlement report with one amount column and a Dr/Cr type', () => {
+  const csv = [
+    'Settlement Date,UPI Transaction ID,Payer Name,Amount,Type',
+    '2025-06-04,412345678901,Shah Agencies,500.00,CR',
+    '2025-06-04,412345678902,Shah Agencies,200.00,DR',
+    '2025-06-05,412345678903,Mehta Stores,-75.00,',
+  ].join('\r\n');
+
+  const { lines } = parseStatement(csv);
+  assert.deepEqual(lines.map(summary), [
+    [date(2025, 6, 4).getTime(), 500, 'credit', '412345678901'],
+    [date(2025, 6, 4).getTime(), 200, 'debit', '412345678902'],
+    [date(2025, 6, 5).getTime(), 75, 'debit', '412345678903'],
+  ]);
+  assert.equal(lines[0].counterparty, 'Shah Agencies');
+});
+
+test('an OFX 1.x (SGML) statement', () => {
+  const ofx = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    '',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+    '<BANKACCTFROM><BANKID>HDFC0000001<ACCTID>50100012345678</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250602<TRNAMT>1050.00<FITID>F1<REFNUM>512345678901<NAME>PATEL TRADERS<MEMO>UPI payment',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250603100000<TRNAMT>-17.70<FITID>F2<NAME>NEFT CHARGES',
+    '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+  ].join('\n');
+
+  const statement = parseStatement(ofx);
+  assert.equal(statement.format, 'ofx');
+  assert.equal(statement.accountNumber, '50100012345678');
+  assert.deepEqual(statement.lines.map(summary), [
+    [date(2025, 6, 2).getTime(), 1050, 'credit', '512345678901'],
+    [date(2025, 6, 3).getTime(), 17.7, 'debit', 'F2'],
+  ]);
+  assert.equal(statement.lines[0].description, 'PATEL TRADERS UPI payment');
+  assert.equal(statement.lines[0].counterparty, 'PATEL TRADERS');
+});
+
+test('an OFX 2.x (XML) statement', () => {
+  const ofx = `<?xml version="1.0"?>
+<OFX>
+  <BANKMSGSRSV1><STMTTRNRS><STMTRS>
+    <BANKACCTFROM><ACCTID>50100012345678</ACCTID></BANKACCTFROM>
+    <BANKTRANLIST>
+      <STMTTRN>
+        <TRNTYPE>CREDIT</TRNTYPE>
+        <DTPOSTED>20250602</DTPOSTED>
+        <DTAVAIL>20250603</DTAVAIL>
+        <TRNAMT>2500.00</TRNAMT>
+        <FITID>X1</FITID>
+        <CHECKNUM>004512</CHECKNUM>
+        <NAME>SHAH AGENCIES</NAME>
+      </STMTTRN>
+    </BANKTRANLIST>
+  </STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+  const { lines, accountNumber } = parseStatement(ofx);
+  assert.equal(accountNumber, '50100012345678');
+  assert.deepEqual(lines.map(summary), [[date(2025, 6, 2).getTime(), 2500, 'credit', '004512']]);
+  assert.equal(lines[0].valueDate.getTime(), date(2025, 6, 3).getTime());
+});
+
+test('an MT940 statement with narratives and a reversal', () => {
+  const mt940 = [
+    '{1:F01HDFCINBBAXXX0000000000}{4:',
+    ':20:STMT0625',
+    ':25:50100012345678',
+    ':28C:00123/001',
+    ':60F:C250601INR10000,00',
+    ':61:2506020603C1050,00NTRF512345678901//HDFCREF01',
+    ':86:UPI PATEL TRADERS',
+    'ORDER 42',
+    ':61:250603D17,70NCHGNONREF//CHG778899',
+    ':86:NEFT CHARGES',
+    ':61:250604RC300,00NTRFNONREF',
+    ':62F:C250604INR10732,30',
+    '-}',
+  ].join('\n');
+
+  const statement = parseStatement(mt940);
+  assert.equal(statement.format, 'mt940');
+  assert.equal(statement.accountNumber, '50100012345678');
+  assert.deepEqual(statement.lines.map(summary), [
+    [date(2025, 6, 2).getTime(), 1050, 'credit', '512345678901'],
+    // NONREF: the bank reference is used
+    [date(2025, 6, 3).getTime(), 17.7, 'debit', 'CHG778899'],
+    // RC (reversal of a credit) takes money out
+    [date(2025, 6, 4).getTime(), 300, 'debit', null],
+  ]);
+  assert.equal(statement.lines[0].valueDate.getTime(), date(2025, 6, 3).getTime());
+  assert.equal(statement.lines[0].description, 'UPI PATEL TRADERS ORDER 42');
+});
+
+test('the format is detected from the contents or the file name', () => {
+  assert.equal(detectStatementFormat('OFXHEADER:100'), 'ofx');
+  assert.equal(detectStatementFormat('anything', 'june.QFX'), 'ofx');
+  assert.equal(detectStatementFormat(':20:STMT\n:25:123\n:61:250602C1,00NTRFX'), 'mt940');
+  assert.equal(detectStatementFormat('Date,Amount\n2025-06-02,1'), 'csv');
+});
+
+test('statements without transactions or in another format are refused', () => {
+  assert.throws(() => parseStatement('Date,Amount\n', 'csv'), { status: 400, message: /No transactions found in the CSV file/ });
+  assert.throws(() => parseStatement('Date,Amount\n2025-06-02,1', 'xls'), { status: 400 });
+});
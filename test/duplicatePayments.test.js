@@ -0,0 +1,227 @@
+/**
+ * Duplicate payment detection
+ *
+ * Checks that a UTR / bank transaction ID is claimed by one submission only
+ * (a payment and its request's receipt counting as one), that a claim given up
+ * by a failed or rejected submission can be taken over, and that receipt
+ * hashes survive re-encoding.
+ *
+ * Claims, payments and requests are kept in memory, so no database is needed.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { PNG } = require('pngjs');
+const DealerRequest = require('../models/DealerRequest');
+const Payment = require('../models/Payment');
+const TransactionIdClaim = require('../models/TransactionIdClaim');
+const {
+  RECEIPT_MATCH_DISTANCE,
+  normalizeTransactionId,
+  hashReceipt,
+  hammingDistance,
+  assertTransactionIdsUnused,
+  claimTransactionIds,
+} = require('../utils/duplicatePayments');
+
+// Stands in for the transaction session
+const SESSION = {};
+
+/**
+ * Query stand-in resolving to a value through .select() / .session() / .lean()
+ * @param {*} value - Result
+ * @returns {Object}
+ */
+function query(value) {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+}
+
+/**
+ * Keep transaction ID claims, payments and requests in memory for one test
+ * @param {Object} t - Test context
+ * @returns {Object} - { claims, payments, requests }
+ */
+function useMemoryClaims(t) {
+  const claims = [];
+  const payments = [];
+  const requests = [];
+  const byId = (list, id) => list.find(item => String(item._id) === String(id)) || null;
+
+  t.mock.method(TransactionIdClaim, 'findOne', filter => query(
+    claims.find(claim => claim.transactionId === filter.transactionId) || null
+  ));
+  t.mock.method(TransactionIdClaim, 'create', async ([record]) => {
+    if (claims.some(claim => claim.transactionId === record.transactionId)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const claim = new TransactionIdClaim(record);
+    claims.push(claim);
+    return [claim];
+  });
+  t.mock.method(TransactionIdClaim.prototype, 'save', async function save() {
+    return this;
+  });
+  t.mock.method(Payment, 'findById', id => query(byId(payments, id)));
+  t.mock.method(DealerRequest, 'findById', id => query(byId(requests, id)));
+  return { claims, payments, requests };
+}
+
+/**
+ * Submission of a payment recorded with a UTR
+ * @param {Object} store - In-memory store
+ * @param {string} utr - UTR
+ * @param {Object} fields - Other payment fields
+ * @returns {Object} - { payment, dealerRequest, dealer }
+ */
+function paymentSubmission(store, utr, fields = {}) {
+  const payment = {
+    _id: new mongoose.Types.ObjectId(),
+    dealer: new mongoose.Types.ObjectId(),
+    status: 'pending',
+    upiTransactionId: utr,
+    bankTransactionId: null,
+    dealerRequest: null,
+    ...fields,
+  };
+  store.payments.push(payment);
+  return { payment: payment._id, dealerRequest: payment.dealerRequest, dealer: payment.dealer };
+}
+
+/**
+ * Grayscale receipt picture as a PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Function} shade - (x, y) in 0-1 => brightness 0-255
+ * @returns {Buffer}
+ */
+function receiptPng(width, height, shade) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const value = shade(x / width, y / height);
+      png.data[offset] = value;
+      png.data[offset + 1] = value;
+      png.data[offset + 2] = value;
+      png.data[offset + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+// Two receipt layouts: columns, and rows of text-like blocks on a fading background
+const columns = x => (Math.floor(x * 12) % 2 ? 40 : 255);
+const rows = (x, y) => (Math.floor(y * 20) % 2 && x < 0.5 ? 40 : 255 - Math.floor(x * 200));
+
+test('transaction IDs are compared without spaces and case', () => {
+  assert.equal(normalizeTransactionId(' utr 5123 4567 8901 '), 'UTR512345678901');
+  assert.equal(normalizeTransactionId('   '), null);
+  assert.equal(normalizeTransactionId(null), null);
+});
+
+test('a transaction ID is claimed by one submission only', async (t) => {
+  const store = useMemoryClaims(t);
+  const first = paymentSubmission(store, 'UTR512345678901');
+  const second = paymentSubmission(store, 'UTR512345678901');
+
+  await claimTransactionIds(['UTR512345678901', 'UTR512345678901', null], first, SESSION);
+  assert.equal(store.claims.length, 1);
+
+  // Saving the same submission again keeps its claim
+  await claimTransactionIds(['UTR512345678901'], first, SESSION);
+
+  await assert.rejects(claimTransactionIds(['UTR512345678901'], second, SESSION), (error) => {
+    assert.equal(error.status, 409);
+    assert.match(error.message, /UTR512345678901 has already been submitted/);
+    assert.equal(String(error.duplicateOf.payment), String(first.payment));
+    return true;
+  });
+});
+
+test('a payment and the receipt of its request are one submission', async (t) => {
+  const store = useMemoryClaims(t);
+  const dealerRequest = new mongoose.Types.ObjectId();
+  const receipt = { dealerRequest, dealer: new mongoose.Types.ObjectId() };
+  store.requests.push({ _id: dealerRequest, status: 'pending', paymentStatus: 'paid', upiTransactionId: '412345678901' });
+
+  await claimTransactionIds(['412345678901'], receipt, SESSION);
+  const payment = paymentSubmission(store, '412345678901', { dealerRequest });
+  await claimTransactionIds(['412345678901'], payment, SESSION);
+  assert.equal(store.claims.length, 1);
+});
+
+test('an ID given up by a failed payment or rejected receipt can be claimed again', async (t) => {
+  const store = useMemoryClaims(t);
+  const failed = paymentSubmission(store, 'UTR512345678901');
+  await claimTransactionIds(['UTR512345678901'], failed, SESSION);
+  store.payments[0].status = 'failed';
+
+  const retry = paymentSubmission(store, 'UTR512345678901');
+  await claimTransactionIds(['UTR512345678901'], retry, SESSION);
+  assert.equal(store.claims.length, 1);
+  assert.equal(String(store.claims[0].payment), String(retry.payment));
+
+  const dealerRequest = new mongoose.Types.ObjectId();
+  store.requests.push({ _id: dealerRequest, status: 'pending', paymentStatus: 'rejected', upiTransactionId: '412345678901' });
+  await claimTransactionIds(['412345678901'], { dealerRequest, dealer: new mongoose.Types.ObjectId() }, SESSION);
+  const other = paymentSubmission(store, '412345678901');
+  await claimTransactionIds(['412345678901'], other, SESSION);
+  assert.equal(String(store.claims[1].payment), String(other.payment));
+});
+
+test('of two concurrent submissions of one ID only the first commits', async (t) => {
+  const store = useMemoryClaims(t);
+  const first = paymentSubmission(store, 'UTR512345678901');
+  const second = paymentSubmission(store, 'UTR512345678901');
+  // The second looked before the first committed its claim
+  t.mock.method(TransactionIdClaim, 'findOne', () => query(null));
+
+  await claimTransactionIds(['UTR512345678901'], first, SESSION);
+  await assert.rejects(claimTransactionIds(['UTR512345678901'], second, SESSION), { status: 409 });
+});
+
+test('an ID on another payment or request is refused before saving', async (t) => {
+  const dealerRequest = new mongoose.Types.ObjectId();
+  const other = { _id: new mongoose.Types.ObjectId(), dealer: new mongoose.Types.ObjectId(), upiTransactionId: 'UTR512345678901' };
+  const filters = [];
+  t.mock.method(Payment, 'find', (filter) => {
+    filters.push(filter);
+    return query(filter.$or[0].upiTransactionId.$in.includes(other.upiTransactionId) ? [other] : []);
+  });
+  t.mock.method(DealerRequest, 'find', (filter) => {
+    filters.push(filter);
+    return query([]);
+  });
+
+  await assert.rejects(assertTransactionIdsUnused(['UTR512345678901'], { dealerRequest }), (error) => {
+    assert.equal(error.status, 409);
+    assert.equal(String(error.duplicateOf.payment), String(other._id));
+    return true;
+  });
+  // The request's own payments and the request itself are left out
+  assert.deepEqual(filters[0].dealerRequest, { $ne: dealerRequest });
+  assert.deepEqual(filters[1]._id, { $ne: dealerRequest });
+
+  await assertTransactionIdsUnused(['UTR999999999999'], {});
+  await assertTransactionIdsUnused([], {});
+});
+
+test('receipt hashes match a re-encoded picture and tell different ones apart', () => {
+  const original = hashReceipt(receiptPng(300, 600, columns));
+  const resized = hashReceipt(receiptPng(240, 480, columns));
+  const other = hashReceipt(receiptPng(300, 600, rows));
+
+  assert.notEqual(original.receiptDigest, resized.receiptDigest);
+  assert.ok(hammingDistance(original.receiptHash, resized.receiptHash) <= RECEIPT_MATCH_DISTANCE);
+  assert.ok(hammingDistance(original.receiptHash, other.receiptHash) > RECEIPT_MATCH_DISTANCE);
+  assert.equal(hashReceipt(Buffer.from('%PDF-1.4')).receiptHash, null);
+});
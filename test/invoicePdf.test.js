@@ -0,0 +1,94 @@
+/**
+ * Invoice PDF rendering
+ *
+ * Renders the sample invoice in each bill language with the bundled Gujarati
+ * font and checks the text a PDF reader extracts from it.
+ *
+ * Gujarati is checked with words that have no િ (short i) sign: the sign is
+ * drawn before its consonant, so extracted text puts it first.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { hasGujaratiFont, resolvePdfLanguage } = require('../utils/pdfFonts');
+const { getTemplateSettings, buildSampleInvoice } = require('../utils/invoiceTemplates');
+const { renderInvoiceDocument } = require('../utils/invoiceTemplates/render');
+
+const SELLER = { name: 'Sample Traders', address: 'Surat, Gujarat', phone: '9876543210', gstin: '' };
+
+/**
+ * Render the sample invoice and extract its text
+ * @param {string} series - sales | admin | credit_note | debit_note
+ * @param {string} language - en | gu | bilingual
+ * @returns {Promise<Object>} - { language, text }
+ */
+async function renderSample(series, language) {
+  const model = buildSampleInvoice(series, SELLER);
+  const rendered = await renderInvoiceDocument(model, getTemplateSettings(null), { language });
+  const { text } = await pdfParse(rendered.buffer);
+  return { language: rendered.language, text };
+}
+
+test('the Gujarati font is bundled', () => {
+  assert.equal(hasGujaratiFont(), true);
+  assert.equal(resolvePdfLanguage('gu'), 'gu');
+  assert.equal(resolvePdfLanguage('bilingual'), 'bilingual');
+  assert.equal(resolvePdfLanguage('fr'), 'en');
+});
+
+test('Gujarati bills are refused when the font cannot be loaded', () => {
+  const modulePath = require.resolve('../utils/pdfFonts');
+  const bundled = require.cache[modulePath];
+  delete require.cache[modulePath];
+  process.env.PDF_FONT_GUJARATI = '/nonexistent/NotoSansGujarati-Regular.ttf';
+  try {
+    const pdfFonts = require('../utils/pdfFonts');
+    assert.equal(pdfFonts.hasGujaratiFont(), false);
+    assert.equal(pdfFonts.resolvePdfLanguage('en'), 'en');
+    assert.throws(() => pdfFonts.resolvePdfLanguage('gu'), { status: 503 });
+    assert.throws(() => pdfFonts.resolvePdfLanguage('bilingual'), { status: 503 });
+  } finally {
+    delete process.env.PDF_FONT_GUJARATI;
+    require.cache[modulePath] = bundled;
+  }
+});
+
+test('English invoice', async () => {
+  const { language, text } = await renderSample('sales', 'en');
+  assert.equal(language, 'en');
+  assert.match(text, /TAX INVOICE/);
+  assert.match(text, /Sample Traders/);
+  assert.match(text, /Sample product 100g/);
+  assert.match(text, /Total: .*2,281\.00/);
+  assert.doesNotMatch(text, /[઀-૿]/);
+});
+
+test('Gujarati invoice', async () => {
+  const { language, text } = await renderSample('sales', 'gu');
+  assert.equal(language, 'gu');
+  assert.match(text, /ટેક્સ ઇન્વૉઇસ/);
+  assert.match(text, /નમૂના ઉત્પાદન/);
+  assert.match(text, /કુલ/);
+  assert.match(text, /2,281\.00/);
+  assert.doesNotMatch(text, /TAX INVOICE|Sample product/);
+});
+
+test('bilingual invoice', async () => {
+  const { language, text } = await renderSample('sales', 'bilingual');
+  assert.equal(language, 'bilingual');
+  assert.match(text, /TAX INVOICE/);
+  assert.match(text, /ટેક્સ ઇન્વૉઇસ/);
+  assert.match(text, /Sample product 500g/);
+  assert.match(text, /નમૂના ઉત્પાદન/);
+});
+
+test('Gujarati credit note', async () => {
+  const { language, text } = await renderSample('credit_note', 'gu');
+  assert.equal(language, 'gu');
+  assert.match(text, /CN\/00-00\/0000/);
+  assert.match(text, /INV\/00-00\/0000/);
+  assert.match(text, /નમૂના ઉત્પાદન/);
+});
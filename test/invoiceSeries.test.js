@@ -0,0 +1,198 @@
+/**
+ * Invoice series numbering
+ *
+ * Checks the PREFIX/YY-YY/NNNN format, the April-March (IST) financial year,
+ * gap-free numbering per dealer / series / year, repeat submissions of the
+ * same idempotency key, and that an issued admin bill never gains lines.
+ *
+ * The series collections are replaced with in-memory stand-ins, so no
+ * database is needed.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const InvoiceSeries = require('../models/InvoiceSeries');
+const InvoiceNumber = require('../models/InvoiceNumber');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const DealerProfile = require('../models/DealerProfile');
+const {
+  PREFIX_PATTERN,
+  getFinancialYear,
+  formatSeriesNumber,
+  getSeriesPrefix,
+  issueInvoiceNumber,
+  assignAdminBillNumber,
+  getRequestInvoiceNumber,
+} = require('../utils/invoiceSeries');
+
+// Stands in for the transaction session; only its presence is checked
+const SESSION = {};
+
+/**
+ * Query stand-in resolving to a value through .select() / .session() / .lean()
+ * @param {*} value - Result
+ * @returns {Object}
+ */
+function query(value) {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    lean: async () => value,
+  };
+  return chain;
+}
+
+/**
+ * Replace the series collections with in-memory ones for one test
+ * @param {Object} t - Test context
+ * @param {Object} profiles - Dealer ID -> invoicePrefix
+ * @returns {Object} - { numbers } issued number records
+ */
+function useMemorySeries(t, profiles = {}) {
+  const counters = new Map();
+  const numbers = [];
+  const counterKey = filter => `${filter.dealer}|${filter.series}|${filter.financialYear}`;
+
+  t.mock.method(InvoiceSeries, 'findOneAndUpdate', async (filter, update) => {
+    const key = counterKey(filter);
+    const lastNumber = (counters.get(key) || 0) + update.$inc.lastNumber;
+    counters.set(key, lastNumber);
+    return { ...filter, lastNumber, save: async () => {} };
+  });
+  t.mock.method(InvoiceNumber, 'findOne', filter => query(
+    numbers.find(number => String(number.dealer) === String(filter.dealer)
+      && number.series === filter.series
+      && number.idempotencyKey === filter.idempotencyKey) || null
+  ));
+  t.mock.method(InvoiceNumber, 'create', async ([record]) => {
+    if (numbers.some(number => number.invoiceNumber === record.invoiceNumber)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    numbers.push(record);
+    return [record];
+  });
+  t.mock.method(InvoiceTemplate, 'findOne', () => query(null));
+  t.mock.method(DealerProfile, 'findOne', filter => query(
+    profiles[String(filter.dealer)] ? { invoicePrefix: profiles[String(filter.dealer)] } : null
+  ));
+  return { numbers };
+}
+
+test('invoice numbers are PREFIX/YY-YY/NNNN within 16 characters', () => {
+  assert.equal(formatSeriesNumber('DLR01', '2025-26', 1), 'DLR01/25-26/0001');
+  assert.equal(formatSeriesNumber('INV', '2025-26', 9999), 'INV/25-26/9999');
+  assert.ok(formatSeriesNumber('ABCDE', '2025-26', 9999).length <= 16);
+
+  assert.ok(PREFIX_PATTERN.test('DLR01'));
+  assert.ok(!PREFIX_PATTERN.test('0DLR'));
+  assert.ok(!PREFIX_PATTERN.test('DLR001'));
+  assert.ok(!PREFIX_PATTERN.test('dlr'));
+  assert.ok(!PREFIX_PATTERN.test('DL/R'));
+});
+
+test('the financial year runs April to March in IST', () => {
+  // 31 March 23:59 IST and 1 April 00:00 IST
+  assert.equal(getFinancialYear(new Date('2026-03-31T18:29:00Z')), '2025-26');
+  assert.equal(getFinancialYear(new Date('2026-03-31T18:30:00Z')), '2026-27');
+  assert.equal(getFinancialYear(new Date('2026-01-15T00:00:00Z')), '2025-26');
+});
+
+test('company series prefixes come from the environment', async () => {
+  process.env.INVOICE_PREFIX = ' co1 ';
+  process.env.CREDIT_NOTE_PREFIX = 'CREDIT';
+  try {
+    assert.equal(await getSeriesPrefix(null, 'admin'), 'CO1');
+    // Too long for the IRP: the default is used
+    assert.equal(await getSeriesPrefix(null, 'credit_note'), 'CN');
+    assert.equal(await getSeriesPrefix(null, 'debit_note'), 'DN');
+  } finally {
+    delete process.env.INVOICE_PREFIX;
+    delete process.env.CREDIT_NOTE_PREFIX;
+  }
+});
+
+test('numbers are only issued inside a transaction', async () => {
+  await assert.rejects(
+    issueInvoiceNumber({ dealer: null, series: 'admin', date: new Date() }, null),
+    /inside a transaction/
+  );
+});
+
+test('each dealer series numbers its bills without gaps', async (t) => {
+  const dealerA = new mongoose.Types.ObjectId();
+  const dealerB = new mongoose.Types.ObjectId();
+  useMemorySeries(t, { [dealerA]: 'DLR01' });
+  const date = new Date('2025-06-01T06:00:00Z');
+
+  const first = await issueInvoiceNumber({ dealer: dealerA, series: 'sales', date }, SESSION);
+  const second = await issueInvoiceNumber({ dealer: dealerA, series: 'sales', date }, SESSION);
+  const other = await issueInvoiceNumber({ dealer: dealerB, series: 'sales', date }, SESSION);
+  const nextYear = await issueInvoiceNumber({ dealer: dealerA, series: 'sales', date: new Date('2026-04-02T06:00:00Z') }, SESSION);
+
+  assert.deepEqual(first, { invoiceNumber: 'DLR01/25-26/0001', financialYear: '2025-26', sequence: 1 });
+  assert.equal(second.invoiceNumber, 'DLR01/25-26/0002');
+  // Dealers without a prefix get D + the end of their ID
+  assert.equal(other.invoiceNumber, `D${dealerB.toString().slice(-4).toUpperCase()}/25-26/0001`);
+  assert.equal(nextYear.invoiceNumber, 'DLR01/26-27/0001');
+});
+
+test('a repeated submission is rejected with the number already issued', async (t) => {
+  const dealer = new mongoose.Types.ObjectId();
+  const { numbers } = useMemorySeries(t, { [dealer]: 'DLR01' });
+  const details = { dealer, series: 'sales', date: new Date('2025-06-01T06:00:00Z'), idempotencyKey: ' app-42 ' };
+
+  const issued = await issueInvoiceNumber(details, SESSION);
+  await assert.rejects(issueInvoiceNumber(details, SESSION), (error) => {
+    assert.equal(error.status, 409);
+    assert.equal(error.invoiceNumber, issued.invoiceNumber);
+    return true;
+  });
+  assert.equal(numbers.length, 1);
+  assert.equal(numbers[0].idempotencyKey, 'app-42');
+});
+
+test('re-sending an admin bill keeps its number', async (t) => {
+  const { numbers } = useMemorySeries(t);
+  const requests = [
+    { _id: new mongoose.Types.ObjectId(), invoiceNumber: 'INV/25-26/0007' },
+    { _id: new mongoose.Types.ObjectId(), invoiceNumber: 'INV/25-26/0007' },
+  ];
+  assert.equal(await assignAdminBillNumber({ requests, date: new Date() }, SESSION), 'INV/25-26/0007');
+  assert.equal(numbers.length, 0);
+});
+
+test('unbilled requests get a new admin number', async (t) => {
+  const { numbers } = useMemorySeries(t);
+  const requests = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }];
+  const invoiceNumber = await assignAdminBillNumber({ requests, date: new Date('2025-06-01T06:00:00Z') }, SESSION);
+  assert.equal(invoiceNumber, 'INV/25-26/0001');
+  assert.deepEqual(numbers[0].dealerRequests, requests.map(request => request._id));
+});
+
+test('an issued admin bill never gains lines', async (t) => {
+  const { numbers } = useMemorySeries(t);
+  const unbilled = { _id: new mongoose.Types.ObjectId() };
+  const mixed = [{ _id: new mongoose.Types.ObjectId(), invoiceNumber: 'INV/25-26/0007' }, unbilled];
+  await assert.rejects(assignAdminBillNumber({ requests: mixed, date: new Date() }, SESSION), (error) => {
+    assert.equal(error.status, 409);
+    assert.match(error.message, new RegExp(String(unbilled._id)));
+    return true;
+  });
+
+  const split = [
+    { _id: new mongoose.Types.ObjectId(), invoiceNumber: 'INV/25-26/0007' },
+    { _id: new mongoose.Types.ObjectId(), invoiceNumber: 'INV/25-26/0008' },
+  ];
+  await assert.rejects(assignAdminBillNumber({ requests: split, date: new Date() }, SESSION), { status: 409 });
+  assert.equal(numbers.length, 0);
+});
+
+test('bills sent before numbering keep their legacy number', () => {
+  const _id = new mongoose.Types.ObjectId('64b7f0c2a1b2c3d4e5f60718');
+  assert.equal(getRequestInvoiceNumber({ _id, invoiceNumber: 'INV/25-26/0003' }), 'INV/25-26/0003');
+  assert.equal(getRequestInvoiceNumber({ _id, invoiceSnapshot: { invoiceNumber: 'INV/25-26/0004' } }), 'INV/25-26/0004');
+  assert.equal(getRequestInvoiceNumber({ _id, processedAt: new Date('2025-02-10T06:00:00Z') }), '18/2024-25');
+});
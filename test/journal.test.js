@@ -0,0 +1,273 @@
+/**
+ * Accounting journal
+ *
+ * Checks that invoices, credit notes, payments and reversals post balanced
+ * entries (including GST, cess and round off), that posting is idempotent per
+ * source and event, and that the trial balance of what was posted balances.
+ *
+ * Journal entries are kept in memory and validated by the JournalEntry model
+ * as they would be on save, so no database is needed.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { calculateInvoiceTax, getProductTaxSettings } = require('../utils/tax');
+const {
+  postRequestInvoice,
+  postNoteEntry,
+  postPaymentEntry,
+  reversePaymentEntry,
+  getDealerReceivable,
+  getTrialBalance,
+} = require('../utils/journal');
+
+// Stands in for the transaction session
+const SESSION = {};
+
+// Gujarat, the supplier state of the tests
+const SUPPLIER_STATE = 24;
+
+/**
+ * Query stand-in resolving to a value through .select() / .session() / .lean()
+ * @param {*} value - Result
+ * @returns {Object}
+ */
+function query(value) {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+}
+
+/**
+ * Keep journal entries in memory for one test. Entries are validated by the
+ * model (balance and line checks) before they are kept.
+ * @param {Object} t - Test context
+ * @returns {Array} - Entries posted
+ */
+function useMemoryJournal(t) {
+  const entries = [];
+  const matches = filter => entry => {
+    if (filter.reverses) {
+      return entry.reverses && filter.reverses.$in.some(id => String(id) === String(entry.reverses));
+    }
+    return entry.sourceType === filter.sourceType
+      && String(entry.sourceId) === String(filter.sourceId)
+      && entry.event === filter.event;
+  };
+
+  t.mock.method(JournalEntry, 'find', filter => query(entries.filter(matches(filter))));
+  t.mock.method(JournalEntry, 'countDocuments', filter => query(entries.filter(matches(filter)).length));
+  t.mock.method(JournalEntry, 'create', async ([record]) => {
+    const entry = new JournalEntry(record);
+    await entry.validate();
+    entries.push(entry.toObject());
+    return [entry];
+  });
+  t.mock.method(JournalEntry, 'aggregate', ([{ $match: match }, , { $match: lineMatch }]) => {
+    const totals = new Map();
+    entries
+      .filter(entry => String(entry.book) === String(match.book))
+      .flatMap(entry => entry.lines)
+      .filter(line => !lineMatch['lines.account'] || line.account === lineMatch['lines.account'])
+      .filter(line => !lineMatch['lines.party'] || String(line.party) === String(lineMatch['lines.party']))
+      .forEach((line) => {
+        const total = totals.get(line.account) || { _id: line.account, debit: 0, credit: 0 };
+        total.debit += line.debit;
+        total.credit += line.credit;
+        totals.set(line.account, total);
+      });
+    return query([...totals.values()]);
+  });
+  return entries;
+}
+
+/**
+ * Debit and credit totals of an entry (paise)
+ * @param {Object} entry - JournalEntry
+ * @returns {Object} - { debit, credit }
+ */
+function entryTotals(entry) {
+  return {
+    debit: entry.lines.reduce((sum, line) => sum + Math.round(line.debit * 100), 0),
+    credit: entry.lines.reduce((sum, line) => sum + Math.round(line.credit * 100), 0),
+  };
+}
+
+/**
+ * Approved request with a frozen tax breakup
+ * @param {ObjectId} dealer - Dealer
+ * @param {Array} lines - [[quantity, unitPrice, product tax fields]]
+ * @param {number} placeOfSupply - State code
+ * @returns {Object}
+ */
+function approvedRequest(dealer, lines, placeOfSupply = SUPPLIER_STATE) {
+  const taxBreakup = calculateInvoiceTax(
+    lines.map(([quantity, unitPrice, product]) => ({ quantity, unitPrice, tax: getProductTaxSettings(product || {}) })),
+    placeOfSupply,
+    { supplierStateCode: SUPPLIER_STATE }
+  );
+  return { _id: new mongoose.Types.ObjectId(), dealer, strips: 1, processedAt: new Date(), taxBreakup };
+}
+
+/**
+ * Amount of an account on one side of an entry
+ * @param {Object} entry - JournalEntry
+ * @param {string} account - Account
+ * @param {string} side - debit | credit
+ * @returns {number}
+ */
+function amountOf(entry, account, side) {
+  const line = entry.lines.find(row => row.account === account);
+  return line ? line[side] : 0;
+}
+
+test('the model refuses an entry that does not balance', async () => {
+  const entry = new JournalEntry({
+    event: 'receipt',
+    sourceType: 'Payment',
+    sourceId: new mongoose.Types.ObjectId(),
+    postingKey: 'test',
+    date: new Date(),
+    lines: [
+      { account: 'cash', debit: 100 },
+      { account: 'dealer_receivables', credit: 99.99 },
+    ],
+  });
+  await assert.rejects(entry.validate(), /does not balance/);
+});
+
+test('an invoice within the state balances with CGST, SGST and round off', async (t) => {
+  const entries = useMemoryJournal(t);
+  const dealer = new mongoose.Types.ObjectId();
+  // 72.31 taxable + 1.81 + 1.81 = 75.93, rounded up to 76
+  const request = approvedRequest(dealer, [[7, 10.33]]);
+
+  const entry = await postRequestInvoice(request, null, SESSION);
+  assert.deepEqual(entryTotals(entry), { debit: 7600, credit: 7600 });
+  assert.equal(amountOf(entry, 'dealer_receivables', 'debit'), 76);
+  assert.equal(amountOf(entry, 'sales', 'credit'), 72.31);
+  assert.equal(amountOf(entry, 'cgst_payable', 'credit'), 1.81);
+  assert.equal(amountOf(entry, 'sgst_payable', 'credit'), 1.81);
+  assert.equal(amountOf(entry, 'round_off', 'credit'), 0.07);
+  assert.equal(entries.length, 1);
+});
+
+test('an invoice across states balances with IGST, cess and a round off down', async (t) => {
+  useMemoryJournal(t);
+  const dealer = new mongoose.Types.ObjectId();
+  // 1000.40 taxable + 280.11 IGST + 120.05 + 5 cess = 1405.56, rounded up to 1406
+  const request = approvedRequest(dealer, [[10, 100.04, { gstRate: 28, cessRate: 12, cessPerUnit: 0.5 }]], 27);
+  const entry = await postRequestInvoice(request, null, SESSION);
+  const { debit, credit } = entryTotals(entry);
+  assert.equal(debit, credit);
+  assert.equal(amountOf(entry, 'dealer_receivables', 'debit'), request.taxBreakup.totals.grandTotal);
+  assert.equal(amountOf(entry, 'igst_payable', 'credit'), request.taxBreakup.totals.igstAmount);
+  assert.equal(amountOf(entry, 'cess_payable', 'credit'), request.taxBreakup.totals.cessAmount);
+  assert.equal(amountOf(entry, 'cgst_payable', 'credit'), 0);
+
+  // 0.40 taxable + 0.02 GST rounds down to nothing: no entry
+  const small = approvedRequest(dealer, [[2, 0.2]]);
+  assert.equal(small.taxBreakup.totals.roundOff, -0.42);
+  assert.equal(await postRequestInvoice(small, null, SESSION), null);
+
+  const down = approvedRequest(dealer, [[3, 33.4]]);
+  assert.ok(down.taxBreakup.totals.roundOff < 0);
+  const downEntry = await postRequestInvoice(down, null, SESSION);
+  const downTotals = entryTotals(downEntry);
+  assert.equal(downTotals.debit, downTotals.credit);
+  assert.equal(amountOf(downEntry, 'round_off', 'debit'), Math.abs(down.taxBreakup.totals.roundOff));
+});
+
+test('posting the same invoice twice keeps one entry', async (t) => {
+  const entries = useMemoryJournal(t);
+  const request = approvedRequest(new mongoose.Types.ObjectId(), [[10, 10]]);
+  const first = await postRequestInvoice(request, null, SESSION);
+  const second = await postRequestInvoice(request, null, SESSION);
+  assert.equal(String(second._id), String(first._id));
+  assert.equal(entries.length, 1);
+});
+
+test('a credit note mirrors its invoice', async (t) => {
+  useMemoryJournal(t);
+  const dealer = new mongoose.Types.ObjectId();
+  const request = approvedRequest(dealer, [[7, 10.33]]);
+  await postRequestInvoice(request, null, SESSION);
+
+  const entry = await postNoteEntry({
+    _id: new mongoose.Types.ObjectId(),
+    noteType: 'credit',
+    noteNumber: 'CN/25-26/0001',
+    originalInvoiceNumber: 'INV/25-26/0001',
+    dealer,
+    taxBreakup: request.taxBreakup,
+  }, null, SESSION);
+  assert.deepEqual(entryTotals(entry), { debit: 7600, credit: 7600 });
+  assert.equal(amountOf(entry, 'dealer_receivables', 'credit'), 76);
+  assert.equal(amountOf(entry, 'sales_returns', 'debit'), 72.31);
+  assert.equal(amountOf(entry, 'round_off', 'debit'), 0.07);
+  assert.equal(await getDealerReceivable(dealer), 0);
+});
+
+test('payments settle the receivable into the account of their method', async (t) => {
+  useMemoryJournal(t);
+  const dealer = new mongoose.Types.ObjectId();
+  await postRequestInvoice(approvedRequest(dealer, [[100, 10]]), null, SESSION);
+  assert.equal(await getDealerReceivable(dealer), 1050);
+
+  const payment = (paymentMethod, amount, type = 'payment') => ({
+    _id: new mongoose.Types.ObjectId(), dealer, type, paymentMethod, amount, status: 'completed',
+  });
+  const receipt = await postPaymentEntry(payment('gateway', 600), null, SESSION);
+  assert.equal(amountOf(receipt, 'gateway_clearing', 'debit'), 600);
+  await postPaymentEntry(payment('cash', 450), null, SESSION);
+  assert.equal(await getDealerReceivable(dealer), 0);
+
+  const refund = await postPaymentEntry(payment('upi', 50, 'refund'), null, SESSION);
+  assert.equal(amountOf(refund, 'upi', 'credit'), 50);
+  assert.equal(await getDealerReceivable(dealer), 50);
+
+  // Credit rows written by a credit note are posted with the note
+  assert.equal(await postPaymentEntry({ ...payment('credit', 10, 'credit'), creditDebitNote: new mongoose.Types.ObjectId() }, null, SESSION), null);
+});
+
+test('a reversal swaps the sides of the entry it undoes', async (t) => {
+  const entries = useMemoryJournal(t);
+  const dealer = new mongoose.Types.ObjectId();
+  const payment = { _id: new mongoose.Types.ObjectId(), dealer, type: 'payment', paymentMethod: 'bank_transfer', amount: 250, status: 'completed' };
+
+  const posted = await postPaymentEntry(payment, null, SESSION);
+  const [reversal] = await reversePaymentEntry({ ...payment, status: 'cancelled' }, null, SESSION);
+  assert.equal(String(reversal.reverses), String(posted._id));
+  assert.equal(amountOf(reversal, 'bank', 'credit'), 250);
+  assert.equal(amountOf(reversal, 'dealer_receivables', 'debit'), 250);
+  assert.equal(await getDealerReceivable(dealer), 0);
+
+  // Reversed once; completing it again posts a fresh entry
+  assert.equal((await reversePaymentEntry(payment, null, SESSION)).length, 0);
+  const reposted = await postPaymentEntry(payment, null, SESSION);
+  assert.notEqual(String(reposted._id), String(posted._id));
+  assert.equal(entries.length, 3);
+});
+
+test('the trial balance of posted entries balances', async (t) => {
+  useMemoryJournal(t);
+  const dealer = new mongoose.Types.ObjectId();
+  await postRequestInvoice(approvedRequest(dealer, [[7, 10.33]]), null, SESSION);
+  await postRequestInvoice(approvedRequest(dealer, [[10, 100.04, { gstRate: 28, cessRate: 12 }]], 27), null, SESSION);
+  await postPaymentEntry({ _id: new mongoose.Types.ObjectId(), dealer, type: 'payment', paymentMethod: 'upi', amount: 500, status: 'completed' }, null, SESSION);
+
+  const trialBalance = await getTrialBalance();
+  assert.equal(trialBalance.balanced, true);
+  assert.ok(trialBalance.totals.debit > 0);
+  assert.deepEqual(trialBalance.accounts.map(row => row.account), [
+    'dealer_receivables', 'upi', 'sales', 'cgst_payable', 'sgst_payable', 'igst_payable', 'cess_payable', 'round_off',
+  ]);
+});
@@ -0,0 +1,270 @@
+/**
+ * Payment allocation
+ *
+ * Checks that payments are applied to the oldest open bill lines first
+ * (FIFO), that bill lines are due net of credit and debit notes, that what is
+ * left stays on the payment as an advance, that manual splits are checked
+ * against what is open, and that reversing an allocation re-opens the bill.
+ *
+ * Requests, payments and allocations are kept in memory, so no database is
+ * needed.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const DealerRequest = require('../models/DealerRequest');
+const Payment = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const {
+  getInvoiceAmount,
+  getAgeingBucket,
+  getOpenInvoices,
+  allocatePayment,
+  allocateOnCompletion,
+  reverseAllocations,
+} = require('../utils/paymentAllocation');
+
+// Stands in for the transaction session
+const SESSION = {};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Query stand-in resolving to a value through .select() / .sort() / .session() / .lean()
+ * @param {*} value - Result
+ * @returns {Object}
+ */
+function query(value) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    session: () => chain,
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+}
+
+/**
+ * Keep requests, payments and allocations in memory for one test
+ * @param {Object} t - Test context
+ * @returns {Object} - { requests, payments, allocations }
+ */
+function useMemoryBooks(t) {
+  const requests = [];
+  const payments = [];
+  const allocations = [];
+  const byId = (list, id) => list.find(item => String(item._id) === String(id)) || null;
+  const save = async function save() {
+    return this;
+  };
+
+  t.mock.method(DealerRequest, 'find', filter => query(requests
+    .filter(request => request.status === filter.status
+      && request.isOutstanding === filter.isOutstanding
+      && (!filter.dealer || String(request.dealer) === String(filter.dealer)))
+    .sort((a, b) => a.processedAt - b.processedAt)));
+  t.mock.method(DealerRequest, 'findById', id => query(byId(requests, id)));
+  t.mock.method(DealerRequest.prototype, 'save', save);
+
+  t.mock.method(Payment, 'find', filter => query(payments
+    .filter(payment => String(payment.dealerRequest) === String(filter.dealerRequest)
+      && payment.type === filter.type
+      && payment.status === filter.status
+      && payment.paymentMethod === filter.paymentMethod)));
+  t.mock.method(Payment, 'findById', id => query(byId(payments, id)));
+  t.mock.method(Payment, 'create', async ([record]) => {
+    const payment = new Payment(record);
+    payments.push(payment);
+    return [payment];
+  });
+  t.mock.method(Payment.prototype, 'save', save);
+
+  t.mock.method(PaymentAllocation, 'create', async ([record]) => {
+    const allocation = new PaymentAllocation(record);
+    allocations.push(allocation);
+    return [allocation];
+  });
+  t.mock.method(PaymentAllocation, 'find', filter => query(allocations
+    .filter(allocation => allocation.status === filter.status
+      && (!filter.payment || String(allocation.payment) === String(filter.payment)))));
+  t.mock.method(PaymentAllocation, 'aggregate', ([{ $match: match }]) => {
+    const ids = match.payment.$in || [match.payment];
+    const totals = ids.map(id => ({
+      _id: id,
+      amount: allocations
+        .filter(allocation => allocation.status === 'active' && String(allocation.payment) === String(id))
+        .reduce((sum, allocation) => sum + allocation.amount, 0),
+    }));
+    return query(totals);
+  });
+  t.mock.method(PaymentAllocation.prototype, 'save', save);
+
+  return { requests, payments, allocations };
+}
+
+/**
+ * Add an approved, unpaid bill line and the pending row mirroring what is outstanding on it
+ * @param {Object} books - In-memory books
+ * @param {ObjectId} dealer - Dealer
+ * @param {number} totalAmount - GST-inclusive amount
+ * @param {number} ageDays - Days since approval
+ * @param {Object} notes - { creditNoteAmount, debitNoteAmount }
+ * @returns {Object} - DealerRequest document
+ */
+function addBill(books, dealer, totalAmount, ageDays, notes = {}) {
+  const request = new DealerRequest({
+    dealer,
+    product: new mongoose.Types.ObjectId(),
+    strips: 1,
+    status: 'approved',
+    totalAmount,
+    paidAmount: 0,
+    paymentType: 'none',
+    isOutstanding: true,
+    processedAt: new Date(Date.now() - ageDays * DAY_MS),
+    ...notes,
+  });
+  books.requests.push(request);
+  books.payments.push(new Payment({
+    dealer,
+    dealerRequest: request._id,
+    type: 'payment',
+    amount: getInvoiceAmount(request),
+    paymentMethod: 'credit',
+    status: 'pending',
+  }));
+  return request;
+}
+
+/**
+ * Add a completed payment
+ * @param {Object} books - In-memory books
+ * @param {ObjectId} dealer - Dealer
+ * @param {number} amount - Amount
+ * @param {ObjectId} dealerRequest - Request it was recorded against (optional)
+ * @returns {Object} - Payment document
+ */
+function addPayment(books, dealer, amount, dealerRequest = null) {
+  const payment = new Payment({ dealer, dealerRequest, type: 'payment', amount, paymentMethod: 'bank_transfer', status: 'completed' });
+  books.payments.push(payment);
+  return payment;
+}
+
+/**
+ * Pending row still mirroring what is outstanding on a bill line
+ * @param {Object} books - In-memory books
+ * @param {Object} request - DealerRequest
+ * @returns {Object|undefined} - Payment
+ */
+function outstandingRow(books, request) {
+  return books.payments.find(payment => String(payment.dealerRequest) === String(request._id) && payment.paymentMethod === 'credit');
+}
+
+test('bill lines are due net of credit and debit notes and aged in buckets', () => {
+  assert.equal(getInvoiceAmount({ totalAmount: 1050, creditNoteAmount: 105, debitNoteAmount: 21 }), 966);
+  assert.equal(getInvoiceAmount({}), 0);
+  assert.equal(getAgeingBucket(0), '0-30');
+  assert.equal(getAgeingBucket(30), '0-30');
+  assert.equal(getAgeingBucket(31), '31-60');
+  assert.equal(getAgeingBucket(90), '61-90');
+  assert.equal(getAgeingBucket(91), '90+');
+});
+
+test('open bill lines are listed oldest first', async (t) => {
+  const books = useMemoryBooks(t);
+  const dealer = new mongoose.Types.ObjectId();
+  const newer = addBill(books, dealer, 200, 5);
+  const older = addBill(books, dealer, 300, 45, { creditNoteAmount: 50 });
+
+  const open = await getOpenInvoices({ dealer });
+  assert.deepEqual(open.map(invoice => String(invoice.dealerRequest)), [String(older._id), String(newer._id)]);
+  assert.deepEqual(open.map(invoice => invoice.openAmount), [250, 200]);
+  assert.deepEqual(open.map(invoice => invoice.bucket), ['31-60', '0-30']);
+});
+
+test('a payment settles the oldest bills first and keeps the rest as an advance', async (t) => {
+  const books = useMemoryBooks(t);
+  const dealer = new mongoose.Types.ObjectId();
+  const third = addBill(books, dealer, 100, 5);
+  const first = addBill(books, dealer, 100, 60);
+  const second = addBill(books, dealer, 100, 20);
+  const payment = addPayment(books, dealer, 250);
+
+  const result = await allocatePayment(payment._id, { auto: true }, null, SESSION);
+  assert.deepEqual(result.allocations.map(allocation => [String(allocation.dealerRequest), allocation.amount, allocation.source]), [
+    [String(first._id), 100, 'fifo'],
+    [String(second._id), 100, 'fifo'],
+    [String(third._id), 50, 'fifo'],
+  ]);
+  assert.equal(result.unallocatedAmount, 0);
+  assert.deepEqual([first, second, third].map(request => [request.paymentType, request.isOutstanding]), [
+    ['full', false], ['full', false], ['partial', true],
+  ]);
+  assert.equal(outstandingRow(books, first).status, 'cancelled');
+  assert.equal(outstandingRow(books, third).amount, 50);
+  await assert.rejects(allocatePayment(payment._id, { auto: true }, null, SESSION), /already fully allocated/);
+
+  const advance = addPayment(books, dealer, 80);
+  const rest = await allocatePayment(advance._id, { auto: true }, null, SESSION);
+  assert.equal(rest.allocations[0].amount, 50);
+  assert.equal(rest.unallocatedAmount, 30);
+  assert.equal(third.paymentType, 'full');
+});
+
+test('a payment recorded against a bill is applied to it before older bills', async (t) => {
+  const books = useMemoryBooks(t);
+  const dealer = new mongoose.Types.ObjectId();
+  const older = addBill(books, dealer, 100, 60);
+  const recent = addBill(books, dealer, 100, 1);
+  const payment = addPayment(books, dealer, 150, recent._id);
+
+  const allocations = await allocateOnCompletion(payment, null, SESSION, { autoAllocate: true });
+  assert.deepEqual(allocations.map(allocation => [String(allocation.dealerRequest), allocation.amount, allocation.source]), [
+    [String(recent._id), 100, 'linked'],
+    [String(older._id), 50, 'fifo'],
+  ]);
+});
+
+test('a manual split must fit what is open and what is unallocated', async (t) => {
+  const books = useMemoryBooks(t);
+  const dealer = new mongoose.Types.ObjectId();
+  const bill = addBill(books, dealer, 100, 10);
+  const other = addBill(books, dealer, 100, 5);
+  const payment = addPayment(books, dealer, 120);
+  const split = allocations => allocatePayment(payment._id, { allocations }, null, SESSION);
+
+  await assert.rejects(split([{ dealerRequestId: bill._id, amount: 101 }]), { status: 400, message: /Only ₹100 is open/ });
+  await assert.rejects(split([{ dealerRequestId: bill._id, amount: 10 }, { dealerRequestId: bill._id, amount: 10 }]), /distinct/);
+  await assert.rejects(split([{ dealerRequestId: bill._id, amount: 0 }]), /greater than 0/);
+  await assert.rejects(split([{ dealerRequestId: new mongoose.Types.ObjectId(), amount: 10 }]), /not an open bill/);
+  await assert.rejects(split([{ dealerRequestId: bill._id, amount: 100 }, { dealerRequestId: other._id, amount: 30 }]), /Only ₹120/);
+  assert.equal(books.allocations.length, 0);
+
+  const result = await split([{ dealerRequestId: other._id, amount: 70 }, { dealerRequestId: bill._id, amount: 50 }]);
+  assert.deepEqual(result.allocations.map(allocation => allocation.source), ['manual', 'manual']);
+  assert.equal(other.paidAmount, 70);
+  assert.equal(bill.paidAmount, 50);
+});
+
+test('reversing an allocation re-opens the bill it settled', async (t) => {
+  const books = useMemoryBooks(t);
+  const dealer = new mongoose.Types.ObjectId();
+  const bill = addBill(books, dealer, 100, 10);
+  const payment = addPayment(books, dealer, 100);
+  await allocatePayment(payment._id, { auto: true }, null, SESSION);
+  assert.equal(bill.isOutstanding, false);
+
+  const reversed = await reverseAllocations({ payment: payment._id }, null, 'cheque bounced', SESSION);
+  assert.equal(reversed.length, 1);
+  assert.equal(reversed[0].status, 'reversed');
+  assert.deepEqual([bill.paidAmount, bill.paymentType, bill.isOutstanding], [0, 'none', true]);
+
+  const reopened = books.payments.filter(row => String(row.dealerRequest) === String(bill._id) && row.status === 'pending');
+  assert.equal(reopened.length, 1);
+  assert.equal(reopened[0].amount, 100);
+  assert.match(reopened[0].notes, /cheque bounced/);
+});
@@ -0,0 +1,265 @@
+/**
+ * Payment gateway webhooks
+ *
+ * Checks the checkout and webhook signatures, that each gateway event is
+ * processed once (a repeated delivery, or checkout and webhook reporting the
+ * same payment), and that only a capture covering the order amount marks the
+ * order paid and verifies its pending requests.
+ *
+ * Webhooks are signed and delivered by the stub gateway. The collections,
+ * the transaction session and the journal / allocation postings are replaced
+ * with in-memory stand-ins, so no database is needed.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const DealerRequest = require('../models/DealerRequest');
+const GatewayEvent = require('../models/GatewayEvent');
+const GatewayOrder = require('../models/GatewayOrder');
+const Payment = require('../models/Payment');
+const journal = require('../utils/journal');
+const paymentAllocation = require('../utils/paymentAllocation');
+
+// Postings are checked by the journal and allocation code; here they only
+// need to be called (replaced before the gateway utilities pick them up)
+test.mock.method(journal, 'postPaymentEntry', async () => null);
+test.mock.method(journal, 'syncDealerCredit', async () => null);
+test.mock.method(paymentAllocation, 'allocateOnCompletion', async () => []);
+
+const { signaturesMatch, hmacSha256Hex } = require('../utils/paymentGateway/errors');
+const stubProvider = require('../utils/paymentGateway/stubProvider');
+const razorpayProvider = require('../utils/paymentGateway/razorpayProvider');
+const { handleWebhook } = require('../utils/paymentGateway');
+
+/**
+ * Query stand-in resolving to a value through .session()
+ * @param {*} value - Result
+ * @returns {Object}
+ */
+function query(value) {
+  return { session: async () => value };
+}
+
+/**
+ * Replace the gateway collections with in-memory ones for one test
+ * @param {Object} t - Test context
+ * @param {Object} gatewayOrder - GatewayOrder document the events are for
+ * @param {Array} requests - DealerRequest documents of its lines
+ * @returns {Object} - { events, payments } recorded
+ */
+function useMemoryGateway(t, gatewayOrder, requests) {
+  const events = [];
+  const payments = [];
+
+  t.mock.method(mongoose, 'startSession', async () => ({
+    startTransaction: () => {},
+    commitTransaction: async () => {},
+    abortTransaction: async () => {},
+    inTransaction: () => false,
+    endSession: async () => {},
+  }));
+  t.mock.method(GatewayEvent, 'exists', async filter => events.some(event => event.eventId === filter.eventId));
+  t.mock.method(GatewayEvent, 'create', async ([record]) => {
+    if (events.some(event => event.eventId === record.eventId)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    events.push(record);
+    return [record];
+  });
+  t.mock.method(GatewayOrder, 'findOne', filter => query(
+    filter.gatewayOrderId === gatewayOrder.gatewayOrderId ? gatewayOrder : null
+  ));
+  t.mock.method(GatewayOrder.prototype, 'save', async function save() {
+    return this;
+  });
+  t.mock.method(Payment, 'exists', filter => query(payments.some(payment =>
+    String(payment.gatewayOrder) === String(filter.gatewayOrder) && payment.gatewayPaymentId === filter.gatewayPaymentId)));
+  t.mock.method(Payment, 'create', async ([record]) => {
+    const payment = new Payment(record);
+    payments.push(payment);
+    return [payment];
+  });
+  t.mock.method(DealerRequest, 'findById', id => query(
+    requests.find(request => String(request._id) === String(id)) || null
+  ));
+  t.mock.method(DealerRequest.prototype, 'save', async function save() {
+    return this;
+  });
+  return { events, payments };
+}
+
+/**
+ * Pending requests of a dealer and an unpaid stub gateway order for them
+ * @param {Array<number>} amounts - Amount of each line (rupees)
+ * @returns {Promise<Object>} - { gatewayOrder, requests }
+ */
+async function createOrder(amounts) {
+  const dealer = new mongoose.Types.ObjectId();
+  const requests = amounts.map(() => new DealerRequest({
+    dealer,
+    product: new mongoose.Types.ObjectId(),
+    strips: 1,
+    status: 'pending',
+    paymentStatus: 'pending',
+  }));
+  const amount = amounts.reduce((sum, lineAmount) => sum + lineAmount, 0);
+  const created = await stubProvider.createOrder({ amount, currency: 'INR', receipt: 'PGTEST', notes: {} });
+  const gatewayOrder = new GatewayOrder({
+    gateway: 'stub',
+    gatewayOrderId: created.gatewayOrderId,
+    receipt: 'PGTEST',
+    dealer,
+    lines: requests.map((request, index) => ({ dealerRequest: request._id, amount: amounts[index] })),
+    amount,
+  });
+  return { gatewayOrder, requests };
+}
+
+/**
+ * Signed payment.captured webhook for part of an order, as the gateway would post it
+ * @param {string} gatewayOrderId - Order ID at the gateway
+ * @param {number} amount - Captured amount (rupees)
+ * @returns {Object} - { eventId, body, signature }
+ */
+function partCaptureWebhook(gatewayOrderId, amount) {
+  const body = JSON.stringify({
+    event: 'payment.captured',
+    payload: {
+      payment: {
+        entity: {
+          id: `pay_PART${Math.round(amount * 100)}`,
+          order_id: gatewayOrderId,
+          amount: Math.round(amount * 100),
+          currency: 'INR',
+          status: 'captured',
+          method: 'upi',
+        },
+      },
+    },
+  });
+  return { eventId: `evt_PART${Math.round(amount * 100)}`, body, signature: hmacSha256Hex(body, process.env.PAYMENT_GATEWAY_STUB_WEBHOOK_SECRET) };
+}
+
+test.beforeEach(() => {
+  process.env.PAYMENT_GATEWAY = 'stub';
+  process.env.PAYMENT_GATEWAY_STUB_WEBHOOK_SECRET = 'stub-webhook-secret';
+});
+
+test.afterEach(() => {
+  delete process.env.PAYMENT_GATEWAY;
+  delete process.env.PAYMENT_GATEWAY_STUB_WEBHOOK_SECRET;
+});
+
+test('signatures are compared as hex digests', () => {
+  const expected = hmacSha256Hex('order_1|pay_1', 'secret');
+  assert.equal(signaturesMatch(expected, expected), true);
+  assert.equal(signaturesMatch(expected, expected.toUpperCase()), true);
+  assert.equal(signaturesMatch(expected, hmacSha256Hex('order_1|pay_2', 'secret')), false);
+  assert.equal(signaturesMatch(expected, expected.slice(0, 32)), false);
+  assert.equal(signaturesMatch(expected, `${expected.slice(0, -1)}z`), false);
+  assert.equal(signaturesMatch(expected, undefined), false);
+});
+
+test('Razorpay signatures are checked with the configured secrets', () => {
+  process.env.RAZORPAY_KEY_SECRET = 'key-secret';
+  process.env.RAZORPAY_WEBHOOK_SECRET = 'webhook-secret';
+  try {
+    const body = '{"event":"payment.captured"}';
+    assert.equal(razorpayProvider.verifyWebhookSignature(body, hmacSha256Hex(body, 'webhook-secret')), true);
+    assert.equal(razorpayProvider.verifyWebhookSignature(body, hmacSha256Hex(body, 'key-secret')), false);
+    assert.equal(razorpayProvider.verifyPaymentSignature({
+      gatewayOrderId: 'order_1',
+      gatewayPaymentId: 'pay_1',
+      signature: hmacSha256Hex('order_1|pay_1', 'key-secret'),
+    }), true);
+  } finally {
+    delete process.env.RAZORPAY_KEY_SECRET;
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  }
+  assert.throws(() => razorpayProvider.verifyWebhookSignature('{}', 'ab'), { status: 500 });
+});
+
+test('a webhook with a bad signature is refused before it is read', async (t) => {
+  const { gatewayOrder, requests } = await createOrder([500]);
+  const { events } = useMemoryGateway(t, gatewayOrder, requests);
+  const { webhooks: [captured] } = stubProvider.simulateCheckout(gatewayOrder.gatewayOrderId);
+
+  assert.equal(stubProvider.verifyWebhookSignature(captured.body, captured.signature), true);
+  const tampered = captured.body.replace('"captured"', '"failed"');
+  await assert.rejects(handleWebhook(Buffer.from(tampered), captured.signature, captured.eventId), { status: 400 });
+  await assert.rejects(handleWebhook(Buffer.from(captured.body), 'not-a-signature', captured.eventId), { status: 400 });
+  assert.equal(events.length, 0);
+  assert.equal(gatewayOrder.status, 'created');
+});
+
+test('each webhook is processed once', async (t) => {
+  const { gatewayOrder, requests } = await createOrder([300, 200]);
+  const { events, payments } = useMemoryGateway(t, gatewayOrder, requests);
+  const { webhooks: [captured, orderPaid] } = stubProvider.simulateCheckout(gatewayOrder.gatewayOrderId);
+
+  const first = await handleWebhook(Buffer.from(captured.body), captured.signature, captured.eventId);
+  assert.deepEqual([first.outcome, first.duplicate], ['processed', false]);
+  assert.equal(gatewayOrder.status, 'paid');
+  assert.deepEqual(payments.map(payment => payment.amount), [300, 200]);
+  assert.ok(requests.every(request => request.paymentStatus === 'verified'));
+
+  // The same delivery again
+  const repeat = await handleWebhook(Buffer.from(captured.body), captured.signature, captured.eventId);
+  assert.deepEqual([repeat.outcome, repeat.duplicate], ['ignored', true]);
+
+  // Another event reporting the same payment
+  const second = await handleWebhook(Buffer.from(orderPaid.body), orderPaid.signature, orderPaid.eventId);
+  assert.equal(second.outcome, 'ignored');
+  assert.equal(second.message, 'Payment already recorded');
+
+  assert.equal(payments.length, 2);
+  assert.equal(events.length, 2);
+  assert.equal(gatewayOrder.extraPayments.length, 0);
+});
+
+test('a delivery processed concurrently is reported as a duplicate', async (t) => {
+  const { gatewayOrder, requests } = await createOrder([500]);
+  useMemoryGateway(t, gatewayOrder, requests);
+  t.mock.method(GatewayEvent, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  const { webhooks: [captured] } = stubProvider.simulateCheckout(gatewayOrder.gatewayOrderId);
+
+  const result = await handleWebhook(Buffer.from(captured.body), captured.signature, captured.eventId);
+  assert.equal(result.duplicate, true);
+});
+
+test('a capture short of the order amount is recorded as a part payment', async (t) => {
+  const { gatewayOrder, requests } = await createOrder([300, 200]);
+  const { payments } = useMemoryGateway(t, gatewayOrder, requests);
+
+  const part = partCaptureWebhook(gatewayOrder.gatewayOrderId, 350);
+  const first = await handleWebhook(Buffer.from(part.body), part.signature, part.eventId);
+  assert.equal(first.outcome, 'processed');
+  assert.equal(gatewayOrder.status, 'partially_paid');
+  assert.equal(gatewayOrder.paidAmount, 350);
+  assert.equal(gatewayOrder.paidAt, null);
+  assert.deepEqual(gatewayOrder.lines.map(line => line.paidAmount), [300, 50]);
+  assert.deepEqual(payments.map(payment => payment.amount), [300, 50]);
+  assert.ok(requests.every(request => request.paymentStatus === 'pending'));
+
+  // A late failure does not undo what was captured
+  const failed = JSON.stringify({
+    event: 'payment.failed',
+    payload: { payment: { entity: { id: 'pay_FAILED', order_id: gatewayOrder.gatewayOrderId, amount: 15000, status: 'failed' } } },
+  });
+  await handleWebhook(Buffer.from(failed), hmacSha256Hex(failed, 'stub-webhook-secret'), 'evt_FAILED');
+  assert.equal(gatewayOrder.status, 'partially_paid');
+
+  // The rest completes the order
+  const rest = partCaptureWebhook(gatewayOrder.gatewayOrderId, 150);
+  await handleWebhook(Buffer.from(rest.body), rest.signature, rest.eventId);
+  assert.equal(gatewayOrder.status, 'paid');
+  assert.equal(gatewayOrder.paidAmount, 500);
+  assert.ok(gatewayOrder.paidAt instanceof Date);
+  assert.deepEqual(payments.map(payment => payment.amount), [300, 50, 150]);
+  assert.ok(requests.every(request => request.paymentStatus === 'verified'));
+});
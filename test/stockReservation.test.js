@@ -0,0 +1,58 @@
+/**
+ * Stock reservations
+ *
+ * Checks that an admin stock update cannot take a product's stock below the
+ * strips held for pending requests, and that the save is guarded on it.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const { getAvailableToPromise, setProductStock } = require('../utils/stockReservation');
+
+/**
+ * Build an unsaved product holding reserved strips
+ * @param {number} stock - Stock (strips)
+ * @param {number} reservedStock - Strips reserved for pending requests
+ * @returns {Object} - Product document
+ */
+function buildProduct(stock, reservedStock) {
+  const product = new Product({
+    title: { en: 'Sample product', gu: '' },
+    packetPrice: 10,
+    packetsPerStrip: 10,
+    image: 'https://example.com/sample.png',
+    stock,
+    reservedStock,
+  });
+  return product;
+}
+
+test('stock cannot be set below the reserved strips', () => {
+  const product = buildProduct(50, 30);
+  assert.equal(setProductStock(product, 29), false);
+  assert.equal(product.stock, 50);
+  assert.equal(product.$where, undefined);
+  assert.equal(getAvailableToPromise(product), 20);
+});
+
+test('stock can be set down to the reserved strips', () => {
+  const product = buildProduct(50, 30);
+  assert.equal(setProductStock(product, 30), true);
+  assert.equal(product.stock, 30);
+  assert.equal(getAvailableToPromise(product), 0);
+});
+
+test('the stock update is saved only while the reservations still fit', () => {
+  const product = buildProduct(50, 30);
+  assert.equal(setProductStock(product, 40), true);
+  assert.deepEqual(product.$where, { $expr: { $lte: [{ $ifNull: ['$reservedStock', 0] }, 40] } });
+});
+
+test('products without reservations take any stock', () => {
+  const product = buildProduct(5, 0);
+  assert.equal(setProductStock(product, 0), true);
+  assert.equal(product.stock, 0);
+});
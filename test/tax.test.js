@@ -0,0 +1,164 @@
+/**
+ * GST tax engine
+ *
+ * Checks CGST + SGST within the supplier state against IGST across states,
+ * cess on the taxable value and per packet, exempt products, and rounding
+ * once per invoice.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getStateCode,
+  getStateCodeFromGstin,
+  getProductTaxSettings,
+  calculateInvoiceTax,
+  combineTaxBreakups,
+} = require('../utils/tax');
+
+// Gujarat, the supplier state of the tests
+const SUPPLIER_STATE = 24;
+const MAHARASHTRA = 27;
+
+/**
+ * Invoice line for a product
+ * @param {number} quantity - Packets
+ * @param {number} unitPrice - Price per packet
+ * @param {Object} product - Product tax fields
+ * @returns {Object}
+ */
+function line(quantity, unitPrice, product = {}) {
+  return { quantity, unitPrice, description: 'Sample product', tax: getProductTaxSettings(product) };
+}
+
+test('place of supply comes from the GSTIN or the state name', () => {
+  assert.equal(getStateCodeFromGstin('24ABCDE1234F1Z5'), 24);
+  assert.equal(getStateCodeFromGstin('27abcde1234f1z5'), 27);
+  assert.equal(getStateCodeFromGstin('99ABCDE1234F1Z5'), null);
+  assert.equal(getStateCodeFromGstin('URP'), null);
+  assert.equal(getStateCode(' Gujarat '), 24);
+  assert.equal(getStateCode('Andaman & Nicobar Islands'), 35);
+  assert.equal(getStateCode('Atlantis'), null);
+});
+
+test('legacy products are taxed at the default HSN code and rate', () => {
+  assert.deepEqual(getProductTaxSettings({}), {
+    hsnCode: '2106',
+    gstRate: 5,
+    cessRate: 0,
+    cessPerUnit: 0,
+    gstExempt: false,
+  });
+  assert.equal(getProductTaxSettings({ gstRate: 0 }).gstRate, 0);
+});
+
+test('supply within the supplier state is taxed as CGST + SGST', () => {
+  const tax = calculateInvoiceTax([line(100, 10, { gstRate: 12 })], SUPPLIER_STATE, { supplierStateCode: SUPPLIER_STATE });
+  assert.equal(tax.interState, false);
+  assert.equal(tax.lines[0].cgstRate, 6);
+  assert.equal(tax.lines[0].sgstRate, 6);
+  assert.equal(tax.lines[0].igstRate, 0);
+  assert.equal(tax.totals.taxableAmount, 1000);
+  assert.equal(tax.totals.cgstAmount, 60);
+  assert.equal(tax.totals.sgstAmount, 60);
+  assert.equal(tax.totals.igstAmount, 0);
+  assert.equal(tax.totals.grandTotal, 1120);
+});
+
+test('supply to another state is taxed as IGST at the full rate', () => {
+  const tax = calculateInvoiceTax([line(100, 10, { gstRate: 12 })], MAHARASHTRA, { supplierStateCode: SUPPLIER_STATE });
+  assert.equal(tax.interState, true);
+  assert.equal(tax.lines[0].igstRate, 12);
+  assert.equal(tax.totals.igstAmount, 120);
+  assert.equal(tax.totals.cgstAmount, 0);
+  assert.equal(tax.totals.sgstAmount, 0);
+  assert.equal(tax.totals.grandTotal, 1120);
+});
+
+test('cess is charged on the taxable value and per packet', () => {
+  const tax = calculateInvoiceTax(
+    [line(10, 100, { gstRate: 28, cessRate: 12, cessPerUnit: 0.5 })],
+    SUPPLIER_STATE,
+    { supplierStateCode: SUPPLIER_STATE }
+  );
+  assert.equal(tax.totals.taxableAmount, 1000);
+  assert.equal(tax.totals.cessAmount, 125);
+  assert.equal(tax.totals.totalTax, 405);
+  assert.equal(tax.totals.grandTotal, 1405);
+});
+
+test('exempt products carry neither GST nor cess', () => {
+  const tax = calculateInvoiceTax(
+    [line(10, 100, { gstRate: 18, cessRate: 12, gstExempt: true })],
+    MAHARASHTRA,
+    { supplierStateCode: SUPPLIER_STATE }
+  );
+  assert.equal(tax.lines[0].taxability, 'exempt');
+  assert.equal(tax.totals.totalTax, 0);
+  assert.equal(tax.totals.grandTotal, 1000);
+});
+
+test('lines are summarised per HSN code and rate', () => {
+  const tax = calculateInvoiceTax([
+    line(10, 10, { hsnCode: '2106', gstRate: 5 }),
+    line(20, 10, { hsnCode: '2106', gstRate: 5 }),
+    line(10, 10, { hsnCode: '1704', gstRate: 18 }),
+  ], SUPPLIER_STATE, { supplierStateCode: SUPPLIER_STATE });
+  assert.equal(tax.rateSummary.length, 2);
+  assert.deepEqual(tax.rateSummary.map(row => [row.hsnCode, row.gstRate, row.taxableAmount]), [
+    ['2106', 5, 300],
+    ['1704', 18, 100],
+  ]);
+});
+
+test('the invoice is rounded to the rupee once', () => {
+  // 7 x 10.33 = 72.31 taxable, 1.81 + 1.81 GST, 75.93 in total
+  const tax = calculateInvoiceTax([line(7, 10.33)], SUPPLIER_STATE, { supplierStateCode: SUPPLIER_STATE });
+  assert.equal(tax.totals.taxableAmount, 72.31);
+  assert.equal(tax.totals.cgstAmount, 1.81);
+  assert.equal(tax.totals.grandTotal, 76);
+  assert.equal(tax.totals.roundOff, 0.07);
+});
+
+test('a bill of several requests is rounded once and the lines share the total', () => {
+  const options = { supplierStateCode: SUPPLIER_STATE };
+  // Each request alone: 75.93 -> 76 (+0.07)
+  const breakups = [
+    calculateInvoiceTax([line(7, 10.33)], SUPPLIER_STATE, options),
+    calculateInvoiceTax([line(7, 10.33)], SUPPLIER_STATE, options),
+    calculateInvoiceTax([line(7, 10.33)], SUPPLIER_STATE, options),
+  ];
+  assert.equal(breakups.reduce((sum, breakup) => sum + breakup.totals.grandTotal, 0), 228);
+
+  const { taxBreakup, shares } = combineTaxBreakups(breakups);
+
+  // The bill: 3 x 75.93 = 227.79 -> 228 (+0.21), not three separate round-offs
+  assert.equal(taxBreakup.lines.length, 3);
+  assert.equal(taxBreakup.totals.taxableAmount, 216.93);
+  assert.equal(taxBreakup.totals.grandTotal, 228);
+  assert.equal(taxBreakup.totals.roundOff, 0.21);
+
+  assert.deepEqual(shares.map(share => share.totals.roundOff), [0.21, 0, 0]);
+  assert.deepEqual(shares.map(share => share.totals.grandTotal), [76.14, 75.93, 75.93]);
+  const owed = Math.round(shares.reduce((sum, share) => sum + share.totals.grandTotal, 0) * 100) / 100;
+  assert.equal(owed, taxBreakup.totals.grandTotal);
+});
+
+test('shares keep the taxes of their own line', () => {
+  const options = { supplierStateCode: SUPPLIER_STATE };
+  const breakups = [
+    calculateInvoiceTax([line(3, 33.33, { gstRate: 18 })], MAHARASHTRA, options),
+    calculateInvoiceTax([line(1, 0.4, { gstRate: 5 })], MAHARASHTRA, options),
+  ];
+  const { taxBreakup, shares } = combineTaxBreakups(breakups);
+
+  assert.equal(taxBreakup.interState, true);
+  shares.forEach((share, index) => {
+    assert.deepEqual(share.lines, breakups[index].lines);
+    assert.equal(share.totals.igstAmount, breakups[index].totals.igstAmount);
+  });
+  const owed = Math.round(shares.reduce((sum, share) => sum + share.totals.grandTotal, 0) * 100) / 100;
+  assert.equal(owed, taxBreakup.totals.grandTotal);
+});
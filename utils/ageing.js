@@ -0,0 +1,372 @@
+/**
+ * Receivables Ageing Report
+ *
+ * Open amounts of approved dealer requests (bill lines) bucketed by days since
+ * approval: 0-30, 31-60, 61-90, 90+. A line's open amount is its total net of
+ * credit/debit notes minus the payments allocated to it (DealerRequest.paidAmount,
+ * see utils/paymentAllocation). Archived requests are read through
+ * utils/unifiedQuery, so old bills that were never settled still show up.
+ *
+ * Completed payments not yet allocated to bills are reported per dealer as
+ * advances and netted off separately - they are not spread over the buckets.
+ *
+ * Rows are grouped per dealer or per stalkist (the user who created the
+ * dealer; dealers created by an admin are grouped as "Direct"), and can be
+ * drilled down to the bill lines. Exports: CSV and XLSX.
+ */
+
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const { queryUnifiedDealerRequests } = require('./unifiedQuery');
+const { AGEING_BUCKETS, getInvoiceAmount, getAgeingBucket, getUnallocatedPayments } = require('./paymentAllocation');
+const { round2, formatDate } = require('./common');
+
+// Bills are read from the first record so archived years are included
+const HISTORY_START = new Date(0);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Empty bucket totals
+ * @returns {Object} - { '0-30': 0, ... }
+ */
+function emptyBuckets() {
+  return Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+}
+
+/**
+ * Add an amount to a row's bucket and total
+ * @param {Object} row - Report row
+ * @param {string} bucket - Bucket key
+ * @param {number} amount - Open amount
+ */
+function addToRow(row, bucket, amount) {
+  row.buckets[bucket] = round2(row.buckets[bucket] + amount);
+  row.totalOutstanding = round2(row.totalOutstanding + amount);
+}
+
+/**
+ * Open bill lines from the primary and archive databases
+ * @param {Array} dealerIds - Dealers to include
+ * @param {Object} options - { includeArchived, asOf }
+ * @returns {Promise<Array>} - Bill lines with open amount, age and bucket
+ */
+async function getOpenBillLines(dealerIds, options) {
+  const result = await queryUnifiedDealerRequests(
+    {
+      dealer: { $in: dealerIds },
+      status: 'approved',
+      isOutstanding: true,
+      requestedAt: { $gte: HISTORY_START },
+    },
+    { limit: Number.MAX_SAFE_INTEGER, sort: { requestedAt: 1 } }
+  );
+
+  const requests = options.includeArchived
+    ? result.data
+    : result.data.filter(request => !request.originalId);
+
+  const productIds = [...new Set(requests.map(request => request.product && request.product.toString()).filter(Boolean))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('title').lean();
+  const titles = new Map(products.map(product => [
+    product._id.toString(),
+    typeof product.title === 'string' ? product.title : (product.title?.en || ''),
+  ]));
+
+  return requests
+    .map(request => {
+      const amount = getInvoiceAmount(request);
+      const openAmount = round2(amount - (request.paidAmount || 0));
+      const date = request.processedAt || request.requestedAt;
+      const ageDays = Math.max(0, Math.floor((options.asOf - new Date(date)) / DAY_MS));
+      return {
+        dealerRequestId: (request.originalId || request._id).toString(),
+        dealer: request.dealer.toString(),
+        invoiceNumber: request.invoiceNumber || null,
+        date,
+        description: `${titles.get(request.product?.toString()) || 'Product'} x ${request.strips} strips`,
+        amount,
+        paidAmount: round2(request.paidAmount || 0),
+        openAmount,
+        ageDays,
+        bucket: getAgeingBucket(ageDays),
+        archived: Boolean(request.originalId),
+      };
+    })
+    .filter(line => line.openAmount > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Build the ageing report
+ * @param {Object} options - Options
+ * @param {string} options.groupBy - dealer | stalkist (default: dealer)
+ * @param {ObjectId|string} options.dealerId - Only this dealer
+ * @param {ObjectId|string} options.stalkistId - Only dealers created by this stalkist
+ * @param {boolean} options.drilldown - Include the bill lines of each dealer (default: false)
+ * @param {boolean} options.includeArchived - Include archived bills (default: true)
+ * @returns {Promise<Object>} - { groupBy, generatedAt, buckets, rows, totals, archivedLines }
+ */
+async function buildAgeingReport(options = {}) {
+  const groupBy = options.groupBy === 'stalkist' ? 'stalkist' : 'dealer';
+  const asOf = new Date();
+  const includeArchived = options.includeArchived !== false;
+
+  const dealerQuery = { role: { $in: ['dealer', 'dellear'] } };
+  if (options.dealerId) {
+    dealerQuery._id = options.dealerId;
+  }
+  if (options.stalkistId) {
+    dealerQuery.createdBy = options.stalkistId;
+  }
+  const dealers = await User.find(dealerQuery).select('name email createdBy').lean();
+  const dealerIds = dealers.map(dealer => dealer._id);
+
+  const [lines, advances, stalkists] = await Promise.all([
+    getOpenBillLines(dealerIds, { includeArchived, asOf }),
+    getUnallocatedPayments({ dealer: dealerIds }),
+    User.find({ _id: { $in: [...new Set(dealers.map(dealer => dealer.createdBy && dealer.createdBy.toString()).filter(Boolean))] }, role: 'stalkist' })
+      .select('name email')
+      .lean(),
+  ]);
+  const stalkistsById = new Map(stalkists.map(stalkist => [stalkist._id.toString(), stalkist]));
+
+  // One row per dealer
+  const dealerRows = new Map(dealers.map(dealer => {
+    const stalkist = dealer.createdBy && stalkistsById.get(dealer.createdBy.toString());
+    return [dealer._id.toString(), {
+      dealer: { id: dealer._id.toString(), name: dealer.name, email: dealer.email },
+      stalkist: stalkist ? { id: stalkist._id.toString(), name: stalkist.name, email: stalkist.email } : null,
+      buckets: emptyBuckets(),
+      totalOutstanding: 0,
+      unallocatedAdvance: 0,
+      netOutstanding: 0,
+      invoiceCount: 0,
+      oldestDays: 0,
+      invoices: [],
+    }];
+  }));
+
+  lines.forEach(line => {
+    const row = dealerRows.get(line.dealer);
+    addToRow(row, line.bucket, line.openAmount);
+    row.invoiceCount += 1;
+    row.oldestDays = Math.max(row.oldestDays, line.ageDays);
+    row.invoices.push(line);
+  });
+  advances.forEach(advance => {
+    const row = dealerRows.get(advance.dealer.toString());
+    row.unallocatedAdvance = round2(row.unallocatedAdvance + advance.unallocatedAmount);
+  });
+
+  const activeDealerRows = [...dealerRows.values()]
+    .filter(row => row.totalOutstanding > 0 || row.unallocatedAdvance > 0)
+    .map(row => ({
+      ...row,
+      netOutstanding: round2(row.totalOutstanding - row.unallocatedAdvance),
+      invoices: options.drilldown ? row.invoices : undefined,
+    }))
+    .sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+
+  let rows = activeDealerRows;
+  if (groupBy === 'stalkist') {
+    const stalkistRows = new Map();
+    activeDealerRows.forEach(dealerRow => {
+      const key = dealerRow.stalkist ? dealerRow.stalkist.id : 'direct';
+      if (!stalkistRows.has(key)) {
+        stalkistRows.set(key, {
+          stalkist: dealerRow.stalkist || { id: null, name: 'Direct', email: null },
+          buckets: emptyBuckets(),
+          totalOutstanding: 0,
+          unallocatedAdvance: 0,
+          netOutstanding: 0,
+          invoiceCount: 0,
+          oldestDays: 0,
+          dealers: [],
+        });
+      }
+      const row = stalkistRows.get(key);
+      AGEING_BUCKETS.forEach(bucket => addToRow(row, bucket.key, dealerRow.buckets[bucket.key]));
+      row.unallocatedAdvance = round2(row.unallocatedAdvance + dealerRow.unallocatedAdvance);
+      row.netOutstanding = round2(row.totalOutstanding - row.unallocatedAdvance);
+      row.invoiceCount += dealerRow.invoiceCount;
+      row.oldestDays = Math.max(row.oldestDays, dealerRow.oldestDays);
+      row.dealers.push(dealerRow);
+    });
+    rows = [...stalkistRows.values()].sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+  }
+
+  const totals = { buckets: emptyBuckets(), totalOutstanding: 0, unallocatedAdvance: 0, netOutstanding: 0, invoiceCount: 0 };
+  activeDealerRows.forEach(row => {
+    AGEING_BUCKETS.forEach(bucket => addToRow(totals, bucket.key, row.buckets[bucket.key]));
+    totals.unallocatedAdvance = round2(totals.unallocatedAdvance + row.unallocatedAdvance);
+    totals.invoiceCount += row.invoiceCount;
+  });
+  totals.netOutstanding = round2(totals.totalOutstanding - totals.unallocatedAdvance);
+
+  return {
+    groupBy,
+    generatedAt: asOf,
+    buckets: AGEING_BUCKETS.map(bucket => bucket.key),
+    rows,
+    totals,
+    archivedLines: lines.filter(line => line.archived).length,
+  };
+}
+
+/**
+ * Flat summary rows (one per dealer, with its stalkist) for the exports
+ * @param {Object} report - Report (buildAgeingReport)
+ * @returns {Array} - Dealer rows
+ */
+function getDealerRows(report) {
+  return report.groupBy === 'stalkist'
+    ? report.rows.flatMap(row => row.dealers)
+    : report.rows;
+}
+
+/**
+ * Report as CSV: one row per dealer, or per bill line when drilled down
+ * @param {Object} report - Report (buildAgeingReport)
+ * @param {Object} options - Options
+ * @param {boolean} options.drilldown - One row per bill line (default: false)
+ * @returns {string}
+ */
+function ageingToCsv(report, options = {}) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const dealerRows = getDealerRows(report);
+
+  let rows;
+  if (options.drilldown) {
+    rows = [
+      ['Stalkist', 'Dealer', 'Email', 'Invoice', 'Date', 'Particulars', 'Amount', 'Paid', 'Open', 'Age (days)', 'Bucket', 'Archived'],
+      ...dealerRows.flatMap(row => (row.invoices || []).map(line => [
+        row.stalkist ? row.stalkist.name : 'Direct',
+        row.dealer.name,
+        row.dealer.email,
+        line.invoiceNumber || '',
+        formatDate(line.date),
+        line.description,
+        line.amount.toFixed(2),
+        line.paidAmount.toFixed(2),
+        line.openAmount.toFixed(2),
+        line.ageDays,
+        line.bucket,
+        line.archived ? 'yes' : 'no',
+      ])),
+    ];
+  } else {
+    rows = [
+      ['Stalkist', 'Dealer', 'Email', ...report.buckets, 'Total outstanding', 'Unallocated advance', 'Net outstanding', 'Bills', 'Oldest (days)'],
+      ...dealerRows.map(row => [
+        row.stalkist ? row.stalkist.name : 'Direct',
+        row.dealer.name,
+        row.dealer.email,
+        ...report.buckets.map(bucket => row.buckets[bucket].toFixed(2)),
+        row.totalOutstanding.toFixed(2),
+        row.unallocatedAdvance.toFixed(2),
+        row.netOutstanding.toFixed(2),
+        row.invoiceCount,
+        row.oldestDays,
+      ]),
+      [
+        'Total', '', '',
+        ...report.buckets.map(bucket => report.totals.buckets[bucket].toFixed(2)),
+        report.totals.totalOutstanding.toFixed(2),
+        report.totals.unallocatedAdvance.toFixed(2),
+        report.totals.netOutstanding.toFixed(2),
+        report.totals.invoiceCount,
+        '',
+      ],
+    ];
+  }
+
+  return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Report as an XLSX workbook: a summary sheet (per dealer or per stalkist)
+ * and, when drilled down, a sheet of the bill lines
+ * @param {Object} report - Report (buildAgeingReport)
+ * @returns {Promise<Buffer>}
+ */
+async function ageingToXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = report.generatedAt;
+  const amountFormat = '#,##0.00';
+
+  const summary = workbook.addWorksheet('Ageing');
+  const nameColumns = report.groupBy === 'stalkist'
+    ? [{ header: 'Stalkist', key: 'name', width: 28 }, { header: 'Dealers', key: 'dealers', width: 10 }]
+    : [{ header: 'Stalkist', key: 'stalkist', width: 24 }, { header: 'Dealer', key: 'name', width: 28 }, { header: 'Email', key: 'email', width: 30 }];
+  summary.columns = [
+    ...nameColumns,
+    ...report.buckets.map(bucket => ({ header: `${bucket} days`, key: bucket, width: 14, style: { numFmt: amountFormat } })),
+    { header: 'Total outstanding', key: 'total', width: 18, style: { numFmt: amountFormat } },
+    { header: 'Unallocated advance', key: 'advance', width: 18, style: { numFmt: amountFormat } },
+    { header: 'Net outstanding', key: 'net', width: 18, style: { numFmt: amountFormat } },
+    { header: 'Bills', key: 'bills', width: 8 },
+    { header: 'Oldest (days)', key: 'oldest', width: 14 },
+  ];
+
+  const amounts = (row) => ({
+    ...row.buckets,
+    total: row.totalOutstanding,
+    advance: row.unallocatedAdvance,
+    net: row.netOutstanding,
+    bills: row.invoiceCount,
+  });
+  report.rows.forEach(row => {
+    summary.addRow(report.groupBy === 'stalkist'
+      ? { name: row.stalkist.name, dealers: row.dealers.length, ...amounts(row), oldest: row.oldestDays }
+      : { stalkist: row.stalkist ? row.stalkist.name : 'Direct', name: row.dealer.name, email: row.dealer.email, ...amounts(row), oldest: row.oldestDays });
+  });
+  const totalRow = summary.addRow({ name: 'Total', ...amounts(report.totals) });
+  totalRow.font = { bold: true };
+  summary.getRow(1).font = { bold: true };
+  summary.views = [{ state: 'frozen', ySplit: 1 }];
+
+  const dealerRows = getDealerRows(report);
+  if (dealerRows.some(row => row.invoices)) {
+    const bills = workbook.addWorksheet('Bills');
+    bills.columns = [
+      { header: 'Stalkist', key: 'stalkist', width: 24 },
+      { header: 'Dealer', key: 'dealer', width: 28 },
+      { header: 'Invoice', key: 'invoiceNumber', width: 20 },
+      { header: 'Date', key: 'date', width: 12, style: { numFmt: 'dd-mm-yyyy' } },
+      { header: 'Particulars', key: 'description', width: 36 },
+      { header: 'Amount', key: 'amount', width: 14, style: { numFmt: amountFormat } },
+      { header: 'Paid', key: 'paidAmount', width: 14, style: { numFmt: amountFormat } },
+      { header: 'Open', key: 'openAmount', width: 14, style: { numFmt: amountFormat } },
+      { header: 'Age (days)', key: 'ageDays', width: 12 },
+      { header: 'Bucket', key: 'bucket', width: 10 },
+      { header: 'Archived', key: 'archived', width: 10 },
+    ];
+    dealerRows.forEach(row => {
+      (row.invoices || []).forEach(line => {
+        bills.addRow({
+          ...line,
+          stalkist: row.stalkist ? row.stalkist.name : 'Direct',
+          dealer: row.dealer.name,
+          invoiceNumber: line.invoiceNumber || '',
+          date: new Date(line.date),
+          archived: line.archived ? 'yes' : 'no',
+        });
+      });
+    });
+    bills.getRow(1).font = { bold: true };
+    bills.views = [{ state: 'frozen', ySplit: 1 }];
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  buildAgeingReport,
+  ageingToCsv,
+  ageingToXlsx,
+};
@@ -0,0 +1,158 @@
+/**
+ * Backorder Utilities
+ *
+ * A backorder is the pending remainder of a partially approved dealer request
+ * (DealerRequest.backorderOf points at the approved part). Backorders hold no
+ * stock while the product is short. When product stock is replenished they are
+ * served oldest first: each one gets a stock reservation, and with
+ * BACKORDER_AUTO_APPROVE=true it is approved straight away (on credit, like an
+ * approval without payment). Otherwise it stays pending with its strips held so
+ * the admin can approve it from the backorder queue. Admins are told about
+ * both outcomes with an in-app message.
+ */
+
+const DealerRequest = require('../models/DealerRequest');
+const Message = require('../models/Message');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const User = require('../models/User');
+const { runInTransaction } = require('./transaction');
+const { reserveStock } = require('./stockReservation');
+const { approveRequest } = require('./dealerRequestWorkflow');
+
+// Approve backorders automatically once stock is available again
+const AUTO_APPROVE = process.env.BACKORDER_AUTO_APPROVE === 'true';
+
+/**
+ * Get pending backorders of a product that do not hold stock yet, oldest first
+ * @param {ObjectId} productId - Product ID
+ * @returns {Promise<Array>} - Lean DealerRequest rows
+ */
+async function getWaitingBackorders(productId) {
+  const backorders = await DealerRequest.find({
+    product: productId,
+    status: 'pending',
+    backorderOf: { $ne: null },
+  })
+    .select('_id strips requestedAt')
+    .sort({ requestedAt: 1, createdAt: 1 })
+    .lean();
+
+  if (backorders.length === 0) {
+    return [];
+  }
+
+  const held = await StockReservation.find({
+    dealerRequest: { $in: backorders.map(b => b._id) },
+    status: 'active',
+  }).distinct('dealerRequest');
+  const heldIds = new Set(held.map(String));
+
+  return backorders.filter(b => !heldIds.has(String(b._id)));
+}
+
+/**
+ * Tell admins (in-app message) which backorders of a product now hold stock
+ * or were approved. A failed notification never undoes the fulfilment.
+ * @param {ObjectId} productId - Product ID
+ * @param {Object} result - fulfilBackorders result
+ */
+async function notifyAdmins(productId, result) {
+  if (result.reserved.length === 0 && result.approved.length === 0) {
+    return;
+  }
+
+  try {
+    const [product, admins] = await Promise.all([
+      Product.findById(productId).select('title').lean(),
+      User.find({ role: 'admin' }).select('_id').lean(),
+    ]);
+    if (admins.length === 0) {
+      return;
+    }
+
+    const title = (product && (typeof product.title === 'string' ? product.title : product.title?.en)) || 'Product';
+    const lines = [];
+    if (result.reserved.length > 0) {
+      lines.push(`${result.reserved.length} backorder(s) now hold stock and are ready for approval.`);
+    }
+    if (result.approved.length > 0) {
+      lines.push(`${result.approved.length} backorder(s) were approved automatically.`);
+    }
+    if (result.waiting > 0) {
+      lines.push(`${result.waiting} backorder(s) are still waiting for stock.`);
+    }
+
+    await Message.create({
+      sender: null,
+      title: `Backorders served: ${title}`,
+      content: lines.join('\n'),
+      recipients: admins.map(admin => admin._id),
+      recipientRoles: ['admin'],
+      sendToAll: false,
+      category: 'backorder',
+    });
+  } catch (error) {
+    console.error('Backorder notification error:', error);
+  }
+}
+
+/**
+ * Serve waiting backorders of a product after its stock was replenished
+ * @param {ObjectId} productId - Product ID
+ * @param {ObjectId} userId - Admin who replenished the stock (recorded as approver)
+ * @returns {Promise<Object>} - { reserved: [requestId], approved: [requestId], waiting: number }
+ */
+async function fulfilBackorders(productId, userId) {
+  const waiting = await getWaitingBackorders(productId);
+  const result = { reserved: [], approved: [], waiting: 0 };
+
+  for (let i = 0; i < waiting.length; i++) {
+    const backorderId = waiting[i]._id;
+
+    const outcome = await runInTransaction(async (session) => {
+      const request = await DealerRequest.findById(backorderId).session(session);
+      if (!request || request.status !== 'pending') {
+        return 'skipped';
+      }
+
+      const held = await reserveStock(request, session);
+      if (!held) {
+        return 'short';
+      }
+      request.reservationExpiresAt = held.expiresAt;
+      await request.save({ session });
+
+      if (!AUTO_APPROVE) {
+        return 'reserved';
+      }
+
+      const approval = await approveRequest(request._id, {
+        paidAmount: 0,
+        notes: 'Backorder fulfilled automatically after stock replenishment',
+      }, userId, session);
+      return approval.request ? 'approved' : 'reserved';
+    }, { label: 'backorder fulfilment' });
+
+    if (outcome === 'short') {
+      // Oldest first: later backorders wait behind this one
+      result.waiting = waiting.length - i;
+      break;
+    }
+    if (outcome === 'reserved') {
+      result.reserved.push(backorderId);
+    } else if (outcome === 'approved') {
+      result.approved.push(backorderId);
+    }
+  }
+
+  await notifyAdmins(productId, result);
+
+  return result;
+}
+
+module.exports = {
+  AUTO_APPROVE,
+  getWaitingBackorders,
+  fulfilBackorders,
+};
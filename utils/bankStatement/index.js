@@ -0,0 +1,566 @@
+/**
+ * Bank Statement Reconciliation
+ *
+ * Imported statement lines (see parsers.js) are matched against payments not
+ * yet reconciled - credit lines against dealer payments, debit lines against
+ * refunds. Credit-mirror rows (pending 'credit' payments standing for amounts
+ * still owed) are never candidates. Each candidate is scored out of 100:
+ * - reference (50) : the payment's UTR / UPI reference / bank transaction ID
+ *                    appears in the line's reference or narration
+ * - amount (25)    : same amount (to the paisa)
+ * - date (up to 15): transaction dates within the window (default 3 days),
+ *                    closer is better
+ * - dealer (up to 10): share of the dealer's name words (user name or
+ *                    company name) found in the line
+ *
+ * Outcome per line:
+ * - auto_confirmed : best candidate matched on reference and amount, and no
+ *                    other candidate matched on reference (when autoConfirm)
+ * - proposed       : best candidate scored at least PROPOSE_SCORE; an admin
+ *                    confirms or rejects it
+ * - exception      : credit line without a likely match - the exceptions
+ *                    queue, resolved by confirming a payment, recording a new
+ *                    payment from the line or ignoring it
+ * - ignored        : debit line without a likely match (charges, transfers)
+ *
+ * Reconciling marks the payment reconciled; a pending dealer payment is
+ * completed at the same time (journal entry and allocation as in
+ * PUT /payments/:id/status). Credit lines carrying a UPI payment link note are
+ * also offered to the UPI intent matcher (utils/upiIntent).
+ *
+ * Lines are fingerprinted so overlapping statements can be imported again.
+ */
+
+const crypto = require('crypto');
+const Payment = require('../../models/Payment');
+const User = require('../../models/User');
+const DealerRequest = require('../../models/DealerRequest');
+const DealerProfile = require('../../models/DealerProfile');
+const BankStatement = require('../../models/BankStatement');
+const BankStatementLine = require('../../models/BankStatementLine');
+const UpiCredit = require('../../models/UpiCredit');
+const { runInTransaction } = require('../transaction');
+const { postPaymentEntry, syncDealerCredit } = require('../journal');
+const { allocateOnCompletion } = require('../paymentAllocation');
+const { extractTransactionNote, matchUpiCredit } = require('../upiIntent');
+const { parseStatement } = require('./parsers');
+const { statusError } = require('../common');
+
+const DATE_WINDOW_DAYS = 3;
+const AUTO_CONFIRM_SCORE = 75;
+const PROPOSE_SCORE = 35;
+const MAX_CANDIDATES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Narration words that say nothing about who paid
+const NOISE_WORDS = new Set([
+  'upi', 'neft', 'imps', 'rtgs', 'trf', 'transfer', 'from', 'credit', 'debit', 'payment', 'paid',
+  'the', 'and', 'ltd', 'pvt', 'private', 'limited', 'bank', 'inb', 'mob', 'ref', 'utr', 'via',
+]);
+
+/**
+ * Fingerprint of a statement line
+ * @param {string} accountNumber - Statement account (may be null)
+ * @param {Object} line - Parsed line
+ * @returns {string}
+ */
+function fingerprintLine(accountNumber, line) {
+  return crypto.createHash('sha1').update([
+    accountNumber || '',
+    line.transactionDate.toISOString().slice(0, 10),
+    line.amount.toFixed(2),
+    line.direction,
+    line.reference || '',
+    line.description || '',
+  ].join('|')).digest('hex');
+}
+
+/**
+ * Reference-like tokens of a line (6+ characters with a digit), upper case.
+ * "UTR612345678903" also yields "612345678903".
+ * @param {Object} line - Statement line
+ * @returns {Array<string>}
+ */
+function getReferenceTokens(line) {
+  const tokens = new Set();
+  `${line.reference || ''} ${line.description || ''}`.toUpperCase().split(/[^A-Z0-9]+/).forEach(token => {
+    if (token.length >= 6 && /\d/.test(token)) {
+      tokens.add(token);
+      const digits = /^[A-Z]+(\d{6,})$/.exec(token);
+      if (digits) {
+        tokens.add(digits[1]);
+      }
+    }
+  });
+  return [...tokens];
+}
+
+/**
+ * Name words of a text (lower case, 3+ letters, without narration noise)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function getNameWords(text) {
+  return String(text || '').toLowerCase().split(/[^a-z]+/)
+    .filter(word => word.length >= 3 && !NOISE_WORDS.has(word));
+}
+
+/**
+ * Dealers with the names they may appear under in narrations
+ * @returns {Promise<Map>} - dealerId -> [name words of each name]
+ */
+async function loadDealerDirectory() {
+  const [dealers, profiles] = await Promise.all([
+    User.find({ role: { $in: ['dealer', 'dellear'] } }).select('name').lean(),
+    DealerProfile.find({}).select('dealer companyName').lean(),
+  ]);
+  const directory = new Map(dealers.map(dealer => [dealer._id.toString(), [getNameWords(dealer.name)]]));
+  profiles.forEach(profile => {
+    const names = profile.dealer && directory.get(profile.dealer.toString());
+    if (names && profile.companyName) {
+      names.push(getNameWords(profile.companyName));
+    }
+  });
+  return directory;
+}
+
+/**
+ * How well a dealer's names match a line (0-1)
+ * @param {Array<Array<string>>} names - Name words per name (see loadDealerDirectory)
+ * @param {Set<string>} lineWords - Name words of the line
+ * @returns {number}
+ */
+function dealerSimilarity(names, lineWords) {
+  return (names || []).reduce((best, words) => {
+    if (words.length === 0) {
+      return best;
+    }
+    const found = words.filter(word => lineWords.has(word)).length;
+    return Math.max(best, found / words.length);
+  }, 0);
+}
+
+/**
+ * Dealer whose name best matches a line (at least half the name words)
+ * @param {Map} directory - See loadDealerDirectory
+ * @param {Set<string>} lineWords - Name words of the line
+ * @returns {string|null} - Dealer ID
+ */
+function suggestDealer(directory, lineWords) {
+  let best = null;
+  let bestScore = 0.5;
+  directory.forEach((names, dealerId) => {
+    const score = dealerSimilarity(names, lineWords);
+    if (score >= bestScore) {
+      best = dealerId;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Score the unreconciled payments that could match a line
+ * @param {Object} line - Statement line
+ * @param {Map} directory - See loadDealerDirectory
+ * @param {Object} options - { dateWindowDays }
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<Array>} - [{ payment, dealer, score, reasons }] best first
+ */
+async function findCandidates(line, directory, options = {}, session = null) {
+  const windowDays = options.dateWindowDays ?? DATE_WINDOW_DAYS;
+  const day = new Date(line.transactionDate);
+  day.setHours(0, 0, 0, 0);
+  const from = new Date(day.getTime() - windowDays * DAY_MS);
+  const to = new Date(day.getTime() + (windowDays + 1) * DAY_MS);
+
+  const tokens = getReferenceTokens(line);
+  const references = [...tokens, ...tokens.map(token => token.toLowerCase())];
+  const payments = await Payment.find({
+    type: line.direction === 'credit' ? 'payment' : 'refund',
+    status: { $in: ['pending', 'completed'] },
+    paymentMethod: { $ne: 'credit' },
+    creditDebitNote: null,
+    reconciled: false,
+    $or: [
+      { upiTransactionId: { $in: references } },
+      { upiReferenceNumber: { $in: references } },
+      { bankTransactionId: { $in: references } },
+      { amount: { $gte: line.amount - 0.01, $lte: line.amount + 0.01 }, transactionDate: { $gte: from, $lt: to } },
+    ],
+  })
+    .select('dealer amount status transactionDate upiTransactionId upiReferenceNumber bankTransactionId')
+    .limit(50)
+    .session(session)
+    .lean();
+
+  const tokenSet = new Set(tokens);
+  const lineWords = new Set(getNameWords(`${line.counterparty || ''} ${line.description || ''}`));
+
+  return payments
+    .map(payment => {
+      const reasons = [];
+      let score = 0;
+
+      const paymentRefs = [payment.upiTransactionId, payment.upiReferenceNumber, payment.bankTransactionId]
+        .filter(Boolean)
+        .map(ref => ref.toUpperCase());
+      if (paymentRefs.some(ref => tokenSet.has(ref))) {
+        score += 50;
+        reasons.push('reference');
+      }
+
+      if (Math.abs(payment.amount - line.amount) < 0.01) {
+        score += 25;
+        reasons.push('amount');
+      } else {
+        reasons.push('amount_differs');
+      }
+
+      const days = Math.abs(Math.round((new Date(payment.transactionDate) - line.transactionDate) / DAY_MS));
+      if (days <= windowDays) {
+        score += Math.round(15 * (1 - days / (windowDays + 1)));
+        reasons.push('date');
+      }
+
+      const similarity = dealerSimilarity(directory.get(payment.dealer.toString()), lineWords);
+      if (similarity > 0) {
+        score += Math.round(10 * similarity);
+        reasons.push('dealer');
+      }
+
+      return { payment: payment._id, dealer: payment.dealer, score, reasons };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Decide a line's outcome from its candidates
+ * @param {Object} line - Statement line
+ * @param {Array} candidates - See findCandidates
+ * @param {boolean} autoConfirm - Confirm unambiguous reference + amount matches
+ * @returns {string} - auto_confirmed | proposed | exception | ignored
+ */
+function decideOutcome(line, candidates, autoConfirm) {
+  const [best, second] = candidates;
+  if (best && autoConfirm &&
+      best.score >= AUTO_CONFIRM_SCORE &&
+      best.reasons.includes('reference') && best.reasons.includes('amount') &&
+      !(second && second.reasons.includes('reference'))) {
+    return 'auto_confirmed';
+  }
+  if (best && best.score >= PROPOSE_SCORE) {
+    return 'proposed';
+  }
+  return line.direction === 'credit' ? 'exception' : 'ignored';
+}
+
+/**
+ * Reconcile a payment with a statement line, completing a pending dealer payment
+ * @param {Object} line - BankStatementLine document
+ * @param {Object} payment - Payment document
+ * @param {ObjectId} userId - Admin (or importer) reconciling
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} options - { status (line status to set), autoAllocate, notes }
+ */
+async function reconcileLine(line, payment, userId, session, options = {}) {
+  const now = new Date();
+  const completing = payment.type === 'payment' && payment.status === 'pending';
+
+  if (completing) {
+    payment.status = 'completed';
+    payment.processedBy = userId;
+    payment.processedAt = now;
+  }
+  if (line.reference) {
+    if (payment.paymentMethod === 'upi' && !payment.upiTransactionId) {
+      payment.upiTransactionId = line.reference;
+    } else if (payment.paymentMethod !== 'upi' && !payment.bankTransactionId) {
+      payment.bankTransactionId = line.reference;
+    }
+  }
+  payment.reconciled = true;
+  payment.reconciledBy = userId;
+  payment.reconciledAt = now;
+  payment.notes = (payment.notes ? payment.notes + '\n' : '') +
+    `Reconciled with statement line ${line.lineNumber} (${line.transactionDate.toISOString().slice(0, 10)}, ₹${line.amount})`;
+  await payment.save({ session });
+
+  if (completing) {
+    await postPaymentEntry(payment, userId, session);
+    await allocateOnCompletion(payment, userId, session, { autoAllocate: options.autoAllocate === true });
+    await syncDealerCredit(payment.dealer, userId, session);
+  }
+
+  line.payment = payment._id;
+  line.status = options.status || 'confirmed';
+  line.resolvedBy = userId;
+  line.resolvedAt = now;
+  if (options.notes) {
+    line.resolutionNotes = options.notes;
+  }
+  await line.save({ session });
+}
+
+/**
+ * Offer a credit line carrying a UPI payment link note to the intent matcher
+ * @param {Object} line - BankStatementLine document (unsaved)
+ * @param {ObjectId} userId - Admin importing
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object|null>} - UpiCredit, or null when not applicable
+ */
+async function matchUpiIntentNote(line, userId, session) {
+  if (line.direction !== 'credit' || !line.reference || !extractTransactionNote(line.description)) {
+    return null;
+  }
+  const existing = await UpiCredit.findOne({ upiTransactionId: line.reference }).session(session);
+  if (existing) {
+    return existing;
+  }
+  return matchUpiCredit({
+    upiTransactionId: line.reference,
+    amount: line.amount,
+    note: line.description,
+    payerVpa: null,
+    payerName: line.counterparty,
+    creditedAt: line.transactionDate,
+  }, userId, session);
+}
+
+/**
+ * Import a statement file and match its lines
+ * @param {Object} file - Upload
+ * @param {string} file.text - File contents
+ * @param {string} file.fileName - File name (optional)
+ * @param {string} file.format - csv | ofx | mt940 (detected when omitted)
+ * @param {string} file.source - bank | upi_settlement (default: bank)
+ * @param {Object} options - Options
+ * @param {boolean} options.autoConfirm - Confirm unambiguous matches (default: true)
+ * @param {number} options.dateWindowDays - Date window for amount matches (default: 3)
+ * @param {ObjectId} userId - Admin importing
+ * @returns {Promise<Object>} - { statement, lines }
+ */
+async function importStatement(file, options, userId) {
+  const parsed = parseStatement(file.text, file.format || null, file.fileName || '');
+  const autoConfirm = options.autoConfirm !== false;
+  const directory = await loadDealerDirectory();
+
+  const statement = await BankStatement.create({
+    fileName: file.fileName || null,
+    format: parsed.format,
+    source: file.source || 'bank',
+    accountNumber: parsed.accountNumber,
+    periodStart: parsed.periodStart,
+    periodEnd: parsed.periodEnd,
+    lineCount: parsed.lines.length,
+    importedBy: userId,
+  });
+
+  const summary = { autoConfirmed: 0, proposed: 0, exceptions: 0, ignored: 0, duplicates: 0 };
+  const counters = { auto_confirmed: 'autoConfirmed', confirmed: 'autoConfirmed', proposed: 'proposed', exception: 'exceptions', ignored: 'ignored' };
+  const lines = [];
+
+  for (const parsedLine of parsed.lines) {
+    const fingerprint = fingerprintLine(parsed.accountNumber, parsedLine);
+    if (await BankStatementLine.exists({ fingerprint })) {
+      summary.duplicates++;
+      continue;
+    }
+
+    try {
+      const line = await runInTransaction(async (session) => {
+        const candidates = await findCandidates(parsedLine, directory, options, session);
+        const status = decideOutcome(parsedLine, candidates, autoConfirm);
+        const lineWords = new Set(getNameWords(`${parsedLine.counterparty || ''} ${parsedLine.description || ''}`));
+
+        const doc = new BankStatementLine({
+          ...parsedLine,
+          statement: statement._id,
+          fingerprint,
+          status,
+          candidates: candidates.map(({ payment, score, reasons }) => ({ payment, score, reasons })),
+          suggestedDealer: candidates[0] ? candidates[0].dealer : suggestDealer(directory, lineWords),
+        });
+
+        if (status === 'auto_confirmed') {
+          const payment = await Payment.findById(candidates[0].payment).session(session);
+          await reconcileLine(doc, payment, userId, session, { status: 'auto_confirmed' });
+          return doc;
+        }
+
+        if (status === 'exception') {
+          const upiCredit = await matchUpiIntentNote(doc, userId, session);
+          if (upiCredit) {
+            doc.upiCredit = upiCredit._id;
+            if (upiCredit.status === 'matched') {
+              doc.status = 'confirmed';
+              doc.resolvedBy = userId;
+              doc.resolvedAt = new Date();
+              doc.resolutionNotes = 'Verified the payment of a UPI payment link';
+            }
+          }
+        }
+
+        await doc.save({ session });
+        return doc;
+      }, { label: `statement line ${parsedLine.lineNumber}` });
+
+      summary[counters[line.status]]++;
+      lines.push(line);
+    } catch (error) {
+      // Same line imported concurrently
+      if (error.code === 11000) {
+        summary.duplicates++;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  statement.summary = summary;
+  await statement.save();
+  return { statement, lines };
+}
+
+/**
+ * Load a line for review, checking it can still be resolved
+ * @param {ObjectId|string} lineId - BankStatementLine ID
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>}
+ */
+async function loadOpenLine(lineId, session) {
+  const line = await BankStatementLine.findById(lineId).session(session);
+  if (!line) {
+    throw statusError(404, 'Statement line not found');
+  }
+  if (!['proposed', 'exception'].includes(line.status)) {
+    throw statusError(400, `Statement line is already ${line.status.replace('_', ' ')}`);
+  }
+  return line;
+}
+
+/**
+ * Confirm a proposed (or exception) line against a payment
+ * @param {ObjectId|string} lineId - BankStatementLine ID
+ * @param {Object} details - { paymentId (default: best candidate), autoAllocate, notes }
+ * @param {ObjectId} userId - Admin confirming
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { line, payment }
+ */
+async function confirmLine(lineId, details, userId, session) {
+  const line = await loadOpenLine(lineId, session);
+  const paymentId = details.paymentId || (line.candidates[0] && line.candidates[0].payment);
+  if (!paymentId) {
+    throw statusError(400, 'paymentId is required for a line without candidates');
+  }
+
+  const payment = await Payment.findById(paymentId).session(session);
+  if (!payment) {
+    throw statusError(404, 'Payment not found');
+  }
+  if (payment.reconciled) {
+    throw statusError(400, 'Payment is already reconciled');
+  }
+  if (payment.type !== (line.direction === 'credit' ? 'payment' : 'refund')) {
+    throw statusError(400, `A ${line.direction} line can only be reconciled with a ${line.direction === 'credit' ? 'payment' : 'refund'}`);
+  }
+  if (payment.paymentMethod === 'credit' || !['pending', 'completed'].includes(payment.status)) {
+    throw statusError(400, `A ${payment.status} ${payment.paymentMethod} payment cannot be reconciled`);
+  }
+
+  await reconcileLine(line, payment, userId, session, { autoAllocate: details.autoAllocate, notes: details.notes });
+  return { line, payment };
+}
+
+/**
+ * Reject a line's proposal, moving it to the exceptions queue
+ * @param {ObjectId|string} lineId - BankStatementLine ID
+ * @param {string} notes - Why the proposal was wrong
+ * @param {ObjectId} userId - Admin rejecting
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - Line
+ */
+async function rejectProposal(lineId, notes, userId, session) {
+  const line = await loadOpenLine(lineId, session);
+  if (line.status !== 'proposed') {
+    throw statusError(400, 'Only proposed lines can be rejected');
+  }
+  line.status = 'exception';
+  line.candidates = [];
+  line.resolutionNotes = notes || 'Proposal rejected';
+  await line.save({ session });
+  return line;
+}
+
+/**
+ * Resolve an exception: ignore the line, or record a completed payment from it
+ * @param {ObjectId|string} lineId - BankStatementLine ID
+ * @param {Object} details - Resolution
+ * @param {string} details.action - ignore | record_payment
+ * @param {ObjectId} details.dealerId - Dealer who paid (record_payment)
+ * @param {ObjectId} details.dealerRequestId - Request the payment is for (optional)
+ * @param {boolean} details.autoAllocate - Allocate oldest bills first (default: false)
+ * @param {string} details.notes - Resolution notes
+ * @param {ObjectId} userId - Admin resolving
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { line, payment }
+ */
+async function resolveLine(lineId, details, userId, session) {
+  const line = await loadOpenLine(lineId, session);
+
+  if (details.action === 'ignore') {
+    line.status = 'ignored';
+    line.resolvedBy = userId;
+    line.resolvedAt = new Date();
+    line.resolutionNotes = details.notes || '';
+    await line.save({ session });
+    return { line, payment: null };
+  }
+
+  if (details.action !== 'record_payment') {
+    throw statusError(400, 'action must be ignore or record_payment');
+  }
+  if (line.direction !== 'credit') {
+    throw statusError(400, 'Payments can only be recorded from credit lines');
+  }
+  const dealer = await User.findOne({ _id: details.dealerId, role: { $in: ['dealer', 'dellear'] } })
+    .select('_id')
+    .session(session);
+  if (!dealer) {
+    throw statusError(400, 'Valid dealerId is required');
+  }
+  if (details.dealerRequestId &&
+      !(await DealerRequest.exists({ _id: details.dealerRequestId, dealer: dealer._id }).session(session))) {
+    throw statusError(400, 'Request not found for this dealer');
+  }
+
+  const statement = await BankStatement.findById(line.statement).select('source').session(session);
+  const isUpi = (statement && statement.source === 'upi_settlement') || /\bUPI\b/i.test(line.description);
+  const [payment] = await Payment.create([{
+    dealer: dealer._id,
+    dealerRequest: details.dealerRequestId || null,
+    type: 'payment',
+    amount: line.amount,
+    paymentMethod: isUpi ? 'upi' : 'bank_transfer',
+    upiTransactionId: isUpi ? line.reference : null,
+    bankTransactionId: isUpi ? null : line.reference,
+    status: 'pending',
+    notes: details.notes || `Recorded from statement line: ${line.description}`,
+    transactionDate: line.transactionDate,
+  }], { session });
+
+  await reconcileLine(line, payment, userId, session, { autoAllocate: details.autoAllocate, notes: details.notes });
+  return { line, payment };
+}
+
+module.exports = {
+  DATE_WINDOW_DAYS,
+  AUTO_CONFIRM_SCORE,
+  PROPOSE_SCORE,
+  findCandidates,
+  importStatement,
+  confirmLine,
+  rejectProposal,
+  resolveLine,
+};
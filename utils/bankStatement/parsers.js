@@ -0,0 +1,288 @@
+/**
+ * Bank Statement Parsers
+ *
+ * Turn uploaded statements into plain lines:
+ *   { transactionDate, valueDate, amount, direction (credit | debit),
+ *     reference, description, counterparty }
+ * plus the account number and period when the file states them.
+ *
+ * - csv   : bank CSV exports and UPI settlement reports; columns are found by
+ *           header aliases (separate debit / credit columns, or one amount
+ *           column with a Dr/Cr type or a sign)
+ * - ofx   : OFX 1.x (SGML) and 2.x (XML) <STMTTRN> records
+ * - mt940 : SWIFT MT940 :61: statement lines with their :86: narratives
+ */
+
+const { parseCsv, pickColumn } = require('../csv');
+const { statusError } = require('../common');
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+// Column aliases (normalised headers, see utils/csv)
+const CSV_COLUMNS = {
+  date: ['transactiondate', 'txndate', 'date', 'trandate', 'postingdate', 'creditedat', 'settlementdate'],
+  valueDate: ['valuedate', 'valuedt'],
+  description: ['description', 'narration', 'particulars', 'remarks', 'transactiondetails', 'details', 'note'],
+  reference: ['utr', 'utrnumber', 'rrn', 'upitransactionid', 'transactionid', 'referenceno', 'referencenumber', 'refno', 'refnochequeno', 'chqrefno', 'chequeno', 'reference', 'chqno'],
+  debit: ['debit', 'debitamount', 'withdrawal', 'withdrawalamt', 'withdrawalamount', 'dr'],
+  credit: ['credit', 'creditamount', 'deposit', 'depositamt', 'depositamount', 'cr'],
+  amount: ['amount', 'transactionamount', 'txnamount', 'settlementamount', 'amt'],
+  type: ['type', 'drcr', 'crdr', 'transactiontype', 'txntype', 'debitcredit'],
+  counterparty: ['payername', 'payervpa', 'counterparty', 'name', 'beneficiary', 'remitter', 'payer', 'vpa'],
+};
+
+/**
+ * Parse an amount written with currency signs, thousands separators or a
+ * trailing Dr/Cr
+ * @param {string} value - Amount text
+ * @returns {number|null} - Signed amount (Dr negative), null when empty or invalid
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim().toUpperCase();
+  const negative = /^-|^\(.*\)$|DR\.?$/.test(text);
+  const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(number)) {
+    return null;
+  }
+  return negative ? -number : number;
+}
+
+/**
+ * Parse statement dates: yyyy-mm-dd, dd/mm/yyyy, dd-mm-yy, dd-MMM-yyyy,
+ * yyyymmdd (OFX, optionally with time) and yymmdd (MT940)
+ * @param {string} value - Date text
+ * @returns {Date|null}
+ */
+function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+  const year = (yy) => (yy.length === 2 ? 2000 + Number(yy) : Number(yy));
+  let match;
+
+  if ((match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text))) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+  if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/.exec(text))) {
+    return new Date(year(match[3]), Number(match[2]) - 1, Number(match[1]));
+  }
+  if ((match = /^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/-](\d{2}|\d{4})\b/.exec(text))) {
+    const month = MONTHS[match[2].toUpperCase()];
+    return month === undefined ? null : new Date(year(match[3]), month, Number(match[1]));
+  }
+  if ((match = /^(\d{4})(\d{2})(\d{2})/.exec(text))) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+  if ((match = /^(\d{2})(\d{2})(\d{2})$/.exec(text))) {
+    return new Date(2000 + Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+  return null;
+}
+
+/**
+ * Parse a CSV bank statement or UPI settlement report
+ * @param {string} text - File contents
+ * @returns {Object} - { accountNumber, lines }
+ */
+function parseCsvStatement(text) {
+  const rows = parseCsv(text);
+  const lines = [];
+
+  rows.forEach((row, index) => {
+    const debit = parseAmount(pickColumn(row, CSV_COLUMNS.debit));
+    const credit = parseAmount(pickColumn(row, CSV_COLUMNS.credit));
+    let amount = parseAmount(pickColumn(row, CSV_COLUMNS.amount));
+    let direction = null;
+
+    if (credit) {
+      direction = 'credit';
+      amount = Math.abs(credit);
+    } else if (debit) {
+      direction = 'debit';
+      amount = Math.abs(debit);
+    } else if (amount) {
+      const type = String(pickColumn(row, CSV_COLUMNS.type) || '').toUpperCase();
+      if (/^(D|DR|DEBIT)/.test(type)) {
+        direction = 'debit';
+      } else if (/^(C|CR|CREDIT)/.test(type)) {
+        direction = 'credit';
+      } else {
+        direction = amount < 0 ? 'debit' : 'credit';
+      }
+      amount = Math.abs(amount);
+    }
+
+    const transactionDate = parseStatementDate(pickColumn(row, CSV_COLUMNS.date));
+    if (!direction || !amount || !transactionDate) {
+      // Opening / closing balance rows, totals, blank separators
+      return;
+    }
+
+    lines.push({
+      lineNumber: index + 2, // header is line 1
+      transactionDate,
+      valueDate: parseStatementDate(pickColumn(row, CSV_COLUMNS.valueDate)),
+      amount,
+      direction,
+      reference: pickColumn(row, CSV_COLUMNS.reference),
+      description: pickColumn(row, CSV_COLUMNS.description) || '',
+      counterparty: pickColumn(row, CSV_COLUMNS.counterparty),
+    });
+  });
+
+  return { accountNumber: null, lines };
+}
+
+/**
+ * Read an OFX element value (SGML elements have no closing tag)
+ * @param {string} block - OFX text
+ * @param {string} tag - Element name
+ * @returns {string|null}
+ */
+function ofxValue(block, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse an OFX statement
+ * @param {string} text - File contents
+ * @returns {Object} - { accountNumber, lines }
+ */
+function parseOfxStatement(text) {
+  const blocks = String(text).match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  const lines = [];
+
+  blocks.forEach((block, index) => {
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+    const transactionDate = parseStatementDate(ofxValue(block, 'DTPOSTED'));
+    if (!amount || !transactionDate) {
+      return;
+    }
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+    lines.push({
+      lineNumber: index + 1,
+      transactionDate,
+      valueDate: parseStatementDate(ofxValue(block, 'DTAVAIL')),
+      amount: Math.abs(amount),
+      direction: amount < 0 ? 'debit' : 'credit',
+      reference: ofxValue(block, 'REFNUM') || ofxValue(block, 'CHECKNUM') || ofxValue(block, 'FITID'),
+      description: [name, memo].filter(Boolean).join(' '),
+      counterparty: name,
+    });
+  });
+
+  return { accountNumber: ofxValue(text, 'ACCTID'), lines };
+}
+
+/**
+ * Parse a SWIFT MT940 statement
+ * @param {string} text - File contents
+ * @returns {Object} - { accountNumber, lines }
+ */
+function parseMt940Statement(text) {
+  // Join field continuation lines onto their tag
+  const fields = [];
+  String(text).split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/\s+$/, '');
+    const tag = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2] });
+    } else if (fields.length > 0 && line && line !== '-' && !line.startsWith('{')) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+
+  const accountField = fields.find(field => field.tag === '25');
+  const lines = [];
+  fields.forEach((field, index) => {
+    if (field.tag !== '61') {
+      return;
+    }
+    // YYMMDD[MMDD](R)C|D[funds code]amount N|F|S code customer-ref[//bank-ref][\nsupplementary]
+    const match = /^(\d{6})(\d{4})?(R?[CD])([A-Z])?(\d+,\d*)[NFS][A-Z0-9]{3}([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?/.exec(field.value);
+    if (!match) {
+      return;
+    }
+    const next = fields[index + 1];
+    const narrative = next && next.tag === '86' ? next.value.replace(/\n/g, ' ').trim() : '';
+    const transactionDate = parseStatementDate(match[1]);
+    let valueDate = null;
+    if (match[2]) {
+      valueDate = new Date(transactionDate.getFullYear(), Number(match[2].slice(0, 2)) - 1, Number(match[2].slice(2)));
+    }
+    // RC (reversal of credit) is a debit and RD a credit
+    const mark = match[3];
+    const customerRef = match[6].trim();
+
+    lines.push({
+      lineNumber: lines.length + 1,
+      transactionDate,
+      valueDate,
+      amount: parseFloat(match[5].replace(',', '.')),
+      direction: mark === 'C' || mark === 'RD' ? 'credit' : 'debit',
+      reference: customerRef && customerRef !== 'NONREF' ? customerRef : (match[7] || '').trim() || null,
+      description: [narrative, (match[8] || '').trim()].filter(Boolean).join(' '),
+      counterparty: null,
+    });
+  });
+
+  return { accountNumber: accountField ? accountField.value.trim() : null, lines };
+}
+
+/**
+ * Detect the format of a statement file
+ * @param {string} text - File contents
+ * @param {string} fileName - Uploaded file name (optional)
+ * @returns {string} - csv | ofx | mt940
+ */
+function detectStatementFormat(text, fileName = '') {
+  if (/<OFX>|OFXHEADER/i.test(text) || /\.(ofx|qfx)$/i.test(fileName)) {
+    return 'ofx';
+  }
+  if (/^:20:/m.test(text) && /^:61:/m.test(text)) {
+    return 'mt940';
+  }
+  return 'csv';
+}
+
+/**
+ * Parse a statement file
+ * @param {string} text - File contents
+ * @param {string} format - csv | ofx | mt940 (detected when omitted)
+ * @param {string} fileName - Uploaded file name (optional)
+ * @returns {Object} - { format, accountNumber, periodStart, periodEnd, lines }
+ */
+function parseStatement(text, format = null, fileName = '') {
+  const resolved = format || detectStatementFormat(text, fileName);
+  const parsers = { csv: parseCsvStatement, ofx: parseOfxStatement, mt940: parseMt940Statement };
+  if (!parsers[resolved]) {
+    throw statusError(400, 'format must be csv, ofx or mt940');
+  }
+
+  const { accountNumber, lines } = parsers[resolved](text);
+  if (lines.length === 0) {
+    throw statusError(400, `No transactions found in the ${resolved.toUpperCase()} file`);
+  }
+
+  const dates = lines.map(line => line.transactionDate.getTime());
+  return {
+    format: resolved,
+    accountNumber,
+    periodStart: new Date(Math.min(...dates)),
+    periodEnd: new Date(Math.max(...dates)),
+    lines,
+  };
+}
+
+module.exports = {
+  parseAmount,
+  parseStatementDate,
+  detectStatementFormat,
+  parseStatement,
+};
@@ -0,0 +1,48 @@
+/**
+ * Common Helpers
+ *
+ * Small helpers shared across routes, utils and scripts:
+ * - round2      : rupee amounts rounded to paise
+ * - statusError : an Error carrying the HTTP status a route answers with
+ *                 (catch blocks send error.status with error.message)
+ * - formatDate  : dd-mm-yyyy, the date format printed on bills and statements
+ */
+
+/**
+ * Round to 2 decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} extra - Extra properties (e.g. details, code) (optional)
+ * @returns {Error}
+ */
+function statusError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Format a date as dd-mm-yyyy
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const value = new Date(date);
+  return `${String(value.getDate()).padStart(2, '0')}-${String(value.getMonth() + 1).padStart(2, '0')}-${value.getFullYear()}`;
+}
+
+module.exports = {
+  round2,
+  statusError,
+  formatDate,
+};
@@ -0,0 +1,154 @@
+/**
+ * Credit Limit Utilities
+ *
+ * A dealer's exposure is what they owe according to the journal
+ * (DealerCredit.currentBalance, see utils/journal) plus the tax-inclusive value
+ * of their pending requests and of the requests being submitted. New requests
+ * are checked against DealerCredit.creditLimit per DealerCredit.limitEnforcement:
+ * - none : not checked
+ * - soft : accepted, flagged over_soft_limit on DealerRequest.creditCheck
+ * - hard : rejected (403) unless an admin granted an active CreditLimitOverride,
+ *          which the submission then uses up (the override is the reason log)
+ */
+
+const DealerCredit = require('../models/DealerCredit');
+const DealerRequest = require('../models/DealerRequest');
+const Product = require('../models/Product');
+const CreditLimitOverride = require('../models/CreditLimitOverride');
+const { PRODUCT_TAX_FIELDS, calculateRequestsTax } = require('./tax');
+const { getDealerReceivable } = require('./journal');
+const { round2, statusError } = require('./common');
+
+/**
+ * Tax-inclusive value of requests (estimate at current prices)
+ * @param {ObjectId} dealerId - Dealer
+ * @param {Array} requests - [{ product (populated with PRODUCT_TAX_FIELDS), strips }]
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<number>}
+ */
+async function estimateRequestsValue(dealerId, requests, session = null) {
+  if (requests.length === 0) {
+    return 0;
+  }
+  const tax = await calculateRequestsTax(
+    requests.map(request => ({ dealer: dealerId, product: request.product, strips: request.strips })),
+    { session }
+  );
+  return tax.totals.grandTotal;
+}
+
+/**
+ * Credit exposure of a dealer, optionally including requests being submitted
+ * @param {ObjectId} dealerId - Dealer
+ * @param {Array} newRequests - Unsaved DealerRequests ({ _id, product (id), strips })
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<Object>} - { creditLimit, limitEnforcement, currentBalance, pendingAmount, requestAmount, projectedBalance, availableCredit, exceeded }
+ */
+async function getCreditExposure(dealerId, newRequests = [], session = null) {
+  const newIds = newRequests.map(request => request._id);
+  const productIds = newRequests.map(request => request.product?._id || request.product);
+
+  // Sequential: operations of one transaction must not run concurrently
+  const credit = await DealerCredit.findOne({ dealer: dealerId })
+    .select('creditLimit limitEnforcement')
+    .session(session)
+    .lean();
+  const currentBalance = await getDealerReceivable(dealerId, session);
+  const pending = await DealerRequest.find({ dealer: dealerId, status: 'pending', _id: { $nin: newIds } })
+    .select('product strips')
+    .populate('product', `title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+    .session(session)
+    .lean();
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select(`title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+    .session(session)
+    .lean();
+
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const submitted = newRequests.map(request => ({
+    product: productsById.get(String(request.product?._id || request.product)) || null,
+    strips: request.strips,
+  }));
+
+  const pendingAmount = await estimateRequestsValue(dealerId, pending, session);
+  const requestAmount = await estimateRequestsValue(dealerId, submitted, session);
+  const creditLimit = credit ? credit.creditLimit : 0;
+  const projectedBalance = round2(currentBalance + pendingAmount + requestAmount);
+
+  return {
+    creditLimit,
+    limitEnforcement: credit?.limitEnforcement || 'none',
+    currentBalance,
+    pendingAmount,
+    requestAmount,
+    projectedBalance,
+    availableCredit: round2(Math.max(0, creditLimit - currentBalance - pendingAmount)),
+    exceeded: projectedBalance > creditLimit,
+  };
+}
+
+/**
+ * Check requests being submitted against the dealer's credit limit. Under a
+ * hard limit an active override is used up for them (linked to the requests),
+ * otherwise a 403 error is thrown.
+ * @param {ObjectId} dealerId - Dealer
+ * @param {Array} requests - Unsaved DealerRequests of one submission
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object|null>} - creditCheck to store on each request (null when not enforced)
+ */
+async function enforceCreditLimit(dealerId, requests, session) {
+  const exposure = await getCreditExposure(dealerId, requests, session);
+  if (exposure.limitEnforcement === 'none') {
+    return null;
+  }
+
+  const creditCheck = {
+    result: 'within_limit',
+    creditLimit: exposure.creditLimit,
+    projectedBalance: exposure.projectedBalance,
+    override: null,
+  };
+  if (!exposure.exceeded) {
+    return creditCheck;
+  }
+  if (exposure.limitEnforcement === 'soft') {
+    return { ...creditCheck, result: 'over_soft_limit' };
+  }
+
+  const now = new Date();
+  const override = await CreditLimitOverride.findOneAndUpdate(
+    {
+      dealer: dealerId,
+      status: 'active',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    },
+    {
+      $set: {
+        status: 'used',
+        usedAt: now,
+        dealerRequests: requests.map(request => request._id),
+        order: requests[0]?.order || null,
+        creditLimit: exposure.creditLimit,
+        projectedBalance: exposure.projectedBalance,
+      },
+    },
+    { new: true, sort: { createdAt: 1 }, session }
+  );
+
+  if (!override) {
+    throw statusError(
+      403,
+      `Credit limit exceeded. Limit: ₹${exposure.creditLimit}, Outstanding: ₹${exposure.currentBalance}, ` +
+      `Pending requests: ₹${exposure.pendingAmount}, This request: ₹${exposure.requestAmount}. ` +
+      'Please clear your dues or contact the admin.',
+      { details: exposure }
+    );
+  }
+
+  return { ...creditCheck, result: 'overridden', override: override._id };
+}
+
+module.exports = {
+  getCreditExposure,
+  enforceCreditLimit,
+};
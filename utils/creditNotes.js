@@ -0,0 +1,489 @@
+/**
+ * Credit / Debit Note Utilities
+ *
+ * A credit or debit note adjusts lines of a bill that was already issued:
+ * - dealer_request : admin bill (company -> dealer); lines are DealerRequests
+ * - sale           : approved salesman bill (dealer -> customer); lines are Sale rows
+ *
+ * Notes are numbered from their own series (credit_note / debit_note, see
+ * utils/invoiceSeries) and taxed like the original bill, so a credit note
+ * reverses the same CGST/SGST or IGST the bill charged.
+ *
+ * Effects on admin bills (applied in the note's transaction):
+ * - credit note: pending outstanding on the bill lines is reduced first, a
+ *   completed credit entry is recorded and the note is posted to the journal
+ *   (the dealer balance is re-derived from it);
+ *   returned goods leave the dealer's stock (sales returns go back into
+ *   product stock, damaged goods are written off)
+ * - debit note: a pending outstanding entry is recorded and the note is posted
+ *
+ * Sales returns on salesman bills go back into the salesman's on-hand stock
+ * after the note is committed (see restockSaleReturns).
+ */
+
+const mongoose = require('mongoose');
+const CreditDebitNote = require('../models/CreditDebitNote');
+const DealerRequest = require('../models/DealerRequest');
+const DealerStock = require('../models/DealerStock');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const { issueInvoiceNumber, getRequestInvoiceNumber } = require('./invoiceSeries');
+const { postStockMovement } = require('./salesmanStock');
+const { postNoteEntry, syncDealerCredit } = require('./journal');
+const { getInvoiceAmount } = require('./paymentAllocation');
+const {
+  PRODUCT_TAX_FIELDS,
+  calculateInvoiceTax,
+  getPlaceOfSupply,
+  getProductTaxSettings,
+  getRequestTax,
+} = require('./tax');
+const { round2, statusError } = require('./common');
+
+// Reasons accepted per note type
+const NOTE_REASONS = {
+  credit: ['sales_return', 'damaged_goods', 'price_correction', 'discount', 'other'],
+  debit: ['price_correction', 'short_billing', 'other'],
+};
+
+// Credit note reasons where the packets physically come back
+const GOODS_RETURN_REASONS = ['sales_return', 'damaged_goods'];
+
+/**
+ * Title of a product in English (notes are printed in English like the bills)
+ * @param {Object} product - Product
+ * @returns {string}
+ */
+function productDescription(product) {
+  if (!product || !product.title) {
+    return '';
+  }
+  return typeof product.title === 'string' ? product.title : (product.title.en || '');
+}
+
+/**
+ * Quantities and values already adjusted by earlier notes, per bill line
+ * @param {string} field - dealerRequest | sale
+ * @param {Array} ids - Line IDs
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Map>} - line ID -> { returnedQuantity, creditedTaxable, debitedTaxable }
+ */
+async function getPreviousAdjustments(field, ids, session) {
+  // Aggregation pipelines are not cast by Mongoose
+  ids = ids.map(id => new mongoose.Types.ObjectId(String(id)));
+  const rows = await CreditDebitNote.aggregate([
+    { $match: { [`lines.${field}`]: { $in: ids } } },
+    { $unwind: '$lines' },
+    { $match: { [`lines.${field}`]: { $in: ids } } },
+    {
+      $group: {
+        _id: `$lines.${field}`,
+        returnedQuantity: {
+          $sum: { $cond: ['$lines.goodsReturned', '$lines.quantity', 0] },
+        },
+        creditedTaxable: {
+          $sum: { $cond: [{ $eq: ['$noteType', 'credit'] }, '$lines.taxableAmount', 0] },
+        },
+        debitedTaxable: {
+          $sum: { $cond: [{ $eq: ['$noteType', 'debit'] }, '$lines.taxableAmount', 0] },
+        },
+      },
+    },
+  ]).session(session);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+}
+
+/**
+ * Load the admin bill lines a note adjusts
+ * @param {Array} ids - DealerRequest IDs
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { dealer, invoiceNumber, invoiceDate, placeOfSupply, originals }
+ */
+async function loadRequestLines(ids, session) {
+  const requests = await DealerRequest.find({ _id: { $in: ids } })
+    .populate('product', `title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+    .session(session);
+
+  if (requests.length !== ids.length) {
+    throw statusError(404, 'Some bill lines were not found');
+  }
+
+  const unbilled = requests.filter(r => r.status !== 'approved' || !r.billSent);
+  if (unbilled.length > 0) {
+    throw statusError(400, `Notes can only be issued on sent bills: ${unbilled.map(r => r._id).join(', ')}`);
+  }
+
+  const dealers = new Set(requests.map(r => r.dealer.toString()));
+  const invoiceNumbers = new Set(requests.map(r => getRequestInvoiceNumber(r)));
+  if (dealers.size > 1 || invoiceNumbers.size > 1) {
+    throw statusError(400, 'All lines of a note must belong to the same bill');
+  }
+
+  const originals = new Map();
+  let breakup = null;
+  for (const request of requests) {
+    const tax = await getRequestTax(request, { session });
+    const line = tax.lines[0];
+    breakup = breakup || tax;
+    originals.set(request._id.toString(), {
+      document: request,
+      product: request.product,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      taxableAmount: line.taxableAmount,
+      packetsPerStrip: request.product.packetsPerStrip || 1,
+      tax: {
+        hsnCode: line.hsnCode,
+        gstRate: line.gstRate,
+        cessRate: line.cessRate,
+        cessPerUnit: line.cessPerUnit,
+        gstExempt: line.taxability === 'exempt',
+      },
+    });
+  }
+
+  return {
+    dealer: requests[0].dealer,
+    invoiceNumber: getRequestInvoiceNumber(requests[0]),
+    invoiceDate: requests[0].billSentAt || requests[0].processedAt,
+    placeOfSupply: breakup.placeOfSupply,
+    placeOfSupplySource: breakup.placeOfSupplySource,
+    supplierStateCode: breakup.supplierStateCode,
+    originals,
+  };
+}
+
+/**
+ * Load the salesman bill lines a note adjusts
+ * @param {Array} ids - Sale IDs
+ * @param {ObjectId} dealerId - Dealer issuing the note (seller of the bill)
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { dealer, invoiceNumber, invoiceDate, placeOfSupply, originals, ... }
+ */
+async function loadSaleLines(ids, dealerId, session) {
+  const sales = await Sale.find({ _id: { $in: ids }, dealer: dealerId })
+    .populate('product', `title packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+    .session(session);
+
+  if (sales.length !== ids.length) {
+    throw statusError(404, 'Some bill lines were not found');
+  }
+
+  const unapproved = sales.filter(s => s.billStatus !== 'approved');
+  if (unapproved.length > 0) {
+    throw statusError(400, `Notes can only be issued on approved bills: ${unapproved.map(s => s._id).join(', ')}`);
+  }
+
+  const invoiceNumbers = new Set(sales.map(s => s.invoiceNo));
+  if (invoiceNumbers.size > 1 || !sales[0].invoiceNo) {
+    throw statusError(400, 'All lines of a note must belong to the same bill');
+  }
+
+  // Salesman bills are local supplies from the dealer's own state
+  const place = await getPlaceOfSupply(dealerId, { session });
+
+  const originals = new Map();
+  sales.forEach(sale => {
+    originals.set(sale._id.toString(), {
+      document: sale,
+      product: sale.product,
+      quantity: sale.quantity,
+      unitPrice: sale.unitPrice,
+      taxableAmount: round2(sale.quantity * sale.unitPrice),
+      packetsPerStrip: 1,
+      tax: getProductTaxSettings(sale.product),
+    });
+  });
+
+  return {
+    dealer: dealerId,
+    salesman: sales[0].salesman,
+    shopkeeper: sales[0].shopkeeper,
+    customerName: sales[0].customerName,
+    invoiceNumber: sales[0].invoiceNo,
+    invoiceDate: sales[0].saleDate,
+    placeOfSupply: place.stateCode,
+    placeOfSupplySource: place.source,
+    supplierStateCode: place.stateCode,
+    originals,
+  };
+}
+
+/**
+ * Apply an admin-bill note to the dealer's outstanding, balance and stock
+ * @param {Object} note - CreditDebitNote document
+ * @param {Object} bill - Loaded bill (loadRequestLines)
+ * @param {ObjectId} userId - Admin issuing the note
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array>} - Product IDs whose stock was replenished
+ */
+async function applyRequestNoteEffects(note, bill, userId, session) {
+  const isCredit = note.noteType === 'credit';
+  const restocked = [];
+
+  // Split the rounded note total over the lines (round-off goes on the first line)
+  const lineAmounts = note.lines.map(line => line.totalAmount);
+  lineAmounts[0] = round2(lineAmounts[0] + note.taxBreakup.totals.roundOff);
+
+  for (let i = 0; i < note.lines.length; i++) {
+    const line = note.lines[i];
+    const amount = lineAmounts[i];
+    const original = bill.originals.get(line.dealerRequest.toString());
+    const request = original.document;
+
+    if (isCredit) {
+      // Reduce what is still pending on the bill line before anything else
+      let remaining = amount;
+      const pending = await Payment.find({ dealerRequest: request._id, type: 'payment', status: 'pending' })
+        .sort({ transactionDate: 1 })
+        .session(session);
+      for (const payment of pending) {
+        if (remaining <= 0) {
+          break;
+        }
+        const reduction = Math.min(payment.amount, remaining);
+        payment.amount = round2(payment.amount - reduction);
+        payment.notes = `${payment.notes ? `${payment.notes} ` : ''}Reduced by ₹${reduction} (credit note ${note.noteNumber})`.trim();
+        if (payment.amount <= 0) {
+          payment.status = 'cancelled';
+        }
+        await payment.save({ session });
+        remaining = round2(remaining - reduction);
+      }
+
+      request.creditNoteAmount = round2((request.creditNoteAmount || 0) + amount);
+    } else {
+      request.debitNoteAmount = round2((request.debitNoteAmount || 0) + amount);
+    }
+
+    await Payment.create([{
+      dealer: note.dealer,
+      dealerRequest: request._id,
+      creditDebitNote: note._id,
+      type: isCredit ? 'credit' : 'payment',
+      amount,
+      paymentMethod: 'credit',
+      status: isCredit ? 'completed' : 'pending',
+      notes: `${isCredit ? 'Credit' : 'Debit'} note ${note.noteNumber} on invoice ${note.originalInvoiceNumber}`,
+      processedBy: userId,
+      processedAt: new Date(),
+      transactionDate: note.noteDate,
+    }], { session });
+
+    // Bill line and note totals are both GST-inclusive
+    const netAmount = getInvoiceAmount(request);
+    const paid = request.paidAmount || 0;
+    request.isOutstanding = paid < netAmount;
+    request.paymentType = paid <= 0 ? 'none' : (paid >= netAmount ? 'full' : 'partial');
+
+    // Returned packets leave the dealer's stock of this bill line
+    if (line.goodsReturned) {
+      const strips = line.quantity / original.packetsPerStrip;
+      const dealerStock = await DealerStock.findOneAndUpdate(
+        { dealer: note.dealer, product: line.product, sourceRequest: request._id, availableStrips: { $gte: strips } },
+        { $inc: { totalStrips: -strips, availableStrips: -strips } },
+        { new: true, session }
+      );
+      if (!dealerStock) {
+        throw statusError(400, `The dealer no longer holds ${strips} unallocated strips of bill line ${request._id}`);
+      }
+
+      if (note.reason === 'sales_return') {
+        await Product.updateOne({ _id: line.product }, { $inc: { stock: strips } }, { session });
+        restocked.push(line.product);
+      }
+    }
+
+    await request.save({ session });
+  }
+
+  await postNoteEntry(note, userId, session);
+  await syncDealerCredit(note.dealer, userId, session);
+
+  return restocked;
+}
+
+/**
+ * Issue a credit or debit note. Must run inside a transaction.
+ * @param {Object} details - Details
+ * @param {string} details.noteType - credit | debit
+ * @param {string} details.source - dealer_request | sale
+ * @param {string} details.reason - One of NOTE_REASONS[noteType]
+ * @param {string} details.remarks - Free-text remarks
+ * @param {Array} details.lines - [{ dealerRequestId | saleId, quantity, unitPrice }]
+ * @param {ObjectId} details.dealerId - Dealer issuing a sale note
+ * @param {ObjectId} details.userId - User issuing the note
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { note, restocked } (restocked: product IDs to serve backorders for)
+ */
+async function issueNote(details, session) {
+  const { noteType, source, reason } = details;
+
+  if (!NOTE_REASONS[noteType]) {
+    throw statusError(400, 'noteType must be credit or debit');
+  }
+  if (!NOTE_REASONS[noteType].includes(reason)) {
+    throw statusError(400, `reason must be one of: ${NOTE_REASONS[noteType].join(', ')}`);
+  }
+  if (!Array.isArray(details.lines) || details.lines.length === 0) {
+    throw statusError(400, 'At least one line is required');
+  }
+
+  const idField = source === 'sale' ? 'saleId' : 'dealerRequestId';
+  const ids = details.lines.map(line => line && line[idField]);
+  if (ids.some(id => !id || !/^[a-f\d]{24}$/i.test(String(id)))) {
+    throw statusError(400, `Each line requires a valid ${idField}`);
+  }
+  if (new Set(ids.map(String)).size !== ids.length) {
+    throw statusError(400, 'Each bill line can only appear once on a note');
+  }
+
+  const bill = source === 'sale'
+    ? await loadSaleLines(ids, details.dealerId, session)
+    : await loadRequestLines(ids, session);
+
+  const lineField = source === 'sale' ? 'sale' : 'dealerRequest';
+  const previous = await getPreviousAdjustments(lineField, ids, session);
+  const goodsReturned = noteType === 'credit' && GOODS_RETURN_REASONS.includes(reason);
+
+  const taxLines = details.lines.map((input, index) => {
+    const id = String(ids[index]);
+    const original = bill.originals.get(id);
+    const earlier = previous.get(id) || { returnedQuantity: 0, creditedTaxable: 0, debitedTaxable: 0 };
+
+    const quantity = Number(input.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw statusError(400, `Line ${index + 1}: quantity must be a whole number of packets`);
+    }
+
+    if (goodsReturned) {
+      const returnable = original.quantity - earlier.returnedQuantity;
+      if (quantity > returnable) {
+        throw statusError(400, `Line ${index + 1}: only ${returnable} packets can still be returned`);
+      }
+      if (quantity % original.packetsPerStrip !== 0) {
+        throw statusError(400, `Line ${index + 1}: returns on dealer bills must be whole strips (${original.packetsPerStrip} packets each)`);
+      }
+    }
+
+    // Returns default to the billed price; corrections need the price difference
+    const hasPrice = input.unitPrice !== undefined && input.unitPrice !== null && input.unitPrice !== '';
+    if (!hasPrice && !goodsReturned) {
+      throw statusError(400, `Line ${index + 1}: unitPrice (per-packet difference) is required`);
+    }
+    const unitPrice = hasPrice ? Number(input.unitPrice) : original.unitPrice;
+    if (isNaN(unitPrice) || unitPrice < 0) {
+      throw statusError(400, `Line ${index + 1}: unitPrice must be a positive number`);
+    }
+
+    if (noteType === 'credit') {
+      const creditable = round2(original.taxableAmount + earlier.debitedTaxable - earlier.creditedTaxable);
+      if (round2(quantity * unitPrice) > creditable) {
+        throw statusError(400, `Line ${index + 1}: credit exceeds the remaining bill value (₹${creditable} before tax)`);
+      }
+    }
+
+    return {
+      [lineField]: original.document._id,
+      product: original.product._id,
+      description: productDescription(original.product),
+      quantity,
+      unitPrice,
+      tax: original.tax,
+    };
+  });
+
+  const taxBreakup = calculateInvoiceTax(taxLines, bill.placeOfSupply, {
+    placeOfSupplySource: bill.placeOfSupplySource,
+    supplierStateCode: bill.supplierStateCode,
+  });
+  if (taxBreakup.totals.grandTotal <= 0) {
+    throw statusError(400, 'The note total must be greater than zero');
+  }
+
+  const note = new CreditDebitNote({
+    noteType,
+    source,
+    reason,
+    remarks: details.remarks || '',
+    dealer: bill.dealer,
+    salesman: bill.salesman || null,
+    shopkeeper: bill.shopkeeper || null,
+    customerName: bill.customerName || '',
+    originalInvoiceNumber: bill.invoiceNumber,
+    originalInvoiceDate: bill.invoiceDate || null,
+    noteDate: new Date(),
+    taxBreakup,
+    totalAmount: taxBreakup.totals.grandTotal,
+    createdBy: details.userId,
+  });
+
+  note.lines = taxLines.map((line, index) => ({
+    [lineField]: line[lineField],
+    product: line.product,
+    description: line.description,
+    hsnCode: taxBreakup.lines[index].hsnCode,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    goodsReturned,
+    taxableAmount: taxBreakup.lines[index].taxableAmount,
+    totalTax: taxBreakup.lines[index].totalTax,
+    totalAmount: taxBreakup.lines[index].totalAmount,
+  }));
+
+  const issued = await issueInvoiceNumber({
+    dealer: source === 'sale' ? bill.dealer : null,
+    series: `${noteType}_note`,
+    date: note.noteDate,
+    creditDebitNote: note._id,
+    issuedBy: details.userId,
+  }, session);
+  note.noteNumber = issued.invoiceNumber;
+  note.financialYear = issued.financialYear;
+  await note.save({ session });
+
+  const restocked = source === 'sale'
+    ? []
+    : await applyRequestNoteEffects(note, bill, details.userId, session);
+
+  return { note, restocked };
+}
+
+/**
+ * Put packets returned on a salesman-bill credit note back into the salesman's
+ * on-hand stock. Call after the note is committed.
+ * @param {Object} note - CreditDebitNote (source sale)
+ * @param {ObjectId} userId - User who issued the note
+ * @returns {Promise<number>} - Packets restocked
+ */
+async function restockSaleReturns(note, userId) {
+  if (note.source !== 'sale' || note.reason !== 'sales_return') {
+    return 0;
+  }
+
+  let restocked = 0;
+  for (const line of note.lines) {
+    await postStockMovement({
+      salesman: note.salesman,
+      dealer: note.dealer,
+      product: line.product,
+      type: 'returned',
+      packets: line.quantity,
+      sale: line.sale,
+      invoiceNo: note.originalInvoiceNumber,
+      notes: `Sales return on credit note ${note.noteNumber}`,
+      createdBy: userId,
+    });
+    restocked += line.quantity;
+  }
+  return restocked;
+}
+
+module.exports = {
+  NOTE_REASONS,
+  GOODS_RETURN_REASONS,
+  issueNote,
+  restockSaleReturns,
+};
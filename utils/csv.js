@@ -0,0 +1,105 @@
+/**
+ * CSV Reading Utilities
+ *
+ * Minimal RFC 4180 reader for uploaded statements and credit lists: quoted
+ * fields (with "" escapes and line breaks), CRLF / LF line endings and a
+ * leading byte order mark. Headers are normalised to lowercase letters and
+ * digits so "Transaction ID", "transaction_id" and "TransactionId" all read
+ * as "transactionid".
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Normalise a header for lookups
+ * @param {string} header - Header as written in the file
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by normalised header
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - One object per data row (values trimmed)
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+  const keys = header.map(normalizeHeader);
+  return rows.map(fields => Object.fromEntries(
+    keys.map((key, index) => [key, (fields[index] || '').trim()])
+  ));
+}
+
+/**
+ * First non-empty value among a row's column aliases
+ * @param {Object} row - Row from parseCsv
+ * @param {Array<string>} aliases - Normalised header names, in order of preference
+ * @returns {string|null}
+ */
+function pickColumn(row, aliases) {
+  for (const alias of aliases) {
+    if (row[alias] !== undefined && row[alias] !== '') {
+      return row[alias];
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  normalizeHeader,
+  pickColumn,
+};
@@ -0,0 +1,394 @@
+/**
+ * Dealer Request Workflow
+ *
+ * Approval and cancellation of a single dealer request, shared by the
+ * dealer-request routes and the order routes. Both functions run inside a
+ * caller-owned transaction and return either { request } or
+ * { status, message } when validation fails. Validation failures are only
+ * returned before the first write, so returning one never commits partial work.
+ *
+ * applyBillRoundOff rounds a bill of several approved requests once when it is
+ * sent, moving each request to its share of the invoice total.
+ */
+
+const DealerRequest = require('../models/DealerRequest');
+const DealerStock = require('../models/DealerStock');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const { consumeReservation, releaseReservation } = require('./stockReservation');
+const { refreshOrderSummary } = require('./orders');
+const { postRequestInvoice, postPaymentEntry, reverseJournalEntries, syncDealerCredit } = require('./journal');
+const { createAllocation, getInvoiceAmount } = require('./paymentAllocation');
+const { PRODUCT_TAX_FIELDS, calculateRequestTax, combineTaxBreakups, getRequestTax } = require('./tax');
+const { allocatePrepayments } = require('./paymentGateway');
+const { round2 } = require('./common');
+
+/**
+ * Approve a pending request: deduct product stock, record payments (allocating
+ * any amount paid to the request and the online payments made against it
+ * before approval), post the invoice and payment to the journal and credit
+ * the dealer's stock.
+ * When only part of the strips is approved, the request is reduced to that
+ * part and the remainder is split off into a pending backorder (a new request
+ * with backorderOf set) that holds no stock until replenishment.
+ * @param {ObjectId|string} requestId - DealerRequest ID
+ * @param {Object} payment - Payment details
+ * @param {number|string} payment.paidAmount - Amount paid now (default: 0)
+ * @param {string} payment.paymentType - full | partial | none (derived if omitted)
+ * @param {string} payment.paymentMethod - Method for the paid amount (default: cash)
+ * @param {string} payment.paymentNotes - Notes for the paid Payment record
+ * @param {string} payment.notes - Approval notes stored on the request
+ * @param {number} payment.approvedStrips - Approve only this many strips and backorder the rest
+ * @param {boolean} payment.allowPartial - Approve whatever is available and backorder the rest
+ * @param {ObjectId} userId - Admin approving the request
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} options - Options
+ * @param {boolean} options.skipOrderRefresh - Caller refreshes the order itself (default: false)
+ * @returns {Promise<Object>} - { request, backorder } or { status, message }
+ */
+async function approveRequest(requestId, payment, userId, session, options = {}) {
+  const request = await DealerRequest.findById(requestId)
+    .populate('product', `title packetPrice initialPacketPrice packetsPerStrip image stock reservedStock ${PRODUCT_TAX_FIELDS}`)
+    .session(session);
+
+  if (!request) {
+    return { status: 404, message: 'Request not found' };
+  }
+
+  if (request.status !== 'pending') {
+    return { status: 400, message: `Request is already ${request.status}` };
+  }
+
+  // Validate product and stock
+  if (!request.product) {
+    return { status: 400, message: 'Product not found for this request' };
+  }
+
+  // Ensure stock is a valid number
+  const currentStock = Number(request.product.stock);
+  if (isNaN(currentStock) || currentStock < 0) {
+    return { status: 400, message: 'Invalid product stock value' };
+  }
+
+  // A request holding a reservation already has its strips set aside; one without
+  // (legacy or expired) may only take strips not reserved by other requests.
+  const reservation = await StockReservation.findOne({ dealerRequest: request._id, status: 'active' })
+    .session(session);
+  const available = Math.min(
+    currentStock,
+    currentStock - (request.product.reservedStock || 0) + (reservation ? reservation.strips : 0)
+  );
+
+  // Work out how many strips to approve now; the rest becomes a backorder
+  let approvedStrips = request.strips;
+  if (payment.approvedStrips !== undefined && payment.approvedStrips !== null && payment.approvedStrips !== '') {
+    approvedStrips = Number(payment.approvedStrips);
+    if (!Number.isInteger(approvedStrips) || approvedStrips < 1 || approvedStrips > request.strips) {
+      return { status: 400, message: `Approved strips must be a whole number between 1 and ${request.strips}` };
+    }
+  } else if (payment.allowPartial && available < request.strips) {
+    approvedStrips = Math.max(0, available);
+  }
+
+  // Check stock availability
+  if (approvedStrips < 1 || available < approvedStrips) {
+    return {
+      status: 400,
+      message: `Insufficient stock to approve this request. Available: ${Math.max(0, available)} strips, Requested: ${approvedStrips} strips. Approve fewer strips to backorder the rest.`,
+    };
+  }
+  const backorderStrips = request.strips - approvedStrips;
+
+  // The dealer owes the GST-inclusive total of the approved strips; the same
+  // breakup is frozen on the request for the journal and the bill
+  const taxBreakup = await calculateRequestTax(
+    { dealer: request.dealer, product: request.product, strips: approvedStrips },
+    { session }
+  );
+  const totalAmount = taxBreakup.totals.grandTotal;
+
+  // Get payment details
+  const paidAmount = payment.paidAmount ? parseFloat(payment.paidAmount) : 0;
+  const paymentType = payment.paymentType || (paidAmount === 0 ? 'none' : (paidAmount >= totalAmount ? 'full' : 'partial'));
+
+  // Validate paid amount
+  if (isNaN(paidAmount) || paidAmount < 0 || paidAmount > totalAmount) {
+    return { status: 400, message: `Paid amount must be between 0 and ${totalAmount}` };
+  }
+
+  // Deduct stock only if it is still there (guards against concurrent approvals)
+  const stockFilter = reservation
+    ? { _id: request.product._id, stock: { $gte: approvedStrips } }
+    : {
+      _id: request.product._id,
+      $expr: {
+        $gte: [
+          { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] },
+          approvedStrips,
+        ],
+      },
+    };
+  const product = await Product.findOneAndUpdate(
+    stockFilter,
+    { $inc: { stock: -approvedStrips } },
+    { new: true, session }
+  );
+  if (!product) {
+    return { status: 400, message: 'Insufficient stock or invalid stock calculation' };
+  }
+  await consumeReservation(request._id, session, userId);
+
+  // Split the remainder off into a backorder that waits for replenishment
+  let backorder = null;
+  if (backorderStrips > 0) {
+    [backorder] = await DealerRequest.create([{
+      dealer: request.dealer,
+      product: request.product._id,
+      strips: backorderStrips,
+      status: 'pending',
+      orderGroupId: request.orderGroupId,
+      order: request.order,
+      backorderOf: request._id,
+      requestedAt: request.requestedAt,
+    }], { session });
+
+    request.strips = approvedStrips;
+    request.backorderedStrips = (request.backorderedStrips || 0) + backorderStrips;
+  }
+
+  // Update request
+  request.status = 'approved';
+  request.processedBy = userId;
+  request.processedAt = new Date();
+  request.notes = payment.notes || '';
+  request.totalAmount = totalAmount;
+  request.taxBreakup = taxBreakup;
+  request.paidAmount = paidAmount;
+  request.paymentType = paymentType;
+  request.isOutstanding = paidAmount < totalAmount;
+
+  // If payment is not verified but admin is approving, mark payment status accordingly
+  if (request.paymentStatus !== 'verified') {
+    if (paidAmount > 0) {
+      request.paymentStatus = 'paid'; // Mark as paid if amount is provided
+    } else {
+      request.paymentStatus = 'pending'; // Keep as pending if no payment
+    }
+  }
+
+  await request.save({ session });
+  await postRequestInvoice(request, userId, session);
+
+  // Create Payment record if there's outstanding amount (approved without full payment)
+  if (request.isOutstanding && paidAmount < totalAmount) {
+    const outstandingAmount = Math.round((totalAmount - paidAmount) * 100) / 100;
+
+    // Create payment record for outstanding amount
+    const outstandingPayment = new Payment({
+      dealer: request.dealer,
+      dealerRequest: request._id,
+      type: 'payment',
+      amount: outstandingAmount,
+      paymentMethod: 'credit', // Mark as credit since it's outstanding
+      status: 'pending', // Outstanding payments are pending
+      notes: `Outstanding amount for approved request. Paid: ₹${paidAmount}, Total: ₹${totalAmount}`,
+      processedBy: userId,
+      processedAt: new Date(),
+      transactionDate: new Date(),
+    });
+    await outstandingPayment.save({ session });
+  }
+
+  // Create Payment record for paid amount if any
+  if (paidAmount > 0) {
+    const paidPayment = new Payment({
+      dealer: request.dealer,
+      dealerRequest: request._id,
+      type: 'payment',
+      amount: paidAmount,
+      paymentMethod: payment.paymentMethod || 'cash',
+      status: 'completed', // Paid amount is considered completed
+      notes: payment.paymentNotes || `Partial payment for approved request. Total: ₹${totalAmount}`,
+      processedBy: userId,
+      processedAt: new Date(),
+      transactionDate: new Date(),
+    });
+    await paidPayment.save({ session });
+    await createAllocation(paidPayment, request, paidAmount, 'approval', userId, session);
+    await postPaymentEntry(paidPayment, userId, session);
+  }
+
+  // Online payments made while the request was pending settle the bill line now
+  const prepaid = await allocatePrepayments(request, userId, session);
+  if (prepaid.length > 0) {
+    const settled = await DealerRequest.findById(request._id)
+      .select('paidAmount paymentType isOutstanding')
+      .session(session)
+      .lean();
+    request.paidAmount = settled.paidAmount;
+    request.paymentType = settled.paymentType;
+    request.isOutstanding = settled.isOutstanding;
+  }
+
+  await syncDealerCredit(request.dealer, userId, session);
+
+  // Create or update dealer stock
+  let dealerStock = await DealerStock.findOne({
+    dealer: request.dealer,
+    product: request.product._id,
+    sourceRequest: request._id,
+  }).session(session);
+
+  if (dealerStock) {
+    // If stock entry exists for this request, update it
+    dealerStock.totalStrips += request.strips;
+    dealerStock.availableStrips = dealerStock.totalStrips - dealerStock.allocatedStrips;
+    await dealerStock.save({ session });
+  } else {
+    // Create new dealer stock entry
+    dealerStock = new DealerStock({
+      dealer: request.dealer,
+      product: request.product._id,
+      totalStrips: request.strips,
+      allocatedStrips: 0,
+      availableStrips: request.strips,
+      sourceRequest: request._id,
+    });
+    await dealerStock.save({ session });
+  }
+
+  if (request.order && !options.skipOrderRefresh) {
+    await refreshOrderSummary(request.order, session);
+  }
+
+  return { request, backorder };
+}
+
+/**
+ * Cancel a pending request and release its stock reservation
+ * @param {ObjectId|string} requestId - DealerRequest ID
+ * @param {string} notes - Cancellation notes
+ * @param {ObjectId} userId - User cancelling the request
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} options - Options
+ * @param {boolean} options.skipOrderRefresh - Caller refreshes the order itself (default: false)
+ * @returns {Promise<Object>} - { request } or { status, message }
+ */
+async function cancelRequest(requestId, notes, userId, session, options = {}) {
+  const request = await DealerRequest.findById(requestId).session(session);
+
+  if (!request) {
+    return { status: 404, message: 'Request not found' };
+  }
+
+  if (request.status !== 'pending') {
+    return { status: 400, message: `Request is already ${request.status}` };
+  }
+
+  // Update request
+  request.status = 'cancelled';
+  request.processedBy = userId;
+  request.processedAt = new Date();
+  request.notes = notes || '';
+  await request.save({ session });
+
+  // Give the held strips back to available-to-promise
+  await releaseReservation(request._id, session, userId);
+
+  if (request.order && !options.skipOrderRefresh) {
+    await refreshOrderSummary(request.order, session);
+  }
+
+  return { request };
+}
+
+/**
+ * Round a bill of approved requests once, when it is first sent. Each request
+ * was rounded to the rupee on its own at approval; on a bill of several
+ * requests the invoice round-off goes on the first line instead, and every
+ * request whose amount changes gets its share: frozen breakup, totalAmount,
+ * outstanding amount and a reposted invoice entry. What the dealer owes per
+ * request then adds up to the invoice grand total.
+ * @param {Array} requests - Approved DealerRequest documents billed together, in bill order
+ * @param {ObjectId} userId - Admin sending the bill
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - Tax breakup of the whole bill
+ */
+async function applyBillRoundOff(requests, userId, session) {
+  const breakups = [];
+  for (const request of requests) {
+    breakups.push(await getRequestTax(request, { session }));
+  }
+  const { taxBreakup, shares } = combineTaxBreakups(breakups);
+
+  let changed = false;
+  for (const [index, request] of requests.entries()) {
+    const share = shares[index];
+    // Requests approved before the breakup was frozen keep their amounts
+    if (!request.taxBreakup || !request.taxBreakup.totals) {
+      continue;
+    }
+    const difference = round2(share.totals.grandTotal - (request.totalAmount || 0));
+    if (difference === 0) {
+      continue;
+    }
+
+    request.taxBreakup = share;
+    request.totalAmount = share.totals.grandTotal;
+    const due = getInvoiceAmount(request);
+    const paid = request.paidAmount || 0;
+    request.isOutstanding = paid < due;
+    request.paymentType = paid <= 0 ? 'none' : (paid >= due ? 'full' : 'partial');
+    await request.save({ session });
+
+    // The outstanding amount recorded at approval follows the share
+    const outstanding = await Payment.findOne({
+      dealerRequest: request._id,
+      type: 'payment',
+      paymentMethod: 'credit',
+      status: 'pending',
+      creditDebitNote: null,
+    }).session(session);
+    if (outstanding) {
+      outstanding.amount = Math.max(0, round2(outstanding.amount + difference));
+      if (outstanding.amount <= 0) {
+        outstanding.status = 'cancelled';
+      }
+      await outstanding.save({ session });
+    } else if (request.isOutstanding) {
+      await Payment.create([{
+        dealer: request.dealer,
+        dealerRequest: request._id,
+        type: 'payment',
+        amount: round2(due - paid),
+        paymentMethod: 'credit',
+        status: 'pending',
+        notes: `Outstanding amount for approved request after bill round-off. Paid: ₹${paid}, Total: ₹${due}`,
+        processedBy: userId,
+        processedAt: new Date(),
+        transactionDate: new Date(),
+      }], { session });
+    }
+
+    await reverseJournalEntries(
+      { sourceType: 'DealerRequest', sourceId: request._id, event: 'invoice' },
+      { narration: `Request ${request._id} reposted with its share of the bill round-off`, createdBy: userId },
+      session
+    );
+    await postRequestInvoice(request, userId, session);
+    changed = true;
+  }
+
+  if (changed) {
+    await syncDealerCredit(requests[0].dealer?._id || requests[0].dealer, userId, session);
+  }
+
+  return taxBreakup;
+}
+
+module.exports = {
+  approveRequest,
+  cancelRequest,
+  applyBillRoundOff,
+};
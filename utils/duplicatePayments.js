@@ -0,0 +1,519 @@
+/**
+ * Duplicate Payment Detection
+ *
+ * Dealers submit proof of payment through POST /financial/payments (a pending
+ * Payment with its UTR / bank transaction ID and receipt) and PUT
+ * /dealer-requests/:id/upload-receipt (a receipt and optional UTR on the
+ * request). Two checks keep one payment from being claimed twice:
+ * - Transaction IDs are unique: a UTR or bank transaction ID already on
+ *   another payment or request is refused. Each ID is claimed in
+ *   TransactionIdClaim (unique index) in the transaction that saves the
+ *   payment or receipt, so of two concurrent submissions only one commits.
+ * - Receipt images are hashed: SHA-256 of the file and a perceptual difference
+ *   hash of the picture, which survives re-compression, resizing and a
+ *   PNG/JPEG round trip. A receipt matching an earlier one is accepted but
+ *   flagged as a SuspectedDuplicate.
+ * A payment recorded against a request and that request's own receipt are the
+ * same submission, so they are never matched with each other.
+ *
+ * Open flags hold payment verification until an admin reviews them: confirming
+ * rejects the later submission, dismissing clears it.
+ */
+
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const DealerRequest = require('../models/DealerRequest');
+const Payment = require('../models/Payment');
+const SuspectedDuplicate = require('../models/SuspectedDuplicate');
+const TransactionIdClaim = require('../models/TransactionIdClaim');
+const { runInTransaction } = require('./transaction');
+const { statusError } = require('./common');
+
+// Difference hash grid: 16 x 16 comparisons of horizontally adjacent cells = 256 bits
+const HASH_SIZE = 16;
+
+// Brightness difference (0-255) below which neighbouring cells count as equal,
+// so flat areas do not flip bits under compression noise
+const HASH_TOLERANCE = 2;
+
+// Receipts whose hashes differ in at most this many bits are treated as the same
+// picture. Receipts from the same UPI app share a layout and can come close, which
+// is why matches are flagged for review rather than refused.
+const RECEIPT_MATCH_DISTANCE = 10;
+
+// How far back receipts are compared
+const RECEIPT_LOOKBACK_DAYS = 180;
+
+// Largest decoded image accepted (JPEG decoder memory guard)
+const MAX_DECODE_MB = 256;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Canonical form of a UTR / transaction ID (no spaces, upper case)
+ * @param {string} value - Transaction ID as entered
+ * @returns {string|null}
+ */
+function normalizeTransactionId(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const normalized = String(value).replace(/\s+/g, '').toUpperCase();
+  return normalized || null;
+}
+
+/**
+ * Decode a PNG or JPEG receipt to RGBA pixels
+ * @param {Buffer} buffer - Image file
+ * @returns {Object|null} - { width, height, data } (null for other formats or unreadable files)
+ */
+function decodeImage(buffer) {
+  try {
+    if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return PNG.sync.read(buffer);
+    }
+    if (buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: MAX_DECODE_MB });
+    }
+  } catch (error) {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Difference hash of an image: the picture is averaged down to a
+ * (HASH_SIZE + 1) x HASH_SIZE grayscale grid and each bit says whether a cell
+ * is brighter than its right neighbour (by more than HASH_TOLERANCE)
+ * @param {Object} image - { width, height, data } (RGBA)
+ * @returns {string} - Hex digest (HASH_SIZE * HASH_SIZE bits)
+ */
+function differenceHash({ width, height, data }) {
+  const columns = HASH_SIZE + 1;
+  const rows = HASH_SIZE;
+  const sums = new Float64Array(columns * rows);
+  const counts = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor(y * rows / height));
+    for (let x = 0; x < width; x++) {
+      const column = Math.min(columns - 1, Math.floor(x * columns / width));
+      const offset = (y * width + x) * 4;
+      // Transparent pixels count as white, the way receipts are shown
+      const alpha = data[offset + 3] / 255;
+      const luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      sums[row * columns + column] += luma * alpha + 255 * (1 - alpha);
+      counts[row * columns + column]++;
+    }
+  }
+
+  let bits = '';
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < HASH_SIZE; column++) {
+      const left = sums[row * columns + column] / (counts[row * columns + column] || 1);
+      const right = sums[row * columns + column + 1] / (counts[row * columns + column + 1] || 1);
+      bits += left - right > HASH_TOLERANCE ? '1' : '0';
+    }
+  }
+  return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Hash an uploaded receipt
+ * @param {Buffer} buffer - Receipt file
+ * @returns {Object} - { receiptDigest, receiptHash } (receiptHash null when the format can't be decoded)
+ */
+function hashReceipt(buffer) {
+  const image = decodeImage(buffer);
+  return {
+    receiptDigest: crypto.createHash('sha256').update(buffer).digest('hex'),
+    receiptHash: image && image.width > 0 && image.height > 0 ? differenceHash(image) : null,
+  };
+}
+
+/**
+ * Filters leaving out the submission itself and its counterpart (the
+ * request a payment was recorded for, or the payments recorded for a request)
+ * @param {Object} submission - { payment, dealerRequest }
+ * @returns {Object} - { payment, dealerRequest } filters
+ */
+function excludeSubmission(submission) {
+  const payment = {};
+  const dealerRequest = {};
+  if (submission.payment) {
+    payment._id = { $ne: submission.payment };
+    if (submission.dealerRequest) {
+      dealerRequest._id = { $ne: submission.dealerRequest };
+    }
+  } else if (submission.dealerRequest) {
+    dealerRequest._id = { $ne: submission.dealerRequest };
+    payment.dealerRequest = { $ne: submission.dealerRequest };
+  }
+  return { payment, dealerRequest };
+}
+
+/**
+ * Payments and requests already carrying any of the transaction IDs
+ * @param {Array<string>} transactionIds - Normalised transaction IDs
+ * @param {Object} submission - { payment, dealerRequest } to leave out
+ * @returns {Promise<Array>} - [{ payment, dealerRequest, dealer, transactionId }]
+ */
+async function findTransactionIdMatches(transactionIds, submission = {}) {
+  const ids = transactionIds.filter(Boolean);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const exclude = excludeSubmission(submission);
+  const [payments, requests] = await Promise.all([
+    Payment.find({
+      ...exclude.payment,
+      $or: [{ upiTransactionId: { $in: ids } }, { bankTransactionId: { $in: ids } }],
+      status: { $nin: ['failed', 'cancelled'] },
+    })
+      .select('dealer dealerRequest upiTransactionId bankTransactionId')
+      .lean(),
+    DealerRequest.find({
+      ...exclude.dealerRequest,
+      upiTransactionId: { $in: ids },
+      status: { $ne: 'cancelled' },
+      paymentStatus: { $ne: 'rejected' },
+    })
+      .select('dealer upiTransactionId')
+      .lean(),
+  ]);
+
+  return [
+    ...payments.map(payment => ({
+      payment: payment._id,
+      dealerRequest: payment.dealerRequest || null,
+      dealer: payment.dealer,
+      transactionId: ids.includes(payment.upiTransactionId) ? payment.upiTransactionId : payment.bankTransactionId,
+    })),
+    ...requests.map(request => ({
+      payment: null,
+      dealerRequest: request._id,
+      dealer: request.dealer,
+      transactionId: request.upiTransactionId,
+    })),
+  ];
+}
+
+/**
+ * Refuse transaction IDs already used on another payment or request
+ * @param {Array<string>} transactionIds - Normalised transaction IDs
+ * @param {Object} submission - { payment, dealerRequest } to leave out
+ * @throws {Error} - 409 naming the ID already used
+ */
+async function assertTransactionIdsUnused(transactionIds, submission = {}) {
+  const [match] = await findTransactionIdMatches(transactionIds, submission);
+  if (match) {
+    const error = statusError(409, `Transaction ID ${match.transactionId} has already been submitted for another payment`);
+    error.duplicateOf = { payment: match.payment, dealerRequest: match.dealerRequest };
+    throw error;
+  }
+}
+
+/**
+ * Whether the payment or request holding a claim still holds its transaction
+ * ID (failed / cancelled payments and rejected / cancelled receipts give it up)
+ * @param {Object} claim - TransactionIdClaim
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<boolean>}
+ */
+async function isClaimHeld(claim, session) {
+  if (claim.payment) {
+    const payment = await Payment.findById(claim.payment)
+      .select('status upiTransactionId bankTransactionId')
+      .session(session)
+      .lean();
+    return Boolean(payment)
+      && !['failed', 'cancelled'].includes(payment.status)
+      && [payment.upiTransactionId, payment.bankTransactionId].includes(claim.transactionId);
+  }
+  const request = await DealerRequest.findById(claim.dealerRequest)
+    .select('status paymentStatus upiTransactionId')
+    .session(session)
+    .lean();
+  return Boolean(request)
+    && request.status !== 'cancelled'
+    && request.paymentStatus !== 'rejected'
+    && request.upiTransactionId === claim.transactionId;
+}
+
+/**
+ * Claim transaction IDs for a submission. Must run inside the transaction that
+ * saves the payment or receipt: the unique index on the claim refuses an ID
+ * another submission committed first.
+ * @param {Array<string>} transactionIds - Normalised transaction IDs
+ * @param {Object} submission - { payment, dealerRequest, dealer }
+ * @param {ClientSession} session - Active transaction session
+ * @throws {Error} - 409 naming the ID already used
+ */
+async function claimTransactionIds(transactionIds, submission, session) {
+  const owner = {
+    dealer: submission.dealer,
+    payment: submission.payment || null,
+    dealerRequest: submission.dealerRequest || null,
+  };
+  const sameSubmission = claim => (owner.payment && claim.payment && claim.payment.equals(owner.payment))
+    || (owner.dealerRequest && claim.dealerRequest && claim.dealerRequest.equals(owner.dealerRequest));
+
+  for (const transactionId of [...new Set(transactionIds.filter(Boolean))]) {
+    const claim = await TransactionIdClaim.findOne({ transactionId }).session(session);
+    if (claim && sameSubmission(claim)) {
+      continue;
+    }
+    if (claim && await isClaimHeld(claim, session)) {
+      const error = statusError(409, `Transaction ID ${transactionId} has already been submitted for another payment`);
+      error.duplicateOf = { payment: claim.payment, dealerRequest: claim.dealerRequest };
+      throw error;
+    }
+
+    try {
+      if (claim) {
+        claim.set(owner);
+        await claim.save({ session });
+      } else {
+        await TransactionIdClaim.create([{ transactionId, ...owner }], { session });
+      }
+    } catch (error) {
+      if (error.code === 11000) {
+        throw statusError(409, `Transaction ID ${transactionId} has already been submitted for another payment`);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Earlier receipts matching a receipt's hashes
+ * @param {Object} hashes - { receiptHash, receiptDigest }
+ * @param {Object} submission - { payment, dealerRequest } to leave out
+ * @returns {Promise<Array>} - [{ payment, dealerRequest, dealer, distance }], closest first
+ */
+async function findReceiptMatches(hashes, submission = {}) {
+  if (!hashes.receiptDigest && !hashes.receiptHash) {
+    return [];
+  }
+
+  const exclude = excludeSubmission(submission);
+  const since = new Date(Date.now() - RECEIPT_LOOKBACK_DAYS * DAY_MS);
+  const hashFilter = [];
+  if (hashes.receiptDigest) {
+    hashFilter.push({ receiptDigest: hashes.receiptDigest });
+  }
+  if (hashes.receiptHash) {
+    hashFilter.push({ receiptHash: { $ne: null }, createdAt: { $gte: since } });
+  }
+
+  const [payments, requests] = await Promise.all([
+    Payment.find({ ...exclude.payment, $or: hashFilter })
+      .select('dealer dealerRequest receiptHash receiptDigest')
+      .lean(),
+    DealerRequest.find({ ...exclude.dealerRequest, $or: hashFilter })
+      .select('dealer receiptHash receiptDigest')
+      .lean(),
+  ]);
+
+  const distanceTo = record => {
+    if (hashes.receiptDigest && record.receiptDigest === hashes.receiptDigest) {
+      return 0;
+    }
+    return hashes.receiptHash && record.receiptHash && record.receiptHash.length === hashes.receiptHash.length
+      ? hammingDistance(hashes.receiptHash, record.receiptHash)
+      : Infinity;
+  };
+
+  return [
+    ...payments.map(payment => ({
+      payment: payment._id,
+      dealerRequest: payment.dealerRequest || null,
+      dealer: payment.dealer,
+      distance: distanceTo(payment),
+    })),
+    ...requests.map(request => ({
+      payment: null,
+      dealerRequest: request._id,
+      dealer: request.dealer,
+      distance: distanceTo(request),
+    })),
+  ]
+    .filter(match => match.distance <= RECEIPT_MATCH_DISTANCE)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Flag a submission that reuses a transaction ID or receipt. Open flags from an
+ * earlier receipt of the same submission are replaced.
+ * @param {Object} submission - { payment, dealerRequest, dealer }
+ * @param {Object} details - { transactionIds, receiptHash, receiptDigest }
+ * @returns {Promise<Array>} - Open SuspectedDuplicates of the submission
+ */
+async function flagSuspectedDuplicates(submission, details) {
+  const subject = {
+    payment: submission.payment || null,
+    dealerRequest: submission.dealerRequest || null,
+    dealer: submission.dealer,
+  };
+  const ownFlags = subject.payment
+    ? { 'submission.payment': subject.payment }
+    : { 'submission.dealerRequest': subject.dealerRequest, 'submission.payment': null };
+
+  const [transactionMatches, receiptMatches] = await Promise.all([
+    findTransactionIdMatches(details.transactionIds || [], subject),
+    findReceiptMatches(details, subject),
+  ]);
+
+  const flags = [
+    ...transactionMatches.map(match => ({
+      reason: 'transaction_id',
+      transactionId: match.transactionId,
+      matchedSubmission: { payment: match.payment, dealerRequest: match.dealerRequest, dealer: match.dealer },
+    })),
+    ...receiptMatches.map(match => ({
+      reason: 'receipt_image',
+      distance: match.distance,
+      matchedSubmission: { payment: match.payment, dealerRequest: match.dealerRequest, dealer: match.dealer },
+    })),
+  ];
+
+  return runInTransaction(async (session) => {
+    await SuspectedDuplicate.deleteMany({ ...ownFlags, status: 'open' }).session(session);
+    if (flags.length === 0) {
+      return [];
+    }
+    return SuspectedDuplicate.create(
+      flags.map(flag => ({ ...flag, submission: subject })),
+      { session, ordered: true }
+    );
+  }, { label: 'flag suspected duplicates' });
+}
+
+/**
+ * Refuse to verify a submission while it has open duplicate flags
+ * @param {Object} submission - { payment } or { dealerRequest }
+ * @throws {Error} - 409 listing the open flags
+ */
+async function assertNoOpenDuplicates(submission) {
+  const query = submission.payment
+    ? { 'submission.payment': submission.payment }
+    : { 'submission.dealerRequest': submission.dealerRequest, 'submission.payment': null };
+  const open = await SuspectedDuplicate.find({ ...query, status: 'open' }).select('_id reason');
+  if (open.length > 0) {
+    const error = statusError(409, 'This payment looks like a duplicate of an earlier one. Review it in the suspected duplicates queue before verifying.');
+    error.suspectedDuplicates = open.map(flag => flag._id);
+    throw error;
+  }
+}
+
+/**
+ * Review a suspected duplicate. Confirming rejects the later submission (the
+ * request's payment is rejected / the pending payment failed) and closes its
+ * other open flags; dismissing clears this flag only.
+ * @param {ObjectId|string} flagId - SuspectedDuplicate
+ * @param {string} action - confirm | dismiss
+ * @param {string} notes - Review notes
+ * @param {ObjectId} userId - Admin reviewing
+ * @returns {Promise<Object>} - SuspectedDuplicate
+ */
+async function reviewSuspectedDuplicate(flagId, action, notes, userId) {
+  if (!['confirm', 'dismiss'].includes(action)) {
+    throw statusError(400, 'Action must be confirm or dismiss');
+  }
+
+  return runInTransaction(async (session) => {
+    const flag = await SuspectedDuplicate.findById(flagId).session(session);
+    if (!flag) {
+      throw statusError(404, 'Suspected duplicate not found');
+    }
+    if (flag.status !== 'open') {
+      throw statusError(400, `Suspected duplicate is already ${flag.status}`);
+    }
+
+    const now = new Date();
+    const close = (record, status) => {
+      record.status = status;
+      record.reviewedBy = userId;
+      record.reviewedAt = now;
+      record.reviewNotes = notes || '';
+    };
+
+    if (action === 'dismiss') {
+      close(flag, 'dismissed');
+      await flag.save({ session });
+      return flag;
+    }
+
+    const reason = `Duplicate of an earlier payment${notes ? `: ${notes}` : ''}`;
+    if (flag.submission.payment) {
+      const payment = await Payment.findById(flag.submission.payment).session(session);
+      if (payment && payment.status !== 'pending') {
+        throw statusError(400, `Payment is already ${payment.status}; cancel or refund it instead`);
+      }
+      if (payment) {
+        payment.status = 'failed';
+        payment.processedBy = userId;
+        payment.processedAt = now;
+        payment.notes = `${payment.notes ? `${payment.notes} ` : ''}${reason}`.trim();
+        await payment.save({ session });
+      }
+    } else {
+      const request = await DealerRequest.findById(flag.submission.dealerRequest).session(session);
+      if (request && request.paymentStatus === 'verified') {
+        throw statusError(400, 'Payment for this request is already verified');
+      }
+      if (request) {
+        request.paymentStatus = 'rejected';
+        request.paymentVerifiedBy = userId;
+        request.paymentVerifiedAt = now;
+        request.paymentNotes = reason;
+        await request.save({ session });
+      }
+    }
+
+    const submissionQuery = flag.submission.payment
+      ? { 'submission.payment': flag.submission.payment }
+      : { 'submission.dealerRequest': flag.submission.dealerRequest, 'submission.payment': null };
+    const openFlags = await SuspectedDuplicate.find({ ...submissionQuery, status: 'open' }).session(session);
+    for (const openFlag of openFlags) {
+      close(openFlag, 'confirmed');
+      await openFlag.save({ session });
+    }
+    return openFlags.find(openFlag => openFlag._id.equals(flag._id)) || flag;
+  }, { label: 'review suspected duplicate' });
+}
+
+module.exports = {
+  RECEIPT_MATCH_DISTANCE,
+  normalizeTransactionId,
+  hashReceipt,
+  differenceHash,
+  hammingDistance,
+  findTransactionIdMatches,
+  assertTransactionIdsUnused,
+  claimTransactionIds,
+  findReceiptMatches,
+  flagSuspectedDuplicates,
+  assertNoOpenDuplicates,
+  reviewSuspectedDuplicate,
+};
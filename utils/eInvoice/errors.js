@@ -0,0 +1,68 @@
+/**
+ * E-Invoice Errors
+ *
+ * Provider failures are plain Errors carrying the IRP error code, an HTTP status
+ * for the route to answer with and the raw exchange for persisting.
+ */
+
+const { statusError } = require('../common');
+
+// IRP error codes mapped to readable messages and the status we answer with
+const IRP_ERROR_CODES = {
+  1005: { message: 'E-invoice auth token is invalid or expired', status: 502, retryable: true },
+  2150: { message: 'An IRN is already generated for this invoice', status: 409 },
+  2270: { message: 'The IRN can no longer be cancelled (24 hour limit crossed)', status: 400 },
+  3028: { message: 'GSTIN is not present in the taxpayer master', status: 400 },
+  3029: { message: 'GSTIN is not active', status: 400 },
+};
+
+/**
+ * Create an e-invoice error
+ * @param {Object} details - Error details
+ * @param {string} details.code - IRP error code(s), or an internal code
+ * @param {string} details.message - Readable message
+ * @param {number} details.status - HTTP status to answer with (default: 502)
+ * @param {boolean} details.retryable - Whether retrying the call may succeed (default: false)
+ * @param {Object} details.request - Payload that was sent (optional)
+ * @param {Object} details.response - Response that was received (optional)
+ * @returns {Error}
+ */
+function createEInvoiceError(details) {
+  return statusError(details.status || 502, details.message, {
+    code: details.code,
+    retryable: details.retryable || false,
+    request: details.request || null,
+    response: details.response || null,
+  });
+}
+
+/**
+ * Turn the ErrorDetails of a failed IRP response into an error
+ * @param {Array} errorDetails - [{ ErrorCode, ErrorMessage }]
+ * @param {Object} exchange - { request, response }
+ * @returns {Error}
+ */
+function fromIrpErrorDetails(errorDetails, exchange = {}) {
+  const details = Array.isArray(errorDetails) ? errorDetails : [];
+  const codes = details.map(detail => String(detail.ErrorCode || '').trim()).filter(Boolean);
+
+  const known = codes.map(code => IRP_ERROR_CODES[code]).filter(Boolean);
+  const message = details.length > 0
+    ? details.map(detail => (IRP_ERROR_CODES[detail.ErrorCode] || {}).message || detail.ErrorMessage).join('; ')
+    : 'E-invoice system rejected the request (error unknown)';
+
+  return createEInvoiceError({
+    code: codes.join(',') || 'UNKNOWN',
+    message,
+    status: known.length > 0 ? Math.max(...known.map(entry => entry.status)) : 400,
+    retryable: known.some(entry => entry.retryable),
+    request: exchange.request,
+    response: exchange.response,
+  });
+}
+
+module.exports = {
+  IRP_ERROR_CODES,
+  createEInvoiceError,
+  fromIrpErrorDetails,
+};
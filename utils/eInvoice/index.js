@@ -0,0 +1,206 @@
+/**
+ * E-Invoice Utilities
+ *
+ * B2B bills are registered with the Invoice Registration Portal (IRP) through a
+ * pluggable provider selected with EINVOICE_PROVIDER:
+ * - nic  : NIC IRP API (directly or through a GSP), see nicProvider.js
+ * - mock : local provider that issues IRNs offline, for development and testing
+ *
+ * Every provider exposes the same async methods, taking and returning plain
+ * IRP-format JSON:
+ * - generate(payload) -> { irn, ackNo, ackDate, signedInvoice, signedQRCode, duplicate, request, response }
+ * - cancel(payload)   -> { irn, cancelDate, request, response }
+ *
+ * Failures are thrown as errors created with createEInvoiceError so routes can
+ * report the IRP code and a readable message.
+ */
+
+const QRCode = require('qrcode');
+const mockProvider = require('./mockProvider');
+const nicProvider = require('./nicProvider');
+const { createEInvoiceError } = require('./errors');
+const { formatNicDate } = require('../ewayBill/dates');
+const { getSupplierDetails } = require('../ewayBill');
+
+// IRN cancellation reason codes accepted by the IRP
+const CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Data entry mistake',
+  3: 'Order cancelled',
+  4: 'Others',
+};
+
+// An IRN can only be cancelled within 24 hours of registration
+const CANCEL_WINDOW_HOURS = 24;
+
+// IRP document number format: up to 16 characters, no leading 0, / or -
+const DOC_NO_PATTERN = /^[A-Z1-9][A-Z0-9/-]{0,15}$/;
+
+const PROVIDERS = {
+  mock: mockProvider,
+  nic: nicProvider,
+};
+
+/**
+ * Get the configured e-invoice provider
+ * @returns {Object} - Provider with name, generate and cancel
+ */
+function getEInvoiceProvider() {
+  const name = (process.env.EINVOICE_PROVIDER || 'mock').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw createEInvoiceError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Unknown e-invoice provider "${name}"`,
+      status: 500,
+    });
+  }
+  return provider;
+}
+
+/**
+ * Call the provider that registered an e-invoice and record the call (with its
+ * payloads) on the EInvoice document. A failed call is saved straight away and
+ * rethrown; on success the caller applies the result and saves.
+ * @param {Object} eInvoice - EInvoice document
+ * @param {string} action - generate | cancel
+ * @param {Object} payload - IRP payload
+ * @param {ObjectId} userId - User performing the action
+ * @returns {Promise<Object>} - Provider result
+ */
+async function callProvider(eInvoice, action, payload, userId) {
+  const provider = PROVIDERS[eInvoice.provider];
+  if (!provider) {
+    throw createEInvoiceError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Unknown e-invoice provider "${eInvoice.provider}"`,
+      status: 500,
+    });
+  }
+
+  try {
+    const result = await provider[action](payload);
+    eInvoice.events.push({
+      action,
+      success: true,
+      requestPayload: result.request,
+      responsePayload: result.response,
+      performedBy: userId,
+    });
+    return result;
+  } catch (error) {
+    eInvoice.events.push({
+      action,
+      success: false,
+      requestPayload: error.request || payload,
+      responsePayload: error.response || null,
+      errorCode: error.code || null,
+      errorMessage: error.message,
+      performedBy: userId,
+    });
+    await eInvoice.save();
+    throw error;
+  }
+}
+
+/**
+ * Build the IRP invoice JSON (schema 1.1) for a billed dealer request
+ * @param {Object} request - DealerRequest
+ * @param {Object} details - Invoice details
+ * @param {string} details.docNo - Invoice number
+ * @param {Date} details.docDate - Invoice date
+ * @param {Object} details.buyer - { gstin, name, address, place, pincode, stateCode }
+ * @param {Object} details.taxBreakup - Invoice tax breakup (utils/tax)
+ * @returns {Object} - IRP payload
+ */
+function buildEInvoicePayload(request, details) {
+  const supplier = getSupplierDetails();
+  const buyer = details.buyer;
+  const tax = details.taxBreakup;
+  const stateCode = code => String(code).padStart(2, '0');
+
+  return {
+    Version: '1.1',
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: 'B2B',
+      RegRev: 'N',
+      IgstOnIntra: 'N',
+    },
+    DocDtls: {
+      Typ: 'INV',
+      No: details.docNo,
+      Dt: formatNicDate(details.docDate),
+    },
+    SellerDtls: {
+      Gstin: supplier.gstin,
+      LglNm: supplier.name,
+      Addr1: supplier.address,
+      Loc: supplier.place,
+      Pin: supplier.pincode,
+      Stcd: stateCode(supplier.stateCode),
+    },
+    BuyerDtls: {
+      Gstin: buyer.gstin,
+      LglNm: buyer.name,
+      Pos: stateCode(tax.placeOfSupply),
+      Addr1: buyer.address || buyer.place,
+      Loc: buyer.place,
+      Pin: buyer.pincode,
+      Stcd: stateCode(buyer.stateCode),
+    },
+    ItemList: tax.lines.map((line, index) => {
+      // Cess is split into the ad valorem part and the per-packet part
+      const cessAdValorem = Math.round(line.taxableAmount * line.cessRate) / 100;
+      return {
+        SlNo: String(index + 1),
+        PrdDesc: line.description,
+        IsServc: 'N',
+        HsnCd: line.hsnCode,
+        Qty: line.quantity,
+        Unit: line.unit,
+        UnitPrice: line.unitPrice,
+        TotAmt: line.taxableAmount,
+        Discount: 0,
+        AssAmt: line.taxableAmount,
+        GstRt: line.gstRate,
+        IgstAmt: line.igstAmount,
+        CgstAmt: line.cgstAmount,
+        SgstAmt: line.sgstAmount,
+        CesRt: line.cessRate,
+        CesAmt: cessAdValorem,
+        CesNonAdvlAmt: Math.round((line.cessAmount - cessAdValorem) * 100) / 100,
+        TotItemVal: line.totalAmount,
+      };
+    }),
+    ValDtls: {
+      AssVal: tax.totals.taxableAmount,
+      CgstVal: tax.totals.cgstAmount,
+      SgstVal: tax.totals.sgstAmount,
+      IgstVal: tax.totals.igstAmount,
+      CesVal: tax.totals.cessAmount,
+      RndOffAmt: tax.totals.roundOff,
+      TotInvVal: tax.totals.grandTotal,
+    },
+  };
+}
+
+/**
+ * Render a signed QR code string as a PNG for the PDF bill
+ * @param {string} signedQRCode - Signed QR code (JWT) returned by the IRP
+ * @returns {Promise<Buffer>} - PNG image
+ */
+function renderQrCode(signedQRCode) {
+  return QRCode.toBuffer(signedQRCode, { errorCorrectionLevel: 'M', margin: 1, width: 300 });
+}
+
+module.exports = {
+  CANCEL_REASONS,
+  CANCEL_WINDOW_HOURS,
+  DOC_NO_PATTERN,
+  getEInvoiceProvider,
+  callProvider,
+  buildEInvoicePayload,
+  renderQrCode,
+  createEInvoiceError,
+};
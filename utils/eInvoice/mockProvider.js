@@ -0,0 +1,147 @@
+/**
+ * Mock E-Invoice Provider
+ *
+ * Registers invoices locally without calling the IRP. The IRN is computed the
+ * same way the IRP does (SHA-256 of supplier GSTIN, financial year, document
+ * type and number), acknowledgement numbers start with 9 so they can never be
+ * mistaken for real ones, and the QR code is a JWT signed with a per-process
+ * key instead of the NIC certificate.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { fromIrpErrorDetails } = require('./errors');
+const { IST_OFFSET_MS, parseNicDate } = require('../ewayBill/dates');
+
+// Signs mock QR codes; they only need to be readable, not verifiable
+const QR_SIGNING_KEY = crypto.randomBytes(32);
+
+// GSTIN format checked by the IRP before the taxpayer master lookup
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// IRNs registered by this process: { result, cancelled }
+const registered = new Map();
+
+// Hours after registration an IRN can still be cancelled
+const CANCEL_WINDOW_HOURS = 24;
+
+/**
+ * Financial year of an IRP document date (dd/mm/yyyy), e.g. 2025-26
+ * @param {string} docDate - Document date
+ * @returns {string}
+ */
+function getFinancialYear(docDate) {
+  const date = new Date((parseNicDate(docDate) || new Date()).getTime() + IST_OFFSET_MS);
+  const year = date.getUTCFullYear();
+  return date.getUTCMonth() >= 3
+    ? `${year}-${String(year + 1).slice(-2)}`
+    : `${year - 1}-${String(year).slice(-2)}`;
+}
+
+/**
+ * Format an IRP date-time (yyyy-mm-dd hh:mm:ss, IST)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function formatIrpDateTime(date) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return ist.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Register a mock IRN
+ * @param {Object} payload - IRP invoice JSON (schema 1.1)
+ * @returns {Promise<Object>} - { irn, ackNo, ackDate, signedInvoice, signedQRCode, duplicate, request, response }
+ */
+async function generate(payload) {
+  const buyerGstin = payload.BuyerDtls && payload.BuyerDtls.Gstin;
+  if (!buyerGstin || !GSTIN_PATTERN.test(buyerGstin)) {
+    const response = { Status: 0, ErrorDetails: [{ ErrorCode: '3028', ErrorMessage: 'GSTIN - is not present in taxpayer master' }] };
+    throw fromIrpErrorDetails(response.ErrorDetails, { request: payload, response });
+  }
+
+  const irn = crypto
+    .createHash('sha256')
+    .update(`${payload.SellerDtls.Gstin}${getFinancialYear(payload.DocDtls.Dt)}${payload.DocDtls.Typ}${payload.DocDtls.No}`)
+    .digest('hex');
+
+  // The IRP answers a repeated invoice with the IRN it already holds; a
+  // cancelled IRN blocks the document number for good
+  const existing = registered.get(irn);
+  if (existing && existing.cancelled) {
+    const response = { Status: 0, ErrorDetails: [{ ErrorCode: '2150', ErrorMessage: 'Duplicate IRN' }] };
+    throw fromIrpErrorDetails(response.ErrorDetails, { request: payload, response });
+  }
+  if (existing) {
+    return { ...existing.result, request: payload, duplicate: true };
+  }
+
+  const ackDate = new Date();
+  const ackNo = `9${String(Date.now()).slice(-10)}${crypto.randomInt(1000, 10000)}`;
+  const mainItem = payload.ItemList[0] || {};
+  const signedQRCode = jwt.sign({
+    data: JSON.stringify({
+      SellerGstin: payload.SellerDtls.Gstin,
+      BuyerGstin: buyerGstin,
+      DocNo: payload.DocDtls.No,
+      DocTyp: payload.DocDtls.Typ,
+      DocDt: payload.DocDtls.Dt,
+      TotInvVal: payload.ValDtls.TotInvVal,
+      ItemCnt: payload.ItemList.length,
+      MainHsnCode: mainItem.HsnCd,
+      Irn: irn,
+      IrnDt: formatIrpDateTime(ackDate),
+    }),
+    iss: 'NIC Mock',
+  }, QR_SIGNING_KEY, { algorithm: 'HS256' });
+
+  const response = {
+    AckNo: Number(ackNo),
+    AckDt: formatIrpDateTime(ackDate),
+    Irn: irn,
+    SignedInvoice: null,
+    SignedQRCode: signedQRCode,
+    Status: 'ACT',
+  };
+  const result = { irn, ackNo, ackDate, signedInvoice: null, signedQRCode, response };
+  registered.set(irn, { result, cancelled: false });
+
+  return { ...result, request: payload, duplicate: false };
+}
+
+/**
+ * Cancel a mock IRN
+ * @param {Object} payload - IRP cancel payload ({ Irn, CnlRsn, CnlRem })
+ * @returns {Promise<Object>} - { irn, cancelDate, request, response }
+ */
+async function cancel(payload) {
+  const entry = registered.get(payload.Irn);
+  const cancelledAt = new Date();
+
+  // IRNs from a previous run are unknown to this process; accept them
+  if (entry) {
+    if (cancelledAt - entry.result.ackDate > CANCEL_WINDOW_HOURS * 60 * 60 * 1000) {
+      const response = { Status: 0, ErrorDetails: [{ ErrorCode: '2270', ErrorMessage: 'The allowed cancellation time limit is crossed' }] };
+      throw fromIrpErrorDetails(response.ErrorDetails, { request: payload, response });
+    }
+    entry.cancelled = true;
+  }
+
+  const response = {
+    Irn: payload.Irn,
+    CancelDate: formatIrpDateTime(cancelledAt),
+  };
+
+  return {
+    irn: payload.Irn,
+    cancelDate: cancelledAt,
+    request: payload,
+    response,
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  generate,
+  cancel,
+};
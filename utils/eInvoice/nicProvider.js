@@ -0,0 +1,270 @@
+/**
+ * NIC E-Invoice (IRP) Provider
+ *
+ * Registers invoices with the NIC Invoice Registration Portal, directly or
+ * through a GSP that exposes the same endpoints. The flow mirrors the e-way
+ * bill API:
+ * 1. Auth: the username, password and a random 32 byte app key are RSA
+ *    encrypted with the IRP public key; the IRP answers with an auth token and
+ *    a session key (SEK) encrypted with the app key. Both are cached until
+ *    shortly before the token expires.
+ * 2. Every API call sends its JSON payload AES-256-ECB encrypted with the SEK;
+ *    the response data is decrypted the same way.
+ *
+ * Configuration (env):
+ *   EINV_API_URL, EINV_CLIENT_ID, EINV_CLIENT_SECRET, EINV_USERNAME,
+ *   EINV_PASSWORD, EINV_GSTIN (default SUPPLIER_GSTIN), EINV_PUBLIC_KEY or
+ *   EINV_PUBLIC_KEY_PATH, EINV_TIMEOUT_MS (default 30000)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { aesEncrypt, aesDecrypt, rsaEncrypt } = require('../nicCrypto');
+const { IST_OFFSET_MS } = require('../ewayBill/dates');
+const { createEInvoiceError, fromIrpErrorDetails } = require('./errors');
+
+const AUTH_PATH = '/eivital/v1.04/auth';
+const INVOICE_PATH = '/eicore/v1.03/Invoice';
+
+// Refresh the auth token 10 minutes before the IRP expires it
+const TOKEN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+const DEFAULT_TOKEN_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Cached sessions by GSTIN: { authToken, sek, expiresAt }
+const sessions = new Map();
+
+/**
+ * Read provider configuration from the environment
+ * @returns {Object}
+ */
+function getConfig() {
+  let publicKey = process.env.EINV_PUBLIC_KEY || null;
+  if (!publicKey && process.env.EINV_PUBLIC_KEY_PATH) {
+    publicKey = fs.readFileSync(process.env.EINV_PUBLIC_KEY_PATH, 'utf8');
+  }
+
+  const config = {
+    baseUrl: (process.env.EINV_API_URL || '').replace(/\/+$/, ''),
+    clientId: process.env.EINV_CLIENT_ID,
+    clientSecret: process.env.EINV_CLIENT_SECRET,
+    username: process.env.EINV_USERNAME,
+    password: process.env.EINV_PASSWORD,
+    gstin: process.env.EINV_GSTIN || process.env.SUPPLIER_GSTIN,
+    publicKey: publicKey ? publicKey.replace(/\\n/g, '\n') : null,
+    timeoutMs: parseInt(process.env.EINV_TIMEOUT_MS) || 30000,
+  };
+
+  const missing = ['baseUrl', 'clientId', 'clientSecret', 'username', 'password', 'gstin', 'publicKey']
+    .filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw createEInvoiceError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `NIC e-invoice provider is missing configuration: ${missing.join(', ')}`,
+      status: 500,
+    });
+  }
+
+  return config;
+}
+
+/**
+ * Parse an IRP date-time (yyyy-mm-dd hh:mm:ss, IST)
+ * @param {string} value - IRP date-time
+ * @returns {Date|null}
+ */
+function parseIrpDate(value) {
+  if (!value) {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) {
+    return null;
+  }
+  const [, yyyy, mm, dd, hh, min, ss = '0'] = match;
+  const utc = Date.UTC(parseInt(yyyy), parseInt(mm) - 1, parseInt(dd), parseInt(hh), parseInt(min), parseInt(ss));
+  return new Date(utc - IST_OFFSET_MS);
+}
+
+/**
+ * Send a request to the IRP
+ * @param {Object} config - Provider configuration
+ * @param {string} method - GET or POST
+ * @param {string} path - API path
+ * @param {Object} body - JSON body (POST only)
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+async function requestJson(config, method, path, body, extraHeaders = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+    Gstin: config.gstin,
+    ...extraHeaders,
+  };
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(config.timeoutMs),
+    });
+  } catch (error) {
+    throw createEInvoiceError({
+      code: 'NETWORK_ERROR',
+      message: `Could not reach the e-invoice system: ${error.message}`,
+      status: 504,
+      retryable: true,
+    });
+  }
+
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw createEInvoiceError({
+      code: `HTTP_${response.status}`,
+      message: `Unexpected response from the e-invoice system (HTTP ${response.status})`,
+      status: 502,
+      retryable: response.status >= 500,
+      response: { httpStatus: response.status, body: text.slice(0, 2000) },
+    });
+  }
+}
+
+/**
+ * Get a cached session, authenticating when there is none or it is about to expire
+ * @param {Object} config - Provider configuration
+ * @param {boolean} forceRefresh - Ignore the cache
+ * @returns {Promise<Object>} - { authToken, sek }
+ */
+async function getSession(config, forceRefresh = false) {
+  const cached = sessions.get(config.gstin);
+  if (!forceRefresh && cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached;
+  }
+
+  const appKey = crypto.randomBytes(32);
+  const login = JSON.stringify({
+    UserName: config.username,
+    Password: config.password,
+    AppKey: appKey.toString('base64'),
+    ForceRefreshAccessToken: forceRefresh,
+  });
+
+  const body = await requestJson(config, 'POST', AUTH_PATH, {
+    Data: rsaEncrypt(config.publicKey, Buffer.from(login).toString('base64')),
+  });
+  if (String(body.Status) !== '1' || !body.Data || !body.Data.AuthToken) {
+    sessions.delete(config.gstin);
+    // Never persist the credentials that were sent
+    throw fromIrpErrorDetails(body.ErrorDetails, { request: { action: 'auth' }, response: body });
+  }
+
+  const expiresAt = parseIrpDate(body.Data.TokenExpiry);
+  const session = {
+    authToken: body.Data.AuthToken,
+    sek: aesDecrypt(appKey, body.Data.Sek),
+    expiresAt: expiresAt ? expiresAt.getTime() : Date.now() + DEFAULT_TOKEN_TTL_MS,
+  };
+  sessions.set(config.gstin, session);
+  return session;
+}
+
+/**
+ * Call an encrypted IRP endpoint, re-authenticating once on an invalid token
+ * @param {string} method - GET or POST
+ * @param {string} path - API path
+ * @param {Object} data - Plain payload (POST only)
+ * @returns {Promise<Object>} - Decrypted response data
+ */
+async function callApi(method, path, data) {
+  const config = getConfig();
+
+  for (let attempt = 1; ; attempt++) {
+    const session = await getSession(config, attempt > 1);
+    const body = await requestJson(
+      config,
+      method,
+      path,
+      data ? { Data: aesEncrypt(session.sek, JSON.stringify(data)) } : null,
+      { user_name: config.username, AuthToken: session.authToken }
+    );
+
+    if (String(body.Status) === '1') {
+      return JSON.parse(aesDecrypt(session.sek, body.Data).toString('utf8'));
+    }
+
+    const error = fromIrpErrorDetails(body.ErrorDetails, { request: data, response: body });
+    // Duplicate IRN responses carry the existing IRN in InfoDtls
+    error.info = Array.isArray(body.InfoDtls) ? body.InfoDtls : [];
+    if (error.retryable && error.code.split(',').includes('1005') && attempt === 1) {
+      sessions.delete(config.gstin);
+      continue;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Map IRP invoice details to the provider result
+ * @param {Object} response - Decrypted IRP response
+ * @param {Object} payload - Payload that was sent
+ * @returns {Object}
+ */
+function toResult(response, payload) {
+  return {
+    irn: response.Irn,
+    ackNo: String(response.AckNo),
+    ackDate: parseIrpDate(response.AckDt) || new Date(),
+    signedInvoice: response.SignedInvoice || null,
+    signedQRCode: response.SignedQRCode,
+    request: payload,
+    response,
+  };
+}
+
+/**
+ * Generate an IRN. When the IRP reports the invoice as already registered, the
+ * existing IRN is fetched so a retried request still ends up with the QR code.
+ * @param {Object} payload - IRP invoice JSON (schema 1.1)
+ * @returns {Promise<Object>} - { irn, ackNo, ackDate, signedInvoice, signedQRCode, duplicate, request, response }
+ */
+async function generate(payload) {
+  try {
+    const response = await callApi('POST', INVOICE_PATH, payload);
+    return { ...toResult(response, payload), duplicate: false };
+  } catch (error) {
+    const duplicate = error.code && error.code.split(',').includes('2150')
+      ? (error.info || []).find(info => info.InfCd === 'DUPIRN')
+      : null;
+    if (!duplicate || !duplicate.Desc || !duplicate.Desc.Irn) {
+      throw error;
+    }
+    const response = await callApi('GET', `${INVOICE_PATH}/irn/${encodeURIComponent(duplicate.Desc.Irn)}`);
+    return { ...toResult(response, payload), duplicate: true };
+  }
+}
+
+/**
+ * Cancel an IRN
+ * @param {Object} payload - IRP cancel payload ({ Irn, CnlRsn, CnlRem })
+ * @returns {Promise<Object>} - { irn, cancelDate, request, response }
+ */
+async function cancel(payload) {
+  const response = await callApi('POST', `${INVOICE_PATH}/Cancel`, payload);
+  return {
+    irn: response.Irn || payload.Irn,
+    cancelDate: parseIrpDate(response.CancelDate) || new Date(),
+    request: payload,
+    response,
+  };
+}
+
+module.exports = {
+  name: 'nic',
+  generate,
+  cancel,
+};
@@ -0,0 +1,92 @@
+/**
+ * E-Way Bill Date Helpers
+ *
+ * Validity rules and the NIC date formats. All NIC dates are Indian Standard
+ * Time.
+ */
+
+// Indian Standard Time offset (validity days end at midnight IST)
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Rule 138(10): one day per 200 km (20 km for over dimensional cargo) or part thereof
+const KM_PER_DAY = 200;
+const ODC_KM_PER_DAY = 20;
+
+// Longest distance accepted by the e-way bill system
+const MAX_DISTANCE_KM = 4000;
+
+/**
+ * Calculate e-way bill validity from the transport distance.
+ * Validity is counted from generation and each day ends at midnight (IST) of
+ * the day following the generation date.
+ * @param {number} distanceKm - Transport distance in km
+ * @param {Date} generatedAt - When the e-way bill (Part-B) was generated (default: now)
+ * @param {Object} options - Options
+ * @param {boolean} options.overDimensionalCargo - Use the 20 km/day ODC rule (default: false)
+ * @returns {Date} - Valid upto
+ */
+function calculateValidity(distanceKm, generatedAt = new Date(), options = {}) {
+  const kmPerDay = options.overDimensionalCargo ? ODC_KM_PER_DAY : KM_PER_DAY;
+  const days = Math.max(1, Math.ceil(distanceKm / kmPerDay));
+
+  const ist = new Date(generatedAt.getTime() + IST_OFFSET_MS);
+  const endOfDay = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() + days, 23, 59, 59);
+  return new Date(endOfDay - IST_OFFSET_MS);
+}
+
+/**
+ * Format a date as dd/mm/yyyy in IST (NIC document date format)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function formatNicDate(date) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const day = String(ist.getUTCDate()).padStart(2, '0');
+  const month = String(ist.getUTCMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${ist.getUTCFullYear()}`;
+}
+
+/**
+ * Format a date as NIC date-time (dd/mm/yyyy hh:mm:ss AM|PM, IST)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function formatNicDateTime(date) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const hours = ist.getUTCHours();
+  const hh = String(hours % 12 || 12).padStart(2, '0');
+  const mm = String(ist.getUTCMinutes()).padStart(2, '0');
+  const ss = String(ist.getUTCSeconds()).padStart(2, '0');
+  return `${formatNicDate(date)} ${hh}:${mm}:${ss} ${hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+/**
+ * Parse a NIC date-time string (dd/mm/yyyy hh:mm:ss AM|PM, IST)
+ * @param {string} value - NIC date-time
+ * @returns {Date|null}
+ */
+function parseNicDate(value) {
+  if (!value) {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d{2})\/(\d{2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i);
+  if (!match) {
+    return null;
+  }
+  const [, dd, mm, yyyy, hh = '0', min = '0', ss = '0', meridiem] = match;
+  let hours = parseInt(hh);
+  if (meridiem) {
+    hours = hours % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  }
+  const utc = Date.UTC(parseInt(yyyy), parseInt(mm) - 1, parseInt(dd), hours, parseInt(min), parseInt(ss));
+  return new Date(utc - IST_OFFSET_MS);
+}
+
+module.exports = {
+  IST_OFFSET_MS,
+  MAX_DISTANCE_KM,
+  calculateValidity,
+  formatNicDate,
+  formatNicDateTime,
+  parseNicDate,
+};
@@ -0,0 +1,78 @@
+/**
+ * E-Way Bill Errors
+ *
+ * Provider failures are plain Errors carrying the provider code, an HTTP status
+ * for the route to answer with and the raw exchange for persisting.
+ */
+
+const { statusError } = require('../common');
+
+// NIC error codes mapped to readable messages and the status we answer with
+const NIC_ERROR_CODES = {
+  100: { message: 'Invalid JSON data sent to the e-way bill system', status: 400 },
+  101: { message: 'Invalid e-way bill API username', status: 502 },
+  102: { message: 'Invalid e-way bill API password', status: 502 },
+  106: { message: 'Invalid e-way bill API client ID or secret', status: 502 },
+  108: { message: 'Invalid e-way bill API login credentials', status: 502 },
+  238: { message: 'E-way bill auth token is invalid or expired', status: 502, retryable: true },
+  201: { message: 'Invalid supplier GSTIN', status: 400 },
+  206: { message: 'Invalid buyer GSTIN', status: 400 },
+  210: { message: 'Invalid vehicle number format', status: 400 },
+  312: { message: 'This e-way bill was either not generated by you or is already cancelled', status: 400 },
+  315: { message: 'Validity period has lapsed; the e-way bill cannot be cancelled', status: 400 },
+  604: { message: 'An e-way bill is already generated for this document number', status: 409 },
+  702: { message: 'The distance between the pincodes is too high or too low', status: 400 },
+};
+
+/**
+ * Create an e-way bill error
+ * @param {Object} details - Error details
+ * @param {string} details.code - Provider error code(s), or an internal code
+ * @param {string} details.message - Readable message
+ * @param {number} details.status - HTTP status to answer with (default: 502)
+ * @param {boolean} details.retryable - Whether retrying the call may succeed (default: false)
+ * @param {Object} details.request - Payload that was sent (optional)
+ * @param {Object} details.response - Response that was received (optional)
+ * @returns {Error}
+ */
+function createEwayBillError(details) {
+  return statusError(details.status || 502, details.message, {
+    code: details.code,
+    retryable: details.retryable || false,
+    request: details.request || null,
+    response: details.response || null,
+  });
+}
+
+/**
+ * Turn a NIC error code list (e.g. "238," or "201,206") into an error
+ * @param {string} errorCodes - Comma separated NIC error codes
+ * @param {Object} exchange - { request, response }
+ * @returns {Error}
+ */
+function fromNicErrorCodes(errorCodes, exchange = {}) {
+  const codes = String(errorCodes || '')
+    .split(',')
+    .map(code => code.trim())
+    .filter(Boolean);
+
+  const known = codes.map(code => NIC_ERROR_CODES[code]).filter(Boolean);
+  const message = known.length > 0
+    ? known.map(entry => entry.message).join('; ')
+    : `E-way bill system rejected the request (error ${codes.join(', ') || 'unknown'})`;
+
+  return createEwayBillError({
+    code: codes.join(',') || 'UNKNOWN',
+    message,
+    status: known.length > 0 ? Math.max(...known.map(entry => entry.status)) : 502,
+    retryable: known.some(entry => entry.retryable),
+    request: exchange.request,
+    response: exchange.response,
+  });
+}
+
+module.exports = {
+  NIC_ERROR_CODES,
+  createEwayBillError,
+  fromNicErrorCodes,
+};
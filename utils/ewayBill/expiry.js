@@ -0,0 +1,63 @@
+/**
+ * E-Way Bill Expiry Job
+ *
+ * Marks active e-way bills expired once their validity has passed, on both the
+ * EwayBill record and the dealer request. An expired bill can still be extended
+ * within the extension window, which makes it active again.
+ */
+
+const DealerRequest = require('../../models/DealerRequest');
+const EwayBill = require('../../models/EwayBill');
+
+// How often lapsed e-way bills are swept (minutes)
+const EXPIRY_SWEEP_MINUTES = parseInt(process.env.EWAY_BILL_EXPIRY_SWEEP_MINUTES) || 30;
+
+let expiryTimer = null;
+
+/**
+ * Expire every active e-way bill whose validity has passed
+ * @returns {Promise<number>} - Number of dealer requests marked expired
+ */
+async function expireEwayBills() {
+  const now = new Date();
+
+  await EwayBill.updateMany(
+    { status: 'active', validUpto: { $ne: null, $lt: now } },
+    { $set: { status: 'expired', expiredAt: now } }
+  );
+
+  const result = await DealerRequest.updateMany(
+    { ewayBillStatus: 'active', ewayBillValidUpto: { $ne: null, $lt: now } },
+    { $set: { ewayBillStatus: 'expired' } }
+  );
+
+  return result.modifiedCount;
+}
+
+/**
+ * Start the periodic expiry sweep (safe to call more than once)
+ */
+function startEwayBillExpiryJob() {
+  if (expiryTimer) {
+    return;
+  }
+
+  const sweep = async () => {
+    try {
+      const count = await expireEwayBills();
+      if (count > 0) {
+        console.log(`⏰ Marked ${count} e-way bill(s) expired`);
+      }
+    } catch (error) {
+      console.error('E-way bill expiry sweep error:', error.message);
+    }
+  };
+
+  sweep();
+  expiryTimer = setInterval(sweep, EXPIRY_SWEEP_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  expireEwayBills,
+  startEwayBillExpiryJob,
+};
@@ -0,0 +1,233 @@
+/**
+ * E-Way Bill Utilities
+ *
+ * E-way bills are issued through a pluggable provider selected with
+ * EWAY_BILL_PROVIDER:
+ * - nic  : NIC e-way bill API (directly or through a GSP), see nicProvider.js
+ * - mock : local provider that issues fake numbers, for development and testing
+ *
+ * Every provider exposes the same async methods, taking and returning plain
+ * NIC-format JSON:
+ * - generate(payload)       -> { ewayBillNo, ewayBillDate, validUpto, request, response }
+ * - cancel(payload)         -> { ewayBillNo, cancelDate, request, response }
+ * - updatePartB(payload)    -> { ewayBillNo, updatedAt, validUpto, request, response }
+ * - extendValidity(payload) -> { ewayBillNo, updatedAt, validUpto, request, response }
+ *
+ * Failures are thrown as errors created with createEwayBillError so routes can
+ * report the provider code and a readable message.
+ */
+
+const mockProvider = require('./mockProvider');
+const nicProvider = require('./nicProvider');
+const { createEwayBillError } = require('./errors');
+const {
+  MAX_DISTANCE_KM,
+  calculateValidity,
+  formatNicDate,
+  parseNicDate,
+} = require('./dates');
+
+// Cancellation reason codes accepted by the e-way bill system
+const CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Order Cancelled',
+  3: 'Data Entry mistake',
+  4: 'Others',
+};
+
+// Part-B (vehicle) update reason codes
+const VEHICLE_UPDATE_REASONS = {
+  1: 'Due to Break Down',
+  2: 'Due to Transhipment',
+  3: 'Others',
+  4: 'First Time',
+};
+
+// Validity extension reason codes
+const EXTENSION_REASONS = {
+  1: 'Natural Calamity',
+  2: 'Law and Order Situation',
+  4: 'Transhipment',
+  5: 'Accident',
+  99: 'Others',
+};
+
+// An e-way bill can only be cancelled within 24 hours of generation
+const CANCEL_WINDOW_HOURS = 24;
+
+// Validity can be extended from 8 hours before until 8 hours after it lapses
+const EXTENSION_WINDOW_HOURS = 8;
+
+const PROVIDERS = {
+  mock: mockProvider,
+  nic: nicProvider,
+};
+
+// Provider method used for each recorded action
+const ACTION_METHODS = {
+  generate: 'generate',
+  cancel: 'cancel',
+  update_part_b: 'updatePartB',
+  extend: 'extendValidity',
+};
+
+/**
+ * Get the configured e-way bill provider
+ * @returns {Object} - Provider with name, generate and cancel
+ */
+function getEwayBillProvider() {
+  const name = (process.env.EWAY_BILL_PROVIDER || 'mock').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw createEwayBillError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Unknown e-way bill provider "${name}"`,
+      status: 500,
+    });
+  }
+  return provider;
+}
+
+/**
+ * Call the provider that issued an e-way bill and record the call (with its
+ * payloads) on the EwayBill document. A failed call is saved straight away and
+ * rethrown; on success the caller applies the result and saves.
+ * @param {Object} ewayBill - EwayBill document
+ * @param {string} action - generate | cancel | update_part_b | extend
+ * @param {Object} payload - NIC payload
+ * @param {ObjectId} userId - User performing the action
+ * @returns {Promise<Object>} - Provider result
+ */
+async function callProvider(ewayBill, action, payload, userId) {
+  const provider = PROVIDERS[ewayBill.provider];
+  if (!provider) {
+    throw createEwayBillError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Unknown e-way bill provider "${ewayBill.provider}"`,
+      status: 500,
+    });
+  }
+
+  try {
+    const result = await provider[ACTION_METHODS[action]](payload);
+    ewayBill.events.push({
+      action,
+      success: true,
+      requestPayload: result.request,
+      responsePayload: result.response,
+      performedBy: userId,
+    });
+    return result;
+  } catch (error) {
+    ewayBill.events.push({
+      action,
+      success: false,
+      requestPayload: error.request || payload,
+      responsePayload: error.response || null,
+      errorCode: error.code || null,
+      errorMessage: error.message,
+      performedBy: userId,
+    });
+    await ewayBill.save();
+    throw error;
+  }
+}
+
+/**
+ * Supplier (consignor) details from the environment
+ * @returns {Object}
+ */
+function getSupplierDetails() {
+  const gstin = process.env.SUPPLIER_GSTIN || '24AABCU9603R1ZX';
+  return {
+    gstin,
+    name: process.env.SUPPLIER_NAME || 'SAFALATA FOOD PRIVATE LIMITED',
+    address: process.env.SUPPLIER_ADDRESS || '1, Momai Nagar, B/h Amar Nagar',
+    place: process.env.SUPPLIER_PLACE || 'Odhav-Ahmedabad',
+    pincode: parseInt(process.env.SUPPLIER_PINCODE) || 382415,
+    stateCode: parseInt(process.env.SUPPLIER_STATE_CODE) || parseInt(gstin.slice(0, 2)) || 24,
+  };
+}
+
+/**
+ * Build the NIC GENEWAYBILL payload for an approved dealer request
+ * @param {Object} request - DealerRequest
+ * @param {Object} details - Consignment details
+ * @param {string} details.docNo - Invoice number
+ * @param {Date} details.docDate - Invoice date
+ * @param {number} details.distanceKm - Transport distance in km
+ * @param {Object} details.buyer - { gstin, name, address, place, pincode, stateCode }
+ * @param {Object} details.taxBreakup - Invoice tax breakup (utils/tax)
+ * @param {string} details.vehicleNumber - Vehicle number (optional, Part-B)
+ * @param {string} details.transDocNo - Transport document number (optional)
+ * @returns {Object} - NIC payload
+ */
+function buildEwayBillPayload(request, details) {
+  const supplier = getSupplierDetails();
+  const buyer = details.buyer;
+  const tax = details.taxBreakup;
+
+  return {
+    supplyType: 'O',
+    subSupplyType: '1',
+    docType: 'INV',
+    docNo: details.docNo,
+    docDate: formatNicDate(details.docDate),
+    fromGstin: supplier.gstin,
+    fromTrdName: supplier.name,
+    fromAddr1: supplier.address,
+    fromPlace: supplier.place,
+    fromPincode: supplier.pincode,
+    fromStateCode: supplier.stateCode,
+    actFromStateCode: supplier.stateCode,
+    toGstin: buyer.gstin,
+    toTrdName: buyer.name,
+    toAddr1: buyer.address,
+    toPlace: buyer.place,
+    toPincode: buyer.pincode,
+    toStateCode: tax.placeOfSupply,
+    actToStateCode: buyer.stateCode,
+    transactionType: 1,
+    totalValue: tax.totals.taxableAmount,
+    cgstValue: tax.totals.cgstAmount,
+    sgstValue: tax.totals.sgstAmount,
+    igstValue: tax.totals.igstAmount,
+    cessValue: tax.totals.cessAmount,
+    otherValue: tax.totals.roundOff,
+    totInvValue: tax.totals.grandTotal,
+    transMode: '1',
+    transDistance: String(details.distanceKm),
+    transDocNo: details.transDocNo || '',
+    vehicleNo: details.vehicleNumber ? details.vehicleNumber.replace(/[\s-]/g, '').toUpperCase() : '',
+    vehicleType: 'R',
+    itemList: tax.lines.map(line => ({
+      productName: line.description,
+      hsnCode: Number(line.hsnCode),
+      quantity: line.quantity,
+      qtyUnit: line.unit,
+      taxableAmount: line.taxableAmount,
+      cgstRate: line.cgstRate,
+      sgstRate: line.sgstRate,
+      igstRate: line.igstRate,
+      cessRate: line.cessRate,
+      cessNonAdvol: line.cessPerUnit,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_DISTANCE_KM,
+  CANCEL_REASONS,
+  VEHICLE_UPDATE_REASONS,
+  EXTENSION_REASONS,
+  CANCEL_WINDOW_HOURS,
+  EXTENSION_WINDOW_HOURS,
+  getEwayBillProvider,
+  callProvider,
+  calculateValidity,
+  formatNicDate,
+  parseNicDate,
+  getSupplierDetails,
+  buildEwayBillPayload,
+  createEwayBillError,
+};
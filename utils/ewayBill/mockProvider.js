@@ -0,0 +1,172 @@
+/**
+ * Mock E-Way Bill Provider
+ *
+ * Issues e-way bills locally without calling NIC. Numbers are 12 digits
+ * starting with 9 so they can never be mistaken for real ones, validity follows
+ * the distance rule, and a few NIC validations are simulated with the real
+ * error codes so error handling can be exercised in development.
+ */
+
+const crypto = require('crypto');
+const { fromNicErrorCodes } = require('./errors');
+const { MAX_DISTANCE_KM, calculateValidity, formatNicDateTime } = require('./dates');
+
+// Document numbers issued by this process (NIC rejects duplicates with 604)
+const issuedDocuments = new Map();
+
+// Active mock e-way bills by number
+const activeBills = new Map();
+
+const VEHICLE_NUMBER_PATTERN = /^[A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}$/;
+
+/**
+ * Generate a mock e-way bill
+ * @param {Object} payload - NIC GENEWAYBILL payload
+ * @returns {Promise<Object>} - { ewayBillNo, ewayBillDate, validUpto, request, response }
+ */
+async function generate(payload) {
+  const codes = [];
+  const distance = parseInt(payload.transDistance);
+  if (!distance || distance < 1 || distance > MAX_DISTANCE_KM) {
+    codes.push('702');
+  }
+  if (payload.vehicleNo && !VEHICLE_NUMBER_PATTERN.test(payload.vehicleNo)) {
+    codes.push('210');
+  }
+  if (issuedDocuments.has(`${payload.fromGstin}:${payload.docNo}`)) {
+    codes.push('604');
+  }
+  if (codes.length > 0) {
+    const response = { status: '0', error: { errorCodes: codes.join(',') } };
+    throw fromNicErrorCodes(codes.join(','), { request: payload, response });
+  }
+
+  const generatedAt = new Date();
+  const ewayBillNo = `9${String(Date.now()).slice(-8)}${crypto.randomInt(100, 1000)}`;
+  // Without Part-B (vehicle) the bill has no validity yet
+  const validUpto = payload.vehicleNo ? calculateValidity(distance, generatedAt) : null;
+
+  issuedDocuments.set(`${payload.fromGstin}:${payload.docNo}`, ewayBillNo);
+  activeBills.set(ewayBillNo, { docKey: `${payload.fromGstin}:${payload.docNo}`, distance, validUpto });
+
+  const response = {
+    ewayBillNo: Number(ewayBillNo),
+    ewayBillDate: formatNicDateTime(generatedAt),
+    validUpto: validUpto ? formatNicDateTime(validUpto) : null,
+    alert: '',
+  };
+
+  return {
+    ewayBillNo,
+    ewayBillDate: generatedAt,
+    validUpto,
+    request: payload,
+    response,
+  };
+}
+
+/**
+ * Cancel a mock e-way bill
+ * @param {Object} payload - NIC CANEWB payload ({ ewbNo, cancelRsnCode, cancelRmrk })
+ * @returns {Promise<Object>} - { ewayBillNo, cancelDate, request, response }
+ */
+async function cancel(payload) {
+  const ewayBillNo = String(payload.ewbNo);
+  const bill = activeBills.get(ewayBillNo);
+  const cancelledAt = new Date();
+
+  // Bills from a previous run are unknown to this process; accept them
+  if (bill) {
+    activeBills.delete(ewayBillNo);
+    issuedDocuments.delete(bill.docKey);
+  }
+
+  const response = {
+    ewayBillNo: Number(ewayBillNo),
+    cancelDate: formatNicDateTime(cancelledAt),
+  };
+
+  return {
+    ewayBillNo,
+    cancelDate: cancelledAt,
+    request: payload,
+    response,
+  };
+}
+
+/**
+ * Update Part-B (vehicle) of a mock e-way bill. The first vehicle entered
+ * starts the validity; later changes keep it.
+ * @param {Object} payload - NIC VEHEWB payload
+ * @returns {Promise<Object>} - { ewayBillNo, updatedAt, validUpto, request, response }
+ */
+async function updatePartB(payload) {
+  if (!payload.vehicleNo || !VEHICLE_NUMBER_PATTERN.test(payload.vehicleNo)) {
+    const response = { status: '0', error: { errorCodes: '210' } };
+    throw fromNicErrorCodes('210', { request: payload, response });
+  }
+
+  const ewayBillNo = String(payload.ewbNo);
+  const bill = activeBills.get(ewayBillNo);
+  const updatedAt = new Date();
+  if (bill && !bill.validUpto) {
+    bill.validUpto = calculateValidity(bill.distance, updatedAt);
+  }
+  const validUpto = bill ? bill.validUpto : null;
+
+  const response = {
+    vehUpdDate: formatNicDateTime(updatedAt),
+    validUpto: validUpto ? formatNicDateTime(validUpto) : null,
+  };
+
+  return {
+    ewayBillNo,
+    updatedAt,
+    validUpto,
+    request: payload,
+    response,
+  };
+}
+
+/**
+ * Extend the validity of a mock e-way bill from now by the remaining distance
+ * @param {Object} payload - NIC EXTENDVALIDITY payload
+ * @returns {Promise<Object>} - { ewayBillNo, updatedAt, validUpto, request, response }
+ */
+async function extendValidity(payload) {
+  const remaining = parseInt(payload.remainingDistance);
+  if (!remaining || remaining < 1 || remaining > MAX_DISTANCE_KM) {
+    const response = { status: '0', error: { errorCodes: '702' } };
+    throw fromNicErrorCodes('702', { request: payload, response });
+  }
+
+  const ewayBillNo = String(payload.ewbNo);
+  const updatedAt = new Date();
+  const validUpto = calculateValidity(remaining, updatedAt);
+  const bill = activeBills.get(ewayBillNo);
+  if (bill) {
+    bill.validUpto = validUpto;
+  }
+
+  const response = {
+    ewayBillNo: Number(ewayBillNo),
+    updatedDate: formatNicDateTime(updatedAt),
+    validUpto: formatNicDateTime(validUpto),
+  };
+
+  return {
+    ewayBillNo,
+    updatedAt,
+    validUpto,
+    request: payload,
+    response,
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  generate,
+  cancel,
+  updatePartB,
+  extendValidity,
+};
@@ -0,0 +1,285 @@
+/**
+ * NIC E-Way Bill Provider
+ *
+ * Talks to the NIC e-way bill JSON API, directly or through a GSP that exposes
+ * the same endpoints. The flow is:
+ * 1. Auth: a random 32 byte app key and the API password are RSA encrypted with
+ *    the NIC public key; NIC answers with an auth token and a session key (SEK)
+ *    encrypted with the app key. Both are cached until shortly before the token
+ *    expires (6 hours).
+ * 2. Every API call sends its JSON payload AES-256-ECB encrypted with the SEK;
+ *    the response data is decrypted the same way.
+ * 3. When EWB_SIGNING_SECRET is set (GSPs that require it) each request body is
+ *    signed with HMAC-SHA256 over "<timestamp>.<body>".
+ *
+ * Configuration (env):
+ *   EWB_API_URL, EWB_CLIENT_ID, EWB_CLIENT_SECRET, EWB_USERNAME, EWB_PASSWORD,
+ *   EWB_GSTIN (default SUPPLIER_GSTIN), EWB_PUBLIC_KEY or EWB_PUBLIC_KEY_PATH,
+ *   EWB_SIGNING_SECRET (optional), EWB_TIMEOUT_MS (default 30000)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { aesEncrypt, aesDecrypt, rsaEncrypt } = require('../nicCrypto');
+const { createEwayBillError, fromNicErrorCodes } = require('./errors');
+const { parseNicDate } = require('./dates');
+
+const API_VERSION_PATH = '/ewaybillapi/v1.03';
+
+// NIC auth tokens live 6 hours; refresh 10 minutes early
+const TOKEN_TTL_MS = 6 * 60 * 60 * 1000;
+const TOKEN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+
+// Cached sessions by GSTIN: { authToken, sek, expiresAt }
+const sessions = new Map();
+
+/**
+ * Read provider configuration from the environment
+ * @returns {Object}
+ */
+function getConfig() {
+  let publicKey = process.env.EWB_PUBLIC_KEY || null;
+  if (!publicKey && process.env.EWB_PUBLIC_KEY_PATH) {
+    publicKey = fs.readFileSync(process.env.EWB_PUBLIC_KEY_PATH, 'utf8');
+  }
+
+  const config = {
+    baseUrl: (process.env.EWB_API_URL || '').replace(/\/+$/, ''),
+    clientId: process.env.EWB_CLIENT_ID,
+    clientSecret: process.env.EWB_CLIENT_SECRET,
+    username: process.env.EWB_USERNAME,
+    password: process.env.EWB_PASSWORD,
+    gstin: process.env.EWB_GSTIN || process.env.SUPPLIER_GSTIN,
+    publicKey: publicKey ? publicKey.replace(/\\n/g, '\n') : null,
+    signingSecret: process.env.EWB_SIGNING_SECRET || null,
+    timeoutMs: parseInt(process.env.EWB_TIMEOUT_MS) || 30000,
+  };
+
+  const missing = ['baseUrl', 'clientId', 'clientSecret', 'username', 'password', 'gstin', 'publicKey']
+    .filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw createEwayBillError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `NIC e-way bill provider is missing configuration: ${missing.join(', ')}`,
+      status: 500,
+    });
+  }
+
+  return config;
+}
+
+/**
+ * POST JSON to the NIC API
+ * @param {Object} config - Provider configuration
+ * @param {string} path - Path below the API version
+ * @param {Object} body - JSON body
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+async function postJson(config, path, body, extraHeaders = {}) {
+  const payload = JSON.stringify(body);
+  const headers = {
+    'Content-Type': 'application/json',
+    'client-id': config.clientId,
+    'client-secret': config.clientSecret,
+    gstin: config.gstin,
+    ...extraHeaders,
+  };
+
+  if (config.signingSecret) {
+    const timestamp = String(Date.now());
+    headers['x-timestamp'] = timestamp;
+    headers['x-signature'] = crypto
+      .createHmac('sha256', config.signingSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}${API_VERSION_PATH}${path}`, {
+      method: 'POST',
+      headers,
+      body: payload,
+      signal: AbortSignal.timeout(config.timeoutMs),
+    });
+  } catch (error) {
+    throw createEwayBillError({
+      code: 'NETWORK_ERROR',
+      message: `Could not reach the e-way bill system: ${error.message}`,
+      status: 504,
+      retryable: true,
+    });
+  }
+
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw createEwayBillError({
+      code: `HTTP_${response.status}`,
+      message: `Unexpected response from the e-way bill system (HTTP ${response.status})`,
+      status: 502,
+      retryable: response.status >= 500,
+      response: { httpStatus: response.status, body: text.slice(0, 2000) },
+    });
+  }
+}
+
+/**
+ * Read the error codes out of a failed NIC response
+ * @param {Object} body - NIC response ({ status: '0', error })
+ * @returns {string}
+ */
+function readErrorCodes(body) {
+  if (!body || !body.error) {
+    return '';
+  }
+  let error = body.error;
+  if (typeof error === 'string') {
+    try {
+      error = JSON.parse(Buffer.from(error, 'base64').toString('utf8'));
+    } catch (parseError) {
+      return error;
+    }
+  }
+  return error.errorCodes || error.errorCode || '';
+}
+
+/**
+ * Get a cached session, authenticating when there is none or it is about to expire
+ * @param {Object} config - Provider configuration
+ * @param {boolean} forceRefresh - Ignore the cache
+ * @returns {Promise<Object>} - { authToken, sek }
+ */
+async function getSession(config, forceRefresh = false) {
+  const cached = sessions.get(config.gstin);
+  if (!forceRefresh && cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached;
+  }
+
+  const appKey = crypto.randomBytes(32);
+  const request = {
+    action: 'ACCESSTOKEN',
+    username: config.username,
+    password: rsaEncrypt(config.publicKey, config.password),
+    app_key: rsaEncrypt(config.publicKey, appKey.toString('base64')),
+  };
+
+  const body = await postJson(config, '/auth', request);
+  if (String(body.status) !== '1' || !body.authtoken || !body.sek) {
+    sessions.delete(config.gstin);
+    // Never persist the credentials that were sent
+    throw fromNicErrorCodes(readErrorCodes(body), { request: { action: 'ACCESSTOKEN' }, response: body });
+  }
+
+  const session = {
+    authToken: body.authtoken,
+    sek: aesDecrypt(appKey, body.sek),
+    expiresAt: Date.now() + TOKEN_TTL_MS,
+  };
+  sessions.set(config.gstin, session);
+  return session;
+}
+
+/**
+ * Call an encrypted NIC API action, re-authenticating once on an invalid token
+ * @param {string} action - NIC action (e.g. GENEWAYBILL)
+ * @param {Object} data - Plain payload
+ * @returns {Promise<Object>} - Decrypted response data
+ */
+async function callApi(action, data) {
+  const config = getConfig();
+
+  for (let attempt = 1; ; attempt++) {
+    const session = await getSession(config, attempt > 1);
+    const body = await postJson(
+      config,
+      '/ewayapi',
+      { action, data: aesEncrypt(session.sek, JSON.stringify(data)) },
+      { authtoken: session.authToken }
+    );
+
+    if (String(body.status) === '1') {
+      return JSON.parse(aesDecrypt(session.sek, body.data).toString('utf8'));
+    }
+
+    const error = fromNicErrorCodes(readErrorCodes(body), { request: data, response: body });
+    if (error.retryable && error.code.split(',').includes('238') && attempt === 1) {
+      sessions.delete(config.gstin);
+      continue;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate an e-way bill
+ * @param {Object} payload - NIC GENEWAYBILL payload
+ * @returns {Promise<Object>} - { ewayBillNo, ewayBillDate, validUpto, request, response }
+ */
+async function generate(payload) {
+  const response = await callApi('GENEWAYBILL', payload);
+  return {
+    ewayBillNo: String(response.ewayBillNo),
+    ewayBillDate: parseNicDate(response.ewayBillDate) || new Date(),
+    validUpto: parseNicDate(response.validUpto),
+    request: payload,
+    response,
+  };
+}
+
+/**
+ * Cancel an e-way bill
+ * @param {Object} payload - NIC CANEWB payload ({ ewbNo, cancelRsnCode, cancelRmrk })
+ * @returns {Promise<Object>} - { ewayBillNo, cancelDate, request, response }
+ */
+async function cancel(payload) {
+  const response = await callApi('CANEWB', payload);
+  return {
+    ewayBillNo: String(response.ewayBillNo || payload.ewbNo),
+    cancelDate: parseNicDate(response.cancelDate) || new Date(),
+    request: payload,
+    response,
+  };
+}
+
+/**
+ * Update Part-B (vehicle) of an e-way bill
+ * @param {Object} payload - NIC VEHEWB payload ({ ewbNo, vehicleNo, fromPlace, fromState, reasonCode, reasonRem, transDocNo, transDocDate, transMode })
+ * @returns {Promise<Object>} - { ewayBillNo, updatedAt, validUpto, request, response }
+ */
+async function updatePartB(payload) {
+  const response = await callApi('VEHEWB', payload);
+  return {
+    ewayBillNo: String(payload.ewbNo),
+    updatedAt: parseNicDate(response.vehUpdDate) || new Date(),
+    validUpto: parseNicDate(response.validUpto),
+    request: payload,
+    response,
+  };
+}
+
+/**
+ * Extend the validity of an e-way bill
+ * @param {Object} payload - NIC EXTENDVALIDITY payload ({ ewbNo, vehicleNo, fromPlace, fromState, fromPincode, remainingDistance, extnRsnCode, extnRemarks, consignmentStatus, transMode, transDocNo, transDocDate })
+ * @returns {Promise<Object>} - { ewayBillNo, updatedAt, validUpto, request, response }
+ */
+async function extendValidity(payload) {
+  const response = await callApi('EXTENDVALIDITY', payload);
+  return {
+    ewayBillNo: String(response.ewayBillNo || payload.ewbNo),
+    updatedAt: parseNicDate(response.updatedDate) || new Date(),
+    validUpto: parseNicDate(response.validUpto),
+    request: payload,
+    response,
+  };
+}
+
+module.exports = {
+  name: 'nic',
+  generate,
+  cancel,
+  updatePartB,
+  extendValidity,
+};
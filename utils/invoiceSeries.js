@@ -0,0 +1,248 @@
+/**
+ * Invoice Series Utilities
+ *
+ * Issues sequential, gap-free invoice numbers per dealer / series / financial
+ * year, formatted as PREFIX/YY-YY/NNNN (e.g. DLR01/25-26/0001):
+ * - sales       : salesman bills of a dealer, prefix from DealerProfile.invoicePrefix
+ * - admin       : company bills to dealers, prefix from INVOICE_PREFIX
+ * - credit_note : credit notes (company or dealer), prefix from CREDIT_NOTE_PREFIX
+ * - debit_note  : debit notes (company or dealer), prefix from DEBIT_NOTE_PREFIX
+ *
+ * The counter is incremented and the issued number recorded in the same
+ * transaction that saves the bill, so an aborted bill never burns a number.
+ * Numbers are at most 16 characters (up to 9999 bills a year) so they are
+ * valid IRP / e-way bill document numbers.
+ */
+
+const InvoiceSeries = require('../models/InvoiceSeries');
+const InvoiceNumber = require('../models/InvoiceNumber');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const DealerProfile = require('../models/DealerProfile');
+const { IST_OFFSET_MS } = require('./ewayBill/dates');
+const { statusError } = require('./common');
+
+// Prefix rules (keeps PREFIX/YY-YY/NNNN within the 16 characters the IRP accepts)
+const PREFIX_PATTERN = /^[A-Z1-9][A-Z0-9]{0,4}$/;
+
+// Minimum digits of the sequence part
+const SEQUENCE_DIGITS = 4;
+
+// Series whose prefix comes from the environment: [variable, default]
+const ENV_PREFIXES = {
+  admin: ['INVOICE_PREFIX', 'INV'],
+  credit_note: ['CREDIT_NOTE_PREFIX', 'CN'],
+  debit_note: ['DEBIT_NOTE_PREFIX', 'DN'],
+};
+
+/**
+ * Financial year (April-March, IST) of a date
+ * @param {Date} date - Date (default: now)
+ * @returns {string} - e.g. 2025-26
+ */
+function getFinancialYear(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String(year + 1).slice(-2)}`;
+}
+
+/**
+ * Format an invoice number
+ * @param {string} prefix - Series prefix
+ * @param {string} financialYear - e.g. 2025-26
+ * @param {number} sequence - Sequence number
+ * @returns {string} - e.g. DLR01/25-26/0001
+ */
+function formatSeriesNumber(prefix, financialYear, sequence) {
+  return `${prefix}/${financialYear.slice(2)}/${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Prefix of a series
+ * @param {ObjectId|null} dealerId - Dealer (null for the company series)
+ * @param {string} series - sales | admin | credit_note | debit_note
+ * @param {Object} options - Options
+ * @param {ClientSession} options.session - MongoDB session (optional)
+ * @returns {Promise<string>}
+ */
+async function getSeriesPrefix(dealerId, series, options = {}) {
+  if (ENV_PREFIXES[series]) {
+    const [variable, fallback] = ENV_PREFIXES[series];
+    const prefix = String(process.env[variable] || fallback).trim().toUpperCase();
+    return PREFIX_PATTERN.test(prefix) ? prefix : fallback;
+  }
+
+  const profile = await DealerProfile.findOne({ dealer: dealerId })
+    .select('invoicePrefix')
+    .session(options.session || null)
+    .lean();
+  if (profile && profile.invoicePrefix && PREFIX_PATTERN.test(profile.invoicePrefix)) {
+    return profile.invoicePrefix;
+  }
+
+  // Dealers without a configured prefix get D + the last 4 characters of their ID
+  return `D${dealerId.toString().slice(-4).toUpperCase()}`;
+}
+
+/**
+ * Find the number already issued for an idempotency key
+ * @param {ObjectId|null} dealerId - Dealer (null for the company series)
+ * @param {string} series - Series name
+ * @param {string} idempotencyKey - Client submission key
+ * @returns {Promise<Object|null>} - InvoiceNumber (lean) or null
+ */
+function findByIdempotencyKey(dealerId, series, idempotencyKey) {
+  if (!idempotencyKey) {
+    return Promise.resolve(null);
+  }
+  return InvoiceNumber.findOne({ dealer: dealerId || null, series, idempotencyKey }).lean();
+}
+
+/**
+ * Issue the next invoice number of a series. Must run inside the transaction
+ * that saves the bill.
+ * @param {Object} details - Details
+ * @param {ObjectId|null} details.dealer - Dealer (null for the company series)
+ * @param {string} details.series - sales | admin | credit_note | debit_note
+ * @param {Date} details.date - Invoice date (decides the financial year)
+ * @param {string} details.idempotencyKey - Client submission key (optional)
+ * @param {Array} details.sales - Sale IDs billed under the number
+ * @param {Array} details.dealerRequests - DealerRequest IDs billed under the number
+ * @param {ObjectId} details.order - Order billed under the number
+ * @param {ObjectId} details.creditDebitNote - Credit/debit note issued under the number
+ * @param {ObjectId} details.issuedBy - User issuing the number
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { invoiceNumber, financialYear, sequence }
+ */
+async function issueInvoiceNumber(details, session) {
+  if (!session) {
+    throw new Error('Invoice numbers must be issued inside a transaction');
+  }
+
+  const dealer = details.dealer || null;
+  const financialYear = getFinancialYear(details.date);
+  const idempotencyKey = details.idempotencyKey ? String(details.idempotencyKey).trim() : null;
+
+  if (idempotencyKey) {
+    const existing = await InvoiceNumber.findOne({ dealer, series: details.series, idempotencyKey })
+      .session(session)
+      .lean();
+    if (existing) {
+      throw statusError(409, `This bill was already submitted as invoice ${existing.invoiceNumber}`, {
+        invoiceNumber: existing.invoiceNumber,
+      });
+    }
+  }
+
+  const prefix = await getSeriesPrefix(dealer, details.series, { session });
+  const counter = await InvoiceSeries.findOneAndUpdate(
+    { dealer, series: details.series, financialYear },
+    { $inc: { lastNumber: 1 }, $set: { lastIssuedAt: new Date() } },
+    { new: true, upsert: true, session }
+  );
+
+  const invoiceNumber = formatSeriesNumber(prefix, financialYear, counter.lastNumber);
+  counter.lastInvoiceNumber = invoiceNumber;
+  await counter.save({ session });
+
+  // Pin the invoice to the template version in use today
+  const template = await InvoiceTemplate.findOne({ dealer, series: details.series, isActive: true })
+    .select('_id')
+    .session(session)
+    .lean();
+
+  try {
+    await InvoiceNumber.create([{
+      dealer,
+      series: details.series,
+      financialYear,
+      sequence: counter.lastNumber,
+      invoiceNumber,
+      idempotencyKey,
+      sales: details.sales || [],
+      dealerRequests: details.dealerRequests || [],
+      order: details.order || null,
+      creditDebitNote: details.creditDebitNote || null,
+      template: template ? template._id : null,
+      issuedBy: details.issuedBy || null,
+    }], { session });
+  } catch (error) {
+    if (error.code === 11000) {
+      // Same key submitted concurrently, or a prefix change collided with an older number
+      throw statusError(409, idempotencyKey
+        ? 'This bill was already submitted'
+        : `Invoice number ${invoiceNumber} is already in use`);
+    }
+    throw error;
+  }
+
+  return { invoiceNumber, financialYear, sequence: counter.lastNumber };
+}
+
+/**
+ * Invoice number of an admin bill. Requests that were billed before keep their
+ * number (re-sending a bill does not issue a new one); otherwise the next
+ * number of the company series is issued. An issued invoice never gains
+ * lines: billed and unbilled requests cannot be sent together. Must run inside
+ * the transaction that saves the bill.
+ * @param {Object} details - Details
+ * @param {Array} details.requests - DealerRequest documents billed together
+ * @param {Object} details.order - Order the lines belong to (optional)
+ * @param {Date} details.date - Bill date
+ * @param {ObjectId} details.issuedBy - Admin sending the bill
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<string>} - Invoice number
+ */
+async function assignAdminBillNumber(details, session) {
+  const existing = [...new Set(details.requests.map(request => request.invoiceNumber).filter(Boolean))];
+
+  if (existing.length > 1) {
+    throw statusError(409, `These requests are already billed under different invoices: ${existing.join(', ')}`);
+  }
+
+  if (existing.length === 1) {
+    const unbilled = details.requests.filter(request => !request.invoiceNumber);
+    if (unbilled.length > 0) {
+      throw statusError(409, `Invoice ${existing[0]} is already issued; bill these requests separately: ${unbilled.map(request => request._id).join(', ')}`);
+    }
+    return existing[0];
+  }
+
+  const requestIds = details.requests.map(request => request._id);
+  const issued = await issueInvoiceNumber({
+    dealer: null,
+    series: 'admin',
+    date: details.date,
+    dealerRequests: requestIds,
+    order: details.order ? details.order._id : null,
+    issuedBy: details.issuedBy,
+  }, session);
+  return issued.invoiceNumber;
+}
+
+/**
+ * Invoice number printed on an admin bill: the number issued from the series,
+ * else the legacy XX/YYYY-YY of bills sent before numbering
+ * @param {Object} request - DealerRequest
+ * @returns {string}
+ */
+function getRequestInvoiceNumber(request) {
+  if (request.invoiceNumber || request.invoiceSnapshot?.invoiceNumber) {
+    return request.invoiceNumber || request.invoiceSnapshot.invoiceNumber;
+  }
+  const invoiceDate = new Date(request.processedAt || request.requestedAt);
+  const financialYear = invoiceDate.getMonth() >= 3
+    ? `${invoiceDate.getFullYear()}-${String(invoiceDate.getFullYear() + 1).slice(-2)}`
+    : `${invoiceDate.getFullYear() - 1}-${String(invoiceDate.getFullYear()).slice(-2)}`;
+  return `${String(request._id.toString().slice(-2))}/${financialYear}`;
+}
+
+module.exports = {
+  PREFIX_PATTERN,
+  getFinancialYear,
+  formatSeriesNumber,
+  getSeriesPrefix,
+  findByIdempotencyKey,
+  issueInvoiceNumber,
+  assignAdminBillNumber,
+  getRequestInvoiceNumber,
+};
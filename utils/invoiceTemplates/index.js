@@ -0,0 +1,345 @@
+/**
+ * Invoice Templates
+ *
+ * Invoices are laid out from template versions (models/InvoiceTemplate) that
+ * admins (company series) and dealers (their own series) configure per series:
+ * logo, title, seller details, line table columns, tax summary style, remarks,
+ * terms, footer and bank details. Versions are never edited - saving a change
+ * creates the next version and makes it the active one.
+ *
+ * When a number is issued (utils/invoiceSeries) the active version is pinned on
+ * the InvoiceNumber register entry, so an invoice always re-renders with the
+ * template it was issued with. Invoices issued while no template existed, and
+ * bills that predate numbering, use the built-in layout (DEFAULT_SETTINGS).
+ */
+
+const InvoiceTemplate = require('../../models/InvoiceTemplate');
+const InvoiceNumber = require('../../models/InvoiceNumber');
+const DealerProfile = require('../../models/DealerProfile');
+const { calculateInvoiceTax } = require('../tax');
+const { getSupplierDetails } = require('../ewayBill');
+const { renderInvoiceDocument } = require('./render');
+const { statusError, formatDate } = require('../common');
+
+// Built-in layout
+const DEFAULT_SETTINGS = {
+  header: {
+    title: '',
+    showLogo: false,
+    logoUrl: '',
+    accentColor: '#f0f0f0',
+    sellerName: '',
+    sellerAddress: '',
+    sellerPhone: '',
+  },
+  lineTable: {
+    showHsn: true,
+    showUnit: true,
+  },
+  taxSummary: {
+    style: 'totals',
+  },
+  footer: {
+    text: '',
+    remarks: '',
+    signatureLabel: '',
+  },
+  terms: [],
+  bankDetails: {
+    show: false,
+    bankName: '',
+    accountNumber: '',
+    ifscCode: '',
+    branch: '',
+    accountHolderName: '',
+  },
+};
+
+// Logos are only fetched from Cloudinary
+const LOGO_URL_PATTERN = /^https:\/\/res\.cloudinary\.com\/[^\s]+$/;
+
+// Fetched logos by URL (Cloudinary URLs never change content)
+const logoCache = new Map();
+const LOGO_CACHE_SIZE = 50;
+
+/**
+ * Settings of a template version merged over the built-in layout
+ * @param {Object|null} template - InvoiceTemplate (plain or document), null for the built-in layout
+ * @returns {Object} - Settings (DEFAULT_SETTINGS shape)
+ */
+function getTemplateSettings(template) {
+  const source = template && template.toObject ? template.toObject() : (template || {});
+  return {
+    header: { ...DEFAULT_SETTINGS.header, ...(source.header || {}) },
+    lineTable: { ...DEFAULT_SETTINGS.lineTable, ...(source.lineTable || {}) },
+    taxSummary: { ...DEFAULT_SETTINGS.taxSummary, ...(source.taxSummary || {}) },
+    footer: { ...DEFAULT_SETTINGS.footer, ...(source.footer || {}) },
+    terms: source.terms || DEFAULT_SETTINGS.terms,
+    bankDetails: { ...DEFAULT_SETTINGS.bankDetails, ...(source.bankDetails || {}) },
+  };
+}
+
+/**
+ * Active template version of a series
+ * @param {ObjectId|null} dealerId - Dealer (null for the company)
+ * @param {string} series - sales | admin | credit_note | debit_note
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveTemplate(dealerId, series) {
+  return InvoiceTemplate.findOne({ dealer: dealerId || null, series, isActive: true }).lean();
+}
+
+/**
+ * Template an issued invoice was pinned to
+ * @param {ObjectId|null} dealerId - Series owner (null for the company)
+ * @param {string} invoiceNumber - Issued number
+ * @returns {Promise<Object|null>} - Template version, or null for the built-in layout
+ */
+async function getInvoiceTemplate(dealerId, invoiceNumber) {
+  if (!invoiceNumber) {
+    return null;
+  }
+  const entry = await InvoiceNumber.findOne({ dealer: dealerId || null, invoiceNumber })
+    .select('template')
+    .populate('template')
+    .lean();
+  return entry && entry.template ? entry.template : null;
+}
+
+/**
+ * Pick and check the template fields of a request body
+ * @param {Object} input - Request body
+ * @returns {Object} - Template fields
+ */
+function normalizeTemplateInput(input = {}) {
+  const pick = (value, keys) => {
+    const result = {};
+    if (value && typeof value === 'object') {
+      keys.forEach(key => {
+        if (value[key] !== undefined) {
+          result[key] = value[key];
+        }
+      });
+    }
+    return result;
+  };
+
+  const header = pick(input.header, Object.keys(DEFAULT_SETTINGS.header));
+  if (header.logoUrl && !LOGO_URL_PATTERN.test(header.logoUrl)) {
+    throw statusError(400, 'Logo must be uploaded through /api/invoice-templates/logo');
+  }
+  if (header.showLogo && !header.logoUrl) {
+    throw statusError(400, 'logoUrl is required to show a logo');
+  }
+  if (header.title && String(header.title).length > 40) {
+    throw statusError(400, 'Title can be at most 40 characters');
+  }
+
+  const terms = input.terms === undefined ? [] : input.terms;
+  if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string' || term.length > 200)) {
+    throw statusError(400, 'terms must be a list of texts of up to 200 characters');
+  }
+
+  return {
+    name: input.name ? String(input.name).trim() : '',
+    header,
+    lineTable: pick(input.lineTable, Object.keys(DEFAULT_SETTINGS.lineTable)),
+    taxSummary: pick(input.taxSummary, Object.keys(DEFAULT_SETTINGS.taxSummary)),
+    footer: pick(input.footer, Object.keys(DEFAULT_SETTINGS.footer)),
+    terms: terms.map(term => term.trim()).filter(Boolean),
+    bankDetails: input.bankDetails ? pick(input.bankDetails, Object.keys(DEFAULT_SETTINGS.bankDetails)) : null,
+  };
+}
+
+/**
+ * Bank details of a dealer profile, in template form
+ * @param {ObjectId|null} dealerId - Dealer (null for the company: none)
+ * @param {Object} options - Options
+ * @param {ClientSession} options.session - MongoDB session (optional)
+ * @returns {Promise<Object>} - bankDetails ({ show: false } when the profile has none)
+ */
+async function getProfileBankDetails(dealerId, options = {}) {
+  const profile = dealerId
+    ? await DealerProfile.findOne({ dealer: dealerId })
+      .select('bankName accountNumber ifscCode accountHolderName')
+      .session(options.session || null)
+      .lean()
+    : null;
+
+  if (!profile || !(profile.bankName || profile.accountNumber)) {
+    return { show: false };
+  }
+  return {
+    show: true,
+    bankName: profile.bankName || '',
+    accountNumber: profile.accountNumber || '',
+    ifscCode: profile.ifscCode || '',
+    accountHolderName: profile.accountHolderName || '',
+  };
+}
+
+/**
+ * Save a new template version and make it active. Must run inside a transaction.
+ * @param {Object} details - Details
+ * @param {ObjectId|null} details.dealer - Owner (null for the company)
+ * @param {string} details.series - Series
+ * @param {Object} details.input - Request body (normalizeTemplateInput)
+ * @param {ObjectId} details.userId - User saving the template
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - InvoiceTemplate document
+ */
+async function createTemplateVersion(details, session) {
+  const dealer = details.dealer || null;
+  const fields = normalizeTemplateInput(details.input);
+
+  // Bank details are copied from the dealer profile unless given, so later
+  // profile edits do not change invoices already issued with this version
+  if (!fields.bankDetails) {
+    fields.bankDetails = await getProfileBankDetails(dealer, { session });
+  }
+
+  const latest = await InvoiceTemplate.findOne({ dealer, series: details.series })
+    .sort({ version: -1 })
+    .select('version')
+    .session(session)
+    .lean();
+
+  await InvoiceTemplate.updateMany(
+    { dealer, series: details.series, isActive: true },
+    { $set: { isActive: false } },
+    { session }
+  );
+
+  const [template] = await InvoiceTemplate.create([{
+    ...fields,
+    dealer,
+    series: details.series,
+    version: latest ? latest.version + 1 : 1,
+    isActive: true,
+    createdBy: details.userId,
+  }], { session });
+
+  return template;
+}
+
+/**
+ * Make an existing version the active one (e.g. roll back). Must run inside a transaction.
+ * @param {ObjectId} templateId - Template version
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - InvoiceTemplate document
+ */
+async function activateTemplateVersion(templateId, session) {
+  const template = await InvoiceTemplate.findById(templateId).session(session);
+  if (!template) {
+    throw statusError(404, 'Template not found');
+  }
+
+  await InvoiceTemplate.updateMany(
+    { dealer: template.dealer, series: template.series, isActive: true, _id: { $ne: template._id } },
+    { $set: { isActive: false } },
+    { session }
+  );
+  template.isActive = true;
+  await template.save({ session });
+  return template;
+}
+
+/**
+ * Fetch a template logo
+ * @param {string} url - Cloudinary URL
+ * @returns {Promise<Buffer|null>} - Image, or null when it cannot be fetched
+ */
+async function loadLogo(url) {
+  if (!url || !LOGO_URL_PATTERN.test(url)) {
+    return null;
+  }
+  if (logoCache.has(url)) {
+    return logoCache.get(url);
+  }
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const logo = Buffer.from(await response.arrayBuffer());
+    if (logoCache.size >= LOGO_CACHE_SIZE) {
+      logoCache.delete(logoCache.keys().next().value);
+    }
+    logoCache.set(url, logo);
+    return logo;
+  } catch (error) {
+    console.warn(`Invoice logo could not be fetched (${url}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Render an invoice document with a template version
+ * @param {Object} model - Document model (see render.js)
+ * @param {Object} options - Options
+ * @param {Object|null} options.template - Template version (null for the built-in layout)
+ * @param {string} options.language - en | gu | bilingual
+ * @returns {Promise<Object>} - { buffer, language }
+ */
+async function renderInvoicePdf(model, options = {}) {
+  const settings = getTemplateSettings(options.template);
+  const logo = settings.header.showLogo ? await loadLogo(settings.header.logoUrl) : null;
+  return renderInvoiceDocument(model, settings, { language: options.language, logo });
+}
+
+/**
+ * Sample document for template previews
+ * @param {string} series - Series previewed
+ * @param {Object} seller - { name, address, phone, gstin }
+ * @returns {Object} - Document model
+ */
+function buildSampleInvoice(series, seller) {
+  const stateCode = getSupplierDetails().stateCode;
+  const sampleLines = [
+    { description: { en: 'Sample product 100g', gu: 'નમૂના ઉત્પાદન 100 ગ્રામ' }, quantity: 24, unitPrice: 42.5, tax: { hsnCode: '2106', gstRate: 5, cessRate: 0, cessPerUnit: 0, gstExempt: false } },
+    { description: { en: 'Sample product 500g', gu: 'નમૂના ઉત્પાદન 500 ગ્રામ' }, quantity: 6, unitPrice: 180, tax: { hsnCode: '2106', gstRate: 12, cessRate: 0, cessPerUnit: 0, gstExempt: false } },
+  ];
+  const tax = calculateInvoiceTax(sampleLines, stateCode, { supplierStateCode: stateCode });
+  const isNote = series === 'credit_note' || series === 'debit_note';
+  const dated = formatDate(new Date());
+
+  return {
+    series,
+    seller,
+    details: isNote
+      ? [
+          { label: 'noteNo', value: 'CN/00-00/0000' },
+          { label: 'dated', value: dated },
+          { label: 'originalInvoiceNo', value: 'INV/00-00/0000' },
+          { label: 'reason', value: 'Sample' },
+        ]
+      : [
+          { label: 'invoiceNo', value: 'INV/00-00/0000' },
+          { label: 'dated', value: dated },
+        ],
+    party: { label: 'billTo', name: 'Sample Customer', address: 'Ahmedabad, Gujarat', phone: '9999999999' },
+    lines: sampleLines.map((line, index) => ({
+      description: line.description,
+      hsnCode: tax.lines[index].hsnCode,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: tax.lines[index].taxableAmount,
+    })),
+    tax,
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getTemplateSettings,
+  getActiveTemplate,
+  getInvoiceTemplate,
+  normalizeTemplateInput,
+  getProfileBankDetails,
+  createTemplateVersion,
+  activateTemplateVersion,
+  loadLogo,
+  renderInvoicePdf,
+  buildSampleInvoice,
+};
@@ -0,0 +1,394 @@
+/**
+ * Invoice Template Renderer
+ *
+ * Draws an invoice document with PDFKit from a plain document model and the
+ * settings of a template version. Route handlers only build the model (what
+ * the bill says); the layout lives here, section by section:
+ * header (logo, title, seller, document details), parties, line table, tax
+ * summary, amount in words, bank details, remarks / terms, signature, footer.
+ *
+ * Document model:
+ * - series      : sales | admin | credit_note | debit_note (default title)
+ * - seller      : { name, address, phone, gstin }
+ * - details     : [{ label, value | valueKey }] right-hand box (label, valueKey: invoicePdf keys)
+ * - party       : { label, name, address, phone, gstin }
+ * - sideBox     : { label, text } next to the party (optional)
+ * - lines       : [{ description, hsnCode, quantity, unitPrice, amount }]
+ *                 (description: string or { en, gu })
+ * - tax         : tax breakup (utils/tax)
+ * - amountInWordsLabel, remarks, qrImage (Buffer), eInvoice { irn, ackNo, ackDate }
+ */
+
+const PDFDocument = require('pdfkit');
+const { translateMessage } = require('../../middleware/translateMessages');
+const { convertNumberToWords } = require('../numberToWords');
+const { resolvePdfLanguage, registerPdfFonts, writeText } = require('../pdfFonts');
+
+// Default title of each series (invoicePdf key)
+const SERIES_TITLES = {
+  sales: 'taxInvoice',
+  admin: 'taxInvoice',
+  credit_note: 'creditNote',
+  debit_note: 'debitNote',
+};
+
+const START_X = 50;
+const PAGE_WIDTH = 500;
+const RIGHT_X = 320;
+
+/**
+ * Format an amount in rupees
+ * @param {number} amount - Amount
+ * @returns {string}
+ */
+function formatMoney(amount) {
+  return `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Tax rows of the summary
+ * @param {Object} tax - Tax breakup
+ * @param {string} style - totals | rate_wise
+ * @returns {Array} - [[labelKey, rate|null, amount]]
+ */
+function getTaxRows(tax, style) {
+  const rows = [];
+  const taxed = tax.rateSummary.filter(entry => entry.gstRate > 0);
+
+  if (taxed.length === 0) {
+    rows.push(['gstExempt', null, 0]);
+  } else if (style === 'rate_wise' || taxed.length === 1) {
+    taxed.forEach(entry => {
+      if (tax.interState) {
+        rows.push(['igst', entry.gstRate, entry.igstAmount]);
+      } else {
+        rows.push(['cgst', entry.gstRate / 2, entry.cgstAmount]);
+        rows.push(['sgst', entry.gstRate / 2, entry.sgstAmount]);
+      }
+    });
+  } else if (tax.interState) {
+    rows.push(['igst', null, tax.totals.igstAmount]);
+  } else {
+    rows.push(['cgst', null, tax.totals.cgstAmount]);
+    rows.push(['sgst', null, tax.totals.sgstAmount]);
+  }
+
+  if (tax.totals.cessAmount > 0) {
+    rows.push(['cess', null, tax.totals.cessAmount]);
+  }
+  return rows;
+}
+
+/**
+ * Render an invoice document
+ * @param {Object} model - Document model (see above)
+ * @param {Object} settings - Template settings (getTemplateSettings)
+ * @param {Object} options - Options
+ * @param {string} options.language - en | gu | bilingual
+ * @param {Buffer} options.logo - Logo image (when the template shows one)
+ * @returns {Promise<Object>} - { buffer, language }
+ */
+function renderInvoiceDocument(model, settings, options = {}) {
+  const language = resolvePdfLanguage(options.language);
+  const bilingual = language === 'bilingual';
+  const en = (key) => translateMessage('en', `invoicePdf.${key}`, key);
+  const gu = (key) => translateMessage('gu', `invoicePdf.${key}`, key);
+  const t = language === 'gu' ? gu : en;
+  const describe = (description) => {
+    if (!description || typeof description === 'string') {
+      return { main: description || '', sub: '' };
+    }
+    const main = language === 'gu' ? (description.gu || description.en) : (description.en || description.gu);
+    const sub = bilingual && description.gu && description.gu !== main ? description.gu : '';
+    return { main: main || '', sub };
+  };
+
+  return new Promise((resolve, reject) => {
+    const doc = registerPdfFonts(new PDFDocument({ margin: 50, size: 'A4' }));
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve({ buffer: Buffer.concat(chunks), language }));
+    doc.on('error', reject);
+
+    const write = (text, x, y, textOptions = {}) => writeText(doc, text, x, y, textOptions, false);
+    const writeBold = (text, x, y, textOptions = {}) => writeText(doc, text, x, y, textOptions, true);
+
+    let y = 50;
+    const ensureSpace = (height) => {
+      if (y + height > doc.page.height - 60) {
+        doc.addPage();
+        y = 50;
+      }
+    };
+
+    // ========== HEADER SECTION ==========
+    if (settings.header.showLogo && options.logo) {
+      try {
+        doc.image(options.logo, START_X, 40, { fit: [90, 45] });
+      } catch (error) {
+        console.warn('Invoice logo could not be drawn:', error.message);
+      }
+    }
+    if (model.qrImage) {
+      doc.image(model.qrImage, START_X + PAGE_WIDTH - 65, 40, { fit: [65, 65] });
+    }
+
+    const titleKey = SERIES_TITLES[model.series] || 'taxInvoice';
+    doc.fontSize(22);
+    writeBold(settings.header.title || t(titleKey), START_X, y, { width: PAGE_WIDTH, align: 'center' });
+    if (bilingual) {
+      doc.fontSize(11);
+      writeBold(gu(titleKey), START_X, y + 26, { width: PAGE_WIDTH, align: 'center' });
+      y += 15;
+    }
+    y += model.qrImage ? 62 : 45;
+
+    // Seller box - LEFT SIDE
+    const seller = {
+      name: settings.header.sellerName || model.seller.name,
+      address: settings.header.sellerAddress || model.seller.address,
+      phone: settings.header.sellerPhone || model.seller.phone,
+      gstin: model.seller.gstin,
+    };
+    const details = model.details || [];
+    const headerBoxHeight = Math.max(80, details.length * 15 + 10);
+
+    doc.rect(START_X, y, 240, headerBoxHeight).stroke();
+    doc.fontSize(12);
+    writeBold(seller.name, START_X + 5, y + 5, { width: 230 });
+    doc.fontSize(9);
+    write(seller.address || '-', START_X + 5, y + 23, { width: 230, height: 24, ellipsis: true });
+    if (seller.phone) {
+      write(`${t('phone')} ${seller.phone}`, START_X + 5, y + 50);
+    }
+    if (seller.gstin) {
+      write(`${t('gstNo')} ${seller.gstin}`, START_X + 5, y + 63);
+    }
+
+    // Document details box - RIGHT SIDE
+    doc.rect(RIGHT_X, y, 250, headerBoxHeight).stroke();
+    details.forEach(({ label, value, valueKey }, index) => {
+      const text = valueKey ? t(valueKey) : value;
+      doc.fontSize(9);
+      write(t(label), RIGHT_X + 5, y + 5 + index * 15, { width: 110 });
+      writeBold(text === undefined || text === null || text === '' ? '-' : String(text), RIGHT_X + 120, y + 5 + index * 15, { width: 125 });
+    });
+    y += headerBoxHeight + 10;
+
+    // ========== PARTY SECTION ==========
+    const party = model.party || {};
+    const partyWidth = model.sideBox ? 240 : PAGE_WIDTH;
+    doc.rect(START_X, y, partyWidth, 55).stroke();
+    doc.fontSize(10);
+    writeBold(t(party.label || 'billTo'), START_X + 5, y + 5);
+    write(party.name || '-', START_X + 5, y + 20, { width: partyWidth - 10 });
+    doc.fontSize(9);
+    const partyLine = [party.gstin ? `${t('gstNo')} ${party.gstin}` : '', party.address || ''].filter(Boolean).join(' | ');
+    write(partyLine, START_X + 5, y + 35, { width: partyWidth - 10, height: 18, ellipsis: true });
+    if (party.phone && !model.sideBox) {
+      write(`${t('phone')} ${party.phone}`, RIGHT_X + 5, y + 20);
+    }
+    if (model.sideBox) {
+      doc.rect(RIGHT_X, y, 250, 55).stroke();
+      doc.fontSize(10);
+      writeBold(t(model.sideBox.label), RIGHT_X + 5, y + 5);
+      doc.fontSize(9);
+      write(model.sideBox.text || '-', RIGHT_X + 5, y + 20, { width: 240, height: 30, ellipsis: true });
+    }
+    y += 70;
+
+    // ========== LINE TABLE ==========
+    const { showHsn, showUnit } = settings.lineTable;
+    const colSI = START_X + 5;
+    const colDesc = START_X + 35;
+    const colAmount = START_X + 420;
+    const colRate = START_X + 350;
+    const colUnit = START_X + 300;
+    const colQty = showUnit ? START_X + 250 : START_X + 300;
+    const colHSN = colQty - 70;
+    const descWidth = (showHsn ? colHSN : colQty) - colDesc - 5;
+
+    const columns = [
+      ['serialNo', colSI, {}],
+      ['description', colDesc, { width: descWidth }],
+      showHsn ? ['hsn', colHSN, {}] : null,
+      ['quantity', colQty, { width: 40, align: 'right' }],
+      showUnit ? ['unit', colUnit, { width: 40, align: 'right' }] : null,
+      ['rate', colRate, { width: 60, align: 'right' }],
+      ['amount', colAmount, { width: 75, align: 'right' }],
+    ].filter(Boolean);
+
+    const headerHeight = bilingual ? 30 : 20;
+    const drawTableHeader = () => {
+      doc.rect(START_X, y, PAGE_WIDTH, headerHeight).fill(settings.header.accentColor).stroke();
+      doc.fillColor('#000000');
+      columns.forEach(([key, x, textOptions]) => {
+        doc.fontSize(9);
+        writeBold(t(key), x, y + 6, textOptions);
+        if (bilingual) {
+          doc.fontSize(7);
+          writeBold(gu(key), x, y + 17, textOptions);
+        }
+      });
+      y += headerHeight + 8;
+    };
+
+    ensureSpace(headerHeight + 40);
+    let tableTop = y;
+    drawTableHeader();
+
+    model.lines.forEach((line, index) => {
+      const { main, sub } = describe(line.description);
+      const rowHeight = sub ? 30 : 20;
+      if (y + rowHeight > doc.page.height - 60) {
+        doc.rect(START_X, tableTop, PAGE_WIDTH, y - tableTop).stroke();
+        doc.addPage();
+        y = 50;
+        tableTop = y;
+        drawTableHeader();
+      }
+
+      doc.fontSize(9);
+      write(String(index + 1), colSI, y);
+      write(main, colDesc, y, { width: descWidth, height: 12, ellipsis: true });
+      if (showHsn) {
+        write(line.hsnCode || '', colHSN, y);
+      }
+      write(String(line.quantity), colQty, y, { width: 40, align: 'right' });
+      if (showUnit) {
+        write(t('packet'), colUnit, y, { width: 40, align: 'right' });
+      }
+      write(formatMoney(line.unitPrice), colRate, y, { width: 60, align: 'right' });
+      write(formatMoney(line.amount), colAmount, y, { width: 75, align: 'right' });
+      if (sub) {
+        doc.fontSize(8);
+        write(sub, colDesc, y + 12, { width: descWidth });
+      }
+      y += rowHeight;
+    });
+
+    doc.rect(START_X, tableTop, PAGE_WIDTH, y - tableTop + 5).stroke();
+    y += 15;
+
+    // ========== TAX SUMMARY ==========
+    const tax = model.tax;
+    const summaryRows = [[t('subtotal'), tax.totals.taxableAmount]];
+    getTaxRows(tax, settings.taxSummary.style).forEach(([key, rate, amount]) => {
+      const label = ['cgst', 'sgst', 'igst'].includes(key)
+        ? `${t(key)}${rate !== null ? ` @ ${rate}%` : ''}:`
+        : t(key);
+      summaryRows.push([label, amount]);
+    });
+    summaryRows.push([t('roundOff'), tax.totals.roundOff]);
+
+    ensureSpace(summaryRows.length * 16 + 30);
+    const summaryLabelX = START_X + 270;
+    const summaryValueX = START_X + 420;
+    doc.fontSize(9);
+    summaryRows.forEach(([label, amount]) => {
+      write(label, summaryLabelX, y, { width: 145, align: 'right' });
+      write(formatMoney(amount), summaryValueX, y, { width: 75, align: 'right' });
+      y += 16;
+    });
+    y += 4;
+    doc.fontSize(11);
+    writeBold(bilingual ? `${en('total')} / ${gu('total')}` : t('total'), summaryLabelX, y, { width: 145, align: 'right' });
+    writeBold(formatMoney(tax.totals.grandTotal), summaryValueX, y, { width: 75, align: 'right' });
+    doc.fontSize(8);
+    write(t('eAndOe'), summaryValueX, y + 14, { width: 75, align: 'right' });
+    y += 35;
+
+    // ========== FOOTER SECTION ==========
+    const bank = settings.bankDetails;
+    const showBank = bank.show && Boolean(bank.bankName || bank.accountNumber);
+    ensureSpace(showBank ? 95 : 65);
+
+    // Amount in words (Bottom Left)
+    const wordsLabel = model.amountInWordsLabel || 'amountInWords';
+    const wordsHeight = bilingual ? 55 : 45;
+    doc.rect(START_X, y, 300, wordsHeight).stroke();
+    doc.fontSize(9);
+    writeBold(t(wordsLabel), START_X + 5, y + 5);
+    if (bilingual) {
+      writeBold(gu(wordsLabel), START_X + 5, y + 17);
+    }
+    write(convertNumberToWords(tax.totals.grandTotal), START_X + 5, y + (bilingual ? 32 : 20), { width: 290 });
+
+    // Bank details (Right side)
+    const bankBottom = showBank ? y + 98 : y;
+    if (showBank) {
+      doc.rect(RIGHT_X, y, 250, 88).stroke();
+      writeBold(t('bankDetails'), RIGHT_X + 5, y + 5);
+      const bankRows = [
+        `${t('bankName')} ${bank.bankName}`,
+        `${t('accountNo')} ${bank.accountNumber}`,
+        `${t('ifsc')} ${bank.ifscCode}`,
+        bank.branch ? `${t('branch')} ${bank.branch}` : null,
+        `${t('accountHolder')} ${bank.accountHolderName || seller.name}`,
+      ].filter(Boolean);
+      bankRows.forEach((row, index) => {
+        write(row, RIGHT_X + 5, y + 20 + index * 13);
+      });
+    }
+    y += wordsHeight + 10;
+
+    // Remarks
+    const remarks = settings.footer.remarks || model.remarks;
+    if (remarks) {
+      doc.rect(START_X, y, 300, 30).stroke();
+      writeBold(t('remarks'), START_X + 5, y + 5);
+      write(remarks, START_X + 5, y + 17, { width: 290, height: 12, ellipsis: true });
+      y += 40;
+    }
+
+    // Terms & conditions
+    if (settings.terms.length > 0) {
+      ensureSpace(15 + settings.terms.length * 12);
+      doc.fontSize(9);
+      writeBold(t('terms'), START_X, y);
+      y += 14;
+      doc.fontSize(8);
+      settings.terms.forEach((term, index) => {
+        write(`${index + 1}. ${term}`, START_X, y, { width: 300 });
+        y += 12;
+      });
+      y += 6;
+    }
+
+    // Signature (below the bank details)
+    y = Math.max(y, bankBottom);
+    ensureSpace(50);
+    doc.fontSize(9);
+    writeBold(`${t('for')} ${seller.name}`, RIGHT_X, y, { width: 250, align: 'right' });
+    write(settings.footer.signatureLabel || t('signatory'), RIGHT_X, y + 35, { width: 250, align: 'right' });
+
+    // ========== E-INVOICE DETAILS (above footer) ==========
+    if (model.eInvoice) {
+      const irnY = doc.page.height - 75;
+      doc.fontSize(8);
+      writeBold(t('irn'), START_X, irnY);
+      write(model.eInvoice.irn, START_X + 25, irnY, { width: PAGE_WIDTH - 25 });
+      writeBold(t('ackNo'), START_X, irnY + 12);
+      write(model.eInvoice.ackNo, START_X + 40, irnY + 12);
+      writeBold(t('ackDate'), START_X + 200, irnY + 12);
+      write(
+        new Date(model.eInvoice.ackDate).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
+        START_X + 245,
+        irnY + 12
+      );
+    }
+
+    // Footer line
+    const footerY = doc.page.height - 40;
+    doc.moveTo(START_X, footerY).lineTo(START_X + PAGE_WIDTH, footerY).stroke();
+    doc.fontSize(8);
+    write(settings.footer.text || t('computerGenerated'), START_X, footerY + 5, { width: PAGE_WIDTH, align: 'center' });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  SERIES_TITLES,
+  renderInvoiceDocument,
+};
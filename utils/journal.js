@@ -0,0 +1,498 @@
+/**
+ * Accounting Journal
+ *
+ * Double-entry journal behind the financial routes. Every money event posts an
+ * immutable, balanced JournalEntry inside the transaction that changes the
+ * underlying document:
+ * - dealer request approval  : Dr dealer receivables / Cr sales, GST payable (invoice value)
+ * - payment received         : Dr cash / bank / UPI / Cr dealer receivables
+ * - refund paid              : Dr dealer receivables / Cr cash / bank / UPI
+ * - credit adjustment        : Dr credit adjustments / Cr dealer receivables
+ * - credit note (admin bill) : Dr sales returns, GST payable / Cr dealer receivables
+ * - debit note (admin bill)  : Dr dealer receivables / Cr sales, GST payable
+ * - commission payout        : Dr commission expense / Cr cash / bank / UPI (dealer's books)
+ *
+ * Entries are never edited: a payment that is cancelled after completion is
+ * undone by a reversal entry. Balances (including DealerCredit.currentBalance,
+ * see syncDealerCredit) are derived from the journal rather than adjusted in
+ * place.
+ *
+ * Company entries have book = null; commission payouts go to the paying
+ * dealer's own books (book = dealer).
+ */
+
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const DealerCredit = require('../models/DealerCredit');
+const Product = require('../models/Product');
+const { PRODUCT_TAX_FIELDS, calculateRequestTax } = require('./tax');
+const { round2 } = require('./common');
+
+// Chart of accounts
+const ACCOUNTS = {
+  dealer_receivables: { name: 'Dealer receivables', type: 'asset' },
+  cash: { name: 'Cash', type: 'asset' },
+  bank: { name: 'Bank', type: 'asset' },
+  upi: { name: 'UPI collections', type: 'asset' },
+  gateway_clearing: { name: 'Payment gateway settlements due', type: 'asset' },
+  other_funds: { name: 'Other funds (method not recorded)', type: 'asset' },
+  sales: { name: 'Sales', type: 'income' },
+  sales_returns: { name: 'Sales returns and allowances', type: 'income' },
+  cgst_payable: { name: 'CGST payable', type: 'liability' },
+  sgst_payable: { name: 'SGST payable', type: 'liability' },
+  igst_payable: { name: 'IGST payable', type: 'liability' },
+  cess_payable: { name: 'Cess payable', type: 'liability' },
+  round_off: { name: 'Round off', type: 'expense' },
+  credit_adjustments: { name: 'Credit adjustments', type: 'expense' },
+  commission_expense: { name: 'Salesman commission', type: 'expense' },
+};
+
+// Account receiving / paying the money of each payment method
+const PAYMENT_METHOD_ACCOUNTS = {
+  cash: 'cash',
+  bank_transfer: 'bank',
+  upi: 'upi',
+  gateway: 'gateway_clearing',
+  credit: 'other_funds',
+  other: 'other_funds',
+};
+
+// Tax breakup totals and the accounts they post to
+const TAX_ACCOUNTS = [
+  ['cgstAmount', 'cgst_payable'],
+  ['sgstAmount', 'sgst_payable'],
+  ['igstAmount', 'igst_payable'],
+  ['cessAmount', 'cess_payable'],
+];
+
+/**
+ * Entries of a source/event that have not been reversed
+ * @param {Object} source - { sourceType, sourceId, event }
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<Array>} - JournalEntry documents (lean)
+ */
+async function getActiveEntries(source, session = null) {
+  const entries = await JournalEntry.find({
+    sourceType: source.sourceType,
+    sourceId: source.sourceId,
+    event: source.event,
+  }).session(session).lean();
+
+  if (entries.length === 0) {
+    return entries;
+  }
+
+  const reversed = await JournalEntry.find({ reverses: { $in: entries.map(entry => entry._id) } })
+    .select('reverses')
+    .session(session)
+    .lean();
+  const reversedIds = new Set(reversed.map(entry => entry.reverses.toString()));
+  return entries.filter(entry => !reversedIds.has(entry._id.toString()));
+}
+
+/**
+ * Post a balanced entry. Posting is idempotent per source and event: when an
+ * unreversed entry already exists it is returned instead.
+ * @param {Object} details - Entry
+ * @param {string} details.event - invoice | receipt | refund | credit_adjustment | credit_note | debit_note | commission_payout
+ * @param {string} details.sourceType - DealerRequest | Payment | CreditDebitNote | Commission
+ * @param {ObjectId} details.sourceId - Source document
+ * @param {Date} details.date - Accounting date
+ * @param {Array} details.lines - [{ account, party, debit, credit }] (zero lines are dropped)
+ * @param {ObjectId|null} details.book - Books (null: company)
+ * @param {string} details.narration - Narration
+ * @param {ObjectId} details.createdBy - User posting the entry
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - JournalEntry
+ */
+async function postJournalEntry(details, session) {
+  const source = { sourceType: details.sourceType, sourceId: details.sourceId, event: details.event };
+  const [existing] = await getActiveEntries(source, session);
+  if (existing) {
+    return existing;
+  }
+
+  const postings = await JournalEntry.countDocuments(source).session(session);
+  const lines = details.lines
+    .map(line => ({
+      account: line.account,
+      party: line.party || null,
+      debit: round2(line.debit || 0),
+      credit: round2(line.credit || 0),
+    }))
+    .filter(line => line.debit > 0 || line.credit > 0);
+
+  const [entry] = await JournalEntry.create([{
+    book: details.book || null,
+    date: details.date || new Date(),
+    event: details.event,
+    sourceType: details.sourceType,
+    sourceId: details.sourceId,
+    postingKey: `${details.sourceType}:${details.sourceId}:${details.event}:${postings + 1}`,
+    narration: details.narration || '',
+    lines,
+    createdBy: details.createdBy || null,
+  }], { session });
+  return entry;
+}
+
+/**
+ * Reverse the unreversed entries of a source/event (debits and credits swapped)
+ * @param {Object} source - { sourceType, sourceId, event }
+ * @param {Object} details - { narration, createdBy, date }
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array>} - Reversal entries
+ */
+async function reverseJournalEntries(source, details, session) {
+  const entries = await getActiveEntries(source, session);
+  const reversals = [];
+
+  for (const entry of entries) {
+    const [reversal] = await JournalEntry.create([{
+      book: entry.book,
+      date: details.date || new Date(),
+      event: 'reversal',
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId,
+      postingKey: `${entry.postingKey}:reversal`,
+      reverses: entry._id,
+      narration: details.narration || `Reversal of ${entry.event} entry`,
+      lines: entry.lines.map(line => ({
+        account: line.account,
+        party: line.party,
+        debit: line.credit,
+        credit: line.debit,
+      })),
+      createdBy: details.createdBy || null,
+    }], { session });
+    reversals.push(reversal);
+  }
+  return reversals;
+}
+
+/**
+ * Lines of a taxed document: receivable against income, GST and round off
+ * @param {Object} tax - Tax breakup (utils/tax)
+ * @param {string} incomeAccount - sales | sales_returns
+ * @param {ObjectId} dealerId - Dealer (receivable party)
+ * @param {boolean} reduce - Whether the document reduces the receivable (credit note)
+ * @returns {Array} - Journal lines
+ */
+function taxedDocumentLines(tax, incomeAccount, dealerId, reduce) {
+  // Dealer owes more: Dr receivable, Cr income/GST; a reduction is the mirror image
+  const side = (amount, owesMore) => (owesMore !== reduce ? { debit: amount } : { credit: amount });
+
+  const lines = [
+    { account: 'dealer_receivables', party: dealerId, ...side(tax.totals.grandTotal, true) },
+    { account: incomeAccount, ...side(tax.totals.taxableAmount, false) },
+    ...TAX_ACCOUNTS.map(([key, account]) => ({ account, ...side(tax.totals[key] || 0, false) })),
+  ];
+
+  // Rounding up adds to what is owed (credit round off); rounding down is a debit
+  const roundOff = tax.totals.roundOff || 0;
+  if (roundOff !== 0) {
+    lines.push({ account: 'round_off', ...side(Math.abs(roundOff), roundOff < 0) });
+  }
+  return lines;
+}
+
+/**
+ * Post the invoice of an approved dealer request. The receivable is debited at
+ * the breakup frozen at approval, whose grand total is the request's
+ * totalAmount that payments settle (requests approved before that use the
+ * bill's breakup or the tax engine).
+ * @param {Object} request - Approved DealerRequest
+ * @param {ObjectId} userId - Admin approving
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object|null>} - JournalEntry, null when the request has no value
+ */
+async function postRequestInvoice(request, userId, session) {
+  const dealerId = request.dealer?._id || request.dealer;
+  let tax = [request.taxBreakup, request.invoiceSnapshot?.taxBreakup].find(breakup => breakup && breakup.totals) || null;
+
+  if (!tax) {
+    const product = await Product.findById(request.product?._id || request.product)
+      .select(`title packetPrice packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+      .session(session)
+      .lean();
+    if (!product) {
+      return null;
+    }
+    tax = await calculateRequestTax({ dealer: dealerId, product, strips: request.strips }, { session });
+  }
+  if (tax.totals.grandTotal <= 0) {
+    return null;
+  }
+
+  return postJournalEntry({
+    event: 'invoice',
+    sourceType: 'DealerRequest',
+    sourceId: request._id,
+    date: request.processedAt || new Date(),
+    lines: taxedDocumentLines(tax, 'sales', dealerId, false),
+    narration: `Approved request ${request._id}: ${request.strips} strips`,
+    createdBy: userId,
+  }, session);
+}
+
+/**
+ * Post a credit or debit note issued against an admin bill
+ * @param {Object} note - CreditDebitNote (source dealer_request)
+ * @param {ObjectId} userId - User issuing the note
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - JournalEntry
+ */
+async function postNoteEntry(note, userId, session) {
+  const isCredit = note.noteType === 'credit';
+  return postJournalEntry({
+    event: `${note.noteType}_note`,
+    sourceType: 'CreditDebitNote',
+    sourceId: note._id,
+    date: note.noteDate || new Date(),
+    lines: taxedDocumentLines(note.taxBreakup, isCredit ? 'sales_returns' : 'sales', note.dealer, isCredit),
+    narration: `${isCredit ? 'Credit' : 'Debit'} note ${note.noteNumber} on invoice ${note.originalInvoiceNumber}`,
+    createdBy: userId,
+  }, session);
+}
+
+/**
+ * Journal event of a completed Payment row
+ * @param {Object} payment - Payment
+ * @returns {string} - receipt | refund | credit_adjustment
+ */
+function getPaymentEvent(payment) {
+  if (payment.type === 'refund') {
+    return 'refund';
+  }
+  return payment.type === 'credit' ? 'credit_adjustment' : 'receipt';
+}
+
+/**
+ * Post a completed payment, refund or credit adjustment. Credit rows written by
+ * a credit note are covered by the note's own entry and are skipped.
+ * @param {Object} payment - Payment (status completed)
+ * @param {ObjectId} userId - User completing it
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object|null>} - JournalEntry
+ */
+async function postPaymentEntry(payment, userId, session) {
+  if (payment.type === 'credit' && payment.creditDebitNote) {
+    return null;
+  }
+
+  const event = getPaymentEvent(payment);
+  const dealerId = payment.dealer?._id || payment.dealer;
+  const fundsAccount = PAYMENT_METHOD_ACCOUNTS[payment.paymentMethod] || 'other_funds';
+  const amount = round2(payment.amount);
+  if (amount <= 0) {
+    return null;
+  }
+
+  const lines = {
+    receipt: [
+      { account: fundsAccount, debit: amount },
+      { account: 'dealer_receivables', party: dealerId, credit: amount },
+    ],
+    refund: [
+      { account: 'dealer_receivables', party: dealerId, debit: amount },
+      { account: fundsAccount, credit: amount },
+    ],
+    credit_adjustment: [
+      { account: 'credit_adjustments', debit: amount },
+      { account: 'dealer_receivables', party: dealerId, credit: amount },
+    ],
+  }[event];
+
+  return postJournalEntry({
+    event,
+    sourceType: 'Payment',
+    sourceId: payment._id,
+    date: payment.transactionDate || new Date(),
+    lines,
+    narration: payment.notes || `${event.replace('_', ' ')} (${payment.paymentMethod})`,
+    createdBy: userId,
+  }, session);
+}
+
+/**
+ * Reverse the entry of a payment that is no longer completed
+ * @param {Object} payment - Payment
+ * @param {ObjectId} userId - User changing it
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array>} - Reversal entries
+ */
+async function reversePaymentEntry(payment, userId, session) {
+  return reverseJournalEntries(
+    { sourceType: 'Payment', sourceId: payment._id, event: getPaymentEvent(payment) },
+    { narration: `Payment ${payment._id} marked ${payment.status}`, createdBy: userId },
+    session
+  );
+}
+
+/**
+ * Post a commission payout in the paying dealer's books
+ * @param {Object} commission - Commission (status paid)
+ * @param {string} paymentMethod - cash | bank_transfer | upi
+ * @param {ObjectId} userId - Dealer paying
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object|null>} - JournalEntry
+ */
+async function postCommissionPayout(commission, paymentMethod, userId, session) {
+  const amount = round2(commission.commissionAmount || 0);
+  if (amount <= 0) {
+    return null;
+  }
+
+  return postJournalEntry({
+    event: 'commission_payout',
+    sourceType: 'Commission',
+    sourceId: commission._id,
+    book: commission.dealer,
+    date: commission.paidAt || new Date(),
+    lines: [
+      { account: 'commission_expense', party: commission.salesman, debit: amount },
+      { account: PAYMENT_METHOD_ACCOUNTS[paymentMethod] || 'cash', credit: amount },
+    ],
+    narration: `Commission ${commission.period} ${commission.periodStart ? new Date(commission.periodStart).toISOString().slice(0, 10) : ''}`.trim(),
+    createdBy: userId,
+  }, session);
+}
+
+/**
+ * Reverse a commission payout (commission no longer paid)
+ * @param {Object} commission - Commission
+ * @param {ObjectId} userId - User changing it
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array>} - Reversal entries
+ */
+async function reverseCommissionPayout(commission, userId, session) {
+  return reverseJournalEntries(
+    { sourceType: 'Commission', sourceId: commission._id, event: 'commission_payout' },
+    { narration: `Commission ${commission._id} marked ${commission.status}`, createdBy: userId },
+    session
+  );
+}
+
+/**
+ * Debit and credit totals per account
+ * @param {Object} filter - Filter
+ * @param {ObjectId|null} filter.book - Books (null: company)
+ * @param {Date} filter.asOf - Include entries up to this date (default: all)
+ * @param {string} filter.account - Only this account
+ * @param {ObjectId} filter.party - Only lines of this party
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<Array>} - [{ account, debit, credit }]
+ */
+async function getAccountTotals(filter = {}, session = null) {
+  const match = { book: filter.book ? new mongoose.Types.ObjectId(String(filter.book)) : null };
+  if (filter.asOf) {
+    match.date = { $lte: filter.asOf };
+  }
+
+  const lineMatch = {};
+  if (filter.account) {
+    lineMatch['lines.account'] = filter.account;
+  }
+  if (filter.party) {
+    lineMatch['lines.party'] = new mongoose.Types.ObjectId(String(filter.party));
+  }
+
+  const totals = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+      },
+    },
+  ]).session(session);
+
+  return totals.map(total => ({ account: total._id, debit: round2(total.debit), credit: round2(total.credit) }));
+}
+
+/**
+ * What a dealer owes the company according to the journal
+ * @param {ObjectId} dealerId - Dealer
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<number>} - Receivable balance (negative: advance)
+ */
+async function getDealerReceivable(dealerId, session = null) {
+  const [total] = await getAccountTotals({ account: 'dealer_receivables', party: dealerId }, session);
+  return total ? round2(total.debit - total.credit) : 0;
+}
+
+/**
+ * Set DealerCredit.currentBalance from the journal
+ * @param {ObjectId} dealerId - Dealer
+ * @param {ObjectId} userId - User whose action changed the balance
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - DealerCredit
+ */
+async function syncDealerCredit(dealerId, userId, session) {
+  const balance = await getDealerReceivable(dealerId, session);
+
+  let dealerCredit = await DealerCredit.findOne({ dealer: dealerId }).session(session);
+  if (!dealerCredit) {
+    dealerCredit = new DealerCredit({ dealer: dealerId, creditLimit: 0, currentBalance: 0 });
+  }
+  dealerCredit.currentBalance = balance;
+  dealerCredit.lastUpdated = new Date();
+  if (userId) {
+    dealerCredit.updatedBy = userId;
+  }
+  await dealerCredit.save({ session });
+  return dealerCredit;
+}
+
+/**
+ * Trial balance of a set of books
+ * @param {Object} options - Options
+ * @param {ObjectId|null} options.book - Books (null: company)
+ * @param {Date} options.asOf - Up to this date (default: all)
+ * @returns {Promise<Object>} - { accounts: [{ account, name, type, debit, credit, balance }], totals, balanced }
+ */
+async function getTrialBalance(options = {}) {
+  const totals = await getAccountTotals({ book: options.book, asOf: options.asOf });
+
+  const accounts = totals
+    .map(total => {
+      const net = round2(total.debit - total.credit);
+      return {
+        account: total.account,
+        name: ACCOUNTS[total.account]?.name || total.account,
+        type: ACCOUNTS[total.account]?.type || null,
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0,
+        balance: net,
+      };
+    })
+    .filter(row => row.debit !== 0 || row.credit !== 0)
+    .sort((a, b) => Object.keys(ACCOUNTS).indexOf(a.account) - Object.keys(ACCOUNTS).indexOf(b.account));
+
+  const sums = {
+    debit: round2(accounts.reduce((sum, row) => sum + row.debit, 0)),
+    credit: round2(accounts.reduce((sum, row) => sum + row.credit, 0)),
+  };
+
+  return { accounts, totals: sums, balanced: sums.debit === sums.credit };
+}
+
+module.exports = {
+  ACCOUNTS,
+  PAYMENT_METHOD_ACCOUNTS,
+  postJournalEntry,
+  reverseJournalEntries,
+  postRequestInvoice,
+  postNoteEntry,
+  postPaymentEntry,
+  reversePaymentEntry,
+  postCommissionPayout,
+  reverseCommissionPayout,
+  getAccountTotals,
+  getDealerReceivable,
+  syncDealerCredit,
+  getTrialBalance,
+};
@@ -0,0 +1,386 @@
+/**
+ * Dealer Ledger (Statement of Account)
+ *
+ * Builds one chronological statement of what a dealer owes the company from
+ * the records that make it up:
+ * - invoices       : approved dealer requests (one entry per invoice number)  -> debit
+ * - debit notes    : debit notes on admin bills                               -> debit
+ * - refunds        : completed refunds paid out to the dealer                  -> debit
+ * - payments       : completed (or later refunded) payments received           -> credit
+ * - credit notes   : credit notes on admin bills                              -> credit
+ * - credit entries : manual credit adjustments (not produced by a note)       -> credit
+ *
+ * Pending payment rows are not money received - they mirror what is still
+ * outstanding on a bill - so they never appear on the statement. Archived
+ * requests and payments are read through utils/unifiedQuery.
+ *
+ * The balance is debit minus credit: positive means the dealer owes (Dr),
+ * negative means the company owes the dealer (Cr).
+ */
+
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const DealerProfile = require('../models/DealerProfile');
+const DealerCredit = require('../models/DealerCredit');
+const CreditDebitNote = require('../models/CreditDebitNote');
+const { queryUnifiedDealerRequests, queryUnifiedPayments } = require('./unifiedQuery');
+const { translateMessage } = require('../middleware/translateMessages');
+const { resolvePdfLanguage, registerPdfFonts, useFont, writeText } = require('./pdfFonts');
+const { getSupplierDetails } = require('./ewayBill');
+const { round2, statusError, formatDate } = require('./common');
+
+// History is read from the first record so the opening balance covers archived years
+const HISTORY_START = new Date(0);
+
+// Order of entries sharing the same date
+const ENTRY_ORDER = ['invoice', 'debit_note', 'refund', 'credit_note', 'credit_adjustment', 'payment'];
+
+/**
+ * What the invoice of a request debited the dealer: the GST-inclusive grand
+ * total frozen at approval (or on the sent bill), the same amount the journal
+ * posts to the dealer's receivable
+ * @param {Object} request - Approved DealerRequest (primary or archive)
+ * @returns {number}
+ */
+function getInvoiceDebit(request) {
+  const breakup = [request.taxBreakup, request.invoiceSnapshot?.taxBreakup].find(b => b && b.totals);
+  return round2(breakup ? breakup.totals.grandTotal : (request.totalAmount || 0));
+}
+
+/**
+ * Invoice entries from approved dealer requests
+ * @param {Array} requests - Approved requests (primary and archive)
+ * @returns {Promise<Array>} - Ledger entries
+ */
+async function getInvoiceEntries(requests) {
+  const productIds = [...new Set(requests.map(request => request.product && request.product.toString()).filter(Boolean))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('title').lean();
+  const titles = new Map(products.map(product => [
+    product._id.toString(),
+    typeof product.title === 'string' ? product.title : (product.title?.en || ''),
+  ]));
+
+  // Lines of one bill share its invoice number; bills not sent yet stand alone
+  const invoices = new Map();
+  requests.forEach(request => {
+    const id = (request.originalId || request._id).toString();
+    const key = request.invoiceNumber || `request:${id}`;
+    const date = request.processedAt || request.requestedAt;
+    const invoice = invoices.get(key) || {
+      date,
+      type: 'invoice',
+      reference: request.invoiceNumber || '',
+      items: [],
+      debit: 0,
+      credit: 0,
+      source: { kind: 'dealer_request', ids: [] },
+    };
+
+    if (new Date(date) < new Date(invoice.date)) {
+      invoice.date = date;
+    }
+    invoice.items.push(`${titles.get(request.product?.toString()) || 'Product'} x ${request.strips} strips`);
+    invoice.debit = round2(invoice.debit + getInvoiceDebit(request));
+    invoice.source.ids.push(id);
+    invoices.set(key, invoice);
+  });
+
+  return [...invoices.values()].map(({ items, ...invoice }) => ({
+    ...invoice,
+    description: items.length > 3 ? `${items.slice(0, 3).join(', ')} and ${items.length - 3} more` : items.join(', '),
+  }));
+}
+
+/**
+ * Payment, refund and credit adjustment entries
+ * @param {Array} payments - Completed payment rows (primary and archive)
+ * @returns {Array} - Ledger entries
+ */
+function getPaymentEntries(payments) {
+  return payments
+    // Credit rows written by a note are covered by the note itself
+    .filter(payment => !(payment.type === 'credit' && payment.creditDebitNote))
+    .map(payment => {
+      const type = payment.type === 'refund' ? 'refund' : (payment.type === 'credit' ? 'credit_adjustment' : 'payment');
+      const reference = payment.upiTransactionId || payment.upiReferenceNumber || payment.bankTransactionId || '';
+      return {
+        date: payment.transactionDate || payment.createdAt,
+        type,
+        reference,
+        description: [payment.paymentMethod, payment.notes].filter(Boolean).join(' - '),
+        debit: type === 'refund' ? round2(payment.amount) : 0,
+        credit: type === 'refund' ? 0 : round2(payment.amount),
+        source: { kind: 'payment', ids: [(payment.originalId || payment._id).toString()] },
+      };
+    });
+}
+
+/**
+ * Credit and debit note entries
+ * @param {Array} notes - Notes on admin bills
+ * @returns {Array} - Ledger entries
+ */
+function getNoteEntries(notes) {
+  return notes.map(note => ({
+    date: note.noteDate,
+    type: `${note.noteType}_note`,
+    reference: note.noteNumber,
+    description: `Against invoice ${note.originalInvoiceNumber} (${note.reason.replace(/_/g, ' ')})`,
+    debit: note.noteType === 'debit' ? round2(note.totalAmount) : 0,
+    credit: note.noteType === 'credit' ? round2(note.totalAmount) : 0,
+    source: { kind: 'credit_debit_note', ids: [note._id.toString()] },
+  }));
+}
+
+/**
+ * Build the statement of account of a dealer
+ * @param {ObjectId|string} dealerId - Dealer
+ * @param {Object} options - Options
+ * @param {Date} options.startDate - First day of the statement (default: from the first record)
+ * @param {Date} options.endDate - Last day of the statement (default: now)
+ * @returns {Promise<Object>} - { dealer, period, openingBalance, entries, totals, closingBalance, dealerCredit }
+ */
+async function buildDealerLedger(dealerId, options = {}) {
+  const dealer = await User.findById(dealerId).select('name email role').lean();
+  if (!dealer || (dealer.role !== 'dealer' && dealer.role !== 'dellear')) {
+    throw statusError(404, 'Dealer not found');
+  }
+
+  const startDate = options.startDate || null;
+  const endDate = options.endDate || new Date();
+  if (startDate && startDate > endDate) {
+    throw statusError(400, 'startDate must be before endDate');
+  }
+
+  const unlimited = { limit: Number.MAX_SAFE_INTEGER };
+  const [requestResult, paymentResult, notes, profile, dealerCredit] = await Promise.all([
+    queryUnifiedDealerRequests(
+      { dealer: dealer._id, status: 'approved', requestedAt: { $gte: HISTORY_START, $lte: endDate } },
+      { ...unlimited, sort: { requestedAt: 1 } }
+    ),
+    queryUnifiedPayments(
+      { dealer: dealer._id, status: { $in: ['completed', 'refunded'] }, transactionDate: { $gte: HISTORY_START, $lte: endDate } },
+      { ...unlimited, sort: { transactionDate: 1 } }
+    ),
+    CreditDebitNote.find({ dealer: dealer._id, source: 'dealer_request', noteDate: { $lte: endDate } }).lean(),
+    DealerProfile.findOne({ dealer: dealer._id }).select('companyName gstNumber').lean(),
+    DealerCredit.findOne({ dealer: dealer._id }).select('creditLimit currentBalance availableCredit').lean(),
+  ]);
+
+  // Requests are fetched by request date; they enter the ledger when approved
+  const requests = requestResult.data.filter(request => new Date(request.processedAt || request.requestedAt) <= endDate);
+
+  const allEntries = [
+    ...(await getInvoiceEntries(requests)),
+    ...getPaymentEntries(paymentResult.data),
+    ...getNoteEntries(notes),
+  ].sort((a, b) => (new Date(a.date) - new Date(b.date)) || (ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type)));
+
+  let openingBalance = 0;
+  let balance = 0;
+  const entries = [];
+  const totals = { debit: 0, credit: 0 };
+
+  allEntries.forEach(entry => {
+    if (startDate && new Date(entry.date) < startDate) {
+      openingBalance = round2(openingBalance + entry.debit - entry.credit);
+      return;
+    }
+    if (entries.length === 0) {
+      balance = openingBalance;
+    }
+    balance = round2(balance + entry.debit - entry.credit);
+    totals.debit = round2(totals.debit + entry.debit);
+    totals.credit = round2(totals.credit + entry.credit);
+    entries.push({ ...entry, balance });
+  });
+
+  return {
+    dealer: {
+      id: dealer._id,
+      name: dealer.name,
+      email: dealer.email,
+      companyName: profile?.companyName || '',
+      gstNumber: profile?.gstNumber || '',
+    },
+    period: { startDate, endDate },
+    openingBalance,
+    entries,
+    totals,
+    closingBalance: round2(openingBalance + totals.debit - totals.credit),
+    dealerCredit: dealerCredit
+      ? {
+          creditLimit: dealerCredit.creditLimit,
+          currentBalance: dealerCredit.currentBalance,
+          availableCredit: dealerCredit.availableCredit,
+        }
+      : null,
+    archived: {
+      requests: requestResult.fromArchive,
+      payments: paymentResult.fromArchive,
+    },
+  };
+}
+
+/**
+ * Statement as CSV (opening row, entries, closing row)
+ * @param {Object} ledger - Statement (buildDealerLedger)
+ * @returns {string}
+ */
+function ledgerToCsv(ledger) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const amount = (value) => (value ? value.toFixed(2) : '');
+
+  const rows = [
+    ['Date', 'Type', 'Reference', 'Particulars', 'Debit', 'Credit', 'Balance'],
+    [ledger.period.startDate ? formatDate(ledger.period.startDate) : '', 'opening_balance', '', 'Opening balance', '', '', ledger.openingBalance.toFixed(2)],
+    ...ledger.entries.map(entry => [
+      formatDate(entry.date),
+      entry.type,
+      entry.reference,
+      entry.description,
+      amount(entry.debit),
+      amount(entry.credit),
+      entry.balance.toFixed(2),
+    ]),
+    [formatDate(ledger.period.endDate), 'closing_balance', '', 'Closing balance', ledger.totals.debit.toFixed(2), ledger.totals.credit.toFixed(2), ledger.closingBalance.toFixed(2)],
+  ];
+
+  return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render the statement as a PDF
+ * @param {Object} ledger - Statement (buildDealerLedger)
+ * @param {Object} options - Options
+ * @param {string} options.language - en | gu | bilingual
+ * @returns {Promise<Object>} - { buffer, language }
+ */
+function renderLedgerPdf(ledger, options = {}) {
+  const language = resolvePdfLanguage(options.language);
+  const t = (key) => translateMessage(language === 'gu' ? 'gu' : 'en', `ledgerPdf.${key}`, key);
+  const money = (value) => value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const balanceText = (value) => `${money(Math.abs(value))} ${value < 0 ? t('cr') : t('dr')}`;
+  const supplier = getSupplierDetails();
+
+  // Columns: date, particulars, reference, debit, credit, balance
+  const columns = [
+    { key: 'date', x: 50, width: 58 },
+    { key: 'particulars', x: 110, width: 150 },
+    { key: 'reference', x: 262, width: 78 },
+    { key: 'debit', x: 342, width: 62, align: 'right' },
+    { key: 'credit', x: 406, width: 62, align: 'right' },
+    { key: 'balance', x: 470, width: 80, align: 'right' },
+  ];
+
+  return new Promise((resolve, reject) => {
+    const doc = registerPdfFonts(new PDFDocument({ margin: 50, size: 'A4' }));
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve({ buffer: Buffer.concat(chunks), language }));
+    doc.on('error', reject);
+
+    const write = (text, x, y, textOptions = {}) => writeText(doc, text, x, y, textOptions, false);
+    const writeBold = (text, x, y, textOptions = {}) => writeText(doc, text, x, y, textOptions, true);
+
+    let y = 50;
+
+    // ========== HEADER SECTION ==========
+    doc.fontSize(16);
+    writeBold(t('title'), 50, y, { width: 500, align: 'center' });
+    if (language === 'bilingual') {
+      doc.fontSize(10);
+      write(translateMessage('gu', 'ledgerPdf.title', ''), 50, y + 20, { width: 500, align: 'center' });
+      y += 14;
+    }
+    y += 28;
+
+    doc.fontSize(10);
+    writeBold(supplier.name, 50, y);
+    write(`${supplier.address}, ${supplier.place}-${supplier.pincode}`, 50, y + 13, { width: 250 });
+
+    const dealerName = ledger.dealer.companyName || ledger.dealer.name;
+    writeBold(`${t('dealer')} ${dealerName}`, 320, y, { width: 230 });
+    write(ledger.dealer.gstNumber || ledger.dealer.email, 320, y + 13, { width: 230 });
+    const from = ledger.period.startDate ? formatDate(ledger.period.startDate) : t('beginning');
+    write(`${t('period')} ${from} - ${formatDate(ledger.period.endDate)}`, 320, y + 26, { width: 230 });
+    y += 50;
+
+    // ========== ENTRIES TABLE ==========
+    const drawTableHeader = () => {
+      doc.rect(50, y, 500, 18).fillAndStroke('#f0f0f0', '#000000');
+      doc.fillColor('#000000').fontSize(9);
+      columns.forEach(column => {
+        writeBold(t(column.key), column.x + 2, y + 5, { width: column.width - 4, align: column.align || 'left' });
+      });
+      y += 22;
+    };
+
+    const drawRow = (cells, bold = false) => {
+      doc.fontSize(8);
+      const heights = columns.map(column => {
+        useFont(doc, cells[column.key] || '', bold);
+        return doc.heightOfString(String(cells[column.key] || ''), { width: column.width - 4 });
+      });
+      const rowHeight = Math.max(12, ...heights) + 4;
+
+      if (y + rowHeight > doc.page.height - 60) {
+        doc.addPage();
+        y = 50;
+        drawTableHeader();
+        doc.fontSize(8);
+      }
+
+      columns.forEach(column => {
+        writeText(doc, cells[column.key] || '', column.x + 2, y, { width: column.width - 4, align: column.align || 'left' }, bold);
+      });
+      y += rowHeight;
+      doc.moveTo(50, y - 2).lineTo(550, y - 2).strokeColor('#dddddd').stroke().strokeColor('#000000');
+    };
+
+    drawTableHeader();
+    drawRow({
+      date: ledger.period.startDate ? formatDate(ledger.period.startDate) : '',
+      particulars: t('openingBalance'),
+      balance: balanceText(ledger.openingBalance),
+    }, true);
+
+    ledger.entries.forEach(entry => {
+      drawRow({
+        date: formatDate(entry.date),
+        particulars: `${t(`types.${entry.type}`)}${entry.description ? ` - ${entry.description}` : ''}`,
+        reference: entry.reference,
+        debit: entry.debit ? money(entry.debit) : '',
+        credit: entry.credit ? money(entry.credit) : '',
+        balance: balanceText(entry.balance),
+      });
+    });
+
+    drawRow({
+      particulars: t('total'),
+      debit: money(ledger.totals.debit),
+      credit: money(ledger.totals.credit),
+    }, true);
+    drawRow({
+      date: formatDate(ledger.period.endDate),
+      particulars: t('closingBalance'),
+      balance: balanceText(ledger.closingBalance),
+    }, true);
+
+    // ========== FOOTER ==========
+    doc.fontSize(8);
+    write(`${t('generatedOn')} ${formatDate(new Date())}`, 50, y + 10, { width: 500, align: 'right' });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildDealerLedger,
+  ledgerToCsv,
+  renderLedgerPdf,
+};
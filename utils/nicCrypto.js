@@ -0,0 +1,50 @@
+/**
+ * NIC API Crypto Helpers
+ *
+ * The NIC e-way bill and e-invoice (IRP) APIs share the same scheme: the login
+ * payload is RSA encrypted with the NIC public key, and every later payload is
+ * AES-256-ECB encrypted with the session key (SEK) returned by the login.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * AES-256-ECB encrypt a buffer and return base64
+ * @param {Buffer} key - 32 byte key
+ * @param {Buffer|string} data - Data to encrypt
+ * @returns {string}
+ */
+function aesEncrypt(key, data) {
+  const cipher = crypto.createCipheriv('aes-256-ecb', key, null);
+  return Buffer.concat([cipher.update(data), cipher.final()]).toString('base64');
+}
+
+/**
+ * AES-256-ECB decrypt base64 data
+ * @param {Buffer} key - 32 byte key
+ * @param {string} base64 - Encrypted data
+ * @returns {Buffer}
+ */
+function aesDecrypt(key, base64) {
+  const decipher = crypto.createDecipheriv('aes-256-ecb', key, null);
+  return Buffer.concat([decipher.update(Buffer.from(base64, 'base64')), decipher.final()]);
+}
+
+/**
+ * RSA encrypt with the NIC public key and return base64
+ * @param {string} publicKey - PEM public key
+ * @param {Buffer|string} data - Data to encrypt
+ * @returns {string}
+ */
+function rsaEncrypt(publicKey, data) {
+  return crypto.publicEncrypt(
+    { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.from(data)
+  ).toString('base64');
+}
+
+module.exports = {
+  aesEncrypt,
+  aesDecrypt,
+  rsaEncrypt,
+};
@@ -0,0 +1,63 @@
+/**
+ * Number to Words
+ *
+ * Amount-in-words line printed on bills, credit notes and debit notes.
+ */
+
+/**
+ * Convert a rupee amount to words (Indian numbering: lakh, crore)
+ * @param {number} amount - Whole rupee amount
+ * @returns {string} - e.g. ONE LAKH TWENTY THOUSAND RUPEES ONLY
+ */
+function convertNumberToWords(amount) {
+  const ones = ['', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE', 'TEN',
+    'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN'];
+  const tens = ['', '', 'TWENTY', 'THIRTY', 'FORTY', 'FIFTY', 'SIXTY', 'SEVENTY', 'EIGHTY', 'NINETY'];
+  
+  function convertHundreds(num) {
+    let result = '';
+    if (num >= 100) {
+      result += ones[Math.floor(num / 100)] + ' HUNDRED ';
+      num %= 100;
+    }
+    if (num >= 20) {
+      result += tens[Math.floor(num / 10)] + ' ';
+      num %= 10;
+    }
+    if (num > 0) {
+      result += ones[num] + ' ';
+    }
+    return result.trim();
+  }
+  
+  if (amount === 0) return 'ZERO';
+  
+  let words = '';
+  const crore = Math.floor(amount / 10000000);
+  const lakh = Math.floor((amount % 10000000) / 100000);
+  const thousand = Math.floor((amount % 100000) / 1000);
+  const hundred = Math.floor((amount % 1000) / 100);
+  const remainder = amount % 100;
+  
+  if (crore > 0) {
+    words += convertHundreds(crore) + ' CRORE ';
+  }
+  if (lakh > 0) {
+    words += convertHundreds(lakh) + ' LAKH ';
+  }
+  if (thousand > 0) {
+    words += convertHundreds(thousand) + ' THOUSAND ';
+  }
+  if (hundred > 0) {
+    words += convertHundreds(hundred) + ' HUNDRED ';
+  }
+  if (remainder > 0) {
+    words += convertHundreds(remainder);
+  }
+  
+  return words.trim() + ' RUPEES ONLY';
+}
+
+module.exports = {
+  convertNumberToWords,
+};
@@ -0,0 +1,118 @@
+/**
+ * Order Utilities
+ *
+ * An Order is the header of a dealer cart; each line is a DealerRequest with
+ * request.order pointing back at it. Lines are approved, paid and billed through
+ * the request workflow, and the order's items, totals and status are rebuilt
+ * from its requests with refreshOrderSummary after every change.
+ */
+
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const DealerRequest = require('../models/DealerRequest');
+
+/**
+ * Generate a new order number (ORD-YYMMDD-XXXXXX)
+ * @param {Date} date - Order date (default: now)
+ * @returns {string}
+ */
+function generateOrderNumber(date = new Date()) {
+  const yy = String(date.getFullYear()).slice(-2);
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `ORD-${yy}${mm}${dd}-${suffix}`;
+}
+
+/**
+ * Work out an order status from its line statuses
+ * @param {Array<string>} statuses - Line statuses
+ * @returns {string}
+ */
+function deriveOrderStatus(statuses) {
+  const pending = statuses.filter(s => s === 'pending').length;
+  const approved = statuses.filter(s => s === 'approved').length;
+
+  if (pending === 0 && approved === 0) {
+    return statuses.length > 0 ? 'cancelled' : 'pending';
+  }
+  if (pending > 0) {
+    return approved > 0 ? 'partially_approved' : 'pending';
+  }
+  return 'approved';
+}
+
+/**
+ * Rebuild an order's items, totals and status from its requests
+ * @param {ObjectId} orderId - Order ID
+ * @param {ClientSession} session - Active transaction session (optional)
+ * @returns {Promise<Object|null>} - Updated order, or null if it does not exist
+ */
+async function refreshOrderSummary(orderId, session = null) {
+  const requests = await DealerRequest.find({ order: orderId })
+    .select('product strips status totalAmount paidAmount processedBy processedAt createdAt')
+    .sort({ createdAt: 1 })
+    .session(session)
+    .lean();
+
+  const items = requests.map(request => ({
+    dealerRequest: request._id,
+    product: request.product,
+    strips: request.strips,
+    status: request.status,
+    totalAmount: request.totalAmount,
+    paidAmount: request.paidAmount || 0,
+  }));
+
+  const approvedItems = items.filter(item => item.status === 'approved');
+  const lastProcessed = requests
+    .filter(request => request.processedAt)
+    .sort((a, b) => b.processedAt - a.processedAt)[0];
+
+  return Order.findByIdAndUpdate(
+    orderId,
+    {
+      $set: {
+        items,
+        status: deriveOrderStatus(items.map(item => item.status)),
+        totalStrips: items.reduce((sum, item) => sum + item.strips, 0),
+        approvedStrips: approvedItems.reduce((sum, item) => sum + item.strips, 0),
+        totalAmount: approvedItems.reduce((sum, item) => sum + (item.totalAmount || 0), 0),
+        paidAmount: approvedItems.reduce((sum, item) => sum + (item.paidAmount || 0), 0),
+        processedBy: lastProcessed ? lastProcessed.processedBy : null,
+        processedAt: lastProcessed ? lastProcessed.processedAt : null,
+      },
+    },
+    { new: true, session }
+  );
+}
+
+/**
+ * Find the order for a legacy cart group, creating it on first use
+ * @param {ObjectId} dealerId - Dealer ID
+ * @param {string} orderGroupId - Client supplied group ID
+ * @param {ClientSession} session - Active transaction session (optional)
+ * @param {Date} submittedAt - Submission time for a new order (default: now)
+ * @returns {Promise<Object>} - Order document
+ */
+async function findOrCreateGroupOrder(dealerId, orderGroupId, session = null, submittedAt = new Date()) {
+  return Order.findOneAndUpdate(
+    { dealer: dealerId, orderGroupId },
+    {
+      $setOnInsert: {
+        orderNumber: generateOrderNumber(submittedAt),
+        dealer: dealerId,
+        orderGroupId,
+        submittedAt,
+      },
+    },
+    { new: true, upsert: true, session }
+  );
+}
+
+module.exports = {
+  generateOrderNumber,
+  deriveOrderStatus,
+  refreshOrderSummary,
+  findOrCreateGroupOrder,
+};
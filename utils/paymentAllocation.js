@@ -0,0 +1,444 @@
+/**
+ * Payment Allocation Utilities
+ *
+ * A completed payment (or manual credit adjustment) is applied to one or more
+ * approved requests (bill lines) through PaymentAllocation records:
+ * - approval : the amount paid when the request was approved
+ * - linked   : a payment recorded against a request, applied when completed
+ * - manual   : an admin split across chosen bill lines
+ * - fifo     : applied to the oldest open bill lines first
+ * Whatever is not allocated stays on the payment as an advance.
+ *
+ * A bill line's due amount is its request total net of credit/debit notes
+ * (as DealerRequest.isOutstanding uses it). Allocating adds to
+ * DealerRequest.paidAmount (which therefore equals the active allocations of
+ * the line), updates paymentType / isOutstanding and reduces the pending
+ * 'credit' rows that mirror the outstanding amount; reversing an allocation
+ * undoes both. The open amount of a bill line is its due amount minus
+ * paidAmount.
+ *
+ * Payments completed before allocations existed are matched to their bill
+ * lines by scripts/backfillAllocations.js.
+ */
+
+const mongoose = require('mongoose');
+const DealerRequest = require('../models/DealerRequest');
+const Payment = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const { round2, statusError } = require('./common');
+
+// Days per ageing bucket boundary (0-30, 31-60, 61-90, 90+)
+const AGEING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a payment row is money the dealer can have applied to bills
+ * (credit rows written by a note are already part of the bill's due amount)
+ * @param {Object} payment - Payment
+ * @returns {boolean}
+ */
+function isAllocatable(payment) {
+  return payment.status === 'completed'
+    && (payment.type === 'payment' || (payment.type === 'credit' && !payment.creditDebitNote));
+}
+
+/**
+ * Amount a bill line is due, net of credit and debit notes
+ * (totalAmount is the GST-inclusive grand total frozen at approval and note
+ * totals include their GST, so both sides are on the same basis)
+ * @param {Object} request - Approved DealerRequest
+ * @returns {number}
+ */
+function getInvoiceAmount(request) {
+  return round2((request.totalAmount || 0) - (request.creditNoteAmount || 0) + (request.debitNoteAmount || 0));
+}
+
+/**
+ * Ageing bucket of an age in days
+ * @param {number} ageDays - Days since the bill line was approved
+ * @returns {string}
+ */
+function getAgeingBucket(ageDays) {
+  return AGEING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).key;
+}
+
+/**
+ * Sum of active allocations grouped by a field
+ * @param {Object} match - Filter on PaymentAllocation
+ * @param {string} field - dealerRequest | payment
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<Map>} - id -> allocated amount
+ */
+async function sumAllocations(match, field, session = null) {
+  const totals = await PaymentAllocation.aggregate([
+    { $match: { ...match, status: 'active' } },
+    { $group: { _id: `$${field}`, amount: { $sum: '$amount' } } },
+  ]).session(session);
+  return new Map(totals.map(total => [total._id.toString(), round2(total.amount)]));
+}
+
+/**
+ * Open bill lines (approved requests not fully settled), oldest first
+ * @param {Object} options - Options
+ * @param {ObjectId|Array} options.dealer - Dealer or dealers (default: all)
+ * @param {Date} options.asOf - Age bills as of this date (default: now)
+ * @param {ClientSession} options.session - MongoDB session (optional)
+ * @returns {Promise<Array>} - [{ dealer, dealerRequest, product, strips, invoiceNumber, date, amount, paidAmount, openAmount, ageDays, bucket }]
+ */
+async function getOpenInvoices(options = {}) {
+  const session = options.session || null;
+  const asOf = options.asOf || new Date();
+
+  const query = { status: 'approved', isOutstanding: true };
+  if (Array.isArray(options.dealer)) {
+    query.dealer = { $in: options.dealer };
+  } else if (options.dealer) {
+    query.dealer = options.dealer;
+  }
+
+  const requests = await DealerRequest.find(query)
+    .select('dealer product strips invoiceNumber processedAt requestedAt totalAmount paidAmount creditNoteAmount debitNoteAmount')
+    .sort({ processedAt: 1, _id: 1 })
+    .session(session)
+    .lean();
+
+  return requests
+    .map(request => {
+      const amount = getInvoiceAmount(request);
+      const paid = round2(request.paidAmount || 0);
+      const date = request.processedAt || request.requestedAt;
+      const ageDays = Math.max(0, Math.floor((asOf - new Date(date)) / DAY_MS));
+      return {
+        dealer: request.dealer,
+        dealerRequest: request._id,
+        product: request.product,
+        strips: request.strips,
+        invoiceNumber: request.invoiceNumber || null,
+        date,
+        amount,
+        paidAmount: paid,
+        openAmount: round2(amount - paid),
+        ageDays,
+        bucket: getAgeingBucket(ageDays),
+      };
+    })
+    .filter(invoice => invoice.openAmount > 0);
+}
+
+/**
+ * Completed payments with an amount not yet allocated (advances)
+ * @param {Object} options - Options
+ * @param {ObjectId|Array} options.dealer - Dealer or dealers (default: all)
+ * @param {ClientSession} options.session - MongoDB session (optional)
+ * @returns {Promise<Array>} - [{ payment, dealer, amount, allocated, unallocatedAmount, transactionDate, paymentMethod }]
+ */
+async function getUnallocatedPayments(options = {}) {
+  const session = options.session || null;
+  const query = { status: 'completed', type: { $in: ['payment', 'credit'] }, creditDebitNote: null };
+  if (Array.isArray(options.dealer)) {
+    query.dealer = { $in: options.dealer };
+  } else if (options.dealer) {
+    query.dealer = options.dealer;
+  }
+
+  const payments = await Payment.find(query)
+    .select('dealer amount transactionDate paymentMethod type')
+    .sort({ transactionDate: 1 })
+    .session(session)
+    .lean();
+  if (payments.length === 0) {
+    return [];
+  }
+
+  const allocated = await sumAllocations({ payment: { $in: payments.map(payment => payment._id) } }, 'payment', session);
+
+  return payments
+    .map(payment => {
+      const used = allocated.get(payment._id.toString()) || 0;
+      return {
+        payment: payment._id,
+        dealer: payment.dealer,
+        type: payment.type,
+        amount: payment.amount,
+        allocated: used,
+        unallocatedAmount: round2(payment.amount - used),
+        transactionDate: payment.transactionDate,
+        paymentMethod: payment.paymentMethod,
+      };
+    })
+    .filter(payment => payment.unallocatedAmount > 0);
+}
+
+/**
+ * Bring a request's payment fields in line after its allocations changed
+ * @param {Object} request - DealerRequest document
+ * @param {number} delta - Change in the allocated amount
+ */
+function applyToRequest(request, delta) {
+  const due = getInvoiceAmount(request);
+  request.paidAmount = round2(Math.max(0, (request.paidAmount || 0) + delta));
+  request.isOutstanding = request.paidAmount < due;
+  request.paymentType = request.paidAmount <= 0 ? 'none' : (request.paidAmount >= due ? 'full' : 'partial');
+}
+
+/**
+ * Reduce the pending rows mirroring a bill line's outstanding amount
+ * @param {ObjectId} requestId - DealerRequest
+ * @param {number} amount - Amount settled
+ * @param {string} label - Note appended to the reduced rows
+ * @param {ClientSession} session - Active transaction session
+ */
+async function settleOutstandingRows(requestId, amount, label, session) {
+  let remaining = amount;
+  const pending = await Payment.find({ dealerRequest: requestId, type: 'payment', status: 'pending', paymentMethod: 'credit' })
+    .sort({ transactionDate: 1 })
+    .session(session);
+
+  for (const row of pending) {
+    if (remaining <= 0) {
+      break;
+    }
+    const reduction = Math.min(row.amount, remaining);
+    row.amount = round2(row.amount - reduction);
+    row.notes = `${row.notes ? `${row.notes} ` : ''}Reduced by ₹${reduction} (${label})`.trim();
+    if (row.amount <= 0) {
+      row.status = 'cancelled';
+    }
+    await row.save({ session });
+    remaining = round2(remaining - reduction);
+  }
+}
+
+/**
+ * Apply part of a payment to a bill line
+ * @param {Object} payment - Payment document
+ * @param {Object} request - Approved DealerRequest document
+ * @param {number} amount - Amount to apply
+ * @param {string} source - approval | linked | manual | fifo
+ * @param {ObjectId} userId - User allocating
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - PaymentAllocation
+ */
+async function createAllocation(payment, request, amount, source, userId, session) {
+  const [allocation] = await PaymentAllocation.create([{
+    payment: payment._id,
+    dealer: payment.dealer,
+    dealerRequest: request._id,
+    invoiceNumber: request.invoiceNumber || null,
+    amount: round2(amount),
+    source,
+    allocatedBy: userId,
+  }], { session });
+
+  // Approval already records what was paid on the request and its outstanding row
+  if (source !== 'approval') {
+    applyToRequest(request, allocation.amount);
+    await request.save({ session });
+    await settleOutstandingRows(request._id, allocation.amount, `payment ${payment._id}`, session);
+  }
+  return allocation;
+}
+
+/**
+ * Load an allocatable payment and what is left of it
+ * @param {ObjectId|string} paymentId - Payment
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { payment, unallocatedAmount }
+ */
+async function loadAllocatablePayment(paymentId, session) {
+  const payment = await Payment.findById(paymentId).session(session);
+  if (!payment) {
+    throw statusError(404, 'Payment not found');
+  }
+  if (!isAllocatable(payment)) {
+    throw statusError(400, 'Only completed payments and credit adjustments can be allocated to bills');
+  }
+
+  const allocated = await sumAllocations({ payment: payment._id }, 'payment', session);
+  return { payment, unallocatedAmount: round2(payment.amount - (allocated.get(payment._id.toString()) || 0)) };
+}
+
+/**
+ * Allocate a payment to bill lines. Must run inside a transaction.
+ * @param {ObjectId|string} paymentId - Payment
+ * @param {Object} details - Details
+ * @param {Array} details.allocations - [{ dealerRequestId, amount }] (manual split)
+ * @param {boolean} details.auto - Allocate to the oldest open bill lines first
+ * @param {ObjectId} userId - Admin allocating
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { payment, allocations, unallocatedAmount }
+ */
+async function allocatePayment(paymentId, details, userId, session) {
+  const { payment, unallocatedAmount } = await loadAllocatablePayment(paymentId, session);
+  if (unallocatedAmount <= 0) {
+    throw statusError(400, 'Payment is already fully allocated');
+  }
+
+  const open = await getOpenInvoices({ dealer: payment.dealer, session });
+  const openById = new Map(open.map(invoice => [invoice.dealerRequest.toString(), invoice]));
+  let plan;
+
+  if (details.auto) {
+    plan = [];
+    let remaining = unallocatedAmount;
+    for (const invoice of open) {
+      if (remaining <= 0) {
+        break;
+      }
+      const amount = Math.min(invoice.openAmount, remaining);
+      plan.push({ dealerRequestId: invoice.dealerRequest, amount });
+      remaining = round2(remaining - amount);
+    }
+    if (plan.length === 0) {
+      throw statusError(400, 'The dealer has no open bills to allocate to');
+    }
+  } else {
+    if (!Array.isArray(details.allocations) || details.allocations.length === 0) {
+      throw statusError(400, 'Provide allocations or set auto to allocate oldest bills first');
+    }
+
+    plan = details.allocations.map(item => ({ dealerRequestId: item?.dealerRequestId, amount: round2(Number(item?.amount)) }));
+    const seen = new Set();
+    for (const item of plan) {
+      const key = String(item.dealerRequestId);
+      if (!mongoose.Types.ObjectId.isValid(key) || seen.has(key)) {
+        throw statusError(400, 'Each allocation needs a distinct valid dealerRequestId');
+      }
+      seen.add(key);
+      if (!(item.amount > 0)) {
+        throw statusError(400, 'Allocated amounts must be greater than 0');
+      }
+      const invoice = openById.get(key);
+      if (!invoice) {
+        throw statusError(400, `Request ${key} is not an open bill of this dealer`);
+      }
+      if (item.amount > invoice.openAmount) {
+        throw statusError(400, `Only ₹${invoice.openAmount} is open on request ${key}`);
+      }
+    }
+
+    const total = round2(plan.reduce((sum, item) => sum + item.amount, 0));
+    if (total > unallocatedAmount) {
+      throw statusError(400, `Only ₹${unallocatedAmount} of this payment is unallocated`);
+    }
+  }
+
+  const allocations = [];
+  for (const item of plan) {
+    const request = await DealerRequest.findById(item.dealerRequestId).session(session);
+    allocations.push(await createAllocation(payment, request, item.amount, details.auto ? 'fifo' : 'manual', userId, session));
+  }
+
+  const allocatedNow = round2(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  return { payment, allocations, unallocatedAmount: round2(unallocatedAmount - allocatedNow) };
+}
+
+/**
+ * Apply a payment that has just been completed: first to the request it was
+ * recorded against, then (optionally) to the oldest open bills. The rest stays
+ * unallocated as an advance.
+ * @param {Object} payment - Payment document (completed)
+ * @param {ObjectId} userId - Admin completing it
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} options - Options
+ * @param {boolean} options.autoAllocate - Allocate the remainder oldest bills first (default: false)
+ * @returns {Promise<Array>} - PaymentAllocations created
+ */
+async function allocateOnCompletion(payment, userId, session, options = {}) {
+  if (!isAllocatable(payment)) {
+    return [];
+  }
+
+  const allocations = [];
+  if (payment.dealerRequest) {
+    const open = await getOpenInvoices({ dealer: payment.dealer, session });
+    const invoice = open.find(item => item.dealerRequest.toString() === payment.dealerRequest.toString());
+    const { unallocatedAmount } = await loadAllocatablePayment(payment._id, session);
+    const amount = invoice ? Math.min(invoice.openAmount, unallocatedAmount) : 0;
+    if (amount > 0) {
+      const request = await DealerRequest.findById(payment.dealerRequest).session(session);
+      allocations.push(await createAllocation(payment, request, amount, 'linked', userId, session));
+    }
+  }
+
+  if (options.autoAllocate) {
+    const { unallocatedAmount } = await loadAllocatablePayment(payment._id, session);
+    const open = await getOpenInvoices({ dealer: payment.dealer, session });
+    if (unallocatedAmount > 0 && open.length > 0) {
+      const result = await allocatePayment(payment._id, { auto: true }, userId, session);
+      allocations.push(...result.allocations);
+    }
+  }
+  return allocations;
+}
+
+/**
+ * Reverse allocations, re-opening what they settled on the bill lines
+ * @param {Object} filter - Filter on active PaymentAllocations (e.g. { payment } or { _id })
+ * @param {ObjectId} userId - User reversing
+ * @param {string} reason - Why (noted on the allocation and the re-opened row)
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array>} - Reversed allocations
+ */
+async function reverseAllocations(filter, userId, reason, session) {
+  const allocations = await PaymentAllocation.find({ ...filter, status: 'active' }).session(session);
+
+  for (const allocation of allocations) {
+    allocation.status = 'reversed';
+    allocation.reversedBy = userId;
+    allocation.reversedAt = new Date();
+    allocation.notes = reason || '';
+    await allocation.save({ session });
+
+    const request = await DealerRequest.findById(allocation.dealerRequest).session(session);
+    if (!request) {
+      continue;
+    }
+    applyToRequest(request, -allocation.amount);
+    await request.save({ session });
+
+    // An outstanding row taken back to pending mirrors the amount again itself
+    const payment = await Payment.findById(allocation.payment).select('type status paymentMethod dealerRequest').session(session).lean();
+    const mirrorsAgain = payment
+      && payment.type === 'payment'
+      && payment.status === 'pending'
+      && payment.paymentMethod === 'credit'
+      && String(payment.dealerRequest) === String(request._id);
+    if (mirrorsAgain) {
+      continue;
+    }
+
+    await Payment.create([{
+      dealer: allocation.dealer,
+      dealerRequest: request._id,
+      type: 'payment',
+      amount: allocation.amount,
+      paymentMethod: 'credit',
+      status: 'pending',
+      notes: `Outstanding re-opened: allocation of payment ${allocation.payment} reversed${reason ? ` (${reason})` : ''}`,
+      processedBy: userId,
+      processedAt: new Date(),
+      transactionDate: new Date(),
+    }], { session });
+  }
+  return allocations;
+}
+
+module.exports = {
+  AGEING_BUCKETS,
+  isAllocatable,
+  getInvoiceAmount,
+  getAgeingBucket,
+  getOpenInvoices,
+  getUnallocatedPayments,
+  createAllocation,
+  allocatePayment,
+  allocateOnCompletion,
+  reverseAllocations,
+};
@@ -0,0 +1,59 @@
+/**
+ * Payment Gateway Errors and Signatures
+ *
+ * Gateway failures are plain Errors carrying an internal code, an HTTP status
+ * for the route to answer with and the raw response for logging. Signatures
+ * are HMAC-SHA256 hex digests, compared in constant time.
+ */
+
+const crypto = require('crypto');
+const { statusError } = require('../common');
+
+/**
+ * Create a payment gateway error
+ * @param {Object} details - Error details
+ * @param {string} details.code - Gateway error code, or an internal code
+ * @param {string} details.message - Readable message
+ * @param {number} details.status - HTTP status to answer with (default: 502)
+ * @param {boolean} details.retryable - Whether retrying the call may succeed (default: false)
+ * @param {Object} details.response - Response that was received (optional)
+ * @returns {Error}
+ */
+function createGatewayError(details) {
+  return statusError(details.status || 502, details.message, {
+    code: details.code,
+    retryable: details.retryable || false,
+    response: details.response || null,
+  });
+}
+
+/**
+ * HMAC-SHA256 hex digest
+ * @param {string|Buffer} data - Signed data
+ * @param {string} secret - Shared secret
+ * @returns {string}
+ */
+function hmacSha256Hex(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+/**
+ * Check a hex signature against the expected one in constant time
+ * @param {string} expected - Expected hex digest
+ * @param {string} received - Signature received
+ * @returns {boolean}
+ */
+function signaturesMatch(expected, received) {
+  if (typeof received !== 'string' || !/^[0-9a-f]+$/i.test(received)) {
+    return false;
+  }
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(received.toLowerCase(), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  createGatewayError,
+  hmacSha256Hex,
+  signaturesMatch,
+};
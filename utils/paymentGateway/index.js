@@ -0,0 +1,463 @@
+/**
+ * Payment Gateway Utilities
+ *
+ * Dealers pay pending requests, a pending cart order or the open amount of
+ * approved bills online through a pluggable gateway selected with
+ * PAYMENT_GATEWAY:
+ * - razorpay : Razorpay orders, checkout and webhooks, see razorpayProvider.js
+ * - stub     : local gateway speaking the same formats, for development and
+ *              testing only (must be chosen explicitly, refused in production)
+ *
+ * Every provider exposes createOrder, fetchPayment, getCheckoutOptions,
+ * verifyPaymentSignature, verifyWebhookSignature and parseWebhook.
+ *
+ * A GatewayOrder records what is being paid for (one line per request). A
+ * payment is learnt of twice - from the app after checkout (signature checked,
+ * payment fetched from the gateway) and from the signed webhooks - and each
+ * report is recorded once as a GatewayEvent keyed by the gateway event ID
+ * (checkout:<payment ID> for checkout). A capture creates one completed
+ * 'gateway' Payment per line it covers, posted to the journal and allocated to
+ * its bill line when the request is approved. Only a capture that covers the
+ * order amount marks the order paid and verifies the payment of its pending
+ * requests, like PUT /dealer-requests/:id/verify-payment (the payment is
+ * allocated when they are approved); a smaller one leaves the order
+ * partially_paid and the rest due. Later reports of the same payment are
+ * ignored; a failure reported after a capture (out of order) does not touch
+ * the order, and a capture after the order is paid is kept for refunding.
+ */
+
+const crypto = require('crypto');
+const DealerRequest = require('../../models/DealerRequest');
+const GatewayEvent = require('../../models/GatewayEvent');
+const GatewayOrder = require('../../models/GatewayOrder');
+const Payment = require('../../models/Payment');
+const razorpayProvider = require('./razorpayProvider');
+const stubProvider = require('./stubProvider');
+const { createGatewayError } = require('./errors');
+const { runInTransaction } = require('../transaction');
+const { postPaymentEntry, syncDealerCredit } = require('../journal');
+const { allocateOnCompletion, getInvoiceAmount } = require('../paymentAllocation');
+const { getPayableAmount } = require('../upiIntent');
+const { round2 } = require('../common');
+
+const PROVIDERS = {
+  razorpay: razorpayProvider,
+  stub: stubProvider,
+};
+
+// Order statuses that can still be paid
+const PAYABLE_STATUSES = ['created', 'attempted', 'failed'];
+
+/**
+ * Get the configured payment gateway. There is no default: online payments
+ * are off until PAYMENT_GATEWAY is set, and the stub gateway (which lets a
+ * dealer pay their own orders) is refused when NODE_ENV is production.
+ * @returns {Object} - Provider
+ */
+function getPaymentGateway() {
+  const name = (process.env.PAYMENT_GATEWAY || '').trim().toLowerCase();
+  if (!name) {
+    throw createGatewayError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: 'Online payments are not configured (PAYMENT_GATEWAY)',
+      status: 503,
+    });
+  }
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw createGatewayError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Unknown payment gateway "${name}"`,
+      status: 500,
+    });
+  }
+  if (provider === stubProvider && process.env.NODE_ENV === 'production') {
+    throw createGatewayError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: 'The stub payment gateway cannot be used in production',
+      status: 503,
+    });
+  }
+  return provider;
+}
+
+/**
+ * Amount to collect for each request: the payable amount of a pending request,
+ * the open amount of an approved outstanding one
+ * @param {Array} requests - DealerRequests (product populated with packetPrice packetsPerStrip and PRODUCT_TAX_FIELDS)
+ * @returns {Promise<Array>} - [{ dealerRequest, amount }]
+ */
+async function getGatewayLines(requests) {
+  const lines = [];
+  for (const request of requests) {
+    let amount = 0;
+    if (request.status === 'pending' && request.paymentStatus !== 'verified') {
+      amount = round2(await getPayableAmount([request]) - await getCapturedAmount(request._id));
+    } else if (request.status === 'approved' && request.isOutstanding) {
+      amount = round2(getInvoiceAmount(request) - (request.paidAmount || 0));
+    }
+    if (amount <= 0) {
+      throw createGatewayError({
+        code: 'NOTHING_TO_PAY',
+        message: `Request ${request._id} has nothing left to pay`,
+        status: 400,
+      });
+    }
+    lines.push({ dealerRequest: request._id, amount });
+  }
+  return lines;
+}
+
+/**
+ * Amount already captured online for a pending request by part payments of
+ * earlier gateway orders (allocated when the request is approved)
+ * @param {ObjectId} requestId - DealerRequest ID
+ * @returns {Promise<number>}
+ */
+async function getCapturedAmount(requestId) {
+  const [row] = await Payment.aggregate([
+    { $match: { dealerRequest: requestId, type: 'payment', paymentMethod: 'gateway', status: 'completed' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  return round2(row ? row.total : 0);
+}
+
+/**
+ * Get or create the gateway order paying for requests of one dealer. An
+ * unpaid order for the same requests and amount is reused.
+ * @param {Object} target - What is paid for
+ * @param {ObjectId} target.dealer - Dealer paying
+ * @param {Array} target.requests - DealerRequests (product populated)
+ * @param {ObjectId} target.order - Cart order (optional)
+ * @param {ObjectId} userId - User starting the payment
+ * @returns {Promise<Object>} - { gatewayOrder, checkout, reused }
+ */
+async function createGatewayOrder(target, userId) {
+  const provider = getPaymentGateway();
+  const lines = await getGatewayLines(target.requests);
+  const amount = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (amount < 1) {
+    throw createGatewayError({
+      code: 'AMOUNT_TOO_SMALL',
+      message: 'Amount to pay online must be at least ₹1',
+      status: 400,
+    });
+  }
+
+  const requestIds = lines.map(line => line.dealerRequest.toString()).sort();
+  const candidates = await GatewayOrder.find({
+    dealer: target.dealer,
+    gateway: provider.name,
+    status: { $in: PAYABLE_STATUSES },
+    amount,
+    'lines.dealerRequest': { $all: lines.map(line => line.dealerRequest) },
+  }).sort({ createdAt: -1 });
+  const existing = candidates.find(candidate =>
+    candidate.lines.map(line => line.dealerRequest.toString()).sort().join(',') === requestIds.join(','));
+  if (existing) {
+    return { gatewayOrder: existing, checkout: provider.getCheckoutOptions(existing), reused: true };
+  }
+
+  const receipt = `PG${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  const created = await provider.createOrder({
+    amount,
+    currency: 'INR',
+    receipt,
+    notes: {
+      dealer: target.dealer.toString(),
+      requests: requestIds.join(',').slice(0, 250),
+    },
+  });
+
+  const gatewayOrder = await GatewayOrder.create({
+    gateway: provider.name,
+    gatewayOrderId: created.gatewayOrderId,
+    receipt,
+    dealer: target.dealer,
+    order: target.order || null,
+    lines,
+    amount,
+    currency: 'INR',
+    createdBy: userId,
+  });
+  return { gatewayOrder, checkout: provider.getCheckoutOptions(gatewayOrder), reused: false };
+}
+
+/**
+ * Record a captured payment on an order: one completed Payment per line it
+ * covers (the captured amount goes to the unpaid part of each line in line
+ * order), posted and allocated. Only when the captures cover the order amount
+ * is the order marked paid and the payment of its pending requests verified;
+ * otherwise the order is left partially_paid.
+ * @param {Object} gatewayOrder - GatewayOrder document (not yet paid)
+ * @param {Object} payment - Normalised gateway payment
+ * @param {ClientSession} session - Active transaction session
+ */
+async function markOrderPaid(gatewayOrder, payment, session) {
+  const now = new Date();
+  const method = payment.method || 'online';
+  const captured = round2(payment.amount);
+  const paidAmount = round2((gatewayOrder.paidAmount || 0) + captured);
+  const covered = paidAmount >= round2(gatewayOrder.amount);
+  let remaining = captured;
+
+  for (const [index, line] of gatewayOrder.lines.entries()) {
+    const isLast = index === gatewayOrder.lines.length - 1;
+    // The last line of a covered order also takes any overpayment
+    const open = round2(line.amount - (line.paidAmount || 0));
+    const amount = isLast && covered ? remaining : Math.min(open, remaining);
+    if (amount <= 0) {
+      continue;
+    }
+    remaining = round2(remaining - amount);
+    line.paidAmount = round2((line.paidAmount || 0) + amount);
+
+    const [record] = await Payment.create([{
+      dealer: gatewayOrder.dealer,
+      dealerRequest: line.dealerRequest,
+      type: 'payment',
+      amount,
+      paymentMethod: 'gateway',
+      status: 'completed',
+      gatewayOrder: gatewayOrder._id,
+      gatewayPaymentId: payment.gatewayPaymentId,
+      notes: `Paid online (${method}) - gateway payment ${payment.gatewayPaymentId}`,
+      processedAt: now,
+      transactionDate: now,
+    }], { session });
+    await postPaymentEntry(record, null, session);
+    await allocateOnCompletion(record, null, session);
+    gatewayOrder.payments.push(record._id);
+  }
+
+  if (covered) {
+    for (const line of gatewayOrder.lines) {
+      // Loaded after the allocation, which saves approved requests itself
+      const request = await DealerRequest.findById(line.dealerRequest).session(session);
+      if (request && request.status === 'pending' && request.paymentStatus !== 'verified') {
+        request.paymentStatus = 'verified';
+        request.paymentVerifiedBy = null;
+        request.paymentVerifiedAt = now;
+        request.paymentNotes = `Paid online: ₹${line.paidAmount} (${method}, gateway payment ${payment.gatewayPaymentId})`;
+        await request.save({ session });
+      }
+    }
+  }
+
+  await syncDealerCredit(gatewayOrder.dealer, null, session);
+
+  gatewayOrder.status = covered ? 'paid' : 'partially_paid';
+  gatewayOrder.paidAmount = paidAmount;
+  gatewayOrder.gatewayPaymentId = payment.gatewayPaymentId;
+  gatewayOrder.paymentMethod = payment.method || null;
+  gatewayOrder.paidAt = covered ? now : null;
+  gatewayOrder.failureReason = null;
+  await gatewayOrder.save({ session });
+}
+
+/**
+ * Apply what a gateway report says about a payment to its order and record
+ * the event. Must run inside a transaction.
+ * @param {Object} report - { gateway, eventId, event, payload, ...normalised payment }
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { outcome, message, gatewayOrder }
+ */
+async function applyGatewayEvent(report, session) {
+  const gatewayOrder = report.gatewayOrderId
+    ? await GatewayOrder.findOne({ gatewayOrderId: report.gatewayOrderId }).session(session)
+    : null;
+
+  let outcome = 'ignored';
+  let message;
+  if (!gatewayOrder) {
+    message = 'No gateway order for this event';
+  } else if (report.status === 'captured') {
+    const recorded = await Payment.exists({ gatewayOrder: gatewayOrder._id, gatewayPaymentId: report.gatewayPaymentId })
+      .session(session);
+    if (recorded) {
+      message = 'Payment already recorded';
+    } else if (gatewayOrder.status !== 'paid') {
+      await markOrderPaid(gatewayOrder, report, session);
+      outcome = 'processed';
+      message = gatewayOrder.status === 'paid'
+        ? `Order paid by ${report.gatewayPaymentId}`
+        : `Order part-paid by ${report.gatewayPaymentId}: ₹${gatewayOrder.paidAmount} of ₹${gatewayOrder.amount}`;
+    } else if (gatewayOrder.extraPayments.some(extra => extra.gatewayPaymentId === report.gatewayPaymentId)) {
+      message = 'Extra payment already recorded';
+    } else {
+      gatewayOrder.extraPayments.push({
+        gatewayPaymentId: report.gatewayPaymentId,
+        amount: report.amount,
+        receivedAt: new Date(),
+      });
+      await gatewayOrder.save({ session });
+      outcome = 'processed';
+      message = `Order was already paid by ${gatewayOrder.gatewayPaymentId}; ${report.gatewayPaymentId} is to be refunded`;
+    }
+  } else if (report.status === 'authorized') {
+    if (gatewayOrder.status === 'created' || gatewayOrder.status === 'failed') {
+      gatewayOrder.status = 'attempted';
+      await gatewayOrder.save({ session });
+      outcome = 'processed';
+      message = 'Payment authorized, waiting for capture';
+    } else {
+      message = `Order is already ${gatewayOrder.status}`;
+    }
+  } else if (report.status === 'failed') {
+    if (gatewayOrder.status !== 'paid' && gatewayOrder.status !== 'partially_paid') {
+      gatewayOrder.status = 'failed';
+      gatewayOrder.failureReason = report.errorDescription || 'Payment failed';
+      await gatewayOrder.save({ session });
+      outcome = 'processed';
+      message = gatewayOrder.failureReason;
+    } else {
+      message = `Order is already ${gatewayOrder.status}`;
+    }
+  } else {
+    message = `Nothing to do for payment status ${report.status || 'unknown'}`;
+  }
+
+  await GatewayEvent.create([{
+    gateway: report.gateway,
+    eventId: report.eventId,
+    event: report.event,
+    gatewayOrderId: report.gatewayOrderId || null,
+    gatewayPaymentId: report.gatewayPaymentId || null,
+    outcome,
+    message,
+    payload: report.payload || null,
+  }], { session });
+
+  return { outcome, message, gatewayOrder };
+}
+
+/**
+ * Process a gateway report once. A report whose event ID was processed
+ * before (or concurrently) is reported as a duplicate.
+ * @param {Object} report - See applyGatewayEvent
+ * @returns {Promise<Object>} - { outcome, message, duplicate, gatewayOrder }
+ */
+async function processGatewayEvent(report) {
+  const duplicate = { outcome: 'ignored', message: 'Event already processed', duplicate: true, gatewayOrder: null };
+  if (await GatewayEvent.exists({ eventId: report.eventId })) {
+    return duplicate;
+  }
+
+  try {
+    const result = await runInTransaction(
+      session => applyGatewayEvent(report, session),
+      { label: `gateway event ${report.eventId}` }
+    );
+    return { ...result, duplicate: false };
+  } catch (error) {
+    // Processed concurrently by another delivery
+    if (error.code === 11000) {
+      return duplicate;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Confirm a payment the app reports after checkout
+ * @param {Object} details - { gatewayOrderId, gatewayPaymentId, signature }
+ * @param {ObjectId} dealerId - Dealer reporting the payment
+ * @returns {Promise<Object>} - { outcome, message, duplicate, gatewayOrder }
+ */
+async function verifyCheckout({ gatewayOrderId, gatewayPaymentId, signature }, dealerId) {
+  const provider = getPaymentGateway();
+  if (!gatewayOrderId || !gatewayPaymentId || !signature) {
+    throw createGatewayError({ code: 'BAD_REQUEST', message: 'Order ID, payment ID and signature are required', status: 400 });
+  }
+
+  const gatewayOrder = await GatewayOrder.findOne({ gatewayOrderId });
+  if (!gatewayOrder) {
+    throw createGatewayError({ code: 'NOT_FOUND', message: 'Gateway order not found', status: 404 });
+  }
+  if (gatewayOrder.dealer.toString() !== dealerId.toString()) {
+    throw createGatewayError({ code: 'FORBIDDEN', message: 'Access denied. You can only confirm your own payments.', status: 403 });
+  }
+  if (!provider.verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature })) {
+    throw createGatewayError({ code: 'INVALID_SIGNATURE', message: 'Payment signature is invalid', status: 400 });
+  }
+
+  const payment = await provider.fetchPayment(gatewayPaymentId);
+  if (payment.gatewayOrderId !== gatewayOrderId) {
+    throw createGatewayError({ code: 'ORDER_MISMATCH', message: 'Payment does not belong to this order', status: 400 });
+  }
+
+  const result = await processGatewayEvent({
+    ...payment,
+    gateway: provider.name,
+    eventId: `checkout:${gatewayPaymentId}`,
+    event: 'checkout.success',
+    payload: { gatewayOrderId, gatewayPaymentId },
+  });
+  return { ...result, gatewayOrder: await GatewayOrder.findById(gatewayOrder._id) };
+}
+
+/**
+ * Handle a webhook delivery
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - Signature header
+ * @param {string} eventId - Event ID header (default: hash of the body, which retries repeat)
+ * @returns {Promise<Object>} - { outcome, message, duplicate }
+ */
+async function handleWebhook(rawBody, signature, eventId) {
+  const provider = getPaymentGateway();
+  if (!rawBody || !provider.verifyWebhookSignature(rawBody, signature)) {
+    throw createGatewayError({ code: 'INVALID_SIGNATURE', message: 'Webhook signature is invalid', status: 400 });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw createGatewayError({ code: 'BAD_REQUEST', message: 'Webhook body is not valid JSON', status: 400 });
+  }
+
+  const report = provider.parseWebhook(body);
+  const result = await processGatewayEvent({
+    ...report,
+    gateway: provider.name,
+    eventId: eventId || crypto.createHash('sha256').update(rawBody).digest('hex'),
+    payload: body,
+  });
+  return { outcome: result.outcome, message: result.message, duplicate: result.duplicate };
+}
+
+/**
+ * Apply completed gateway payments made against a request before it was
+ * approved to its bill line. Must run inside a transaction.
+ * @param {Object} request - Approved DealerRequest document (saved)
+ * @param {ObjectId} userId - Admin approving the request
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array>} - PaymentAllocations
+ */
+async function allocatePrepayments(request, userId, session) {
+  const prepayments = await Payment.find({
+    dealerRequest: request._id,
+    type: 'payment',
+    status: 'completed',
+    paymentMethod: 'gateway',
+  })
+    .sort({ transactionDate: 1 })
+    .session(session);
+
+  const allocations = [];
+  for (const prepayment of prepayments) {
+    allocations.push(...await allocateOnCompletion(prepayment, userId, session));
+  }
+  return allocations;
+}
+
+module.exports = {
+  PAYABLE_STATUSES,
+  getPaymentGateway,
+  getGatewayLines,
+  createGatewayOrder,
+  processGatewayEvent,
+  verifyCheckout,
+  handleWebhook,
+  allocatePrepayments,
+};
@@ -0,0 +1,220 @@
+/**
+ * Razorpay Payment Gateway Provider
+ *
+ * Standard checkout flow:
+ * 1. An order is created with the Orders API (amount in paise, auto capture).
+ * 2. The dealer's app opens Razorpay Checkout with the key ID and order ID; on
+ *    success checkout hands back razorpay_payment_id and razorpay_signature,
+ *    HMAC-SHA256 of "<order ID>|<payment ID>" keyed with the key secret.
+ * 3. Razorpay posts webhooks (payment.authorized, payment.captured,
+ *    payment.failed, order.paid) signed in X-Razorpay-Signature with
+ *    HMAC-SHA256 of the raw body keyed with the webhook secret, and
+ *    identified by X-Razorpay-Event-Id (retries repeat the same ID).
+ *
+ * Configuration (env):
+ *   RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET,
+ *   RAZORPAY_API_URL (default https://api.razorpay.com/v1),
+ *   RAZORPAY_TIMEOUT_MS (default 15000)
+ */
+
+const { createGatewayError, hmacSha256Hex, signaturesMatch } = require('./errors');
+
+const DEFAULT_API_URL = 'https://api.razorpay.com/v1';
+
+/**
+ * Read provider configuration from the environment
+ * @param {Array<string>} required - Settings the caller needs
+ * @returns {Object}
+ */
+function getConfig(required = ['keyId', 'keySecret']) {
+  const config = {
+    baseUrl: (process.env.RAZORPAY_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    timeoutMs: parseInt(process.env.RAZORPAY_TIMEOUT_MS) || 15000,
+  };
+
+  const missing = required.filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw createGatewayError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Razorpay is missing configuration: ${missing.join(', ')}`,
+      status: 500,
+    });
+  }
+  return config;
+}
+
+/**
+ * Send a request to the Razorpay API
+ * @param {Object} config - Provider configuration
+ * @param {string} method - GET or POST
+ * @param {string} path - API path
+ * @param {Object} body - JSON body (POST only)
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+async function requestJson(config, method, path, body) {
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${config.keyId}:${config.keySecret}`).toString('base64')}`,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(config.timeoutMs),
+    });
+  } catch (error) {
+    throw createGatewayError({
+      code: 'NETWORK_ERROR',
+      message: `Could not reach the payment gateway: ${error.message}`,
+      status: 504,
+      retryable: true,
+    });
+  }
+
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw createGatewayError({
+      code: `HTTP_${response.status}`,
+      message: `Unexpected response from the payment gateway (HTTP ${response.status})`,
+      retryable: response.status >= 500,
+      response: { httpStatus: response.status, body: text.slice(0, 2000) },
+    });
+  }
+
+  if (!response.ok) {
+    const error = data.error || {};
+    throw createGatewayError({
+      code: error.code || `HTTP_${response.status}`,
+      message: error.description || `Payment gateway rejected the request (HTTP ${response.status})`,
+      status: response.status >= 500 ? 502 : 400,
+      retryable: response.status >= 500,
+      response: data,
+    });
+  }
+  return data;
+}
+
+/**
+ * Normalise a Razorpay payment entity (amounts in rupees)
+ * @param {Object} entity - Payment entity
+ * @returns {Object} - { gatewayPaymentId, gatewayOrderId, amount, currency, status, method, errorDescription }
+ */
+function normalizePayment(entity) {
+  return {
+    gatewayPaymentId: entity.id || null,
+    gatewayOrderId: entity.order_id || null,
+    amount: Math.round(Number(entity.amount) || 0) / 100,
+    currency: entity.currency || 'INR',
+    status: entity.status || null,
+    method: entity.method || null,
+    errorDescription: entity.error_description || null,
+  };
+}
+
+/**
+ * Create a gateway order
+ * @param {Object} details - Order details
+ * @param {number} details.amount - Amount in rupees
+ * @param {string} details.currency - Currency (INR)
+ * @param {string} details.receipt - Our reference (up to 40 characters)
+ * @param {Object} details.notes - Key/value notes shown on the Razorpay dashboard
+ * @returns {Promise<Object>} - { gatewayOrderId, amount, currency, status }
+ */
+async function createOrder({ amount, currency, receipt, notes }) {
+  const config = getConfig();
+  const order = await requestJson(config, 'POST', '/orders', {
+    amount: Math.round(amount * 100),
+    currency,
+    receipt,
+    notes,
+    payment_capture: 1,
+  });
+  return {
+    gatewayOrderId: order.id,
+    amount: order.amount / 100,
+    currency: order.currency,
+    status: order.status,
+  };
+}
+
+/**
+ * Fetch a payment
+ * @param {string} gatewayPaymentId - Payment ID
+ * @returns {Promise<Object>} - Normalised payment
+ */
+async function fetchPayment(gatewayPaymentId) {
+  const config = getConfig();
+  const payment = await requestJson(config, 'GET', `/payments/${encodeURIComponent(gatewayPaymentId)}`);
+  return normalizePayment(payment);
+}
+
+/**
+ * Options the app passes to Razorpay Checkout
+ * @param {Object} gatewayOrder - GatewayOrder
+ * @returns {Object}
+ */
+function getCheckoutOptions(gatewayOrder) {
+  const config = getConfig(['keyId']);
+  return {
+    key: config.keyId,
+    order_id: gatewayOrder.gatewayOrderId,
+    amount: Math.round(gatewayOrder.amount * 100),
+    currency: gatewayOrder.currency,
+  };
+}
+
+/**
+ * Verify the signature checkout returns on success
+ * @param {Object} details - { gatewayOrderId, gatewayPaymentId, signature }
+ * @returns {boolean}
+ */
+function verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) {
+  const config = getConfig(['keySecret']);
+  return signaturesMatch(hmacSha256Hex(`${gatewayOrderId}|${gatewayPaymentId}`, config.keySecret), signature);
+}
+
+/**
+ * Verify a webhook signature
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - X-Razorpay-Signature
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  const config = getConfig(['webhookSecret']);
+  return signaturesMatch(hmacSha256Hex(rawBody, config.webhookSecret), signature);
+}
+
+/**
+ * Read what a webhook reports
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object} - { event, ...normalised payment } (payment fields null for events without one)
+ */
+function parseWebhook(body) {
+  const payload = body.payload || {};
+  const entity = (payload.payment && payload.payment.entity) || {};
+  const order = (payload.order && payload.order.entity) || {};
+  const payment = normalizePayment(entity);
+  return {
+    event: body.event || 'unknown',
+    ...payment,
+    gatewayOrderId: payment.gatewayOrderId || order.id || null,
+  };
+}
+
+module.exports = {
+  name: 'razorpay',
+  createOrder,
+  fetchPayment,
+  getCheckoutOptions,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  parseWebhook,
+  normalizePayment,
+};
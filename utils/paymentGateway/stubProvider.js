@@ -0,0 +1,218 @@
+/**
+ * Stub Payment Gateway Provider
+ *
+ * Local gateway for development and testing that speaks the Razorpay formats
+ * (IDs, checkout signature, webhook body and signature) without calling out.
+ * Orders and payments live in this process only. simulateCheckout stands in
+ * for the dealer paying at checkout: it records a captured (or failed) payment
+ * and returns what checkout would hand the app plus the signed webhooks the
+ * gateway would post, so the whole flow - including duplicate and out of order
+ * delivery - can be replayed against the real endpoints.
+ *
+ * Configuration (env, optional):
+ *   PAYMENT_GATEWAY_STUB_KEY_SECRET, PAYMENT_GATEWAY_STUB_WEBHOOK_SECRET
+ *   (default: random secrets generated per process, so signatures can only
+ *   come from simulateCheckout)
+ */
+
+const crypto = require('crypto');
+const { createGatewayError, hmacSha256Hex, signaturesMatch } = require('./errors');
+const { normalizePayment, parseWebhook } = require('./razorpayProvider');
+
+const KEY_ID = 'rzp_stub';
+
+// Used when no stub secrets are configured; never shared outside this process
+const PROCESS_KEY_SECRET = crypto.randomBytes(32).toString('hex');
+const PROCESS_WEBHOOK_SECRET = crypto.randomBytes(32).toString('hex');
+
+// Orders and payments created by this process, by ID (Razorpay entity format)
+const orders = new Map();
+const payments = new Map();
+
+/**
+ * Secrets the stub signs with
+ * @returns {Object} - { keySecret, webhookSecret }
+ */
+function getSecrets() {
+  return {
+    keySecret: process.env.PAYMENT_GATEWAY_STUB_KEY_SECRET || PROCESS_KEY_SECRET,
+    webhookSecret: process.env.PAYMENT_GATEWAY_STUB_WEBHOOK_SECRET || PROCESS_WEBHOOK_SECRET,
+  };
+}
+
+/**
+ * Generate a Razorpay-style ID
+ * @param {string} prefix - order | pay | evt
+ * @returns {string}
+ */
+function generateId(prefix) {
+  return `${prefix}_STUB${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Create a gateway order
+ * @param {Object} details - { amount (rupees), currency, receipt, notes }
+ * @returns {Promise<Object>} - { gatewayOrderId, amount, currency, status }
+ */
+async function createOrder({ amount, currency, receipt, notes }) {
+  const order = {
+    id: generateId('order'),
+    entity: 'order',
+    amount: Math.round(amount * 100),
+    amount_paid: 0,
+    currency,
+    receipt,
+    notes: notes || {},
+    status: 'created',
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  orders.set(order.id, order);
+  return { gatewayOrderId: order.id, amount, currency, status: order.status };
+}
+
+/**
+ * Fetch a payment
+ * @param {string} gatewayPaymentId - Payment ID
+ * @returns {Promise<Object>} - Normalised payment
+ */
+async function fetchPayment(gatewayPaymentId) {
+  const payment = payments.get(gatewayPaymentId);
+  if (!payment) {
+    throw createGatewayError({
+      code: 'BAD_REQUEST_ERROR',
+      message: 'The id provided does not exist',
+      status: 400,
+    });
+  }
+  return normalizePayment(payment);
+}
+
+/**
+ * Options the app passes to checkout
+ * @param {Object} gatewayOrder - GatewayOrder
+ * @returns {Object}
+ */
+function getCheckoutOptions(gatewayOrder) {
+  return {
+    key: KEY_ID,
+    order_id: gatewayOrder.gatewayOrderId,
+    amount: Math.round(gatewayOrder.amount * 100),
+    currency: gatewayOrder.currency,
+  };
+}
+
+/**
+ * Verify the signature checkout returns on success
+ * @param {Object} details - { gatewayOrderId, gatewayPaymentId, signature }
+ * @returns {boolean}
+ */
+function verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) {
+  return signaturesMatch(hmacSha256Hex(`${gatewayOrderId}|${gatewayPaymentId}`, getSecrets().keySecret), signature);
+}
+
+/**
+ * Verify a webhook signature
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - Signature header
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  return signaturesMatch(hmacSha256Hex(rawBody, getSecrets().webhookSecret), signature);
+}
+
+/**
+ * Build a signed webhook delivery
+ * @param {string} event - Event name
+ * @param {Object} payment - Payment entity
+ * @param {Object} order - Order entity (order.paid only)
+ * @returns {Object} - { eventId, body (raw JSON string), signature }
+ */
+function buildWebhook(event, payment, order = null) {
+  const payload = { payment: { entity: payment } };
+  if (order) {
+    payload.order = { entity: order };
+  }
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_STUB',
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: Math.floor(Date.now() / 1000),
+  });
+  return {
+    eventId: generateId('evt'),
+    body,
+    signature: hmacSha256Hex(body, getSecrets().webhookSecret),
+  };
+}
+
+/**
+ * Pay (or fail to pay) an order as the dealer would at checkout
+ * @param {string} gatewayOrderId - Order ID
+ * @param {Object} options - Options
+ * @param {boolean} options.fail - Decline the payment (default: false)
+ * @param {string} options.method - upi | card | netbanking | wallet (default: upi)
+ * @returns {Object} - { checkout (success only), webhooks: [{ eventId, body, signature }] }
+ */
+function simulateCheckout(gatewayOrderId, options = {}) {
+  const order = orders.get(gatewayOrderId);
+  if (!order) {
+    throw createGatewayError({
+      code: 'BAD_REQUEST_ERROR',
+      message: 'The id provided does not exist',
+      status: 400,
+    });
+  }
+  if (order.status === 'paid' && !options.fail) {
+    throw createGatewayError({
+      code: 'BAD_REQUEST_ERROR',
+      message: 'Order has already been paid',
+      status: 400,
+    });
+  }
+
+  const payment = {
+    id: generateId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    order_id: order.id,
+    method: options.method || 'upi',
+    status: options.fail ? 'failed' : 'captured',
+    captured: !options.fail,
+    error_description: options.fail ? 'Payment was declined by the payer bank' : null,
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  payments.set(payment.id, payment);
+  order.status = 'attempted';
+
+  if (options.fail) {
+    return { checkout: null, webhooks: [buildWebhook('payment.failed', payment)] };
+  }
+
+  order.status = 'paid';
+  order.amount_paid = order.amount;
+  return {
+    checkout: {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: hmacSha256Hex(`${order.id}|${payment.id}`, getSecrets().keySecret),
+    },
+    webhooks: [
+      buildWebhook('payment.captured', payment),
+      buildWebhook('order.paid', payment, order),
+    ],
+  };
+}
+
+module.exports = {
+  name: 'stub',
+  createOrder,
+  fetchPayment,
+  getCheckoutOptions,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  parseWebhook,
+  simulateCheckout,
+};
@@ -0,0 +1,172 @@
+/**
+ * PDF Fonts
+ *
+ * PDFKit's built-in fonts (Helvetica) only cover Latin text, so Gujarati
+ * product titles and labels need an embedded Unicode font. The Gujarati font
+ * is taken from PDF_FONT_GUJARATI / PDF_FONT_GUJARATI_BOLD, else the bundled
+ * Noto Sans Gujarati in assets/fonts (NotoSansGujarati-Regular.ttf /
+ * NotoSansGujarati-Bold.ttf, SIL Open Font License).
+ * PDFKit shapes Gujarati (conjuncts, vowel signs) through fontkit once the text
+ * is drawn with that font.
+ *
+ * Text is drawn with the Gujarati font only when it contains Gujarati
+ * characters, so numbers, amounts and English text keep using Helvetica.
+ *
+ * Bills are rendered in one of three languages:
+ * - en: English
+ * - gu: Gujarati labels and product titles
+ * - bilingual: English with a Gujarati line under headings and product titles
+ * Gujarati and bilingual bills are refused (503) when the Gujarati font cannot
+ * be loaded, rather than quietly rendered in English.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLanguage } = require('../middleware/translateMessages');
+const { statusError } = require('./common');
+
+// Bundled font location
+const FONT_DIR = path.join(__dirname, '..', 'assets', 'fonts');
+
+// Gujarati block of Unicode
+const GUJARATI_TEXT = /[\u0A80-\u0AFF]/;
+
+// Gujarati words and phrases inside mixed text
+const GUJARATI_RUNS = /([\u0A80-\u0AFF]+(?:[\s.,()/-]+[\u0A80-\u0AFF]+)*)/;
+
+// Languages a bill can be rendered in
+const PDF_LANGUAGES = ['en', 'gu', 'bilingual'];
+
+// Font files, read once
+let gujaratiFonts;
+
+/**
+ * Load the Gujarati font files
+ * @returns {Object|null} - { regular, bold } font buffers, or null when not installed
+ */
+function getGujaratiFonts() {
+  if (gujaratiFonts !== undefined) {
+    return gujaratiFonts;
+  }
+
+  const regularPath = process.env.PDF_FONT_GUJARATI || path.join(FONT_DIR, 'NotoSansGujarati-Regular.ttf');
+  const boldPath = process.env.PDF_FONT_GUJARATI_BOLD
+    || (process.env.PDF_FONT_GUJARATI ? regularPath : path.join(FONT_DIR, 'NotoSansGujarati-Bold.ttf'));
+
+  try {
+    const regular = fs.readFileSync(regularPath);
+    const bold = fs.existsSync(boldPath) ? fs.readFileSync(boldPath) : regular;
+    gujaratiFonts = { regular, bold };
+  } catch (error) {
+    console.error(`Gujarati PDF font not found (${regularPath}) - Gujarati and bilingual bills cannot be rendered`);
+    gujaratiFonts = null;
+  }
+  return gujaratiFonts;
+}
+
+/**
+ * Whether a Gujarati font is installed
+ * @returns {boolean}
+ */
+function hasGujaratiFont() {
+  return getGujaratiFonts() !== null;
+}
+
+/**
+ * Language a bill is rendered in
+ * @param {string} language - Requested language (en | gu | bilingual)
+ * @returns {string} - en | gu | bilingual (en for unknown languages)
+ * @throws {Error} - 503 when Gujarati is requested and the font cannot be loaded
+ */
+function resolvePdfLanguage(language) {
+  if (!PDF_LANGUAGES.includes(language)) {
+    return 'en';
+  }
+  if (language !== 'en' && !hasGujaratiFont()) {
+    throw statusError(503, 'Gujarati PDF font is not available (check PDF_FONT_GUJARATI or assets/fonts); request the bill in English');
+  }
+  return language;
+}
+
+/**
+ * Requested bill language: ?layout=bilingual (or body layout), else Accept-Language
+ * @param {Object} req - Express request object
+ * @returns {string} - en | gu | bilingual
+ */
+function getPdfLanguage(req) {
+  const layout = req.query?.layout || req.body?.layout;
+  if (layout === 'bilingual') {
+    return 'bilingual';
+  }
+  return getLanguage(req);
+}
+
+/**
+ * Register the Gujarati font on a document
+ * @param {PDFDocument} doc - PDFKit document
+ * @returns {PDFDocument}
+ */
+function registerPdfFonts(doc) {
+  const fonts = getGujaratiFonts();
+  if (fonts) {
+    doc.registerFont('Gujarati', fonts.regular);
+    doc.registerFont('Gujarati-Bold', fonts.bold);
+  }
+  return doc;
+}
+
+/**
+ * Select the font for a piece of text (Gujarati font for Gujarati text)
+ * @param {PDFDocument} doc - PDFKit document (registerPdfFonts called)
+ * @param {string} text - Text about to be drawn
+ * @param {boolean} bold - Bold weight
+ * @returns {PDFDocument}
+ */
+function useFont(doc, text, bold = false) {
+  if (GUJARATI_TEXT.test(String(text)) && hasGujaratiFont()) {
+    return doc.font(bold ? 'Gujarati-Bold' : 'Gujarati');
+  }
+  return doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+}
+
+/**
+ * Draw text that may mix Gujarati and Latin (e.g. a Gujarati label with an
+ * amount), switching fonts between the runs on the same line
+ * @param {PDFDocument} doc - PDFKit document (registerPdfFonts called)
+ * @param {string} text - Text to draw
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {Object} options - PDFKit text options (width, align, ...)
+ * @param {boolean} bold - Bold weight
+ * @returns {PDFDocument}
+ */
+function writeText(doc, text, x, y, options = {}, bold = false) {
+  const value = String(text ?? '');
+  const runs = hasGujaratiFont() ? value.split(GUJARATI_RUNS).filter(Boolean) : [value];
+
+  if (runs.length <= 1) {
+    return useFont(doc, value, bold).text(value, x, y, options);
+  }
+
+  runs.forEach((run, index) => {
+    const continued = index < runs.length - 1;
+    useFont(doc, run, bold);
+    if (index === 0) {
+      doc.text(run, x, y, { ...options, continued });
+    } else {
+      doc.text(run, { continued });
+    }
+  });
+  return doc;
+}
+
+module.exports = {
+  GUJARATI_TEXT,
+  PDF_LANGUAGES,
+  hasGujaratiFont,
+  resolvePdfLanguage,
+  getPdfLanguage,
+  registerPdfFonts,
+  useFont,
+  writeText,
+};
@@ -0,0 +1,28 @@
+/**
+ * Reminder Delivery Errors
+ *
+ * Delivery failures are plain Errors carrying an internal or provider code,
+ * an HTTP status for routes to answer with and the raw response for logging.
+ */
+
+const { statusError } = require('../common');
+
+/**
+ * Create a reminder delivery error
+ * @param {Object} details - Error details
+ * @param {string} details.code - Provider error code, or an internal code
+ * @param {string} details.message - Readable message
+ * @param {number} details.status - HTTP status to answer with (default: 502)
+ * @param {Object} details.response - Response that was received (optional)
+ * @returns {Error}
+ */
+function createReminderError(details) {
+  return statusError(details.status || 502, details.message, {
+    code: details.code,
+    response: details.response || null,
+  });
+}
+
+module.exports = {
+  createReminderError,
+};
@@ -0,0 +1,85 @@
+/**
+ * Fake Reminder Provider
+ *
+ * Delivers SMS, WhatsApp and email reminders to an in-memory outbox instead of
+ * a real provider, for development and testing. The outbox keeps the last
+ * OUTBOX_SIZE messages of this process and can be read through
+ * GET /api/financial/reminders/outbox.
+ *
+ * Channels listed in REMINDER_FAKE_FAIL_CHANNELS (comma separated, e.g. sms)
+ * fail every delivery, to exercise failure handling.
+ */
+
+const crypto = require('crypto');
+const { createReminderError } = require('./errors');
+
+const OUTBOX_SIZE = 500;
+
+const outbox = [];
+
+/**
+ * Channels configured to fail
+ * @returns {Array<string>}
+ */
+function getFailingChannels() {
+  return (process.env.REMINDER_FAKE_FAIL_CHANNELS || '')
+    .split(',')
+    .map(channel => channel.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Deliver a message to the outbox
+ * @param {string} channel - sms, whatsapp or email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} - { providerMessageId }
+ */
+async function send(channel, message) {
+  if (getFailingChannels().includes(channel)) {
+    throw createReminderError({
+      code: 'FAKE_FAILURE',
+      message: `Fake ${channel} delivery failed (REMINDER_FAKE_FAIL_CHANNELS)`,
+    });
+  }
+
+  const providerMessageId = `fake_${crypto.randomBytes(8).toString('hex')}`;
+  outbox.push({
+    providerMessageId,
+    channel,
+    to: message.to,
+    subject: message.subject || null,
+    text: message.text,
+    sentAt: new Date(),
+  });
+  if (outbox.length > OUTBOX_SIZE) {
+    outbox.splice(0, outbox.length - OUTBOX_SIZE);
+  }
+
+  console.log(`📨 [fake ${channel}] ${message.to}: ${message.subject || message.text.slice(0, 60)}`);
+  return { providerMessageId };
+}
+
+/**
+ * Messages in the outbox, newest first
+ * @param {string} channel - Only this channel (optional)
+ * @returns {Array<Object>}
+ */
+function getOutbox(channel = null) {
+  return outbox
+    .filter(message => !channel || message.channel === channel)
+    .reverse();
+}
+
+/**
+ * Empty the outbox
+ */
+function clearOutbox() {
+  outbox.length = 0;
+}
+
+module.exports = {
+  name: 'fake',
+  send,
+  getOutbox,
+  clearOutbox,
+};
@@ -0,0 +1,505 @@
+/**
+ * Payment Reminders
+ *
+ * Reminds dealers of overdue bills following the dunning rules in
+ * AdminSettings (reminderRules): a bill is overdue from its approval date, the
+ * same basis as the ageing report, and reaches a rule's stage once it is
+ * daysOverdue days old. Each stage is sent once per bill. A dealer with a bill
+ * at a stage not yet sent gets one reminder about all their overdue bills,
+ * using the template and channels of the highest stage reached.
+ *
+ * Reminders are written in the dealer's preferred language (DealerProfile)
+ * from the paymentReminders templates in translations/, and delivered through:
+ * - in_app   : a Message addressed to the dealer
+ * - sms      : REMINDER_SMS_PROVIDER (fake, twilio)
+ * - whatsapp : REMINDER_WHATSAPP_PROVIDER (fake, twilio)
+ * - email    : REMINDER_EMAIL_PROVIDER (fake, sendgrid)
+ *
+ * Every delivery is logged in PaymentReminder. A reminder with no successful
+ * delivery is retried on later runs, up to MAX_ATTEMPTS times.
+ */
+
+const mongoose = require('mongoose');
+const AdminSettings = require('../../models/AdminSettings');
+const DealerProfile = require('../../models/DealerProfile');
+const Message = require('../../models/Message');
+const PaymentReminder = require('../../models/PaymentReminder');
+const User = require('../../models/User');
+const fakeProvider = require('./fakeProvider');
+const sendgridProvider = require('./sendgridProvider');
+const twilioProvider = require('./twilioProvider');
+const { createReminderError } = require('./errors');
+const { getOpenInvoices } = require('../paymentAllocation');
+const { getSupplierDetails } = require('../ewayBill');
+const { IST_OFFSET_MS } = require('../ewayBill/dates');
+const { translateMessage } = require('../../middleware/translateMessages');
+
+const CHANNELS = ['in_app', 'sms', 'whatsapp', 'email'];
+const TEMPLATES = ['gentle', 'firm', 'final'];
+
+// Providers available per external channel
+const PROVIDERS = {
+  sms: { fake: fakeProvider, twilio: twilioProvider },
+  whatsapp: { fake: fakeProvider, twilio: twilioProvider },
+  email: { fake: fakeProvider, sendgrid: sendgridProvider },
+};
+
+// Reminders with no successful delivery are given up after this many runs
+const MAX_ATTEMPTS = 3;
+
+// Invoice numbers listed in a reminder before "+N more"
+const MAX_LISTED_INVOICES = 5;
+
+// How often reminders are checked (minutes)
+const REMINDER_SWEEP_MINUTES = parseInt(process.env.PAYMENT_REMINDER_SWEEP_MINUTES) || 60;
+
+let reminderTimer = null;
+
+/**
+ * Get the configured provider of an external channel
+ * @param {string} channel - sms, whatsapp or email
+ * @returns {Object} - Provider with name and send
+ */
+function getChannelProvider(channel) {
+  const envKey = `REMINDER_${channel.toUpperCase()}_PROVIDER`;
+  const name = (process.env[envKey] || 'fake').toLowerCase();
+  const provider = PROVIDERS[channel] && PROVIDERS[channel][name];
+  if (!provider) {
+    throw createReminderError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Unknown ${channel} reminder provider "${name}" (${envKey})`,
+      status: 500,
+    });
+  }
+  return provider;
+}
+
+/**
+ * Provider name of every channel, for display
+ * @returns {Object} - { in_app, sms, whatsapp, email }
+ */
+function getChannelProviders() {
+  const providers = { in_app: 'in_app' };
+  for (const channel of Object.keys(PROVIDERS)) {
+    try {
+      providers[channel] = getChannelProvider(channel).name;
+    } catch (error) {
+      providers[channel] = null;
+    }
+  }
+  return providers;
+}
+
+/**
+ * Validate and normalise dunning rules
+ * @param {Array} rules - [{ daysOverdue, template, channels }]
+ * @returns {Array} - Rules sorted by daysOverdue
+ */
+function validateReminderRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw createReminderError({ code: 'INVALID_RULES', message: 'Rules must be an array', status: 400 });
+  }
+
+  const normalized = rules.map((rule, index) => {
+    const daysOverdue = Number(rule && rule.daysOverdue);
+    if (!Number.isInteger(daysOverdue) || daysOverdue < 1 || daysOverdue > 365) {
+      throw createReminderError({
+        code: 'INVALID_RULES',
+        message: `Rule ${index + 1}: daysOverdue must be a whole number of days between 1 and 365`,
+        status: 400,
+      });
+    }
+    const template = rule.template || 'gentle';
+    if (!TEMPLATES.includes(template)) {
+      throw createReminderError({
+        code: 'INVALID_RULES',
+        message: `Rule ${index + 1}: template must be one of ${TEMPLATES.join(', ')}`,
+        status: 400,
+      });
+    }
+    const channels = [...new Set(rule.channels || ['in_app'])];
+    if (channels.length === 0 || channels.some(channel => !CHANNELS.includes(channel))) {
+      throw createReminderError({
+        code: 'INVALID_RULES',
+        message: `Rule ${index + 1}: channels must be one or more of ${CHANNELS.join(', ')}`,
+        status: 400,
+      });
+    }
+    return { daysOverdue, template, channels };
+  });
+
+  const days = normalized.map(rule => rule.daysOverdue);
+  if (new Set(days).size !== days.length) {
+    throw createReminderError({ code: 'INVALID_RULES', message: 'Each rule needs a different daysOverdue', status: 400 });
+  }
+  return normalized.sort((a, b) => a.daysOverdue - b.daysOverdue);
+}
+
+/**
+ * Highest rule a bill of this age has reached
+ * @param {Array} rules - Rules sorted by daysOverdue
+ * @param {number} ageDays - Days since approval
+ * @returns {Object|null}
+ */
+function getReachedRule(rules, ageDays) {
+  let reached = null;
+  for (const rule of rules) {
+    if (ageDays >= rule.daysOverdue) {
+      reached = rule;
+    }
+  }
+  return reached;
+}
+
+/**
+ * Normalise a phone number to E.164 (10-digit numbers are taken as Indian)
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null}
+ */
+function normalizePhone(phone) {
+  if (!phone) {
+    return null;
+  }
+  const digits = String(phone).replace(/\D/g, '');
+  if (String(phone).trim().startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+  if (digits.length === 10) {
+    return `+91${digits}`;
+  }
+  if (digits.length === 11 && digits.startsWith('0')) {
+    return `+91${digits.slice(1)}`;
+  }
+  if (digits.length === 12 && digits.startsWith('91')) {
+    return `+${digits}`;
+  }
+  return null;
+}
+
+/**
+ * Address of a dealer on a channel
+ * @param {string} channel - in_app, sms, whatsapp or email
+ * @param {Object} dealer - User
+ * @param {Object} profile - DealerProfile (optional)
+ * @returns {string|null}
+ */
+function getRecipientAddress(channel, dealer, profile) {
+  if (channel === 'in_app') {
+    return dealer._id.toString();
+  }
+  if (channel === 'email') {
+    return (profile && (profile.personalEmail || profile.companyEmail)) || dealer.email || null;
+  }
+  return normalizePhone(profile && profile.personalPhone) || normalizePhone(profile && profile.companyPhone);
+}
+
+/**
+ * Fill {placeholders} in a template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * Render a reminder in a language
+ * @param {string} language - en or gu
+ * @param {string} template - gentle, firm or final
+ * @param {Object} details - { name, bills, amount }
+ * @returns {Object} - { title, body }
+ */
+function renderReminder(language, template, details) {
+  const numbers = details.bills.map(bill =>
+    bill.invoiceNumber || translateMessage(language, 'paymentReminders.noInvoiceNumber', 'unnumbered')
+  );
+  let invoices = numbers.slice(0, MAX_LISTED_INVOICES).join(', ');
+  if (numbers.length > MAX_LISTED_INVOICES) {
+    invoices += ` ${fillTemplate(translateMessage(language, 'paymentReminders.more', '+{count} more'), {
+      count: numbers.length - MAX_LISTED_INVOICES,
+    })}`;
+  }
+
+  const values = {
+    name: details.name,
+    amount: `₹${details.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+    count: details.bills.length,
+    days: Math.max(...details.bills.map(bill => bill.ageDays)),
+    invoices,
+    company: getSupplierDetails().name,
+  };
+
+  return {
+    title: fillTemplate(translateMessage(language, `paymentReminders.${template}.title`, 'Payment reminder'), values),
+    body: fillTemplate(translateMessage(language, `paymentReminders.${template}.body`, 'Dear {name}, {amount} is due on {count} bill(s). - {company}'), values),
+  };
+}
+
+/**
+ * Deliver a reminder on one channel
+ * @param {string} channel - in_app, sms, whatsapp or email
+ * @param {Object} dealer - User
+ * @param {string} address - Recipient address
+ * @param {Object} content - { title, body }
+ * @returns {Promise<Object>} - { provider, providerMessageId, message }
+ */
+async function deliver(channel, dealer, address, content) {
+  if (channel === 'in_app') {
+    const recipientRole = ['dellear', 'stalkist', 'salesman'].includes(dealer.role) ? dealer.role : 'dellear';
+    const message = await Message.create({
+      sender: null,
+      title: content.title,
+      content: content.body,
+      recipients: [dealer._id],
+      recipientRoles: [recipientRole],
+      sendToAll: false,
+      category: 'payment_reminder',
+    });
+    return { provider: 'in_app', providerMessageId: null, message: message._id };
+  }
+
+  const provider = getChannelProvider(channel);
+  const result = await provider.send(channel, {
+    to: address,
+    subject: content.title,
+    text: channel === 'email' ? content.body : `${content.title}: ${content.body}`,
+  });
+  return { provider: provider.name, providerMessageId: result.providerMessageId || null, message: null };
+}
+
+/**
+ * Whether sending is allowed now (scheduled runs only), per
+ * PAYMENT_REMINDER_SEND_HOURS in IST, e.g. 9-19 (default: any time)
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isWithinSendHours(now = new Date()) {
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec((process.env.PAYMENT_REMINDER_SEND_HOURS || '').trim());
+  if (!match) {
+    return true;
+  }
+  const hour = new Date(now.getTime() + IST_OFFSET_MS).getUTCHours();
+  const from = parseInt(match[1]);
+  const to = parseInt(match[2]);
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+/**
+ * Send the reminders that are due
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report what would be sent (default: false)
+ * @param {ObjectId} options.dealer - Only this dealer (optional)
+ * @param {string} options.trigger - scheduled or manual (default: scheduled)
+ * @param {ObjectId} options.userId - Admin running the reminders (manual)
+ * @param {Date} options.asOf - Age bills as of this date (default: now)
+ * @returns {Promise<Object>} - { enabled, dryRun, reminders, summary } (dry runs report deliveries as pending)
+ */
+async function runPaymentReminders(options = {}) {
+  const dryRun = options.dryRun === true;
+  const trigger = options.trigger || 'scheduled';
+  const settings = await AdminSettings.getSettings();
+  const rules = validateReminderRules((settings.reminderRules || []).map(rule => ({
+    daysOverdue: rule.daysOverdue,
+    template: rule.template,
+    channels: [...rule.channels],
+  })));
+
+  const summary = { dealers: 0, reminders: 0, sent: 0, failed: 0, skipped: 0, pending: 0 };
+  if (!settings.remindersEnabled || rules.length === 0) {
+    return { enabled: false, dryRun, reminders: [], summary };
+  }
+
+  const invoices = await getOpenInvoices({ dealer: options.dealer || undefined, asOf: options.asOf });
+  const overdueByDealer = new Map();
+  for (const invoice of invoices) {
+    const rule = getReachedRule(rules, invoice.ageDays);
+    if (!rule) {
+      continue;
+    }
+    const key = invoice.dealer.toString();
+    if (!overdueByDealer.has(key)) {
+      overdueByDealer.set(key, []);
+    }
+    overdueByDealer.get(key).push({ ...invoice, stage: rule.daysOverdue });
+  }
+  summary.dealers = overdueByDealer.size;
+  if (overdueByDealer.size === 0) {
+    return { enabled: true, dryRun, reminders: [], summary };
+  }
+
+  const dealerIds = [...overdueByDealer.keys()];
+  const [dealers, profiles, logs] = await Promise.all([
+    User.find({ _id: { $in: dealerIds } }).select('name email role').lean(),
+    DealerProfile.find({ dealer: { $in: dealerIds } })
+      .select('dealer name personalPhone companyPhone personalEmail companyEmail preferredLanguage')
+      .lean(),
+    PaymentReminder.find({
+      dealer: { $in: dealerIds },
+      'bills.dealerRequest': { $in: invoices.map(invoice => invoice.dealerRequest) },
+    })
+      .select('batch status bills.dealerRequest bills.stage')
+      .lean(),
+  ]);
+  const dealerMap = new Map(dealers.map(dealer => [dealer._id.toString(), dealer]));
+  const profileMap = new Map(profiles.map(profile => [profile.dealer.toString(), profile]));
+
+  // Stages sent per bill, and the reminders that tried to send them
+  const sentStages = new Set();
+  const attempts = new Map();
+  for (const log of logs) {
+    for (const bill of log.bills) {
+      const key = `${bill.dealerRequest}:${bill.stage}`;
+      if (log.status === 'sent') {
+        sentStages.add(key);
+      }
+      if (!attempts.has(key)) {
+        attempts.set(key, new Set());
+      }
+      attempts.get(key).add(log.batch.toString());
+    }
+  }
+
+  const defaultLanguage = process.env.PAYMENT_REMINDER_DEFAULT_LANGUAGE === 'gu' ? 'gu' : 'en';
+  const reminders = [];
+
+  for (const [dealerId, bills] of overdueByDealer) {
+    const dealer = dealerMap.get(dealerId);
+    if (!dealer) {
+      continue;
+    }
+    const due = bills.some(bill => {
+      const key = `${bill.dealerRequest}:${bill.stage}`;
+      return !sentStages.has(key) && (attempts.get(key) || new Set()).size < MAX_ATTEMPTS;
+    });
+    if (!due) {
+      continue;
+    }
+
+    const profile = profileMap.get(dealerId) || null;
+    const stage = Math.max(...bills.map(bill => bill.stage));
+    const rule = rules.find(candidate => candidate.daysOverdue === stage);
+    const language = (profile && profile.preferredLanguage) || defaultLanguage;
+    const amount = Math.round(bills.reduce((sum, bill) => sum + bill.openAmount, 0) * 100) / 100;
+    const content = renderReminder(language, rule.template, {
+      name: (profile && profile.name) || dealer.name,
+      bills,
+      amount,
+    });
+
+    const reminder = {
+      batch: new mongoose.Types.ObjectId(),
+      dealer: dealer._id,
+      stage,
+      template: rule.template,
+      bills: bills.map(bill => ({
+        dealerRequest: bill.dealerRequest,
+        invoiceNumber: bill.invoiceNumber,
+        openAmount: bill.openAmount,
+        ageDays: bill.ageDays,
+        stage: bill.stage,
+      })),
+      amount,
+      language,
+      title: content.title,
+      body: content.body,
+      trigger,
+      triggeredBy: options.userId || null,
+    };
+    const deliveries = [];
+
+    for (const channel of rule.channels) {
+      const address = getRecipientAddress(channel, dealer, profile);
+      const delivery = { channel, recipient: address, status: dryRun ? 'pending' : 'sent', error: null };
+
+      if (!address) {
+        delivery.status = 'skipped';
+        delivery.error = `Dealer has no ${channel === 'email' ? 'email address' : 'valid phone number'}`;
+      } else if (!dryRun) {
+        try {
+          Object.assign(delivery, await deliver(channel, dealer, address, content));
+        } catch (error) {
+          delivery.status = 'failed';
+          delivery.error = error.message;
+          delivery.provider = error.code === 'PROVIDER_NOT_CONFIGURED' ? null : getChannelProviders()[channel];
+          console.error(`Payment reminder ${channel} delivery to ${address} failed:`, error.message);
+        }
+      }
+
+      summary[delivery.status]++;
+      deliveries.push(delivery);
+    }
+
+    if (!dryRun) {
+      await PaymentReminder.insertMany(deliveries.map(delivery => ({
+        ...reminder,
+        channel: delivery.channel,
+        provider: delivery.provider || null,
+        recipient: delivery.recipient,
+        status: delivery.status,
+        error: delivery.error,
+        providerMessageId: delivery.providerMessageId || null,
+        message: delivery.message || null,
+        sentAt: new Date(),
+      })));
+    }
+
+    summary.reminders++;
+    reminders.push({
+      dealer: { id: dealer._id, name: dealer.name, email: dealer.email },
+      stage,
+      template: rule.template,
+      language,
+      amount,
+      bills: reminder.bills,
+      title: content.title,
+      body: content.body,
+      deliveries: deliveries.map(delivery => ({
+        channel: delivery.channel,
+        recipient: delivery.recipient,
+        status: delivery.status,
+        error: delivery.error,
+      })),
+    });
+  }
+
+  return { enabled: true, dryRun, reminders, summary };
+}
+
+/**
+ * Start the periodic reminder run (safe to call more than once)
+ */
+function startPaymentReminderJob() {
+  if (reminderTimer) {
+    return;
+  }
+
+  const sweep = async () => {
+    if (!isWithinSendHours()) {
+      return;
+    }
+    try {
+      const result = await runPaymentReminders({ trigger: 'scheduled' });
+      if (result.summary.reminders > 0) {
+        console.log(`🔔 Sent ${result.summary.reminders} payment reminder(s): ${result.summary.sent} delivered, ${result.summary.failed} failed, ${result.summary.skipped} skipped`);
+      }
+    } catch (error) {
+      console.error('Payment reminder sweep error:', error.message);
+    }
+  };
+
+  sweep();
+  reminderTimer = setInterval(sweep, REMINDER_SWEEP_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  CHANNELS,
+  TEMPLATES,
+  getChannelProvider,
+  getChannelProviders,
+  validateReminderRules,
+  normalizePhone,
+  renderReminder,
+  runPaymentReminders,
+  startPaymentReminderJob,
+};
@@ -0,0 +1,103 @@
+/**
+ * SendGrid Reminder Provider (email)
+ *
+ * Sends plain-text email through the v3 Mail Send API.
+ *
+ * Configuration (env):
+ *   SENDGRID_API_KEY, REMINDER_EMAIL_FROM (sender address),
+ *   REMINDER_EMAIL_FROM_NAME (default: SUPPLIER_NAME),
+ *   SENDGRID_API_URL (default https://api.sendgrid.com/v3),
+ *   SENDGRID_TIMEOUT_MS (default 15000)
+ */
+
+const { createReminderError } = require('./errors');
+
+const DEFAULT_API_URL = 'https://api.sendgrid.com/v3';
+
+/**
+ * Read provider configuration from the environment
+ * @returns {Object}
+ */
+function getConfig() {
+  const config = {
+    baseUrl: (process.env.SENDGRID_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+    apiKey: process.env.SENDGRID_API_KEY,
+    from: process.env.REMINDER_EMAIL_FROM,
+    fromName: process.env.REMINDER_EMAIL_FROM_NAME || process.env.SUPPLIER_NAME || '',
+    timeoutMs: parseInt(process.env.SENDGRID_TIMEOUT_MS) || 15000,
+  };
+
+  const missing = ['apiKey', 'from'].filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw createReminderError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `SendGrid is missing configuration: ${missing.join(', ')}`,
+      status: 500,
+    });
+  }
+  return config;
+}
+
+/**
+ * Send an email
+ * @param {string} channel - email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} - { providerMessageId }
+ */
+async function send(channel, message) {
+  if (channel !== 'email') {
+    throw createReminderError({
+      code: 'UNSUPPORTED_CHANNEL',
+      message: `SendGrid cannot deliver ${channel} reminders`,
+      status: 500,
+    });
+  }
+  const config = getConfig();
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}/mail/send`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.apiKey}`,
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: config.fromName ? { email: config.from, name: config.fromName } : { email: config.from },
+        subject: message.subject,
+        content: [{ type: 'text/plain', value: message.text }],
+      }),
+      signal: AbortSignal.timeout(config.timeoutMs),
+    });
+  } catch (error) {
+    throw createReminderError({
+      code: 'NETWORK_ERROR',
+      message: `Could not reach SendGrid: ${error.message}`,
+      status: 504,
+    });
+  }
+
+  // Accepted mail answers 202 with an empty body
+  if (!response.ok) {
+    const text = await response.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      data = { body: text.slice(0, 2000) };
+    }
+    const first = Array.isArray(data.errors) ? data.errors[0] : null;
+    throw createReminderError({
+      code: `HTTP_${response.status}`,
+      message: (first && first.message) || `SendGrid rejected the email (HTTP ${response.status})`,
+      response: data,
+    });
+  }
+  return { providerMessageId: response.headers.get('x-message-id') || null };
+}
+
+module.exports = {
+  name: 'sendgrid',
+  send,
+};
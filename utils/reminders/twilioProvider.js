@@ -0,0 +1,116 @@
+/**
+ * Twilio Reminder Provider (SMS and WhatsApp)
+ *
+ * Sends through the Programmable Messaging API. WhatsApp uses the same API
+ * with whatsapp: prefixed numbers; business-initiated WhatsApp messages are
+ * only delivered outside a 24-hour session when the sender has them approved
+ * as templates (or in the Twilio sandbox).
+ *
+ * Configuration (env):
+ *   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN,
+ *   TWILIO_SMS_FROM (sender number or messaging service SID, SMS),
+ *   TWILIO_WHATSAPP_FROM (WhatsApp sender number, WhatsApp),
+ *   TWILIO_API_URL (default https://api.twilio.com/2010-04-01),
+ *   TWILIO_TIMEOUT_MS (default 15000)
+ */
+
+const { createReminderError } = require('./errors');
+
+const DEFAULT_API_URL = 'https://api.twilio.com/2010-04-01';
+
+/**
+ * Read provider configuration from the environment
+ * @param {string} channel - sms or whatsapp
+ * @returns {Object}
+ */
+function getConfig(channel) {
+  const config = {
+    baseUrl: (process.env.TWILIO_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM,
+    timeoutMs: parseInt(process.env.TWILIO_TIMEOUT_MS) || 15000,
+  };
+
+  const missing = ['accountSid', 'authToken', 'from'].filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw createReminderError({
+      code: 'PROVIDER_NOT_CONFIGURED',
+      message: `Twilio is missing configuration for ${channel}: ${missing.join(', ')}`,
+      status: 500,
+    });
+  }
+  return config;
+}
+
+/**
+ * Send an SMS or WhatsApp message
+ * @param {string} channel - sms or whatsapp
+ * @param {Object} message - { to (E.164 number), text }
+ * @returns {Promise<Object>} - { providerMessageId }
+ */
+async function send(channel, message) {
+  if (channel !== 'sms' && channel !== 'whatsapp') {
+    throw createReminderError({
+      code: 'UNSUPPORTED_CHANNEL',
+      message: `Twilio cannot deliver ${channel} reminders`,
+      status: 500,
+    });
+  }
+  const config = getConfig(channel);
+
+  const form = new URLSearchParams();
+  if (channel === 'whatsapp') {
+    form.set('To', `whatsapp:${message.to}`);
+    form.set('From', config.from.startsWith('whatsapp:') ? config.from : `whatsapp:${config.from}`);
+  } else {
+    form.set('To', message.to);
+    form.set(config.from.startsWith('MG') ? 'MessagingServiceSid' : 'From', config.from);
+  }
+  form.set('Body', message.text);
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}/Accounts/${config.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${Buffer.from(`${config.accountSid}:${config.authToken}`).toString('base64')}`,
+      },
+      body: form.toString(),
+      signal: AbortSignal.timeout(config.timeoutMs),
+    });
+  } catch (error) {
+    throw createReminderError({
+      code: 'NETWORK_ERROR',
+      message: `Could not reach Twilio: ${error.message}`,
+      status: 504,
+    });
+  }
+
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw createReminderError({
+      code: `HTTP_${response.status}`,
+      message: `Unexpected response from Twilio (HTTP ${response.status})`,
+      response: { httpStatus: response.status, body: text.slice(0, 2000) },
+    });
+  }
+
+  if (!response.ok) {
+    throw createReminderError({
+      code: data.code ? String(data.code) : `HTTP_${response.status}`,
+      message: data.message || `Twilio rejected the message (HTTP ${response.status})`,
+      response: data,
+    });
+  }
+  return { providerMessageId: data.sid || null };
+}
+
+module.exports = {
+  name: 'twilio',
+  send,
+};
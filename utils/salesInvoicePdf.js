@@ -0,0 +1,211 @@
+/**
+ * Salesman Invoice PDF
+ *
+ * Renders the invoice of a salesman bill (all Sale rows sharing an invoiceNo)
+ * on the server with the dealer's invoice template (utils/invoiceTemplates), so
+ * every app version gets the same layout:
+ * - The seller is the dealer, printed with the company details or the personal
+ *   details from the dealer profile depending on the bill's billNameType.
+ * - GST is worked out with the tax engine the same way credit notes on these
+ *   bills are (dealer's own state, so CGST + SGST).
+ * - Labels are printed in English, Gujarati or both (see utils/pdfFonts).
+ *
+ * The rendered file is stored on Cloudinary and its URL saved on the bill.
+ */
+
+const cloudinary = require('../config/cloudinary');
+const Sale = require('../models/Sale');
+const User = require('../models/User');
+const DealerProfile = require('../models/DealerProfile');
+const { calculateInvoiceTax, getPlaceOfSupply, getProductTaxSettings, PRODUCT_TAX_FIELDS } = require('./tax');
+const { getInvoiceTemplate, getProfileBankDetails, renderInvoicePdf } = require('./invoiceTemplates');
+const { statusError, formatDate } = require('./common');
+
+/**
+ * Seller block of the invoice
+ * @param {Object} dealer - Dealer user (name, email)
+ * @param {Object} profile - DealerProfile (lean, may be null)
+ * @param {string} nameType - 'company' | 'personal' | null (null: company when the profile has one)
+ * @returns {Object} - { nameType, name, address, phone, gstin }
+ */
+function getSellerDetails(dealer, profile, nameType) {
+  const useCompany = nameType === 'company' || (!nameType && Boolean(profile?.companyName));
+
+  if (useCompany && profile) {
+    return {
+      nameType: 'company',
+      name: profile.companyName || dealer.name,
+      address: [profile.officeAddress, profile.officeCity, profile.officeState, profile.officePincode].filter(Boolean).join(', '),
+      phone: profile.companyPhone || '',
+      gstin: profile.gstNumber || '',
+    };
+  }
+
+  return {
+    nameType: 'personal',
+    name: profile?.name || dealer.name,
+    address: profile
+      ? [profile.homeAddress, profile.homeCity, profile.homeState, profile.homePincode].filter(Boolean).join(', ')
+      : '',
+    phone: profile?.personalPhone || '',
+    gstin: '',
+  };
+}
+
+/**
+ * Load a salesman bill with everything the invoice prints
+ * @param {Object} filter - Sale filter identifying the bill ({ invoiceNo, salesman } or { invoiceNo, dealer })
+ * @returns {Promise<Object|null>} - { invoiceNo, sales, dealer, profile, salesman, taxBreakup } or null
+ */
+async function loadSalesInvoice(filter) {
+  const sales = await Sale.find(filter)
+    .populate('product', `title packetsPerStrip ${PRODUCT_TAX_FIELDS}`)
+    .populate('salesman', 'name email')
+    .populate('shopkeeper', 'name phone email location')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (sales.length === 0) {
+    return null;
+  }
+
+  const dealerIds = new Set(sales.map(s => s.dealer.toString()));
+  if (dealerIds.size > 1) {
+    throw statusError(409, 'Invoice number matches bills of more than one dealer');
+  }
+
+  const dealerId = sales[0].dealer;
+  const [dealer, profile, place] = await Promise.all([
+    User.findById(dealerId).select('name email').lean(),
+    DealerProfile.findOne({ dealer: dealerId }).lean(),
+    getPlaceOfSupply(dealerId),
+  ]);
+
+  // Salesman bills are local supplies from the dealer's own state
+  const taxBreakup = calculateInvoiceTax(
+    sales.map(sale => ({
+      product: sale.product?._id || null,
+      quantity: sale.quantity,
+      unitPrice: sale.unitPrice,
+      tax: getProductTaxSettings(sale.product || {}),
+    })),
+    place.stateCode,
+    { placeOfSupplySource: place.source, supplierStateCode: place.stateCode }
+  );
+
+  return {
+    invoiceNo: sales[0].invoiceNo,
+    sales,
+    dealer,
+    profile,
+    salesman: sales[0].salesman,
+    taxBreakup,
+  };
+}
+
+/**
+ * Render the invoice of a salesman bill with the template it was issued with
+ * @param {Object} invoice - Loaded bill (loadSalesInvoice)
+ * @param {Object} options - Options
+ * @param {string} options.language - 'en', 'gu' or 'bilingual'
+ * @param {string} options.nameType - Seller name type override (default: the bill's billNameType)
+ * @returns {Promise<Object>} - { buffer, language, nameType }
+ */
+async function renderSalesInvoice(invoice, options = {}) {
+  const { sales, taxBreakup: tax } = invoice;
+  const first = sales[0];
+  const seller = getSellerDetails(invoice.dealer, invoice.profile, options.nameType || first.billNameType);
+
+  const saleDate = new Date(first.saleDate);
+
+  const customer = first.shopkeeper || {};
+  const location = first.location && (first.location.village || first.location.taluka || first.location.district)
+    ? first.location
+    : (customer.location || {});
+
+  const details = [
+    { label: 'invoiceNo', value: invoice.invoiceNo },
+    { label: 'dated', value: formatDate(saleDate) },
+    { label: 'salesman', value: invoice.salesman?.name || '-' },
+    { label: 'paymentMode', valueKey: first.paymentMethod || 'cash' },
+  ];
+  if (first.billStatus !== 'approved') {
+    details.push({ label: 'status', valueKey: 'pending' });
+  }
+
+  const model = {
+    series: 'sales',
+    seller,
+    details,
+    party: {
+      label: 'billTo',
+      name: first.customerName || customer.name || '-',
+      address: [location.village, location.taluka, location.district].filter(Boolean).join(', '),
+      phone: first.customerPhone || customer.phone || '',
+    },
+    lines: sales.map((sale, index) => ({
+      description: typeof sale.product?.title === 'string' ? sale.product.title : (sale.product?.title || ''),
+      hsnCode: tax.lines[index].hsnCode,
+      quantity: sale.quantity,
+      unitPrice: tax.lines[index].unitPrice,
+      amount: tax.lines[index].taxableAmount,
+    })),
+    tax,
+  };
+
+  // Bank details of the built-in layout come from the dealer profile
+  const template = await getInvoiceTemplate(invoice.dealer._id, invoice.invoiceNo)
+    || { bankDetails: await getProfileBankDetails(invoice.dealer._id) };
+
+  const rendered = await renderInvoicePdf(model, { template, language: options.language });
+  return { ...rendered, nameType: seller.nameType };
+}
+
+/**
+ * Store a rendered invoice on Cloudinary (replacing an earlier render)
+ * @param {Buffer} buffer - PDF file
+ * @param {Object} invoice - Loaded bill (loadSalesInvoice)
+ * @param {string} language - Language the file was rendered in
+ * @returns {Promise<string>} - Secure URL of the stored file
+ */
+async function storeSalesInvoicePdf(buffer, invoice, language) {
+  const safeInvoiceNo = invoice.invoiceNo.replace(/[^A-Za-z0-9-]/g, '-');
+  const result = await cloudinary.uploader.upload(`data:application/pdf;base64,${buffer.toString('base64')}`, {
+    folder: 'bills',
+    resource_type: 'raw',
+    public_id: `${invoice.dealer._id}-${safeInvoiceNo}-${language}.pdf`,
+    overwrite: true,
+  });
+  return result.secure_url;
+}
+
+/**
+ * Re-render a bill whose PDF is already stored (e.g. after approval), keeping
+ * its language and name type
+ * @param {Object} filter - Sale filter identifying the bill
+ * @returns {Promise<string|null>} - New URL, or null when no PDF was stored
+ */
+async function refreshStoredSalesInvoicePdf(filter) {
+  const invoice = await loadSalesInvoice(filter);
+  if (!invoice || !invoice.sales[0].billPdfUrl) {
+    return null;
+  }
+
+  const first = invoice.sales[0];
+  const rendered = await renderSalesInvoice(invoice, { language: first.billPdfLanguage || 'en' });
+  const billPdfUrl = await storeSalesInvoicePdf(rendered.buffer, invoice, rendered.language);
+
+  await Sale.updateMany(
+    { _id: { $in: invoice.sales.map(sale => sale._id) } },
+    { billPdfUrl, billPdfLanguage: rendered.language, billPdfGeneratedAt: new Date() }
+  );
+  return billPdfUrl;
+}
+
+module.exports = {
+  getSellerDetails,
+  loadSalesInvoice,
+  renderSalesInvoice,
+  storeSalesInvoicePdf,
+  refreshStoredSalesInvoicePdf,
+};
@@ -0,0 +1,349 @@
+/**
+ * Salesman Stock Ledger Utilities
+ *
+ * Keeps a per-salesman, per-product on-hand balance (in packets) together with
+ * an append-only ledger of every movement: allocated in, sold out, returned
+ * and adjusted. Balances are changed with conditional $inc updates so a debit
+ * can never take the on-hand quantity below zero.
+ */
+
+const mongoose = require('mongoose');
+const SalesmanStock = require('../models/SalesmanStock');
+const SalesmanStockLedger = require('../models/SalesmanStockLedger');
+const StockAllocation = require('../models/StockAllocation');
+const Sale = require('../models/Sale');
+const Product = require('../models/Product');
+const DealerStock = require('../models/DealerStock');
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+/**
+ * Compute the opening balance for a salesman/product pair that has no balance
+ * row yet: everything allocated so far minus everything sold on non-rejected bills.
+ * @param {ObjectId} salesmanId - Salesman ID
+ * @param {ObjectId} productId - Product ID
+ * @returns {Promise<number>} - Opening balance in packets (never negative)
+ */
+async function computeOpeningPackets(salesmanId, productId) {
+  const product = await Product.findById(productId).select('packetsPerStrip').lean();
+  const packetsPerStrip = (product && product.packetsPerStrip) || 1;
+
+  const [allocated] = await StockAllocation.aggregate([
+    { $match: { salesman: toObjectId(salesmanId), product: toObjectId(productId) } },
+    { $group: { _id: null, strips: { $sum: { $subtract: ['$strips', { $ifNull: ['$returnedStrips', 0] }] } } } },
+  ]);
+
+  const [sold] = await Sale.aggregate([
+    {
+      $match: {
+        salesman: toObjectId(salesmanId),
+        product: toObjectId(productId),
+        billStatus: { $ne: 'rejected' },
+      },
+    },
+    { $group: { _id: null, packets: { $sum: '$quantity' } } },
+  ]);
+
+  const allocatedPackets = (allocated ? allocated.strips : 0) * packetsPerStrip;
+  const soldPackets = sold ? sold.packets : 0;
+
+  return Math.max(0, allocatedPackets - soldPackets);
+}
+
+/**
+ * Get (or lazily create) the balance row for a salesman/product pair.
+ * Salesmen who received stock before the ledger existed get an opening
+ * 'adjusted' entry so their balance reflects past allocations and sales.
+ * Must be called BEFORE creating the allocation/sale being recorded, otherwise
+ * that movement would be counted twice.
+ * @param {ObjectId} salesmanId - Salesman ID
+ * @param {ObjectId} dealerId - Dealer ID
+ * @param {ObjectId} productId - Product ID
+ * @returns {Promise<Object>} - SalesmanStock document
+ */
+async function ensureSalesmanStock(salesmanId, dealerId, productId) {
+  const existing = await SalesmanStock.findOne({ salesman: salesmanId, product: productId });
+  if (existing) {
+    return existing;
+  }
+
+  const openingPackets = await computeOpeningPackets(salesmanId, productId);
+
+  try {
+    const result = await SalesmanStock.findOneAndUpdate(
+      { salesman: salesmanId, product: productId },
+      {
+        $setOnInsert: {
+          salesman: salesmanId,
+          dealer: dealerId,
+          product: productId,
+          onHandPackets: openingPackets,
+          lastEntryAt: new Date(),
+        },
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    const inserted = result.lastErrorObject && !result.lastErrorObject.updatedExisting;
+    if (inserted && openingPackets > 0) {
+      await SalesmanStockLedger.create({
+        salesman: salesmanId,
+        dealer: dealerId,
+        product: productId,
+        type: 'adjusted',
+        packets: openingPackets,
+        balanceAfter: openingPackets,
+        notes: 'Opening balance from existing allocations and sales',
+      });
+    }
+
+    return result.value;
+  } catch (error) {
+    // Another request created the row concurrently
+    if (error.code === 11000) {
+      return SalesmanStock.findOne({ salesman: salesmanId, product: productId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Apply a stock movement and record it in the ledger.
+ * Negative movements only succeed if enough packets are on hand.
+ * @param {Object} entry - Ledger entry
+ * @param {ObjectId} entry.salesman - Salesman ID
+ * @param {ObjectId} entry.dealer - Dealer ID
+ * @param {ObjectId} entry.product - Product ID
+ * @param {string} entry.type - 'allocated' | 'sold' | 'returned' | 'adjusted'
+ * @param {number} entry.packets - Signed packet movement
+ * @param {ClientSession} session - Transaction the movement commits with (optional)
+ * @returns {Promise<Object|null>} - Created ledger entry, or null if on-hand is insufficient
+ */
+async function postStockMovement(entry, session = null) {
+  const { salesman, dealer, product, type, packets } = entry;
+
+  // The balance row is created outside the transaction: it only records the
+  // opening balance, so it stays valid whether or not the movement commits
+  await ensureSalesmanStock(salesman, dealer, product);
+
+  const filter = { salesman, product };
+  if (packets < 0) {
+    filter.onHandPackets = { $gte: -packets };
+  }
+
+  const balance = await SalesmanStock.findOneAndUpdate(
+    filter,
+    { $inc: { onHandPackets: packets }, $set: { lastEntryAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (!balance) {
+    return null;
+  }
+
+  const [ledgerEntry] = await SalesmanStockLedger.create([{
+    salesman,
+    dealer,
+    product,
+    type,
+    packets,
+    balanceAfter: balance.onHandPackets,
+    stockAllocation: entry.stockAllocation || null,
+    sale: entry.sale || null,
+    stockReturn: entry.stockReturn || null,
+    invoiceNo: entry.invoiceNo || '',
+    notes: entry.notes || '',
+    createdBy: entry.createdBy || null,
+  }], { session });
+  return ledgerEntry;
+}
+
+/**
+ * Get on-hand packets for a salesman across the given products.
+ * @param {ObjectId} salesmanId - Salesman ID
+ * @param {ObjectId} dealerId - Dealer ID
+ * @param {Array<ObjectId>} productIds - Products to look up
+ * @returns {Promise<Object>} - Map of productId -> on-hand packets
+ */
+async function getOnHandPackets(salesmanId, dealerId, productIds) {
+  const onHand = {};
+  for (const productId of productIds) {
+    const balance = await ensureSalesmanStock(salesmanId, dealerId, productId);
+    onHand[productId.toString()] = balance ? balance.onHandPackets : 0;
+  }
+  return onHand;
+}
+
+/**
+ * Debit sold packets for a set of new sale rows. Call this before saving the
+ * sales so the opening balance does not count them as already sold.
+ * Runs in the transaction that saves the sales: on a shortage the caller
+ * aborts it, which also rolls back the debits already applied.
+ * @param {Array<Object>} sales - Sale documents
+ * @param {ObjectId} userId - User who created the sales
+ * @param {ClientSession} session - Transaction the debits commit with
+ * @returns {Promise<Object|null>} - null on success, or { product, available, requested } on shortage
+ */
+async function debitSales(sales, userId, session) {
+  for (const sale of sales) {
+    const entry = await postStockMovement({
+      salesman: sale.salesman,
+      dealer: sale.dealer,
+      product: sale.product,
+      type: 'sold',
+      packets: -sale.quantity,
+      sale: sale._id,
+      invoiceNo: sale.invoiceNo,
+      createdBy: userId,
+    }, session);
+
+    if (!entry) {
+      const balance = await SalesmanStock.findOne({ salesman: sale.salesman, product: sale.product }).session(session).lean();
+      return {
+        product: sale.product,
+        available: balance ? balance.onHandPackets : 0,
+        requested: sale.quantity,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Credit packets back for sale rows that are no longer sold (rejected bill, deleted sale).
+ * Callers must only pass sales whose quantity is still deducted (i.e. not already rejected).
+ * @param {Array<Object>} sales - Sale documents
+ * @param {string} type - Ledger entry type ('returned' or 'adjusted')
+ * @param {ObjectId} userId - User performing the reversal
+ * @param {string} notes - Reason for the reversal
+ * @param {ClientSession} session - Transaction the credits commit with (optional)
+ * @returns {Promise<number>} - Number of packets credited back
+ */
+async function creditSales(sales, type, userId, notes = '', session = null) {
+  let credited = 0;
+
+  for (const sale of sales) {
+    await postStockMovement({
+      salesman: sale.salesman,
+      dealer: sale.dealer,
+      product: sale.product,
+      type,
+      packets: sale.quantity,
+      sale: sale._id,
+      invoiceNo: sale.invoiceNo,
+      notes,
+      createdBy: userId,
+    }, session);
+    credited += sale.quantity;
+  }
+
+  return credited;
+}
+
+/**
+ * Get the allocations of a salesman that still have strips out with them.
+ * @param {ObjectId} salesmanId - Salesman ID
+ * @param {ObjectId} dealerId - Dealer ID
+ * @param {ObjectId} productId - Product ID
+ * @param {ClientSession} session - Transaction to read in (optional)
+ * @returns {Promise<Array>} - StockAllocation documents, newest first
+ */
+async function getOutstandingAllocations(salesmanId, dealerId, productId, session = null) {
+  const allocations = await StockAllocation.find({
+    salesman: salesmanId,
+    dealer: dealerId,
+    product: productId,
+  }).sort({ createdAt: -1 }).session(session);
+
+  return allocations.filter(allocation => allocation.strips - (allocation.returnedStrips || 0) > 0);
+}
+
+/**
+ * Send unsold strips from a salesman back to the dealer.
+ * Debits the salesman ledger, reverses the newest allocations first and puts
+ * the strips back into allocatedStrips/availableStrips of their DealerStock rows.
+ * Runs in the transaction that completes the return: on failure nothing has
+ * been written by it, and the caller aborts so its own writes roll back too.
+ * @param {Object} stockReturn - StockReturn document (not yet completed)
+ * @param {ObjectId} userId - User completing the return
+ * @param {ClientSession} session - Transaction the return commits with
+ * @returns {Promise<Object>} - { success, message, allocations }
+ */
+async function returnStockToDealer(stockReturn, userId, session) {
+  const { salesman, dealer, product, strips } = stockReturn;
+
+  const productDoc = await Product.findById(product).select('packetsPerStrip').session(session).lean();
+  const packetsPerStrip = (productDoc && productDoc.packetsPerStrip) || 1;
+
+  const allocations = await getOutstandingAllocations(salesman, dealer, product, session);
+  const outstandingStrips = allocations.reduce(
+    (sum, allocation) => sum + allocation.strips - (allocation.returnedStrips || 0),
+    0
+  );
+
+  if (outstandingStrips < strips) {
+    return {
+      success: false,
+      message: `Only ${outstandingStrips} allocated strips can be returned, Requested: ${strips} strips`,
+    };
+  }
+
+  const entry = await postStockMovement({
+    salesman,
+    dealer,
+    product,
+    type: 'returned',
+    packets: -(strips * packetsPerStrip),
+    stockReturn: stockReturn._id,
+    notes: stockReturn.reason,
+    createdBy: userId,
+  }, session);
+
+  if (!entry) {
+    const balance = await SalesmanStock.findOne({ salesman, product }).session(session).lean();
+    const onHandStrips = balance ? Math.floor(balance.onHandPackets / packetsPerStrip) : 0;
+    return {
+      success: false,
+      message: `Insufficient unsold stock. On hand: ${onHandStrips} strips, Requested: ${strips} strips`,
+    };
+  }
+
+  let remaining = strips;
+  const reversed = [];
+
+  for (const allocation of allocations) {
+    if (remaining <= 0) break;
+
+    const toReturn = Math.min(remaining, allocation.strips - (allocation.returnedStrips || 0));
+
+    allocation.returnedStrips = (allocation.returnedStrips || 0) + toReturn;
+    await allocation.save({ session });
+
+    const dealerStock = await DealerStock.findById(allocation.dealerStock).session(session);
+    if (dealerStock) {
+      dealerStock.allocatedStrips = Math.max(0, dealerStock.allocatedStrips - toReturn);
+      dealerStock.availableStrips = dealerStock.totalStrips - dealerStock.allocatedStrips;
+      await dealerStock.save({ session });
+    }
+
+    reversed.push({
+      stockAllocation: allocation._id,
+      dealerStock: allocation.dealerStock,
+      strips: toReturn,
+    });
+    remaining -= toReturn;
+  }
+
+  return { success: true, allocations: reversed };
+}
+
+module.exports = {
+  ensureSalesmanStock,
+  postStockMovement,
+  getOnHandPackets,
+  debitSales,
+  creditSales,
+  getOutstandingAllocations,
+  returnStockToDealer,
+};
@@ -0,0 +1,207 @@
+/**
+ * Stock Reservation Utilities
+ *
+ * Pending dealer requests hold a reservation against Product.stock so that
+ * several dealers cannot all be promised the same last strips. Reserved strips
+ * are tracked on Product.reservedStock and changed with conditional $inc
+ * updates; available-to-promise = stock - reservedStock.
+ */
+
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const { runInTransaction } = require('./transaction');
+
+// How long a pending request holds its strips (hours)
+const RESERVATION_HOURS = parseInt(process.env.STOCK_RESERVATION_HOURS) || 48;
+
+// How often expired reservations are swept (minutes)
+const EXPIRY_SWEEP_MINUTES = parseInt(process.env.STOCK_RESERVATION_SWEEP_MINUTES) || 15;
+
+let expiryTimer = null;
+
+/**
+ * Available-to-promise strips for a product
+ * @param {Object} product - Product document or lean object
+ * @returns {number}
+ */
+function getAvailableToPromise(product) {
+  if (!product) {
+    return 0;
+  }
+  return Math.max(0, (product.stock || 0) - (product.reservedStock || 0));
+}
+
+/**
+ * Set a product's stock without taking it below the strips reserved for
+ * pending requests. The save is guarded on the same condition, so a
+ * reservation made after the product was read makes it fail with a
+ * DocumentNotFoundError instead of over-promising.
+ * @param {Object} product - Product document
+ * @param {number} stock - New stock (strips)
+ * @returns {boolean} - false (stock left unchanged) if below the reserved strips
+ */
+function setProductStock(product, stock) {
+  if (stock < (product.reservedStock || 0)) {
+    return false;
+  }
+  product.stock = stock;
+  product.$where = { $expr: { $lte: [{ $ifNull: ['$reservedStock', 0] }, stock] } };
+  return true;
+}
+
+/**
+ * Reserve strips for a new pending request
+ * @param {Object} request - DealerRequest document (may be unsaved)
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object|null>} - StockReservation, or null if not enough stock is available
+ */
+async function reserveStock(request, session) {
+  const product = await Product.findOneAndUpdate(
+    {
+      _id: request.product,
+      $expr: {
+        $gte: [
+          { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] },
+          request.strips,
+        ],
+      },
+    },
+    { $inc: { reservedStock: request.strips } },
+    { new: true, session }
+  );
+
+  if (!product) {
+    return null;
+  }
+
+  const [reservation] = await StockReservation.create([{
+    product: request.product,
+    dealer: request.dealer,
+    dealerRequest: request._id,
+    strips: request.strips,
+    expiresAt: new Date(Date.now() + RESERVATION_HOURS * 60 * 60 * 1000),
+  }], { session });
+
+  return reservation;
+}
+
+/**
+ * Close the active reservation of a request and give its strips back to
+ * available-to-promise.
+ * @param {ObjectId} requestId - DealerRequest ID
+ * @param {string} status - 'consumed' | 'released' | 'expired'
+ * @param {ClientSession} session - Active transaction session
+ * @param {ObjectId} userId - User closing the reservation (optional)
+ * @returns {Promise<number>} - Strips that were reserved (0 if there was no active reservation)
+ */
+async function closeReservation(requestId, status, session, userId = null) {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { dealerRequest: requestId, status: 'active' },
+    { $set: { status, closedAt: new Date(), closedBy: userId } },
+    { new: true, session }
+  );
+
+  if (!reservation) {
+    return 0;
+  }
+
+  await Product.updateOne(
+    { _id: reservation.product },
+    [{
+      $set: {
+        reservedStock: {
+          $max: [0, { $subtract: [{ $ifNull: ['$reservedStock', 0] }, reservation.strips] }],
+        },
+      },
+    }],
+    { session }
+  );
+
+  return reservation.strips;
+}
+
+/**
+ * Release a request's reservation (request cancelled)
+ * @param {ObjectId} requestId - DealerRequest ID
+ * @param {ClientSession} session - Active transaction session
+ * @param {ObjectId} userId - User cancelling the request (optional)
+ * @returns {Promise<number>} - Strips released
+ */
+async function releaseReservation(requestId, session, userId = null) {
+  return closeReservation(requestId, 'released', session, userId);
+}
+
+/**
+ * Consume a request's reservation (request approved). The caller deducts
+ * Product.stock itself; this only drops the hold.
+ * @param {ObjectId} requestId - DealerRequest ID
+ * @param {ClientSession} session - Active transaction session
+ * @param {ObjectId} userId - User approving the request (optional)
+ * @returns {Promise<number>} - Strips that were reserved
+ */
+async function consumeReservation(requestId, session, userId = null) {
+  return closeReservation(requestId, 'consumed', session, userId);
+}
+
+/**
+ * Expire every active reservation whose hold has run out.
+ * The requests stay pending; they just stop holding stock.
+ * @returns {Promise<number>} - Number of reservations expired
+ */
+async function releaseExpiredReservations() {
+  const expired = await StockReservation.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() },
+  }).select('dealerRequest').lean();
+
+  let count = 0;
+  for (const reservation of expired) {
+    try {
+      const strips = await runInTransaction(
+        (session) => closeReservation(reservation.dealerRequest, 'expired', session),
+        { label: 'reservation expiry' }
+      );
+      if (strips > 0) {
+        count++;
+      }
+    } catch (error) {
+      console.error(`Expire reservation for request ${reservation.dealerRequest} error:`, error.message);
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Start the periodic expiry sweep (safe to call more than once)
+ */
+function startReservationExpiryJob() {
+  if (expiryTimer) {
+    return;
+  }
+
+  const sweep = async () => {
+    try {
+      const count = await releaseExpiredReservations();
+      if (count > 0) {
+        console.log(`⏰ Released ${count} expired stock reservation(s)`);
+      }
+    } catch (error) {
+      console.error('Reservation expiry sweep error:', error.message);
+    }
+  };
+
+  sweep();
+  expiryTimer = setInterval(sweep, EXPIRY_SWEEP_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  RESERVATION_HOURS,
+  getAvailableToPromise,
+  setProductStock,
+  reserveStock,
+  releaseReservation,
+  consumeReservation,
+  releaseExpiredReservations,
+  startReservationExpiryJob,
+};
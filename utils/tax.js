@@ -0,0 +1,368 @@
+/**
+ * GST Tax Engine
+ *
+ * Computes the tax breakup of an invoice from the product tax settings (HSN
+ * code, GST rate, cess) and the place of supply:
+ * - Place of supply is the dealer's state, taken from the GSTIN on the dealer
+ *   profile, else the profile office/home state, else the supplier state.
+ * - Supply within the supplier state is taxed as CGST + SGST (half the rate
+ *   each); supply to another state is taxed as IGST at the full rate.
+ * - Cess is charged on top, as a percentage of the taxable value and/or a fixed
+ *   amount per packet.
+ *
+ * The breakup is frozen into the invoice snapshot when a bill is sent so bills,
+ * e-way bills, e-invoices and analytics all use the same figures.
+ */
+
+const DealerProfile = require('../models/DealerProfile');
+const { getSupplierDetails } = require('./ewayBill');
+const { round2 } = require('./common');
+
+// GST rates (%) accepted on products
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+// Defaults for products created before tax settings existed
+const DEFAULT_HSN_CODE = '2106';
+const DEFAULT_GST_RATE = 5;
+
+// Product fields the engine needs (for populate/select)
+const PRODUCT_TAX_FIELDS = 'hsnCode gstRate cessRate cessPerUnit gstExempt';
+
+// GST state codes by state / union territory name (lower case)
+const STATE_CODES = {
+  'jammu and kashmir': 1,
+  'himachal pradesh': 2,
+  'punjab': 3,
+  'chandigarh': 4,
+  'uttarakhand': 5,
+  'haryana': 6,
+  'delhi': 7,
+  'rajasthan': 8,
+  'uttar pradesh': 9,
+  'bihar': 10,
+  'sikkim': 11,
+  'arunachal pradesh': 12,
+  'nagaland': 13,
+  'manipur': 14,
+  'mizoram': 15,
+  'tripura': 16,
+  'meghalaya': 17,
+  'assam': 18,
+  'west bengal': 19,
+  'jharkhand': 20,
+  'odisha': 21,
+  'chhattisgarh': 22,
+  'madhya pradesh': 23,
+  'gujarat': 24,
+  'dadra and nagar haveli and daman and diu': 26,
+  'maharashtra': 27,
+  'karnataka': 29,
+  'goa': 30,
+  'lakshadweep': 31,
+  'kerala': 32,
+  'tamil nadu': 33,
+  'puducherry': 34,
+  'andaman and nicobar islands': 35,
+  'telangana': 36,
+  'andhra pradesh': 37,
+  'ladakh': 38,
+};
+
+/**
+ * Look up the GST state code of a state name
+ * @param {string} stateName - State or union territory name
+ * @returns {number|null}
+ */
+function getStateCode(stateName) {
+  if (!stateName) {
+    return null;
+  }
+  const key = String(stateName).trim().toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+  return STATE_CODES[key] || null;
+}
+
+/**
+ * Read the state code from the first two digits of a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {number|null}
+ */
+function getStateCodeFromGstin(gstin) {
+  const match = String(gstin || '').trim().match(/^(\d{2})[A-Z0-9]{13}$/i);
+  const code = match ? parseInt(match[1]) : null;
+  return code && code >= 1 && code <= 38 ? code : null;
+}
+
+/**
+ * Resolve the place of supply for a dealer
+ * @param {ObjectId} dealerId - Dealer user ID
+ * @param {Object} options - Options
+ * @param {ClientSession} options.session - MongoDB session (optional)
+ * @returns {Promise<Object>} - { stateCode, source } where source is gstin | profile_state | supplier_state
+ */
+async function getPlaceOfSupply(dealerId, options = {}) {
+  const profile = await DealerProfile.findOne({ dealer: dealerId })
+    .select('gstNumber officeState homeState')
+    .session(options.session || null)
+    .lean();
+
+  const fromGstin = getStateCodeFromGstin(profile?.gstNumber);
+  if (fromGstin) {
+    return { stateCode: fromGstin, source: 'gstin' };
+  }
+
+  const fromState = getStateCode(profile?.officeState) || getStateCode(profile?.homeState);
+  if (fromState) {
+    return { stateCode: fromState, source: 'profile_state' };
+  }
+
+  return { stateCode: getSupplierDetails().stateCode, source: 'supplier_state' };
+}
+
+/**
+ * Tax settings of a product, with defaults for legacy products
+ * @param {Object} product - Product (plain or document)
+ * @returns {Object} - { hsnCode, gstRate, cessRate, cessPerUnit, gstExempt }
+ */
+function getProductTaxSettings(product = {}) {
+  return {
+    hsnCode: product.hsnCode || DEFAULT_HSN_CODE,
+    gstRate: typeof product.gstRate === 'number' ? product.gstRate : DEFAULT_GST_RATE,
+    cessRate: product.cessRate || 0,
+    cessPerUnit: product.cessPerUnit || 0,
+    gstExempt: product.gstExempt === true,
+  };
+}
+
+/**
+ * Calculate the tax of one invoice line
+ * @param {Object} line - Line details
+ * @param {number} line.quantity - Quantity in packets
+ * @param {number} line.unitPrice - Price per packet (before tax)
+ * @param {Object} line.tax - Product tax settings (getProductTaxSettings)
+ * @param {boolean} interState - Whether IGST applies
+ * @returns {Object} - Line with rates and amounts
+ */
+function calculateLineTax(line, interState) {
+  const tax = line.tax;
+  const taxableAmount = round2(line.quantity * line.unitPrice);
+  const gstRate = tax.gstExempt ? 0 : tax.gstRate;
+
+  const igstRate = interState ? gstRate : 0;
+  const cgstRate = interState ? 0 : gstRate / 2;
+  const sgstRate = cgstRate;
+  const igstAmount = round2(taxableAmount * igstRate / 100);
+  const cgstAmount = round2(taxableAmount * cgstRate / 100);
+  const sgstAmount = cgstAmount;
+
+  const cessRate = tax.gstExempt ? 0 : tax.cessRate;
+  const cessPerUnit = tax.gstExempt ? 0 : tax.cessPerUnit;
+  const cessAmount = round2(taxableAmount * cessRate / 100 + line.quantity * cessPerUnit);
+
+  const totalTax = round2(igstAmount + cgstAmount + sgstAmount + cessAmount);
+
+  return {
+    product: line.product || null,
+    description: line.description || '',
+    hsnCode: tax.hsnCode,
+    quantity: line.quantity,
+    unit: line.unit || 'PAC',
+    unitPrice: line.unitPrice,
+    taxableAmount,
+    taxability: tax.gstExempt ? 'exempt' : (gstRate === 0 ? 'nil_rated' : 'taxable'),
+    gstRate,
+    cgstRate,
+    sgstRate,
+    igstRate,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    cessRate,
+    cessPerUnit,
+    cessAmount,
+    totalTax,
+    totalAmount: round2(taxableAmount + totalTax),
+  };
+}
+
+/**
+ * Calculate the tax breakup of an invoice
+ * @param {Array} lines - [{ product, description, quantity, unitPrice, unit, tax }]
+ * @param {number} placeOfSupply - State code of the buyer
+ * @param {Object} options - Options
+ * @param {string} options.placeOfSupplySource - How the place of supply was resolved
+ * @param {number} options.supplierStateCode - Seller state code (default: the company's)
+ * @returns {Object} - Tax breakup (lines, HSN/rate summary and totals)
+ */
+function calculateInvoiceTax(lines, placeOfSupply, options = {}) {
+  const supplierStateCode = options.supplierStateCode || getSupplierDetails().stateCode;
+  const interState = placeOfSupply !== supplierStateCode;
+  const taxedLines = lines.map(line => calculateLineTax(line, interState));
+
+  const sum = (items, key) => round2(items.reduce((total, item) => total + item[key], 0));
+
+  // HSN-wise summary, one row per HSN code and rate
+  const summaryByKey = new Map();
+  taxedLines.forEach(line => {
+    const key = `${line.hsnCode}:${line.gstRate}`;
+    if (!summaryByKey.has(key)) {
+      summaryByKey.set(key, { hsnCode: line.hsnCode, gstRate: line.gstRate, lines: [] });
+    }
+    summaryByKey.get(key).lines.push(line);
+  });
+  const rateSummary = [...summaryByKey.values()].map(entry => ({
+    hsnCode: entry.hsnCode,
+    gstRate: entry.gstRate,
+    taxableAmount: sum(entry.lines, 'taxableAmount'),
+    cgstAmount: sum(entry.lines, 'cgstAmount'),
+    sgstAmount: sum(entry.lines, 'sgstAmount'),
+    igstAmount: sum(entry.lines, 'igstAmount'),
+    cessAmount: sum(entry.lines, 'cessAmount'),
+  }));
+
+  const totalBeforeRounding = sum(taxedLines, 'totalAmount');
+  const grandTotal = Math.round(totalBeforeRounding);
+
+  return {
+    supplierStateCode,
+    placeOfSupply,
+    placeOfSupplySource: options.placeOfSupplySource || null,
+    interState,
+    lines: taxedLines,
+    rateSummary,
+    totals: {
+      taxableAmount: sum(taxedLines, 'taxableAmount'),
+      cgstAmount: sum(taxedLines, 'cgstAmount'),
+      sgstAmount: sum(taxedLines, 'sgstAmount'),
+      igstAmount: sum(taxedLines, 'igstAmount'),
+      cessAmount: sum(taxedLines, 'cessAmount'),
+      totalTax: sum(taxedLines, 'totalTax'),
+      roundOff: round2(grandTotal - totalBeforeRounding),
+      grandTotal,
+    },
+    calculatedAt: new Date(),
+  };
+}
+
+/**
+ * Combine the frozen breakups of requests billed on one invoice. The invoice
+ * is rounded once and its round-off goes on the first line (as on credit
+ * notes), so the lines' shares add up to the invoice grand total.
+ * @param {Array} breakups - Tax breakups of the lines, in bill order
+ * @returns {Object} - { taxBreakup, shares } where shares[i] is breakups[i]
+ *   with its share of the invoice round-off in totals.roundOff and grandTotal
+ */
+function combineTaxBreakups(breakups) {
+  const first = breakups[0];
+  const lines = breakups.flatMap(breakup => breakup.lines).map(line => ({
+    product: line.product,
+    description: line.description,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    unit: line.unit,
+    tax: {
+      hsnCode: line.hsnCode,
+      gstRate: line.gstRate,
+      cessRate: line.cessRate,
+      cessPerUnit: line.cessPerUnit,
+      gstExempt: line.taxability === 'exempt',
+    },
+  }));
+  const taxBreakup = calculateInvoiceTax(lines, first.placeOfSupply, {
+    placeOfSupplySource: first.placeOfSupplySource,
+    supplierStateCode: first.supplierStateCode,
+  });
+
+  const shares = breakups.map((breakup, index) => {
+    const roundOff = index === 0 ? taxBreakup.totals.roundOff : 0;
+    const lineTotal = round2(breakup.totals.grandTotal - (breakup.totals.roundOff || 0));
+    return { ...breakup, totals: { ...breakup.totals, roundOff, grandTotal: round2(lineTotal + roundOff) } };
+  });
+
+  return { taxBreakup, shares };
+}
+
+/**
+ * Calculate the tax breakup of approved dealer requests billed on one invoice
+ * (one line per request). All requests must belong to the same dealer.
+ * @param {Array} requests - DealerRequests with product populated (including PRODUCT_TAX_FIELDS)
+ * @param {Object} options - Options
+ * @param {number} options.placeOfSupply - State code override
+ * @param {ClientSession} options.session - MongoDB session (optional)
+ * @returns {Promise<Object>} - Tax breakup
+ */
+async function calculateRequestsTax(requests, options = {}) {
+  const dealer = requests[0] && requests[0].dealer;
+  const place = options.placeOfSupply
+    ? { stateCode: options.placeOfSupply, source: 'override' }
+    : await getPlaceOfSupply(dealer?._id || dealer, { session: options.session });
+
+  const lines = requests.map(request => {
+    const product = request.product || {};
+    return {
+      product: product._id || null,
+      description: typeof product.title === 'string' ? product.title : (product.title?.en || ''),
+      quantity: request.strips * (product.packetsPerStrip || 1),
+      unitPrice: product.packetPrice || 0,
+      tax: getProductTaxSettings(product),
+    };
+  });
+
+  return calculateInvoiceTax(lines, place.stateCode, { placeOfSupplySource: place.source });
+}
+
+/**
+ * Calculate the tax breakup of a single approved dealer request
+ * @param {Object} request - DealerRequest with product populated (including PRODUCT_TAX_FIELDS)
+ * @param {Object} options - Same as calculateRequestsTax
+ * @returns {Promise<Object>} - Tax breakup
+ */
+function calculateRequestTax(request, options = {}) {
+  return calculateRequestsTax([request], options);
+}
+
+/**
+ * Add a tax breakup to an invoice snapshot sent by the client
+ * @param {Object} snapshot - Invoice snapshot (may be null)
+ * @param {Object} taxBreakup - Tax breakup
+ * @returns {Object}
+ */
+function withTaxBreakup(snapshot, taxBreakup) {
+  const base = snapshot && typeof snapshot === 'object' ? snapshot : {};
+  return { ...base, taxBreakup };
+}
+
+/**
+ * Tax breakup frozen in a request's invoice snapshot or at its approval, or a
+ * fresh calculation for requests approved before the tax engine existed
+ * @param {Object} request - DealerRequest with product populated
+ * @param {Object} options - Same as calculateRequestsTax
+ * @returns {Promise<Object>} - Tax breakup
+ */
+async function getRequestTax(request, options = {}) {
+  if (!options.placeOfSupply) {
+    const stored = (request.invoiceSnapshot && request.invoiceSnapshot.taxBreakup) || request.taxBreakup;
+    if (stored && Array.isArray(stored.lines)) {
+      return stored;
+    }
+  }
+  return calculateRequestTax(request, options);
+}
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_HSN_CODE,
+  DEFAULT_GST_RATE,
+  PRODUCT_TAX_FIELDS,
+  STATE_CODES,
+  getStateCode,
+  getStateCodeFromGstin,
+  getPlaceOfSupply,
+  getProductTaxSettings,
+  calculateLineTax,
+  calculateInvoiceTax,
+  combineTaxBreakups,
+  calculateRequestsTax,
+  calculateRequestTax,
+  getRequestTax,
+  withTaxBreakup,
+};
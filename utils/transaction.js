@@ -0,0 +1,102 @@
+/**
+ * Transaction Utilities
+ *
+ * Runs a unit of work inside a MongoDB session/transaction on the main
+ * connection, retrying the whole unit on transient errors (write conflicts,
+ * primary step-downs) and retrying the commit when its result is unknown.
+ *
+ * The work function may run more than once, so it must only touch the
+ * database (always passing the session) and must not send responses or
+ * trigger other side effects.
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_MAX_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 50;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether an error carries a given MongoDB error label
+ * @param {Error} error - Error thrown by the driver
+ * @param {string} label - Error label (e.g. 'TransientTransactionError')
+ * @returns {boolean}
+ */
+function hasErrorLabel(error, label) {
+  if (!error) {
+    return false;
+  }
+  if (typeof error.hasErrorLabel === 'function') {
+    return error.hasErrorLabel(label);
+  }
+  return Array.isArray(error.errorLabels) && error.errorLabels.includes(label);
+}
+
+/**
+ * Commit the active transaction, retrying while the commit result is unknown
+ * @param {ClientSession} session - Session with an active transaction
+ * @param {number} maxRetries - Maximum commit attempts
+ */
+async function commitWithRetry(session, maxRetries) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (hasErrorLabel(error, 'UnknownTransactionCommitResult') && attempt < maxRetries) {
+        console.warn(`⚠️ Commit result unknown, retrying commit (attempt ${attempt + 1}/${maxRetries})`);
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Run work inside a transaction with retry on transient errors
+ * @param {Function} work - async (session) => result
+ * @param {Object} options - Options
+ * @param {number} options.maxRetries - Maximum attempts for the whole unit of work (default: 5)
+ * @param {string} options.label - Label used in retry logs
+ * @returns {Promise<any>} - Whatever work returned
+ */
+async function runInTransaction(work, options = {}) {
+  const maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
+  const label = options.label || 'transaction';
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction({
+        readConcern: { level: 'snapshot' },
+        writeConcern: { w: 'majority' },
+      });
+
+      try {
+        const result = await work(session);
+        await commitWithRetry(session, maxRetries);
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction().catch(() => {});
+        }
+
+        if (hasErrorLabel(error, 'TransientTransactionError') && attempt < maxRetries) {
+          console.warn(`⚠️ Transient error in ${label}, retrying (attempt ${attempt + 1}/${maxRetries}):`, error.message);
+          await delay(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  runInTransaction,
+  hasErrorLabel,
+};
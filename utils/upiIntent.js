@@ -0,0 +1,334 @@
+/**
+ * UPI Payment Intents
+ *
+ * Dealers pay pending requests (or a whole pending cart order) through a
+ * upi://pay link / QR code carrying the amount and a unique transaction note
+ * (PAY + 10 hex characters, sent as both tn and tr). Incoming UPI credits
+ * (from the bank / PSP credit report) are imported with their remarks; a credit
+ * whose remarks carry an intent's note and whose amount equals the intent's
+ * amount marks the intent paid and verifies the payment of its requests that
+ * are still pending - the same state PUT /dealer-requests/:id/verify-payment
+ * sets, so the admin can approve straight away.
+ *
+ * Every imported credit is kept (UpiCredit) with the outcome; a UTR is only
+ * imported once, so overlapping reports can be imported again safely.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const DealerRequest = require('../models/DealerRequest');
+const UpiIntent = require('../models/UpiIntent');
+const UpiCredit = require('../models/UpiCredit');
+const { runInTransaction } = require('./transaction');
+const { pickColumn } = require('./csv');
+const { calculateRequestTax } = require('./tax');
+const { round2, statusError } = require('./common');
+
+const NOTE_PREFIX = 'PAY';
+const NOTE_PATTERN = /PAY([0-9A-F]{10})(?![0-9A-Z])/i;
+const INTENT_VALIDITY_HOURS = 48;
+
+// Column aliases of a credit report (normalised headers, see utils/csv)
+const CREDIT_COLUMNS = {
+  upiTransactionId: ['upitransactionid', 'utr', 'rrn', 'utrnumber', 'transactionid', 'referenceno', 'reference'],
+  amount: ['amount', 'creditamount', 'credit', 'amt'],
+  note: ['note', 'remarks', 'transactionnote', 'narration', 'description'],
+  payerVpa: ['payervpa', 'vpa', 'payerupiid', 'fromvpa'],
+  payerName: ['payername', 'name', 'payer'],
+  creditedAt: ['creditedat', 'date', 'transactiondate', 'valuedate'],
+};
+
+/**
+ * Generate a new transaction note (PAYXXXXXXXXXX)
+ * @returns {string}
+ */
+function generateTransactionNote() {
+  return `${NOTE_PREFIX}${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Find an intent note in a credit's remarks
+ * @param {string} text - Remarks / narration
+ * @returns {string|null} - Note in canonical (upper case) form
+ */
+function extractTransactionNote(text) {
+  const match = NOTE_PATTERN.exec(String(text || ''));
+  return match ? `${NOTE_PREFIX}${match[1].toUpperCase()}` : null;
+}
+
+/**
+ * Build a upi://pay deep link
+ * @param {Object} params - Link parameters
+ * @param {string} params.payeeVpa - UPI ID to pay
+ * @param {string} params.payeeName - Payee name shown by the UPI app
+ * @param {number} params.amount - Amount in rupees
+ * @param {string} params.note - Transaction note / reference
+ * @returns {string}
+ */
+function buildUpiUri({ payeeVpa, payeeName, amount, note }) {
+  const params = [
+    ['pa', payeeVpa],
+    ['pn', payeeName || payeeVpa],
+    ['am', amount.toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', note],
+    ['tr', note],
+  ];
+  // UPI apps expect the @ of a VPA unescaped
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&')}`;
+}
+
+/**
+ * Render a UPI link as a PNG QR code data URL
+ * @param {string} uri - upi://pay link
+ * @returns {Promise<string>}
+ */
+function renderUpiQr(uri) {
+  return QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 1, width: 300 });
+}
+
+/**
+ * Amount payable for pending requests: the GST-inclusive total of each, the
+ * amount approval sets as due and checks the paid amount against
+ * @param {Array} requests - DealerRequests with product populated (packetPrice packetsPerStrip and PRODUCT_TAX_FIELDS)
+ * @param {ClientSession} session - MongoDB session (optional)
+ * @returns {Promise<number>}
+ */
+async function getPayableAmount(requests, session = null) {
+  let total = 0;
+  for (const request of requests) {
+    const tax = await calculateRequestTax(request, { session });
+    total += tax.totals.grandTotal;
+  }
+  return round2(total);
+}
+
+/**
+ * Get or create the UPI intent for pending requests of one dealer. An active,
+ * unexpired intent for the same requests and amount is reused; otherwise the
+ * active intents of those requests are superseded by a new one.
+ * @param {Object} target - What is paid for
+ * @param {ObjectId} target.dealer - Dealer paying
+ * @param {Array} target.requests - Pending DealerRequests (product populated, including PRODUCT_TAX_FIELDS)
+ * @param {ObjectId} target.order - Cart order (optional)
+ * @param {Object} settings - AdminSettings (upiId, upiPayeeName)
+ * @param {ObjectId} userId - User generating the intent
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - { intent, reused }
+ */
+async function getOrCreateUpiIntent(target, settings, userId, session) {
+  if (target.requests.length === 0) {
+    throw statusError(400, 'Nothing pending to pay for');
+  }
+  if (target.requests.some(request => !request.product)) {
+    throw statusError(400, 'Product not found for a pending request');
+  }
+
+  const amount = await getPayableAmount(target.requests, session);
+  if (amount <= 0) {
+    throw statusError(400, 'Nothing pending to pay for');
+  }
+
+  const requestIds = target.requests.map(request => request._id.toString()).sort();
+  const activeQuery = target.order
+    ? { order: target.order, status: 'active' }
+    : { dealerRequests: target.requests[0]._id, order: null, status: 'active' };
+  const active = await UpiIntent.find(activeQuery).session(session);
+
+  const now = new Date();
+  const reusable = active.find(intent =>
+    intent.expiresAt > now &&
+    intent.amount === amount &&
+    intent.payeeVpa === settings.upiId &&
+    intent.dealerRequests.map(id => id.toString()).sort().join() === requestIds.join()
+  );
+  if (reusable) {
+    return { intent: reusable, reused: true };
+  }
+
+  const staleIds = active.map(intent => intent._id);
+  if (staleIds.length > 0) {
+    await UpiIntent.updateMany({ _id: { $in: staleIds } }, { $set: { status: 'superseded' } }, { session });
+  }
+
+  const note = generateTransactionNote();
+  const payeeName = settings.upiPayeeName || '';
+  const [intent] = await UpiIntent.create([{
+    dealer: target.dealer,
+    dealerRequests: target.requests.map(request => request._id),
+    order: target.order || null,
+    amount,
+    transactionNote: note,
+    payeeVpa: settings.upiId,
+    payeeName,
+    uri: buildUpiUri({ payeeVpa: settings.upiId, payeeName, amount, note }),
+    expiresAt: new Date(now.getTime() + INTENT_VALIDITY_HOURS * 60 * 60 * 1000),
+    createdBy: userId,
+  }], { session });
+
+  return { intent, reused: false };
+}
+
+/**
+ * Normalise imported credits (JSON objects or rows from utils/csv parseCsv)
+ * @param {Array<Object>} rows - Credits
+ * @returns {Object} - { credits, invalid: [{ row, message }] }
+ */
+function normalizeUpiCredits(rows) {
+  const credits = [];
+  const invalid = [];
+
+  rows.forEach((row, index) => {
+    // JSON bodies use the field names, CSV rows the normalised headers
+    const read = (field) => {
+      const value = row[field] !== undefined && row[field] !== '' ? row[field] : pickColumn(row, CREDIT_COLUMNS[field]);
+      return value === null || value === undefined ? null : value;
+    };
+
+    const upiTransactionId = read('upiTransactionId');
+    const amount = parseFloat(String(read('amount') || '').replace(/[₹,\s]/g, ''));
+    const creditedAt = read('creditedAt') ? new Date(read('creditedAt')) : new Date();
+
+    if (!upiTransactionId) {
+      invalid.push({ row: index + 1, message: 'UTR / transaction ID is required' });
+      return;
+    }
+    if (isNaN(amount) || amount <= 0) {
+      invalid.push({ row: index + 1, message: 'Amount must be a positive number' });
+      return;
+    }
+    if (isNaN(creditedAt.getTime())) {
+      invalid.push({ row: index + 1, message: 'Invalid credit date' });
+      return;
+    }
+
+    credits.push({
+      upiTransactionId: String(upiTransactionId).trim(),
+      amount: round2(amount),
+      note: String(read('note') || '').trim(),
+      payerVpa: read('payerVpa') ? String(read('payerVpa')).trim() : null,
+      payerName: read('payerName') ? String(read('payerName')).trim() : null,
+      creditedAt,
+    });
+  });
+
+  return { credits, invalid };
+}
+
+/**
+ * Record one imported credit and, when it carries an unpaid intent's note with
+ * the intent's amount, mark the intent paid and verify its pending requests
+ * @param {Object} credit - Normalised credit (see normalizeUpiCredits)
+ * @param {ObjectId} userId - Admin importing the credit
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} - Saved UpiCredit
+ */
+async function matchUpiCredit(credit, userId, session) {
+  const note = extractTransactionNote(credit.note);
+  const intent = note ? await UpiIntent.findOne({ transactionNote: note }).session(session) : null;
+
+  let status = 'unmatched';
+  let verifiedRequests = [];
+  if (intent && intent.status === 'paid') {
+    status = 'already_paid';
+  } else if (intent && Math.abs(intent.amount - credit.amount) >= 0.01) {
+    status = 'amount_mismatch';
+  } else if (intent) {
+    status = 'matched';
+  }
+
+  const [upiCredit] = await UpiCredit.create([{
+    ...credit,
+    status,
+    upiIntent: intent ? intent._id : null,
+    importedBy: userId,
+  }], { session });
+
+  if (status !== 'matched') {
+    return upiCredit;
+  }
+
+  const now = new Date();
+  const requests = await DealerRequest.find({
+    _id: { $in: intent.dealerRequests },
+    status: 'pending',
+    paymentStatus: { $ne: 'verified' },
+  }).session(session);
+  for (const request of requests) {
+    request.paymentStatus = 'verified';
+    request.paymentVerifiedBy = userId;
+    request.paymentVerifiedAt = now;
+    request.paymentNotes = `UPI credit ${credit.upiTransactionId} of ₹${credit.amount} matched payment note ${intent.transactionNote}`;
+    await request.save({ session });
+  }
+  verifiedRequests = requests.map(request => request._id);
+
+  intent.status = 'paid';
+  intent.upiCredit = upiCredit._id;
+  intent.upiTransactionId = credit.upiTransactionId;
+  intent.paidAt = credit.creditedAt;
+  await intent.save({ session });
+
+  upiCredit.verifiedRequests = verifiedRequests;
+  await upiCredit.save({ session });
+  return upiCredit;
+}
+
+/**
+ * Import UPI credits, matching each against the intent notes. Credits whose
+ * UTR was imported before are skipped.
+ * @param {Array<Object>} rows - Credits (JSON objects or parseCsv rows)
+ * @param {ObjectId} userId - Admin importing the credits
+ * @returns {Promise<Object>} - { summary, results }
+ */
+async function importUpiCredits(rows, userId) {
+  const { credits, invalid } = normalizeUpiCredits(rows);
+  const summary = { matched: 0, unmatched: 0, amount_mismatch: 0, already_paid: 0, duplicate: 0, invalid: invalid.length };
+  const results = invalid.map(entry => ({ ...entry, status: 'invalid' }));
+
+  for (const credit of credits) {
+    const existing = await UpiCredit.exists({ upiTransactionId: credit.upiTransactionId });
+    if (existing) {
+      summary.duplicate++;
+      results.push({ upiTransactionId: credit.upiTransactionId, status: 'duplicate' });
+      continue;
+    }
+
+    try {
+      const upiCredit = await runInTransaction(
+        session => matchUpiCredit(credit, userId, session),
+        { label: `upi credit ${credit.upiTransactionId}` }
+      );
+      summary[upiCredit.status]++;
+      results.push({
+        upiTransactionId: credit.upiTransactionId,
+        status: upiCredit.status,
+        upiCredit: upiCredit._id,
+        upiIntent: upiCredit.upiIntent,
+        verifiedRequests: upiCredit.verifiedRequests,
+      });
+    } catch (error) {
+      // Imported concurrently by another request
+      if (error.code === 11000) {
+        summary.duplicate++;
+        results.push({ upiTransactionId: credit.upiTransactionId, status: 'duplicate' });
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  return { summary, results };
+}
+
+module.exports = {
+  INTENT_VALIDITY_HOURS,
+  extractTransactionNote,
+  buildUpiUri,
+  renderUpiQr,
+  getPayableAmount,
+  getOrCreateUpiIntent,
+  normalizeUpiCredits,
+  matchUpiCredit,
+  importUpiCredits,
+};